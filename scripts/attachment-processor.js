@@ -0,0 +1,922 @@
+/**
+ * Attachment Processor - Turns files attached in the chat into text or images for the model
+ * Used by the chat page
+ *
+ * Text is extracted locally from PDF, DOCX, HTML, CSV, JSON and plain-text files;
+ * nothing is uploaded anywhere except to LM Studio. Images become data URLs that
+ * are sent as image_url parts to vision models. Each processed attachment is
+ * stored under its own key so messages only keep a short description of it, and
+ * long documents are cut into passages of which only the ones relevant to the
+ * question are sent.
+ */
+
+class AttachmentProcessor {
+    constructor() {
+        this.chunker = new TextChunker();
+    }
+
+    static get STORAGE_PREFIX() {
+        return 'chat_attachment_';
+    }
+
+    static get MAX_FILE_SIZE() {
+        return 25 * 1024 * 1024;
+    }
+
+    static get MAX_IMAGE_SIZE() {
+        return 10 * 1024 * 1024;
+    }
+
+    // Larger images are scaled down before sending; vision models downsample them anyway
+    static get MAX_IMAGE_SIDE() {
+        return 1568;
+    }
+
+    static get MAX_TEXT_LENGTH() {
+        return 2000000;
+    }
+
+    static get IMAGE_TYPES() {
+        return ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+    }
+
+    static get FORMAT_LABELS() {
+        return { pdf: 'PDF', docx: 'Word document', html: 'Web page', csv: 'Table', json: 'JSON', text: 'Text', image: 'Image' };
+    }
+
+    /**
+     * @returns {string} pdf, docx, html, csv, json, image or text
+     */
+    getFormat(file) {
+        const extension = (file.name.match(/\.([^.]+)$/) || [])[1];
+        const ext = extension ? extension.toLowerCase() : '';
+        const type = file.type || '';
+
+        if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+        if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || ext === 'docx') return 'docx';
+        if (type === 'text/html' || ext === 'html' || ext === 'htm' || ext === 'xhtml') return 'html';
+        if (type === 'text/csv' || type === 'text/tab-separated-values' || ext === 'csv' || ext === 'tsv') return 'csv';
+        if (type === 'application/json' || ext === 'json') return 'json';
+        if (AttachmentProcessor.IMAGE_TYPES.includes(type) || ['png', 'jpg', 'jpeg', 'gif', 'webp'].includes(ext)) return 'image';
+        return 'text';
+    }
+
+    /**
+     * Read a file into an attachment record
+     * @param {File} file
+     * @returns {Promise<Object>} { id, name, kind: 'document'|'image', format, size, text, header, pages, rows, dataUrl }
+     */
+    async process(file) {
+        const format = this.getFormat(file);
+        const limit = format === 'image' ? AttachmentProcessor.MAX_IMAGE_SIZE : AttachmentProcessor.MAX_FILE_SIZE;
+        if (file.size > limit) {
+            throw new Error(`${file.name} is larger than ${Math.round(limit / 1024 / 1024)} MB`);
+        }
+
+        const attachment = {
+            id: this.generateAttachmentId(),
+            name: file.name,
+            kind: format === 'image' ? 'image' : 'document',
+            format: format,
+            mimeType: file.type || null,
+            size: file.size,
+            createdAt: new Date().toISOString()
+        };
+
+        if (format === 'image') {
+            attachment.dataUrl = await this.readImage(file);
+            return attachment;
+        }
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        let extracted;
+        switch (format) {
+            case 'pdf':
+                extracted = await this.extractPDF(bytes);
+                break;
+            case 'docx':
+                extracted = await this.extractDOCX(bytes);
+                break;
+            case 'html':
+                extracted = { text: this.extractHTML(this.decodeText(bytes)) };
+                break;
+            case 'csv':
+                extracted = this.extractCSV(this.decodeText(bytes), /\.tsv$/i.test(file.name) ? '\t' : null);
+                break;
+            case 'json':
+                extracted = { text: this.extractJSON(this.decodeText(bytes)) };
+                break;
+            default:
+                if (this.looksBinary(bytes)) {
+                    throw new Error(`${file.name} is not a text file, and its format is not supported`);
+                }
+                extracted = { text: this.decodeText(bytes) };
+        }
+
+        const text = (extracted.text || '').trim();
+        if (!text) {
+            throw new Error(format === 'pdf'
+                ? `No text found in ${file.name}; it may be a scanned document. Attach its pages as images instead.`
+                : `No text found in ${file.name}`);
+        }
+        Object.assign(attachment, extracted);
+        attachment.text = text.substring(0, AttachmentProcessor.MAX_TEXT_LENGTH);
+        attachment.truncated = text.length > AttachmentProcessor.MAX_TEXT_LENGTH;
+        return attachment;
+    }
+
+    /**
+     * Pasted text is attached like a file
+     */
+    fromText(text, name = 'Pasted text') {
+        return {
+            id: this.generateAttachmentId(),
+            name: name,
+            kind: 'document',
+            format: 'text',
+            mimeType: 'text/plain',
+            size: text.length,
+            text: text.trim(),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    generateAttachmentId() {
+        return 'attachment_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Short description kept on the message; the content itself stays in storage
+     */
+    describe(attachment) {
+        const summary = { id: attachment.id, name: attachment.name, kind: attachment.kind, format: attachment.format, size: attachment.size };
+        if (attachment.pages) summary.pages = attachment.pages;
+        if (attachment.rows) summary.rows = attachment.rows;
+        return summary;
+    }
+
+    // Storage
+
+    async store(attachment) {
+        await browser.storage.local.set({ [AttachmentProcessor.STORAGE_PREFIX + attachment.id]: attachment });
+    }
+
+    /**
+     * @returns {Promise<Array>} Stored attachments in the order asked for; missing ones are left out
+     */
+    async load(ids) {
+        if (ids.length === 0) return [];
+        const keys = ids.map(id => AttachmentProcessor.STORAGE_PREFIX + id);
+        const result = await browser.storage.local.get(keys);
+        return keys.map(key => result[key]).filter(Boolean);
+    }
+
+    async remove(ids) {
+        if (ids.length === 0) return;
+        await browser.storage.local.remove(ids.map(id => AttachmentProcessor.STORAGE_PREFIX + id));
+    }
+
+    // Context for the model
+
+    /**
+     * Text of the attached documents that fits in maxTokens. Documents that fit their
+     * share are sent whole; from longer ones only the passages most relevant to the
+     * question are sent, in document order.
+     * @param {Array} attachments - Stored attachments; images are ignored
+     * @param {string} question
+     * @param {Object} budget - maxTokens, estimateTokens(text)
+     * @returns {{text: string, usage: Object}} usage maps attachment id to {sections, used}
+     */
+    buildContext(attachments, question, { maxTokens, estimateTokens }) {
+        const documents = attachments.filter(attachment => attachment.kind === 'document');
+        const usage = {};
+        const parts = {};
+        let remaining = maxTokens;
+
+        // Smallest first, so the room a short file leaves over goes to the longer ones
+        const bySize = documents
+            .map(attachment => ({ attachment, tokens: estimateTokens(attachment.text) }))
+            .sort((a, b) => a.tokens - b.tokens);
+        bySize.forEach(({ attachment, tokens }, i) => {
+            const share = Math.floor(remaining / (bySize.length - i));
+            if (tokens <= share) {
+                parts[attachment.id] = `--- Attached file: ${attachment.name} ---\n${attachment.text}`;
+                usage[attachment.id] = { sections: 1, used: 1 };
+                remaining -= tokens;
+                return;
+            }
+
+            const chunks = this.chunker.chunk(attachment.text, { header: attachment.header || '' });
+            const picked = [];
+            let used = 0;
+            this.chunker.rank(chunks, question).forEach(({ chunk }) => {
+                const cost = estimateTokens(chunk.text) + 5;
+                if (used + cost > share) return;
+                picked.push(chunk);
+                used += cost;
+            });
+            picked.sort((a, b) => a.index - b.index);
+            remaining -= used;
+
+            usage[attachment.id] = { sections: chunks.length, used: picked.length };
+            parts[attachment.id] = `--- Attached file: ${attachment.name} (${picked.length} of ${chunks.length} sections, chosen for the question) ---\n` +
+                picked.map(chunk => `[Section ${chunk.index + 1}]\n${chunk.text}`).join('\n\n');
+        });
+
+        return {
+            text: documents.map(attachment => parts[attachment.id]).join('\n\n'),
+            usage: usage
+        };
+    }
+
+    // Images
+
+    async readImage(file) {
+        const dataUrl = `data:${file.type || 'image/png'};base64,` + this.toBase64(new Uint8Array(await file.arrayBuffer()));
+        if (typeof createImageBitmap === 'undefined' || file.type === 'image/gif') {
+            return dataUrl;
+        }
+
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = AttachmentProcessor.MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height);
+            if (scale >= 1) {
+                bitmap.close();
+                return dataUrl;
+            }
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+            // PNG keeps transparency and sharp text in screenshots
+            return canvas.toDataURL(file.type === 'image/png' ? 'image/png' : 'image/jpeg', 0.9);
+        } catch (error) {
+            console.warn('Could not scale the image, sending it as it is:', error.message);
+            return dataUrl;
+        }
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Text formats
+
+    decodeText(bytes) {
+        return new TextDecoder('utf-8').decode(bytes).replace(/^﻿/, '');
+    }
+
+    // NUL bytes do not occur in text files in any common encoding but UTF-16
+    looksBinary(bytes) {
+        const sample = bytes.subarray(0, 4096);
+        return sample.includes(0);
+    }
+
+    extractHTML(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg, iframe').forEach(el => el.remove());
+        doc.querySelectorAll('p, div, br, li, tr, h1, h2, h3, h4, h5, h6, pre, blockquote, section, article, header, footer, table')
+            .forEach(el => el.after('\n'));
+        doc.querySelectorAll('td, th').forEach(el => el.after('\t'));
+
+        const body = (doc.body ? doc.body.textContent : '')
+            .split('\n').map(line => line.replace(/[  ]+/g, ' ').trim()).join('\n')
+            .replace(/\n{3,}/g, '\n\n');
+        const title = doc.title ? doc.title.trim() : '';
+        return title ? `${title}\n\n${body}` : body;
+    }
+
+    /**
+     * @param {string} delimiter - Guessed from the first line when null
+     * @returns {{text: string, header: string, rows: number}}
+     */
+    extractCSV(text, delimiter = null) {
+        const firstLine = text.split('\n', 1)[0];
+        const separator = delimiter || [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const lines = rows
+            .filter(cells => cells.some(cell => cell.trim()))
+            .map(cells => cells.map(cell => cell.trim().replace(/\s+/g, ' ')).join(' | '));
+        // The column names are repeated on every passage so each one can be read alone
+        return { text: lines.join('\n'), header: lines[0] || '', rows: Math.max(0, lines.length - 1) };
+    }
+
+    extractJSON(text) {
+        try {
+            return JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // DOCX - a ZIP archive whose body text is in word/document.xml
+
+    async extractDOCX(bytes) {
+        const entries = this.readZipDirectory(bytes);
+        const entry = entries.get('word/document.xml');
+        if (!entry) {
+            throw new Error('This is not a Word document (word/document.xml is missing)');
+        }
+        const xml = new TextDecoder('utf-8').decode(await this.readZipEntry(bytes, entry));
+        return { text: this.wordXmlToText(xml) };
+    }
+
+    readZipDirectory(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('The file is not a valid ZIP archive');
+        }
+
+        const entries = new Map();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < count && view.getUint32(offset, true) === 0x02014b50; i++) {
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = new TextDecoder('utf-8').decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    async readZipEntry(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const header = entry.localOffset;
+        const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true);
+        const data = bytes.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return this.inflate(data, 'deflate-raw');
+        throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+    }
+
+    wordXmlToText(xml) {
+        let text = '';
+        let inText = false;
+        const pattern = /<(\/?)([\w:]+)[^>]*?(\/?)>|([^<]+)/g;
+        let match;
+        while ((match = pattern.exec(xml)) !== null) {
+            const [, closing, tag, selfClosing, content] = match;
+            if (content !== undefined) {
+                if (inText) text += this.decodeXmlEntities(content);
+            } else if (tag === 'w:t') {
+                inText = !closing && !selfClosing;
+            } else if (tag === 'w:tab' && !closing) {
+                text += '\t';
+            } else if ((tag === 'w:br' || tag === 'w:cr') && !closing) {
+                text += '\n';
+            } else if (closing && tag === 'w:p') {
+                text += '\n';
+            } else if (closing && tag === 'w:tc') {
+                // Cells of a row stay on one line
+                text = text.replace(/\n$/, '') + '\t';
+            } else if (closing && tag === 'w:tr') {
+                text += '\n';
+            }
+        }
+        return text.replace(/\t+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+    }
+
+    decodeXmlEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+            const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+            if (named[entity.toLowerCase()]) return named[entity.toLowerCase()];
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        });
+    }
+
+    async inflate(bytes, format = 'deflate') {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // PDF - text is read from the page content streams, using each font's ToUnicode
+    // map where there is one. Forms, annotations and text drawn from XObjects are skipped.
+
+    /**
+     * @returns {Promise<{text: string, pages: number}>}
+     */
+    async extractPDF(bytes) {
+        const data = this.bytesToBinary(bytes);
+        if (!data.startsWith('%PDF')) {
+            throw new Error('The file is not a PDF');
+        }
+        if (/\/Encrypt\s*\d+\s+\d+\s+R/.test(data)) {
+            throw new Error('Encrypted PDFs are not supported');
+        }
+
+        const objects = await this.readPdfObjects(data);
+        const pages = this.collectPdfPages(data, objects);
+        const fontCache = new Map();
+        const texts = [];
+
+        for (const page of pages) {
+            const fonts = await this.loadPdfFonts(page.resources, objects, fontCache);
+            let content = '';
+            for (const ref of page.contents) {
+                const object = objects.get(ref);
+                if (object && object.stream) {
+                    content += this.bytesToBinary(await this.decodePdfStream(object)) + '\n';
+                }
+            }
+            texts.push(this.readPdfContent(content, fonts));
+        }
+
+        return {
+            text: texts.map(text => text.trim()).filter(Boolean).join('\n\n'),
+            pages: pages.length
+        };
+    }
+
+    bytesToBinary(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return binary;
+    }
+
+    binaryToBytes(binary) {
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+
+    /**
+     * Every "N 0 obj" in the file, including those packed into object streams
+     * @returns {Promise<Map<number, {dict: string, stream: string|null}>>}
+     */
+    async readPdfObjects(data) {
+        const objects = new Map();
+        const header = /(\d+)\s+\d+\s+obj\b/g;
+        let match;
+        while ((match = header.exec(data)) !== null) {
+            const start = header.lastIndex;
+            const endObj = data.indexOf('endobj', start);
+            const streamAt = data.indexOf('stream', start);
+            let object;
+
+            if (streamAt !== -1 && (endObj === -1 || streamAt < endObj) && /\s*>>\s*$/.test(data.substring(start, streamAt))) {
+                let bodyStart = streamAt + 6;
+                if (data[bodyStart] === '\r') bodyStart++;
+                if (data[bodyStart] === '\n') bodyStart++;
+                const bodyEnd = data.indexOf('endstream', bodyStart);
+                if (bodyEnd === -1) break;
+                object = { dict: data.substring(start, streamAt), stream: data.substring(bodyStart, bodyEnd) };
+                header.lastIndex = bodyEnd;
+            } else {
+                object = { dict: data.substring(start, endObj === -1 ? data.length : endObj), stream: null };
+                if (endObj !== -1) header.lastIndex = endObj;
+            }
+            // Incremental updates append newer versions of an object
+            objects.set(parseInt(match[1]), object);
+        }
+
+        for (const object of Array.from(objects.values())) {
+            if (object.stream === null || !/\/Type\s*\/ObjStm/.test(object.dict)) continue;
+            try {
+                const content = this.bytesToBinary(await this.decodePdfStream(object));
+                const first = parseInt((object.dict.match(/\/First\s+(\d+)/) || [])[1]);
+                const numbers = content.substring(0, first).trim().split(/\s+/).map(Number);
+                for (let i = 0; i < numbers.length; i += 2) {
+                    const from = first + numbers[i + 1];
+                    const to = i + 3 < numbers.length ? first + numbers[i + 3] : content.length;
+                    if (!objects.has(numbers[i])) {
+                        objects.set(numbers[i], { dict: content.substring(from, to), stream: null });
+                    }
+                }
+            } catch (error) {
+                console.warn('Skipping unreadable PDF object stream:', error.message);
+            }
+        }
+        return objects;
+    }
+
+    async decodePdfStream(object) {
+        const filter = (object.dict.match(/\/Filter\s*\[?\s*((?:\/\w+\s*)+)/) || [])[1] || '';
+        const filters = filter.match(/\/\w+/g) || [];
+        let bytes = this.binaryToBytes(object.stream);
+        for (const name of filters) {
+            if (name !== '/FlateDecode') {
+                throw new Error(`Unsupported PDF filter ${name}`);
+            }
+            bytes = await this.inflate(bytes, 'deflate');
+        }
+        return bytes;
+    }
+
+    // Value of a key in a dictionary: a nested << >> dictionary, a [ ] array or a single token
+    getPdfValue(dict, key) {
+        const match = new RegExp(`/${key}(?![\\w])\\s*`).exec(dict);
+        if (!match) return null;
+        const start = match.index + match[0].length;
+        if (dict.startsWith('<<', start)) {
+            let depth = 0;
+            for (let i = start; i < dict.length - 1; i++) {
+                if (dict.startsWith('<<', i)) {
+                    depth++;
+                    i++;
+                } else if (dict.startsWith('>>', i)) {
+                    depth--;
+                    i++;
+                    if (depth === 0) return dict.substring(start, i + 1);
+                }
+            }
+            return dict.substring(start);
+        }
+        if (dict[start] === '[') {
+            const end = dict.indexOf(']', start);
+            return dict.substring(start, end === -1 ? dict.length : end + 1);
+        }
+        const ref = /^(\d+)\s+\d+\s+R/.exec(dict.substring(start));
+        if (ref) return ref[0];
+        return (/^\/[^\s/<>[\]()]*|^[^\s/<>[\]()]*/.exec(dict.substring(start)) || [''])[0];
+    }
+
+    // A dictionary given inline or by reference
+    resolvePdfDict(value, objects) {
+        if (!value) return null;
+        const ref = /^(\d+)\s+\d+\s+R$/.exec(value.trim());
+        if (ref) {
+            const object = objects.get(parseInt(ref[1]));
+            return object ? object.dict : null;
+        }
+        return value;
+    }
+
+    getPdfRefs(value) {
+        return Array.from(String(value || '').matchAll(/(\d+)\s+\d+\s+R/g), match => parseInt(match[1]));
+    }
+
+    /**
+     * Pages in reading order from the page tree, with inherited resources
+     * @returns {Array<{contents: Array<number>, resources: string}>}
+     */
+    collectPdfPages(data, objects) {
+        const pages = [];
+        const seen = new Set();
+        const walk = (number, inherited) => {
+            const object = objects.get(number);
+            if (!object || seen.has(number)) return;
+            seen.add(number);
+            const resources = this.resolvePdfDict(this.getPdfValue(object.dict, 'Resources'), objects) || inherited;
+            if (/\/Type\s*\/Pages\b/.test(object.dict)) {
+                this.getPdfRefs(this.getPdfValue(object.dict, 'Kids')).forEach(kid => walk(kid, resources));
+            } else if (/\/Type\s*\/Page\b/.test(object.dict)) {
+                pages.push({ contents: this.getPdfRefs(this.getPdfValue(object.dict, 'Contents')), resources: resources || '' });
+            }
+        };
+
+        const roots = Array.from(data.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g));
+        const root = roots.length > 0 ? objects.get(parseInt(roots[roots.length - 1][1])) : null;
+        if (root) {
+            this.getPdfRefs(this.getPdfValue(root.dict, 'Pages')).forEach(number => walk(number, ''));
+        }
+        if (pages.length === 0) {
+            // No usable page tree; fall back to file order
+            objects.forEach((object, number) => {
+                if (/\/Type\s*\/Page\b/.test(object.dict)) walk(number, '');
+            });
+        }
+        return pages;
+    }
+
+    /**
+     * @returns {Promise<Object>} Font resource name -> { cmap, codeLength }
+     */
+    async loadPdfFonts(resources, objects, cache) {
+        const fonts = {};
+        const fontDict = this.resolvePdfDict(this.getPdfValue(resources, 'Font'), objects) || '';
+        for (const match of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+            const number = parseInt(match[2]);
+            if (!cache.has(number)) {
+                cache.set(number, await this.loadPdfFont(objects.get(number), objects));
+            }
+            fonts[match[1]] = cache.get(number);
+        }
+        return fonts;
+    }
+
+    async loadPdfFont(object, objects) {
+        const font = { cmap: null, codeLength: 1 };
+        if (!object) return font;
+        if (/\/Subtype\s*\/Type0/.test(object.dict)) font.codeLength = 2;
+
+        const ref = this.getPdfRefs(this.getPdfValue(object.dict, 'ToUnicode'))[0];
+        const cmapObject = ref !== undefined ? objects.get(ref) : null;
+        if (cmapObject && cmapObject.stream !== null) {
+            try {
+                const parsed = this.parseCMap(this.bytesToBinary(await this.decodePdfStream(cmapObject)));
+                font.cmap = parsed.map;
+                font.codeLength = parsed.codeLength || font.codeLength;
+            } catch (error) {
+                console.warn('Skipping unreadable PDF font map:', error.message);
+            }
+        }
+        return font;
+    }
+
+    parseCMap(text) {
+        const map = new Map();
+        // Targets are UTF-16BE
+        const hexToString = hex => {
+            if (hex.length <= 2) return hex ? String.fromCharCode(parseInt(hex, 16)) : '';
+            let result = '';
+            for (let i = 0; i + 4 <= hex.length; i += 4) {
+                result += String.fromCharCode(parseInt(hex.substr(i, 4), 16));
+            }
+            return result;
+        };
+
+        const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(text);
+        const codeLength = space ? space[1].length / 2 : null;
+
+        for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+                map.set(parseInt(pair[1], 16), hexToString(pair[2]));
+            }
+        }
+        for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+                const low = parseInt(range[1], 16);
+                const high = parseInt(range[2], 16);
+                if (range[3].startsWith('[')) {
+                    const targets = Array.from(range[3].matchAll(/<([0-9a-fA-F]*)>/g), target => hexToString(target[1]));
+                    targets.forEach((target, i) => map.set(low + i, target));
+                } else {
+                    const target = hexToString(range[3].slice(1, -1));
+                    if (!target) continue;
+                    const last = target.charCodeAt(target.length - 1);
+                    for (let code = low; code <= high && code - low < 65536; code++) {
+                        map.set(code, target.slice(0, -1) + String.fromCharCode(last + code - low));
+                    }
+                }
+            }
+        }
+        return { map, codeLength };
+    }
+
+    /**
+     * Text shown by a content stream. Line breaks follow the text positioning
+     * operators; a wide gap inside a TJ array becomes a space.
+     */
+    readPdfContent(content, fonts) {
+        let text = '';
+        let font = { cmap: null, codeLength: 1 };
+        let operands = [];
+        let lastY = null;
+        const show = value => {
+            text += this.decodePdfString(value, font);
+        };
+        const newLine = () => {
+            if (text && !text.endsWith('\n')) text += '\n';
+        };
+
+        for (const token of this.tokenizePdfContent(content)) {
+            if (token.type !== 'operator') {
+                operands.push(token);
+                continue;
+            }
+            switch (token.value) {
+                case 'Tf':
+                    if (operands[0] && operands[0].type === 'name') {
+                        font = fonts[operands[0].value] || { cmap: null, codeLength: 1 };
+                    }
+                    break;
+                case 'Tj':
+                    if (operands[0] && operands[0].type === 'string') show(operands[0].value);
+                    break;
+                case "'":
+                case '"':
+                    newLine();
+                    if (operands.length && operands[operands.length - 1].type === 'string') show(operands[operands.length - 1].value);
+                    break;
+                case 'TJ':
+                    (operands[0] && operands[0].type === 'array' ? operands[0].value : []).forEach(item => {
+                        if (item.type === 'string') {
+                            show(item.value);
+                        } else if (item.type === 'number' && item.value < -180 && !/\s$/.test(text)) {
+                            text += ' ';
+                        }
+                    });
+                    break;
+                case 'Td':
+                case 'TD':
+                    if (operands[1] && operands[1].type === 'number' && operands[1].value !== 0) {
+                        newLine();
+                    } else if (text && !/\s$/.test(text)) {
+                        text += ' ';
+                    }
+                    break;
+                case 'Tm':
+                    if (operands[5] && operands[5].type === 'number') {
+                        if (lastY !== null && Math.abs(operands[5].value - lastY) > 1) {
+                            newLine();
+                        } else if (text && !/\s$/.test(text)) {
+                            text += ' ';
+                        }
+                        lastY = operands[5].value;
+                    }
+                    break;
+                case 'T*':
+                    newLine();
+                    break;
+                case 'ET':
+                    if (text && !/\s$/.test(text)) text += ' ';
+                    break;
+            }
+            operands = [];
+        }
+        return text.replace(/[ \t]+\n/g, '\n').replace(/ {2,}/g, ' ');
+    }
+
+    decodePdfString(value, font) {
+        if (font.cmap) {
+            let result = '';
+            for (let i = 0; i + font.codeLength <= value.length; i += font.codeLength) {
+                let code = 0;
+                for (let j = 0; j < font.codeLength; j++) {
+                    code = code * 256 + value.charCodeAt(i + j);
+                }
+                result += font.cmap.get(code) || '';
+            }
+            return result;
+        }
+        // Two-byte glyph ids mean nothing without a ToUnicode map
+        if (font.codeLength === 2) return '';
+        return value;
+    }
+
+    /**
+     * Tokens of a content stream; strings are returned as raw byte strings
+     */
+    tokenizePdfContent(content) {
+        const tokens = [];
+        const stack = [];
+        const push = token => {
+            if (stack.length > 0) {
+                stack[stack.length - 1].push(token);
+            } else {
+                tokens.push(token);
+            }
+        };
+
+        let i = 0;
+        while (i < content.length) {
+            const char = content[i];
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '%') {
+                while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+            } else if (char === '(') {
+                let depth = 1;
+                let value = '';
+                i++;
+                while (i < content.length && depth > 0) {
+                    const c = content[i];
+                    if (c === '\\') {
+                        const next = content[i + 1];
+                        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+                        if (escapes[next]) {
+                            value += escapes[next];
+                            i += 2;
+                        } else if (/[0-7]/.test(next)) {
+                            const octal = /^[0-7]{1,3}/.exec(content.substr(i + 1, 3))[0];
+                            value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                            i += 1 + octal.length;
+                        } else if (next === '\r' || next === '\n') {
+                            i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+                        } else {
+                            value += next || '';
+                            i += 2;
+                        }
+                        continue;
+                    }
+                    if (c === '(') depth++;
+                    if (c === ')') depth--;
+                    if (depth > 0) value += c;
+                    i++;
+                }
+                push({ type: 'string', value });
+            } else if (char === '<' && content[i + 1] === '<') {
+                // Inline dictionaries (marked content properties) carry no text
+                let depth = 0;
+                while (i < content.length) {
+                    if (content.startsWith('<<', i)) {
+                        depth++;
+                        i += 2;
+                    } else if (content.startsWith('>>', i)) {
+                        depth--;
+                        i += 2;
+                        if (depth === 0) break;
+                    } else {
+                        i++;
+                    }
+                }
+                push({ type: 'dict', value: null });
+            } else if (char === '<') {
+                const end = content.indexOf('>', i);
+                const hex = content.substring(i + 1, end === -1 ? content.length : end).replace(/[^0-9a-fA-F]/g, '');
+                const padded = hex.length % 2 ? hex + '0' : hex;
+                let value = '';
+                for (let j = 0; j < padded.length; j += 2) {
+                    value += String.fromCharCode(parseInt(padded.substr(j, 2), 16));
+                }
+                push({ type: 'string', value });
+                i = end === -1 ? content.length : end + 1;
+            } else if (char === '[') {
+                stack.push([]);
+                i++;
+            } else if (char === ']') {
+                const items = stack.pop() || [];
+                push({ type: 'array', value: items });
+                i++;
+            } else if (char === '/') {
+                const match = /^\/[^\s/<>[\]()%{}]*/.exec(content.substring(i, i + 128));
+                push({ type: 'name', value: match[0].slice(1) });
+                i += match[0].length;
+            } else {
+                const match = /^[^\s/<>[\]()%{}]+/.exec(content.substring(i, i + 64));
+                if (!match) {
+                    i++;
+                    continue;
+                }
+                const word = match[0];
+                i += word.length;
+                if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+                    push({ type: 'number', value: parseFloat(word) });
+                } else if (word === 'ID') {
+                    // Inline image data runs up to EI and may contain anything
+                    const end = content.substring(i).search(/\sEI(\s|$)/);
+                    i = end === -1 ? content.length : i + end + 3;
+                    tokens.push({ type: 'operator', value: 'EI' });
+                } else {
+                    push({ type: 'operator', value: word });
+                }
+            }
+        }
+        return tokens;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentProcessor;
+}
@@ -6,20 +6,92 @@
 class AutomationScheduler {
     constructor() {
         this.tasks = new Map();
-        this.intervals = new Map();
+        this.running = new Set();
+        this.historyRetention = { ...AutomationScheduler.DEFAULT_HISTORY_RETENTION };
         this.isInitialized = false;
         this.storage = browser.storage.local;
+        this.lmStudio = new LMStudioClient();
         
-        this.init();
+        // Must be registered synchronously so an alarm that wakes the event page is delivered
+        browser.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
+        
+        this.ready = this.init();
+    }
+
+    static get ALARM_PREFIX() {
+        return 'automation_task:';
+    }
+
+    static get CATCH_UP_POLICIES() {
+        return ['skip', 'once', 'all'];
+    }
+
+    // Upper bound for the 'all' catch-up policy so a long absence cannot queue hundreds of runs
+    static get MAX_CATCH_UP_RUNS() {
+        return 20;
+    }
+
+    // A run that starts this late is still treated as on time rather than missed
+    static get MISSED_RUN_GRACE() {
+        return 2 * 60 * 1000;
+    }
+
+    // Run history is stored per task under this prefix
+    static get HISTORY_KEY_PREFIX() {
+        return 'automation_runs_';
+    }
+
+    static get DEFAULT_HISTORY_RETENTION() {
+        return { maxRunsPerTask: 50, maxAgeDays: 30 };
+    }
+
+    // Extracted data kept inline in a run log; the full result stays under the step's dataRef
+    static get RUN_DATA_PREVIEW_LENGTH() {
+        return 2000;
+    }
+
+    static get CONDITION_OPERATORS() {
+        return ['exists', 'not_exists', 'equals', 'not_equals', 'contains', 'greater_than', 'less_than', 'matches'];
+    }
+
+    // Safety cap for forEach loops that do not set maxIterations
+    static get MAX_LOOP_ITERATIONS() {
+        return 100;
+    }
+
+    static get FAILURE_POLICIES() {
+        return ['abort', 'skip', 'fallback'];
+    }
+
+    // Per-action time limit (ms) when the action does not set `timeout`
+    static get DEFAULT_ACTION_TIMEOUT() {
+        return 30000;
+    }
+
+    static get ACTION_TIMEOUTS() {
+        return {
+            navigate: 60000,
+            ai_analysis: 5 * 60 * 1000
+        };
+    }
+
+    static get MAX_RETRY_DELAY() {
+        return 60000;
+    }
+
+    // How long click, fill_form and wait_for_element wait for their element to appear (ms)
+    static get DEFAULT_ELEMENT_WAIT() {
+        return 10000;
     }
 
     async init() {
         try {
             // Load existing tasks from storage
             await this.loadTasks();
+            await this.loadHistoryRetention();
             
-            // Start all active scheduled tasks
-            await this.startScheduledTasks();
+            // Re-arm alarms and catch up on runs missed while the background was unloaded
+            await this.reconcileSchedules();
             
             this.isInitialized = true;
             console.log('✅ Automation Scheduler initialized');
@@ -37,17 +109,22 @@ class AutomationScheduler {
             name: taskConfig.name,
             description: taskConfig.description || '',
             type: taskConfig.type, // 'interval', 'daily', 'weekly', 'monthly', 'cron'
-            schedule: taskConfig.schedule,
-            actions: taskConfig.actions || [],
+            schedule: this.normalizeSchedule(taskConfig.type, taskConfig.schedule),
+            actions: this.validateActions(taskConfig.actions || []),
+            variables: taskConfig.variables || {},
+            deadline: this.normalizeDeadline(taskConfig.deadline), // seconds, null for no limit
             enabled: taskConfig.enabled !== false,
             createdAt: new Date().toISOString(),
             lastRun: null,
-            nextRun: this.calculateNextRun(taskConfig.type, taskConfig.schedule),
+            nextRun: null,
             runCount: 0,
             maxRuns: taskConfig.maxRuns || null,
+            catchUp: this.normalizeCatchUpPolicy(taskConfig.catchUp),
             tags: taskConfig.tags || [],
             metadata: taskConfig.metadata || {}
         };
+        // Throws for invalid cron expressions or timezones before anything is saved
+        task.nextRun = this.calculateNextRun(task.type, task.schedule);
 
         this.tasks.set(task.id, task);
         await this.saveTasks();
@@ -61,92 +138,725 @@ class AutomationScheduler {
     }
 
     /**
-     * Schedule a task for execution
+     * Replace a task's editable settings; run state and history are kept
+     */
+    async updateTask(taskId, taskConfig) {
+        const task = this.tasks.get(taskId);
+        if (!task) throw new Error(`Task not found: ${taskId}`);
+
+        const type = taskConfig.type || task.type;
+        const updated = {
+            ...task,
+            name: taskConfig.name !== undefined ? taskConfig.name : task.name,
+            description: taskConfig.description !== undefined ? taskConfig.description : task.description,
+            type: type,
+            schedule: this.normalizeSchedule(type, taskConfig.schedule !== undefined ? taskConfig.schedule : task.schedule),
+            actions: taskConfig.actions !== undefined ? this.validateActions(taskConfig.actions) : task.actions,
+            variables: taskConfig.variables !== undefined ? taskConfig.variables : task.variables,
+            deadline: taskConfig.deadline !== undefined ? this.normalizeDeadline(taskConfig.deadline) : task.deadline,
+            catchUp: taskConfig.catchUp !== undefined ? this.normalizeCatchUpPolicy(taskConfig.catchUp) : task.catchUp,
+            tags: taskConfig.tags !== undefined ? taskConfig.tags : task.tags
+        };
+        // Throws for invalid schedules before anything is changed
+        updated.nextRun = this.calculateNextRun(updated.type, updated.schedule);
+
+        Object.assign(task, updated);
+        await this.saveTasks();
+
+        if (task.enabled) {
+            this.scheduleTask(task);
+        }
+
+        console.log(`✏️ Updated automation task: ${task.name}`);
+        return task;
+    }
+
+    /**
+     * Arm the alarm for a task's next fire time. Alarms survive the event page
+     * unloading; the page is woken up again when one fires.
      */
     scheduleTask(task) {
-        if (this.intervals.has(task.id)) {
-            clearInterval(this.intervals.get(task.id));
+        if (!task.nextRun || new Date(task.nextRun).getTime() <= Date.now()) {
+            task.nextRun = this.calculateNextRun(task.type, task.schedule);
+        }
+        if (!task.nextRun) {
+            console.warn(`⚠️ Task ${task.name} has no upcoming run time`);
+            this.clearAlarm(task.id);
+            return;
         }
 
-        const delay = this.getScheduleDelay(task.type, task.schedule);
-        
-        if (delay > 0) {
-            const intervalId = setInterval(async () => {
-                await this.executeTask(task.id);
-            }, delay);
-            
-            this.intervals.set(task.id, intervalId);
-            console.log(`⏰ Scheduled task ${task.name} with ${delay}ms interval`);
+        browser.alarms.create(this.getAlarmName(task.id), { when: new Date(task.nextRun).getTime() });
+        console.log(`⏰ Scheduled task ${task.name} for ${task.nextRun}`);
+    }
+
+    getAlarmName(taskId) {
+        return AutomationScheduler.ALARM_PREFIX + taskId;
+    }
+
+    clearAlarm(taskId) {
+        return browser.alarms.clear(this.getAlarmName(taskId));
+    }
+
+    async handleAlarm(alarm) {
+        if (!alarm.name.startsWith(AutomationScheduler.ALARM_PREFIX)) return;
+        await this.ready;
+
+        const task = this.tasks.get(alarm.name.slice(AutomationScheduler.ALARM_PREFIX.length));
+        if (!task || !task.enabled) {
+            await browser.alarms.clear(alarm.name);
+            return;
         }
+
+        await this.runDueTask(task);
     }
 
     /**
-     * Execute a scheduled task
+     * Bring stored tasks and registered alarms back in line after the background wakes:
+     * drop alarms for deleted or disabled tasks, re-arm future runs and catch up on missed ones
      */
-    async executeTask(taskId) {
+    async reconcileSchedules() {
+        const alarms = await browser.alarms.getAll();
+        for (const alarm of alarms) {
+            if (!alarm.name.startsWith(AutomationScheduler.ALARM_PREFIX)) continue;
+            const task = this.tasks.get(alarm.name.slice(AutomationScheduler.ALARM_PREFIX.length));
+            if (!task || !task.enabled) {
+                await browser.alarms.clear(alarm.name);
+            }
+        }
+
+        const now = Date.now();
+        for (const task of this.tasks.values()) {
+            if (!task.enabled) continue;
+
+            try {
+                if (!task.nextRun) {
+                    task.nextRun = this.calculateNextRun(task.type, task.schedule);
+                }
+
+                if (task.nextRun && new Date(task.nextRun).getTime() <= now) {
+                    // Not awaited: catch-up runs can take a while and must not hold up `ready`
+                    this.runDueTask(task).catch(error => {
+                        console.error(`❌ Catch-up for task ${task.name} failed:`, error);
+                    });
+                } else {
+                    this.scheduleTask(task);
+                }
+            } catch (error) {
+                console.error(`❌ Could not schedule task ${task.name}:`, error);
+            }
+        }
+
+        await this.saveTasks();
+    }
+
+    /**
+     * Run a task whose nextRun has passed, applying its catch-up policy when
+     * the run is late or several runs were missed
+     */
+    async runDueTask(task) {
+        if (this.running.has(task.id)) return;
+
+        const due = task.nextRun ? new Date(task.nextRun).getTime() : null;
+        if (!due || due > Date.now()) {
+            // Stale alarm, e.g. the task already ran during reconciliation
+            this.scheduleTask(task);
+            return;
+        }
+
+        const missed = this.countMissedRuns(task, due);
+        const late = missed > 1 || Date.now() - due > AutomationScheduler.MISSED_RUN_GRACE;
+        let runs = 1;
+
+        if (late) {
+            const policy = this.normalizeCatchUpPolicy(task.catchUp);
+            runs = policy === 'skip' ? 0 : policy === 'once' ? 1 : Math.min(missed, AutomationScheduler.MAX_CATCH_UP_RUNS);
+
+            task.lastCatchUp = {
+                at: new Date().toISOString(),
+                missed: missed,
+                runs: runs,
+                policy: policy
+            };
+            console.log(`⏪ Task ${task.name} missed ${missed} run(s); catch-up policy "${policy}" runs it ${runs} time(s)`);
+        }
+
+        if (runs === 0) {
+            task.nextRun = this.calculateNextRun(task.type, task.schedule);
+            await this.saveTasks();
+            this.scheduleTask(task);
+            return;
+        }
+
+        const trigger = late ? 'catch_up' : 'schedule';
+        for (let i = 0; i < runs; i++) {
+            await this.executeTask(task.id, trigger);
+            if (!task.enabled || !this.tasks.has(task.id)) break;
+        }
+    }
+
+    /**
+     * Number of scheduled fire times between `dueMs` and now, including `dueMs` itself
+     */
+    countMissedRuns(task, dueMs) {
+        const now = Date.now();
+        const cap = AutomationScheduler.MAX_CATCH_UP_RUNS + 1;
+
+        if (task.type === 'interval') {
+            const periodMs = this.normalizeSchedule(task.type, task.schedule) * 1000;
+            return Math.min(cap, 1 + Math.floor((now - dueMs) / periodMs));
+        }
+
+        const cron = this.getCronSchedule(task.type, task.schedule);
+        let count = 1;
+        let cursor = cron.next(new Date(dueMs));
+        while (cursor && cursor.getTime() <= now && count < cap) {
+            count++;
+            cursor = cron.next(cursor);
+        }
+        return count;
+    }
+
+    normalizeCatchUpPolicy(policy) {
+        return AutomationScheduler.CATCH_UP_POLICIES.includes(policy) ? policy : 'once';
+    }
+
+    /**
+     * Execute a scheduled task and record the run in its history
+     * @param {string} taskId
+     * @param {string} trigger - 'schedule', 'catch_up' or 'manual'
+     */
+    async executeTask(taskId, trigger = 'manual') {
         const task = this.tasks.get(taskId);
         if (!task || !task.enabled) return;
 
+        if (this.running.has(taskId)) {
+            console.log(`⏭️ Task ${task.name} is already running, skipping`);
+            return;
+        }
+
         // Check if max runs reached
         if (task.maxRuns && task.runCount >= task.maxRuns) {
             await this.disableTask(taskId);
             return;
         }
 
+        this.running.add(taskId);
+        const run = this.createRunRecord(task, trigger);
+        const context = this.createRunContext(task, run);
+        let index = 0;
         try {
             console.log(`🚀 Executing automation task: ${task.name}`);
             
             // Update task execution info
-            task.lastRun = new Date().toISOString();
+            task.lastRun = run.startedAt;
             task.runCount++;
             task.nextRun = this.calculateNextRun(task.type, task.schedule);
 
-            // Execute each action in the task
-            for (const action of task.actions) {
-                await this.executeAction(action, task);
+            // Walk the action graph, logging every step
+            for (; index < task.actions.length; index++) {
+                await this.executeNode(task.actions[index], String(index), task, run, context);
             }
 
+            // Failures handled by a skip or fallback policy still let the task finish
+            this.finishRunRecord(run, run.recoveredFailures > 0 ? 'partial' : 'success');
+            task.lastStatus = run.status;
+
             // Save updated task info
             await this.saveTasks();
             
             // Notify about successful execution
-            this.notifyTaskExecution(task, 'success');
+            this.notifyTaskExecution(task, 'success', run.recoveredFailures > 0
+                ? `Completed with ${run.recoveredFailures} recovered failure(s)`
+                : '');
             
         } catch (error) {
             console.error(`❌ Failed to execute task ${task.name}:`, error);
+
+            // Top-level actions after the failing one never ran
+            for (let rest = index + 1; rest < task.actions.length; rest++) {
+                run.actions.push(this.createStepRecord(task.actions[rest], String(rest), 'skipped'));
+            }
+            this.finishRunRecord(run, error.code === 'TASK_DEADLINE' ? 'timeout' : 'error', error);
+            task.lastStatus = run.status;
+            await this.saveTasks();
+
             this.notifyTaskExecution(task, 'error', error.message);
+        } finally {
+            this.running.delete(taskId);
+        }
+
+        await this.recordRun(run);
+
+        // Arm the alarm for the following run
+        if (task.enabled && this.tasks.has(taskId)) {
+            this.scheduleTask(task);
+        }
+    }
+
+    /**
+     * Action graph methods
+     *
+     * Besides page actions, task.actions may contain control nodes:
+     *   { type: 'if', condition, then: [...], else: [...] }
+     *   { type: 'forEach', list: 'results.items' | times: 5, as: 'item', indexAs: 'i', actions: [...] }
+     *   { type: 'set_variable', name, value }
+     * A condition is { source: 'variable', variable, operator, value } or
+     * { source: 'element', selector, operator: 'exists' | 'not_exists' }.
+     * Any action can store its result with `saveAs: 'name'`, and string fields of
+     * page actions may reference variables as ${name} or ${name.path.0}.
+     */
+    async executeNode(action, path, task, run, context) {
+        switch (action.type) {
+            case 'if':
+                return this.executeIfNode(action, path, task, run, context);
+            case 'forEach':
+                return this.executeForEachNode(action, path, task, run, context);
+            default:
+                return this.executeLoggedAction(action, path, task, run, context);
+        }
+    }
+
+    async executeNodes(actions, path, task, run, context) {
+        for (let index = 0; index < (actions || []).length; index++) {
+            await this.executeNode(actions[index], `${path}.${index}`, task, run, context);
+        }
+    }
+
+    async executeIfNode(action, path, task, run, context) {
+        const matched = await this.executeLoggedAction(action, path, task, run, context);
+        // A condition that failed under skip or fallback is neither true nor false, so no branch runs
+        if (typeof matched !== 'boolean') return;
+
+        const branch = matched ? 'then' : 'else';
+        await this.executeNodes(action[branch], `${path}.${branch}`, task, run, context);
+    }
+
+    async executeForEachNode(action, path, task, run, context) {
+        // A skipped or recovered loop resolves to nothing and runs no iterations
+        const items = await this.executeLoggedAction(action, path, task, run, context) || [];
+
+        for (let index = 0; index < items.length; index++) {
+            context.variables[action.as || 'item'] = items[index];
+            if (action.indexAs) context.variables[action.indexAs] = index;
+            await this.executeNodes(action.actions, `${path}[${index}]`, task, run, context);
+        }
+    }
+
+    /**
+     * Run one node and append its outcome to the run record.
+     * Once its retries are used up, the action's onFailure policy decides whether
+     * the error is rethrown (abort) or handled (skip, fallback).
+     */
+    async executeLoggedAction(action, path, task, run, context) {
+        const step = this.createStepRecord(action, path, 'running');
+        run.actions.push(step);
+        const started = Date.now();
+
+        let result;
+        try {
+            result = await this.executeWithRetries(action, task, step, context);
+        } catch (error) {
+            step.status = 'error';
+            step.error = error.message || String(error);
+            step.duration = Date.now() - started;
+            return this.handleActionFailure(action, path, task, run, context, step, error);
+        }
+
+        step.duration = Date.now() - started;
+        // Screenshots are only kept by reference, never inline
+        if (result !== undefined && step.data === null && !step.screenshotRef) {
+            step.data = this.summarizeRunData(result);
+        }
+        if (action.saveAs) {
+            context.variables[action.saveAs] = result;
+        }
+        step.status = 'success';
+        step.error = null;
+        return result;
+    }
+
+    async executeWithRetries(action, task, step, context) {
+        const retries = Math.max(0, parseInt(action.retries, 10) || 0);
+
+        for (let attempt = 0; ; attempt++) {
+            step.attempts = attempt + 1;
+            try {
+                return await this.runWithTimeout(action, context, (signal) =>
+                    this.executeResolvedAction(action, task, step, context, signal));
+            } catch (error) {
+                // Past the task deadline nothing is worth retrying
+                if (error.code === 'TASK_DEADLINE' || attempt >= retries) throw error;
+
+                step.error = error.message || String(error);
+                const delay = this.getRetryDelay(action, attempt);
+                if (context.deadlineAt && Date.now() + delay >= context.deadlineAt) {
+                    throw this.createDeadlineError(task);
+                }
+
+                console.log(`🔁 Retrying ${action.type} in ${delay}ms (attempt ${attempt + 2} of ${retries + 1}): ${step.error}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Race an action against its timeout and the task deadline. The signal is aborted
+     * when time runs out so actions holding listeners or timers can release them.
+     */
+    async runWithTimeout(action, context, execute) {
+        const timeout = this.getActionTimeout(action);
+        const remaining = context.deadlineAt ? context.deadlineAt - Date.now() : Infinity;
+        if (remaining <= 0) throw this.createDeadlineError(context.task);
+
+        const deadlineFirst = remaining < timeout;
+        const controller = new AbortController();
+        let timer;
+
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(deadlineFirst
+                    ? this.createDeadlineError(context.task)
+                    : new AutomationError(`${action.type} timed out after ${timeout}ms`, 'ACTION_TIMEOUT'));
+            }, deadlineFirst ? remaining : timeout);
+        });
+
+        try {
+            return await Promise.race([execute(controller.signal), expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async handleActionFailure(action, path, task, run, context, step, error) {
+        const policy = action.onFailure || 'abort';
+        if (policy === 'abort' || error.code === 'TASK_DEADLINE') {
+            throw error;
+        }
+
+        step.recovery = policy;
+        run.recoveredFailures++;
+        console.log(`⚠️ ${action.type} failed in task ${task.name}, ${policy === 'skip' ? 'skipping it' : 'running its fallback'}: ${step.error}`);
+
+        if (policy === 'fallback') {
+            await this.executeNodes(action.fallback, `${path}.fallback`, task, run, context);
+        }
+        return undefined;
+    }
+
+    getActionTimeout(action) {
+        if (action.timeout > 0) return action.timeout;
+        if (action.type === 'wait') return (action.duration || 1000) + AutomationScheduler.DEFAULT_ACTION_TIMEOUT;
+        if (action.type === 'wait_for_element') return (action.waitTimeout || AutomationScheduler.DEFAULT_ELEMENT_WAIT) + AutomationScheduler.DEFAULT_ACTION_TIMEOUT;
+        return AutomationScheduler.ACTION_TIMEOUTS[action.type] || AutomationScheduler.DEFAULT_ACTION_TIMEOUT;
+    }
+
+    getRetryDelay(action, attempt) {
+        const base = action.retryDelay >= 0 ? action.retryDelay : 1000;
+        const delay = action.backoff === 'fixed' ? base : base * Math.pow(2, attempt);
+        return Math.min(delay, AutomationScheduler.MAX_RETRY_DELAY);
+    }
+
+    createDeadlineError(task) {
+        return new AutomationError(`Task deadline of ${task.deadline}s exceeded`, 'TASK_DEADLINE');
+    }
+
+    normalizeDeadline(deadline) {
+        if (deadline === undefined || deadline === null || deadline === '') return null;
+
+        const seconds = Number(deadline);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            throw new Error('Task deadline must be a positive number of seconds');
+        }
+        return seconds;
+    }
+
+    async executeResolvedAction(action, task, step, context, signal) {
+        switch (action.type) {
+            case 'if':
+                return this.evaluateCondition(action.condition, context);
+            case 'forEach':
+                return this.resolveLoopItems(action, context);
+            case 'set_variable':
+                context.variables[action.name] = this.resolveValue(action.value, context);
+                return context.variables[action.name];
+            default:
+                return this.executeAction(this.interpolateAction(action, context), task, step, signal);
+        }
+    }
+
+    createRunContext(task, run) {
+        return {
+            task: task,
+            deadlineAt: task.deadline ? new Date(run.startedAt).getTime() + task.deadline * 1000 : null,
+            variables: {
+                ...(task.variables || {}),
+                task: { id: task.id, name: task.name, runCount: task.runCount },
+                run: { id: run.id, startedAt: run.startedAt, trigger: run.trigger }
+            }
+        };
+    }
+
+    /**
+     * Look up a dotted path such as 'results.items.0.title' in the run's variables
+     */
+    getVariable(context, path) {
+        return String(path).split('.').reduce((value, key) => {
+            if (value === null || value === undefined) return undefined;
+            return value[key];
+        }, context.variables);
+    }
+
+    /**
+     * Replace ${name} references in a string; objects are inserted as JSON
+     */
+    interpolate(template, context) {
+        if (typeof template !== 'string') return template;
+
+        return template.replace(/\$\{\s*([\w.-]+)\s*\}/g, (match, path) => {
+            const value = this.getVariable(context, path);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+
+    /**
+     * Like interpolate, but a value that is exactly one ${name} keeps its type
+     */
+    resolveValue(value, context) {
+        if (typeof value !== 'string') return value;
+
+        const single = value.match(/^\$\{\s*([\w.-]+)\s*\}$/);
+        return single ? this.getVariable(context, single[1]) : this.interpolate(value, context);
+    }
+
+    /**
+     * Copy of a page action with variables filled into its string fields
+     */
+    interpolateAction(action, context) {
+        const resolved = { ...action };
+        ['url', 'selector', 'prompt'].forEach(field => {
+            if (typeof resolved[field] === 'string') {
+                resolved[field] = this.interpolate(resolved[field], context);
+            }
+        });
+
+        // Fallback chains given as a list
+        if (Array.isArray(action.selector)) {
+            resolved.selector = action.selector.map(selector => this.interpolate(selector, context));
+        }
+
+        if (action.fields) {
+            resolved.fields = {};
+            Object.entries(action.fields).forEach(([selector, value]) => {
+                resolved.fields[this.interpolate(selector, context)] = this.interpolate(value, context);
+            });
+        }
+
+        // Script source is never interpolated, since values may come from visited pages;
+        // the script reads them from a `variables` object instead
+        if (action.type === 'script') {
+            resolved.variables = context.variables;
+        }
+        return resolved;
+    }
+
+    async evaluateCondition(condition, context) {
+        const operator = condition.operator || 'exists';
+
+        if (condition.source === 'element') {
+            const found = await this.elementExists(this.interpolate(condition.selector, context));
+            return operator === 'not_exists' ? !found : found;
+        }
+
+        const actual = this.getVariable(context, condition.variable);
+        const expected = this.resolveValue(condition.value, context);
+        const isEmpty = actual === undefined || actual === null || actual === '' ||
+            (Array.isArray(actual) && actual.length === 0);
+
+        switch (operator) {
+            case 'exists':
+                return !isEmpty;
+            case 'not_exists':
+                return isEmpty;
+            case 'equals':
+                return String(actual) === String(expected);
+            case 'not_equals':
+                return String(actual) !== String(expected);
+            case 'contains':
+                return Array.isArray(actual)
+                    ? actual.some(item => String(item) === String(expected))
+                    : String(actual ?? '').includes(String(expected));
+            case 'greater_than':
+                return parseFloat(actual) > parseFloat(expected);
+            case 'less_than':
+                return parseFloat(actual) < parseFloat(expected);
+            case 'matches':
+                return this.compilePattern(expected, 'condition').test(String(actual ?? ''));
+            default:
+                throw new Error(`Unknown condition operator: ${operator}`);
+        }
+    }
+
+    compilePattern(pattern, where) {
+        try {
+            return new RegExp(String(pattern ?? ''));
+        } catch (error) {
+            throw new Error(`${where}: "${pattern}" is not a valid regular expression (${error.message})`);
+        }
+    }
+
+    // Page actions need a tab; throwing lets retries and the failure policy handle a missing one
+    async getActiveTab() {
+        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+        if (tabs.length === 0) {
+            throw new AutomationError('No active tab', 'NO_ACTIVE_TAB');
+        }
+        return tabs[0];
+    }
+
+    async elementExists(selector) {
+        const tab = await this.getActiveTab();
+
+        // The page's selector engine understands XPath, text, role and fallback selectors
+        const result = await browser.tabs.sendMessage(tab.id, {
+            type: 'AUTOMATION_QUERY',
+            selector: selector
+        });
+        return !!result && result.count > 0;
+    }
+
+    /**
+     * Items a forEach node iterates over: a list variable, or 1..times for counted loops
+     */
+    resolveLoopItems(action, context) {
+        const limit = action.maxIterations || AutomationScheduler.MAX_LOOP_ITERATIONS;
+        let items;
+
+        if (action.times !== undefined && action.times !== null && action.times !== '') {
+            const times = parseInt(this.resolveValue(action.times, context), 10);
+            if (!Number.isFinite(times) || times < 0) throw new Error(`forEach times must be a number, got ${action.times}`);
+            items = Array.from({ length: Math.min(times, limit) }, (value, index) => index + 1);
+        } else {
+            items = this.getVariable(context, action.list);
+            if (typeof items === 'string') {
+                try {
+                    items = JSON.parse(items);
+                } catch (error) {
+                    // Not JSON; reported below
+                }
+            }
+            if (!Array.isArray(items)) {
+                throw new Error(`forEach list "${action.list}" is not a list`);
+            }
         }
+
+        if (items.length > limit) {
+            console.warn(`⚠️ forEach over ${action.list} truncated to ${limit} items`);
+            items = items.slice(0, limit);
+        }
+        return items;
+    }
+
+    /**
+     * Check the shape of an action graph before it is saved
+     * @returns {Array} the actions, unchanged
+     */
+    validateActions(actions, path = 'actions') {
+        if (!Array.isArray(actions)) {
+            throw new Error(`${path} must be a list of actions`);
+        }
+
+        const isName = (name) => typeof name === 'string' && /^[A-Za-z_]\w*$/.test(name);
+
+        actions.forEach((action, index) => {
+            const where = `${path}[${index}]`;
+            if (!action || !action.type) throw new Error(`${where} has no type`);
+            if (action.saveAs !== undefined && !isName(action.saveAs)) {
+                throw new Error(`${where}: "${action.saveAs}" is not a valid variable name`);
+            }
+
+            switch (action.type) {
+                case 'if': {
+                    const condition = action.condition || {};
+                    if (!AutomationScheduler.CONDITION_OPERATORS.includes(condition.operator || 'exists')) {
+                        throw new Error(`${where}: unknown condition operator "${condition.operator}"`);
+                    }
+                    if (condition.source === 'element' ? !condition.selector : !condition.variable) {
+                        throw new Error(`${where}: condition needs a ${condition.source === 'element' ? 'selector' : 'variable'}`);
+                    }
+                    // Patterns built from ${...} references can only be checked when the task runs
+                    if (condition.operator === 'matches' && !/\$\{/.test(String(condition.value ?? ''))) {
+                        this.compilePattern(condition.value, where);
+                    }
+                    this.validateActions(action.then || [], `${where}.then`);
+                    this.validateActions(action.else || [], `${where}.else`);
+                    break;
+                }
+                case 'forEach':
+                    if (!action.list && (action.times === undefined || action.times === '')) {
+                        throw new Error(`${where}: forEach needs a list variable or a number of times`);
+                    }
+                    if (action.as !== undefined && !isName(action.as)) throw new Error(`${where}: "${action.as}" is not a valid variable name`);
+                    if (action.indexAs !== undefined && !isName(action.indexAs)) throw new Error(`${where}: "${action.indexAs}" is not a valid variable name`);
+                    this.validateActions(action.actions || [], `${where}.actions`);
+                    break;
+                case 'set_variable':
+                    if (!isName(action.name)) throw new Error(`${where}: "${action.name}" is not a valid variable name`);
+                    break;
+                case 'wait_for_element':
+                    if (!action.selector || (Array.isArray(action.selector) && action.selector.length === 0)) {
+                        throw new Error(`${where}: wait_for_element needs a selector`);
+                    }
+                    break;
+            }
+
+            ['timeout', 'retries', 'retryDelay', 'waitTimeout'].forEach(field => {
+                if (action[field] !== undefined && !(Number(action[field]) >= 0)) {
+                    throw new Error(`${where}: ${field} must be a non-negative number`);
+                }
+            });
+            if (action.backoff !== undefined && !['fixed', 'exponential'].includes(action.backoff)) {
+                throw new Error(`${where}: backoff must be "fixed" or "exponential"`);
+            }
+            if (action.onFailure !== undefined && !AutomationScheduler.FAILURE_POLICIES.includes(action.onFailure)) {
+                throw new Error(`${where}: onFailure must be one of ${AutomationScheduler.FAILURE_POLICIES.join(', ')}`);
+            }
+            if (action.onFailure === 'fallback') {
+                this.validateActions(action.fallback || [], `${where}.fallback`);
+            }
+        });
+
+        return actions;
     }
 
     /**
      * Execute a single automation action
+     * @param {Object} step - Run log entry; actions that store output record its storage key here
+     * @param {AbortSignal} signal - Aborted when the action times out
      */
-    async executeAction(action, task) {
+    async executeAction(action, task, step = {}, signal = null) {
         switch (action.type) {
-            case 'navigate':
-                await this.actionNavigate(action);
-                break;
+            case 'navigate': {
+                const tab = await this.actionNavigate(action, signal);
+                return { tabId: tab.id, url: action.url };
+            }
             case 'click':
-                await this.actionClick(action);
-                break;
+                return this.actionClick(action);
             case 'extract_data':
-                await this.actionExtractData(action, task);
-                break;
+                return this.actionExtractData(action, task, step);
             case 'fill_form':
-                await this.actionFillForm(action);
-                break;
+                return this.actionFillForm(action);
             case 'screenshot':
-                await this.actionScreenshot(action, task);
-                break;
+                return this.actionScreenshot(action, task, step);
             case 'wait':
-                await this.actionWait(action);
-                break;
+                return this.actionWait(action, signal);
+            case 'wait_for_element':
+                return this.actionWaitForElement(action);
             case 'script':
-                await this.actionExecuteScript(action);
-                break;
+                return this.actionExecuteScript(action);
             case 'ai_analysis':
-                await this.actionAIAnalysis(action, task);
-                break;
+                return this.actionAIAnalysis(action, task, step, signal);
             default:
                 console.warn(`Unknown action type: ${action.type}`);
         }
@@ -155,14 +865,14 @@ class AutomationScheduler {
     /**
      * Navigation action
      */
-    async actionNavigate(action) {
+    async actionNavigate(action, signal = null) {
         const tab = await browser.tabs.create({
             url: action.url,
             active: action.active !== false
         });
         
         // Wait for page to load
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             const listener = (tabId, changeInfo) => {
                 if (tabId === tab.id && changeInfo.status === 'complete') {
                     browser.tabs.onUpdated.removeListener(listener);
@@ -170,6 +880,14 @@ class AutomationScheduler {
                 }
             };
             browser.tabs.onUpdated.addListener(listener);
+
+            // Stop listening if the page never finishes loading
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    browser.tabs.onUpdated.removeListener(listener);
+                    reject(new AutomationError(`Page did not finish loading: ${action.url}`, 'ACTION_TIMEOUT'));
+                }, { once: true });
+            }
         });
     }
 
@@ -177,24 +895,38 @@ class AutomationScheduler {
      * Click action
      */
     async actionClick(action) {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length === 0) return;
+        const tab = await this.getActiveTab();
 
-        await browser.tabs.sendMessage(tabs[0].id, {
+        // Reports which selector alternative matched
+        return browser.tabs.sendMessage(tab.id, {
             type: 'AUTOMATION_CLICK',
             selector: action.selector,
-            waitFor: action.waitFor || 1000
+            waitFor: action.waitFor || 1000,
+            timeout: action.waitTimeout || AutomationScheduler.DEFAULT_ELEMENT_WAIT
+        });
+    }
+
+    /**
+     * Wait until an element appears on the page, e.g. after a client-side render
+     */
+    async actionWaitForElement(action) {
+        const tab = await this.getActiveTab();
+
+        return browser.tabs.sendMessage(tab.id, {
+            type: 'AUTOMATION_WAIT_FOR',
+            selector: action.selector,
+            timeout: action.waitTimeout || AutomationScheduler.DEFAULT_ELEMENT_WAIT,
+            visible: action.visible === true
         });
     }
 
     /**
      * Data extraction action
      */
-    async actionExtractData(action, task) {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length === 0) return;
+    async actionExtractData(action, task, step = {}) {
+        const tab = await this.getActiveTab();
 
-        const data = await browser.tabs.sendMessage(tabs[0].id, {
+        const data = await browser.tabs.sendMessage(tab.id, {
             type: 'AUTOMATION_EXTRACT',
             selectors: action.selectors,
             format: action.format || 'json'
@@ -203,6 +935,7 @@ class AutomationScheduler {
         // Store extracted data
         const storageKey = `task_data_${task.id}_${Date.now()}`;
         await this.storage.set({ [storageKey]: data });
+        step.dataRef = storageKey;
         
         return data;
     }
@@ -211,25 +944,26 @@ class AutomationScheduler {
      * Form filling action
      */
     async actionFillForm(action) {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length === 0) return;
+        const tab = await this.getActiveTab();
 
-        await browser.tabs.sendMessage(tabs[0].id, {
+        return browser.tabs.sendMessage(tab.id, {
             type: 'AUTOMATION_FILL_FORM',
             fields: action.fields,
-            submit: action.submit || false
+            submit: action.submit || false,
+            timeout: action.waitTimeout || AutomationScheduler.DEFAULT_ELEMENT_WAIT
         });
     }
 
     /**
      * Screenshot action
      */
-    async actionScreenshot(action, task) {
+    async actionScreenshot(action, task, step = {}) {
         const dataUrl = await browser.tabs.captureVisibleTab();
         
         // Store screenshot
         const storageKey = `task_screenshot_${task.id}_${Date.now()}`;
         await this.storage.set({ [storageKey]: dataUrl });
+        step.screenshotRef = storageKey;
         
         return dataUrl;
     }
@@ -237,62 +971,52 @@ class AutomationScheduler {
     /**
      * Wait action
      */
-    async actionWait(action) {
+    async actionWait(action, signal = null) {
         const delay = action.duration || 1000;
-        return new Promise(resolve => setTimeout(resolve, delay));
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            if (signal) signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+        });
     }
 
     /**
      * Execute script action
      */
     async actionExecuteScript(action) {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length === 0) return;
+        const tab = await this.getActiveTab();
 
-        return await browser.tabs.executeScript(tabs[0].id, {
-            code: action.code
+        // JSON is a plain literal, so variables cannot add code; the block keeps the
+        // script's last expression as its result
+        const variables = JSON.stringify(action.variables || {});
+        return await browser.tabs.executeScript(tab.id, {
+            code: `{ const variables = ${variables};\n${action.code}\n}`
         });
     }
 
     /**
      * AI Analysis action
      */
-    async actionAIAnalysis(action, task) {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        if (tabs.length === 0) return;
+    async actionAIAnalysis(action, task, step = {}, signal = null) {
+        const tab = await this.getActiveTab();
 
         // Get page content
-        const content = await browser.tabs.sendMessage(tabs[0].id, {
+        const content = await browser.tabs.sendMessage(tab.id, {
             type: 'GET_PAGE_CONTENT'
         });
 
         // Send to LM Studio for analysis
         try {
-            const response = await fetch('http://localhost:1234/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messages: [
-                        {
-                            role: 'system',
-                            content: action.prompt || 'Analyze the following web page content and provide insights.'
-                        },
-                        {
-                            role: 'user',
-                            content: `Page Title: ${content.title}\n\nContent: ${content.text}`
-                        }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 1000
-                })
+            const analysis = await this.lmStudio.complete(`Page Title: ${content.title}\n\nContent: ${content.text}`, {
+                systemPrompt: action.prompt || 'Analyze the following web page content and provide insights.',
+                temperature: 0.7,
+                maxTokens: 1000,
+                signal: signal
             });
 
-            const result = await response.json();
-            const analysis = result.choices[0].message.content;
-
             // Store analysis
             const storageKey = `task_analysis_${task.id}_${Date.now()}`;
             await this.storage.set({ [storageKey]: { content, analysis } });
+            step.dataRef = storageKey;
 
             return analysis;
         } catch (error) {
@@ -302,44 +1026,102 @@ class AutomationScheduler {
     }
 
     /**
-     * Calculate schedule delay in milliseconds
+     * Bring a schedule into its canonical shape for the given type:
+     *   interval: seconds (number)
+     *   daily:    { hour, minute, timeZone }
+     *   weekly:   { dayOfWeek, hour, minute, timeZone }   (0 = Sunday)
+     *   monthly:  { dayOfMonth, hour, minute, timeZone }
+     *   cron:     { expression, timeZone }
+     * Bare numbers and strings saved by older versions are still accepted.
      */
-    getScheduleDelay(type, schedule) {
+    normalizeSchedule(type, schedule) {
+        const isObject = schedule !== null && typeof schedule === 'object';
+        const value = (key, fallback) => {
+            const raw = isObject ? schedule[key] : undefined;
+            return raw === undefined || raw === null || raw === '' ? fallback : parseInt(raw, 10);
+        };
+        const timeZone = isObject && schedule.timeZone ? schedule.timeZone : null;
+
         switch (type) {
-            case 'interval':
-                return schedule * 1000; // schedule in seconds
+            case 'interval': {
+                const seconds = parseInt(isObject ? schedule.seconds : schedule, 10);
+                if (!seconds || seconds < 1) {
+                    throw new Error('Interval must be a positive number of seconds');
+                }
+                return seconds;
+            }
             case 'daily':
-                return 24 * 60 * 60 * 1000; // 24 hours
+                return {
+                    hour: isObject ? value('hour', 0) : (parseInt(schedule, 10) || 0),
+                    minute: value('minute', 0),
+                    timeZone
+                };
             case 'weekly':
-                return 7 * 24 * 60 * 60 * 1000; // 7 days
+                return {
+                    dayOfWeek: isObject ? value('dayOfWeek', 1) : (parseInt(schedule, 10) || 0) % 7,
+                    hour: value('hour', 0),
+                    minute: value('minute', 0),
+                    timeZone
+                };
             case 'monthly':
-                return 30 * 24 * 60 * 60 * 1000; // 30 days
+                return {
+                    dayOfMonth: isObject ? value('dayOfMonth', 1) : (parseInt(schedule, 10) || 1),
+                    hour: value('hour', 0),
+                    minute: value('minute', 0),
+                    timeZone
+                };
+            case 'cron':
+                return {
+                    expression: String(isObject ? schedule.expression : schedule || '').trim(),
+                    timeZone
+                };
             default:
-                return 0;
+                throw new Error(`Unknown schedule type: ${type}`);
         }
     }
 
     /**
-     * Calculate next run time
+     * Express calendar schedules as cron so every type shares one evaluator
+     * @returns {CronSchedule|null} null for interval schedules
      */
-    calculateNextRun(type, schedule) {
-        const now = new Date();
-        
+    getCronSchedule(type, schedule) {
+        const normalized = this.normalizeSchedule(type, schedule);
+
         switch (type) {
             case 'interval':
-                return new Date(now.getTime() + (schedule * 1000)).toISOString();
+                return null;
             case 'daily':
-                const tomorrow = new Date(now);
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                tomorrow.setHours(schedule.hour || 0, schedule.minute || 0, 0, 0);
-                return tomorrow.toISOString();
+                return new CronSchedule(`${normalized.minute} ${normalized.hour} * * *`, normalized.timeZone);
             case 'weekly':
-                const nextWeek = new Date(now);
-                nextWeek.setDate(nextWeek.getDate() + 7);
-                return nextWeek.toISOString();
-            default:
-                return null;
+                return new CronSchedule(`${normalized.minute} ${normalized.hour} * * ${normalized.dayOfWeek}`, normalized.timeZone);
+            case 'monthly':
+                return new CronSchedule(`${normalized.minute} ${normalized.hour} ${normalized.dayOfMonth} * *`, normalized.timeZone);
+            case 'cron':
+                return new CronSchedule(normalized.expression, normalized.timeZone);
         }
+        return null;
+    }
+
+    /**
+     * Calculate next run time
+     * @returns {string|null} ISO timestamp, or null if the schedule never fires
+     */
+    calculateNextRun(type, schedule, from = new Date()) {
+        return this.getUpcomingRuns(type, schedule, 1, from)[0] || null;
+    }
+
+    /**
+     * Upcoming fire times as ISO timestamps
+     */
+    getUpcomingRuns(type, schedule, count = 5, from = new Date()) {
+        if (type === 'interval') {
+            const seconds = this.normalizeSchedule(type, schedule);
+            return Array.from({ length: count }, (_, i) => new Date(from.getTime() + (i + 1) * seconds * 1000).toISOString());
+        }
+
+        return this.getCronSchedule(type, schedule)
+            .nextRuns(count, from)
+            .map(date => date.toISOString());
     }
 
     /**
@@ -349,6 +1131,7 @@ class AutomationScheduler {
         const task = this.tasks.get(taskId);
         if (task) {
             task.enabled = true;
+            task.nextRun = this.calculateNextRun(task.type, task.schedule);
             this.scheduleTask(task);
             await this.saveTasks();
         }
@@ -358,21 +1141,191 @@ class AutomationScheduler {
         const task = this.tasks.get(taskId);
         if (task) {
             task.enabled = false;
-            if (this.intervals.has(taskId)) {
-                clearInterval(this.intervals.get(taskId));
-                this.intervals.delete(taskId);
-            }
+            await this.clearAlarm(taskId);
             await this.saveTasks();
         }
     }
 
     async deleteTask(taskId) {
-        if (this.intervals.has(taskId)) {
-            clearInterval(this.intervals.get(taskId));
-            this.intervals.delete(taskId);
-        }
+        await this.clearAlarm(taskId);
         this.tasks.delete(taskId);
         await this.saveTasks();
+        await this.clearRunHistory(taskId);
+    }
+
+    /**
+     * Run history methods
+     */
+    createRunRecord(task, trigger) {
+        return {
+            id: this.generateRunId(),
+            taskId: task.id,
+            taskName: task.name,
+            trigger: trigger,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            duration: 0,
+            actions: [],
+            recoveredFailures: 0,
+            error: null
+        };
+    }
+
+    /**
+     * @param {string} path - Position in the action graph, e.g. '2', '2.then.0' or '3[1].0'
+     */
+    createStepRecord(action, path, status) {
+        return {
+            path: path,
+            type: action.type,
+            status: status,
+            startedAt: status === 'skipped' ? null : new Date().toISOString(),
+            duration: 0,
+            attempts: 0,
+            recovery: null,
+            data: null,
+            dataRef: null,
+            screenshotRef: null,
+            error: null
+        };
+    }
+
+    finishRunRecord(run, status, error = null) {
+        run.status = status;
+        run.finishedAt = new Date().toISOString();
+        run.duration = new Date(run.finishedAt).getTime() - new Date(run.startedAt).getTime();
+        run.error = error ? (error.message || String(error)) : null;
+    }
+
+    /**
+     * Inline preview of an action result, truncated so run logs stay small
+     */
+    summarizeRunData(result) {
+        if (result === null || result === undefined) return null;
+
+        const text = typeof result === 'string' ? result : JSON.stringify(result);
+        if (text === undefined) return null;
+
+        const limit = AutomationScheduler.RUN_DATA_PREVIEW_LENGTH;
+        return text.length > limit ? text.slice(0, limit) + '…' : text;
+    }
+
+    getHistoryKey(taskId) {
+        return AutomationScheduler.HISTORY_KEY_PREFIX + taskId;
+    }
+
+    /**
+     * Runs for a task, newest first
+     */
+    async getRunHistory(taskId) {
+        const key = this.getHistoryKey(taskId);
+        const result = await this.storage.get(key);
+        return Array.isArray(result[key]) ? result[key] : [];
+    }
+
+    async recordRun(run) {
+        try {
+            const runs = await this.getRunHistory(run.taskId);
+            runs.unshift(run);
+            await this.storeRunHistory(run.taskId, runs);
+        } catch (error) {
+            console.error('Failed to record automation run:', error);
+        }
+    }
+
+    /**
+     * Apply the retention limits, then store what is kept and delete
+     * the screenshots and extracted data of runs that were dropped
+     */
+    async storeRunHistory(taskId, runs) {
+        const { maxRunsPerTask, maxAgeDays } = this.historyRetention;
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+        const kept = runs
+            .filter(run => new Date(run.startedAt).getTime() >= cutoff)
+            .slice(0, maxRunsPerTask);
+        const dropped = runs.filter(run => !kept.includes(run));
+
+        await this.storage.set({ [this.getHistoryKey(taskId)]: kept });
+        await this.removeRunArtifacts(dropped);
+
+        if (dropped.length > 0) {
+            console.log(`🧹 Pruned ${dropped.length} old run(s) for task ${taskId}`);
+        }
+        return kept;
+    }
+
+    async clearRunHistory(taskId) {
+        const runs = await this.getRunHistory(taskId);
+        await this.storage.remove(this.getHistoryKey(taskId));
+        await this.removeRunArtifacts(runs);
+    }
+
+    async removeRunArtifacts(runs) {
+        const keys = [];
+        runs.forEach(run => run.actions.forEach(step => {
+            if (step.dataRef) keys.push(step.dataRef);
+            if (step.screenshotRef) keys.push(step.screenshotRef);
+        }));
+
+        if (keys.length > 0) {
+            await this.storage.remove(keys);
+        }
+    }
+
+    /**
+     * Stored output (extracted data, analysis or screenshot) referenced by a run step
+     */
+    async getRunArtifact(taskId, storageKey) {
+        const runs = await this.getRunHistory(taskId);
+        const referenced = runs.some(run => run.actions.some(step =>
+            step.dataRef === storageKey || step.screenshotRef === storageKey));
+        if (!referenced) return null;
+
+        const result = await this.storage.get(storageKey);
+        return result[storageKey] === undefined ? null : result[storageKey];
+    }
+
+    getHistoryRetention() {
+        return { ...this.historyRetention };
+    }
+
+    /**
+     * Update the retention limits and prune every task's history to match
+     */
+    async setHistoryRetention(settings = {}) {
+        const retention = { ...this.historyRetention };
+        ['maxRunsPerTask', 'maxAgeDays'].forEach(field => {
+            if (settings[field] === undefined) return;
+            const value = parseInt(settings[field], 10);
+            if (!Number.isFinite(value) || value < 1) {
+                throw new Error(`${field} must be a whole number of at least 1`);
+            }
+            retention[field] = value;
+        });
+
+        this.historyRetention = retention;
+        await this.storage.set({ automation_history_retention: retention });
+
+        for (const taskId of this.tasks.keys()) {
+            await this.storeRunHistory(taskId, await this.getRunHistory(taskId));
+        }
+        return this.getHistoryRetention();
+    }
+
+    async loadHistoryRetention() {
+        try {
+            const result = await this.storage.get('automation_history_retention');
+            if (result.automation_history_retention) {
+                this.historyRetention = {
+                    ...AutomationScheduler.DEFAULT_HISTORY_RETENTION,
+                    ...result.automation_history_retention
+                };
+            }
+        } catch (error) {
+            console.error('Failed to load run history retention:', error);
+        }
     }
 
     /**
@@ -413,14 +1366,6 @@ class AutomationScheduler {
         }
     }
 
-    async startScheduledTasks() {
-        for (const task of this.tasks.values()) {
-            if (task.enabled) {
-                this.scheduleTask(task);
-            }
-        }
-    }
-
     /**
      * Utility methods
      */
@@ -428,6 +1373,10 @@ class AutomationScheduler {
         return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    generateRunId() {
+        return 'run_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     notifyTaskExecution(task, status, message = '') {
         // Send notification about task execution
         browser.notifications.create({
@@ -439,7 +1388,18 @@ class AutomationScheduler {
     }
 }
 
+/**
+ * Error raised by the scheduler itself, e.g. when an action or task runs out of time
+ */
+class AutomationError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AutomationError';
+        this.code = code;
+    }
+}
+
 // Export for use in background script
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = AutomationScheduler;
+    module.exports = { AutomationScheduler, AutomationError };
 }
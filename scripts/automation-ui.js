@@ -8,6 +8,11 @@ class AutomationUI {
         this.tasks = [];
         this.currentTask = null;
         this.currentAction = null;
+        // Action graph being edited in the task modal, and the list the action modal adds to
+        this.draftActions = [];
+        this.actionTarget = '';
+        this.previewTimer = null;
+        this.historyTaskId = null;
         
         this.init();
     }
@@ -18,9 +23,11 @@ class AutomationUI {
         
         // Setup event listeners
         this.setupEventListeners();
+        this.populateTimezones();
         
         // Render tasks
         this.renderTasks();
+        await this.updateRecordButton();
         
         console.log('✅ Automation UI initialized');
     }
@@ -28,6 +35,14 @@ class AutomationUI {
     setupEventListeners() {
         // Header controls
         document.getElementById('new-task-btn').addEventListener('click', () => this.showTaskModal());
+        document.getElementById('record-btn').addEventListener('click', () => this.toggleRecording());
+
+        // Tasks saved by the macro recorder open straight in the editor
+        browser.runtime.onMessage.addListener((message) => {
+            if (message.type === 'AUTOMATION_TASK_RECORDED') {
+                this.handleRecordedTask(message.task);
+            }
+        });
         document.getElementById('import-btn').addEventListener('click', () => this.importTasks());
         document.getElementById('export-btn').addEventListener('click', () => this.exportTasks());
 
@@ -48,16 +63,46 @@ class AutomationUI {
         document.getElementById('grid-view').addEventListener('click', () => this.setView('grid'));
         document.getElementById('list-view').addEventListener('click', () => this.setView('list'));
 
+        // Task cards are re-rendered on every change, so their buttons are handled here
+        document.getElementById('tasks-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button && button.dataset.action === 'history') {
+                this.showHistory(button.dataset.taskId);
+            }
+        });
+
         // Task modal
         document.getElementById('save-task-btn').addEventListener('click', () => this.saveTask());
         document.getElementById('cancel-task-btn').addEventListener('click', () => this.hideTaskModal());
-        document.getElementById('add-action-btn').addEventListener('click', () => this.showActionModal());
+        document.getElementById('add-action-btn').addEventListener('click', () => this.showActionModal(''));
+
+        // The action list is re-rendered on every change, so its buttons are handled here
+        document.getElementById('actions-container').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-list-path]');
+            if (!button) return;
+            if (button.classList.contains('action-remove')) {
+                this.removeAction(button.dataset.listPath, parseInt(button.dataset.index, 10));
+            } else {
+                this.showActionModal(button.dataset.listPath);
+            }
+        });
+
+        // Schedule fields
+        document.getElementById('task-type').addEventListener('change', () => this.updateScheduleFields());
+        ['task-schedule', 'task-cron', 'task-weekday', 'task-monthday', 'task-time', 'task-timezone'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.queueSchedulePreview());
+            document.getElementById(id).addEventListener('change', () => this.queueSchedulePreview());
+        });
 
         // Action modal
         document.getElementById('save-action-btn').addEventListener('click', () => this.saveAction());
         document.getElementById('cancel-action-btn').addEventListener('click', () => this.hideActionModal());
         document.getElementById('action-type').addEventListener('change', () => this.updateActionConfig());
 
+        // Run history modal
+        document.getElementById('save-retention-btn').addEventListener('click', () => this.saveRetention());
+        document.getElementById('clear-history-btn').addEventListener('click', () => this.clearHistory());
+
         // Modal close buttons
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -83,7 +128,7 @@ class AutomationUI {
             });
             
             if (response && response.success) {
-                this.tasks = response.tasks || [];
+                this.tasks = response.data || [];
             }
         } catch (error) {
             console.error('Failed to load tasks:', error);
@@ -115,16 +160,23 @@ class AutomationUI {
             <div class="task-card ${task.enabled ? '' : 'disabled'}" data-task-id="${task.id}">
                 <div class="task-header">
                     <div>
-                        <div class="task-title">${task.name}</div>
+                        <div class="task-title">${this.escapeHtml(task.name)}</div>
                         <div class="task-status ${statusClass}">${task.enabled ? 'Enabled' : 'Disabled'}</div>
                     </div>
                 </div>
                 
-                <div class="task-description">${task.description || 'No description'}</div>
+                <div class="task-description">${this.escapeHtml(task.description || 'No description')}</div>
                 
                 <div class="task-schedule">
                     ⏰ ${this.formatSchedule(task.type, task.schedule)}
                 </div>
+                <div class="task-schedule">
+                    ⏭️ Next: ${task.enabled ? nextRun : 'Paused'}
+                </div>
+                ${task.lastRun ? `
+                <div class="task-schedule">
+                    ${{ error: '❌', timeout: '⏱️', partial: '⚠️' }[task.lastStatus] || '✅'} Last run: ${new Date(task.lastRun).toLocaleString()}
+                </div>` : ''}
                 
                 <div class="task-stats">
                     <div class="stat-item">
@@ -138,11 +190,12 @@ class AutomationUI {
                 </div>
                 
                 <div class="task-tags">
-                    ${task.tags.map(tag => `<span class="task-tag">${tag}</span>`).join('')}
+                    ${task.tags.map(tag => `<span class="task-tag">${this.escapeHtml(tag)}</span>`).join('')}
                 </div>
                 
                 <div class="task-actions">
                     <button class="task-btn edit" onclick="automationUI.editTask('${task.id}')">✏️ Edit</button>
+                    <button class="task-btn history" data-action="history" data-task-id="${this.escapeHtml(task.id)}">🕘 History</button>
                     <button class="task-btn toggle" onclick="automationUI.toggleTask('${task.id}')">
                         ${task.enabled ? '⏸️ Disable' : '▶️ Enable'}
                     </button>
@@ -153,20 +206,112 @@ class AutomationUI {
     }
 
     formatSchedule(type, schedule) {
+        const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const isObject = schedule !== null && typeof schedule === 'object';
+        const time = isObject ? `${String(schedule.hour || 0).padStart(2, '0')}:${String(schedule.minute || 0).padStart(2, '0')}` : '';
+        const zone = isObject && schedule.timeZone ? ` (${schedule.timeZone})` : '';
+
         switch (type) {
             case 'interval':
-                return `Every ${schedule} seconds`;
+                return `Every ${isObject ? schedule.seconds : schedule} seconds`;
             case 'daily':
-                return `Daily at ${schedule.hour || 0}:${String(schedule.minute || 0).padStart(2, '0')}`;
+                return isObject ? `Daily at ${time}${zone}` : `Daily at ${schedule}:00`;
             case 'weekly':
-                return 'Weekly';
+                return isObject ? `Weekly on ${weekdays[schedule.dayOfWeek] || 'Monday'} at ${time}${zone}` : 'Weekly';
             case 'monthly':
-                return 'Monthly';
+                return isObject ? `Monthly on day ${schedule.dayOfMonth} at ${time}${zone}` : 'Monthly';
+            case 'cron':
+                return `Cron: ${isObject ? schedule.expression : schedule}${zone}`;
             default:
                 return 'Unknown schedule';
         }
     }
 
+    populateTimezones() {
+        const list = document.getElementById('timezone-list');
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        zones.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            list.appendChild(option);
+        });
+    }
+
+    getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    updateScheduleFields() {
+        const type = document.getElementById('task-type').value;
+        document.querySelectorAll('.schedule-field').forEach(field => {
+            field.style.display = field.dataset.types.split(' ').includes(type) ? '' : 'none';
+        });
+        this.queueSchedulePreview();
+    }
+
+    queueSchedulePreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updateSchedulePreview(), 300);
+    }
+
+    /**
+     * Show the next few fire times for the schedule currently in the form
+     */
+    async updateSchedulePreview() {
+        const preview = document.getElementById('schedule-preview');
+        preview.textContent = '';
+
+        let schedule;
+        try {
+            schedule = this.parseSchedule();
+        } catch (error) {
+            this.renderScheduleError(preview, error.message);
+            return;
+        }
+
+        const scheduleType = document.getElementById('task-type').value;
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'PREVIEW_AUTOMATION_SCHEDULE',
+                scheduleType: scheduleType,
+                schedule: schedule,
+                count: 5
+            });
+
+            if (!response || !response.success) {
+                this.renderScheduleError(preview, response?.error || 'Could not preview schedule');
+                return;
+            }
+
+            const { nextRuns, timeZone } = response.data;
+            const heading = document.createElement('div');
+            heading.textContent = nextRuns.length > 0
+                ? `📅 ${this.formatSchedule(scheduleType, response.data.schedule)} — next runs:`
+                : '⚠️ This schedule never fires';
+            preview.appendChild(heading);
+
+            const list = document.createElement('ol');
+            nextRuns.forEach(run => {
+                const item = document.createElement('li');
+                const date = new Date(run);
+                item.textContent = timeZone && timeZone !== this.getLocalTimeZone()
+                    ? `${date.toLocaleString(undefined, { timeZone: timeZone })} ${timeZone} (${date.toLocaleString()} local)`
+                    : date.toLocaleString();
+                list.appendChild(item);
+            });
+            preview.appendChild(list);
+        } catch (error) {
+            console.error('Failed to preview schedule:', error);
+        }
+    }
+
+    renderScheduleError(preview, message) {
+        const error = document.createElement('div');
+        error.className = 'schedule-error';
+        error.textContent = `⚠️ ${message}`;
+        preview.appendChild(error);
+    }
+
     showTaskModal(task = null) {
         this.currentTask = task;
         const modal = document.getElementById('task-modal');
@@ -192,30 +337,113 @@ class AutomationUI {
         document.getElementById('task-name').value = task.name;
         document.getElementById('task-description').value = task.description || '';
         document.getElementById('task-type').value = task.type;
-        document.getElementById('task-schedule').value = task.schedule;
+        this.populateScheduleFields(task.type, task.schedule);
+        document.getElementById('task-catchup').value = task.catchUp || 'once';
+        document.getElementById('task-deadline').value = task.deadline || '';
+        document.getElementById('task-variables').value = task.variables && Object.keys(task.variables).length > 0
+            ? JSON.stringify(task.variables, null, 2)
+            : '';
         document.getElementById('task-tags').value = task.tags.join(', ');
         
-        this.renderActions(task.actions);
+        this.draftActions = JSON.parse(JSON.stringify(task.actions || []));
+        this.renderActions();
+        this.updateScheduleFields();
+    }
+
+    populateScheduleFields(type, schedule) {
+        const isObject = schedule !== null && typeof schedule === 'object';
+        const pad = (value) => String(value || 0).padStart(2, '0');
+
+        switch (type) {
+            case 'interval':
+                document.getElementById('task-schedule').value = isObject ? schedule.seconds : schedule;
+                break;
+            case 'cron':
+                document.getElementById('task-cron').value = isObject ? schedule.expression : schedule;
+                break;
+            default:
+                if (isObject) {
+                    document.getElementById('task-time').value = `${pad(schedule.hour)}:${pad(schedule.minute)}`;
+                    if (schedule.dayOfWeek !== undefined) document.getElementById('task-weekday').value = schedule.dayOfWeek;
+                    if (schedule.dayOfMonth !== undefined) document.getElementById('task-monthday').value = schedule.dayOfMonth;
+                }
+        }
+
+        document.getElementById('task-timezone').value = (isObject && schedule.timeZone) || this.getLocalTimeZone();
     }
 
     clearTaskForm() {
         document.getElementById('task-form').reset();
-        document.getElementById('actions-container').innerHTML = '';
+        this.draftActions = [];
+        this.renderActions();
+        document.getElementById('task-timezone').value = this.getLocalTimeZone();
+        this.updateScheduleFields();
     }
 
-    renderActions(actions = []) {
+    renderActions() {
         const container = document.getElementById('actions-container');
-        container.innerHTML = actions.map((action, index) => `
-            <div class="action-item" data-index="${index}">
+        container.innerHTML = this.renderActionList(this.draftActions, '');
+    }
+
+    /**
+     * Render one list of the action graph; `listPath` locates it for the add/remove buttons,
+     * e.g. '' for the top level or '2.then' for the Then branch of the third action
+     */
+    renderActionList(actions, listPath) {
+        const prefix = listPath ? `${listPath}.` : '';
+
+        return actions.map((action, index) => `
+            <div class="action-item ${this.isControlAction(action) ? 'control' : ''}" data-index="${index}">
                 <div class="action-header">
-                    <span class="action-type">${this.getActionTypeLabel(action.type)}</span>
-                    <button class="action-remove" onclick="automationUI.removeAction(${index})">Remove</button>
+                    <span class="action-type">${this.escapeHtml(this.getActionTypeLabel(action.type))}</span>
+                    <button type="button" class="action-remove" data-list-path="${listPath}" data-index="${index}">Remove</button>
                 </div>
-                <div class="action-config">${this.getActionConfigSummary(action)}</div>
+                <div class="action-config">${this.escapeHtml(this.getActionConfigSummary(action))}</div>
+                ${this.getActionPolicySummary(action) ? `<div class="action-config">${this.escapeHtml(this.getActionPolicySummary(action))}</div>` : ''}
+                ${this.renderActionBranches(action, `${prefix}${index}`)}
             </div>
         `).join('');
     }
 
+    renderActionBranches(action, path) {
+        const branches = {
+            'if': [['then', 'Then'], ['else', 'Else']],
+            'forEach': [['actions', 'For each item']]
+        }[action.type] || [];
+        if (action.onFailure === 'fallback') {
+            branches.push(['fallback', 'On failure']);
+        }
+
+        return branches.map(([key, label]) => `
+            <div class="action-branch">
+                <div class="action-branch-label">${label}</div>
+                ${this.renderActionList(action[key] || [], `${path}.${key}`)}
+                <button type="button" class="btn-secondary action-branch-add" data-list-path="${path}.${key}">+ Add to ${label}</button>
+            </div>
+        `).join('');
+    }
+
+    isControlAction(action) {
+        return ['if', 'forEach', 'set_variable'].includes(action.type);
+    }
+
+    /**
+     * Find the action list a path points at, creating empty branches on the way
+     */
+    getActionList(listPath) {
+        if (!listPath) return this.draftActions;
+
+        const parts = listPath.split('.');
+        let list = this.draftActions;
+        for (let i = 0; i < parts.length; i += 2) {
+            const node = list[parseInt(parts[i], 10)];
+            const key = parts[i + 1];
+            if (!node[key]) node[key] = [];
+            list = node[key];
+        }
+        return list;
+    }
+
     getActionTypeLabel(type) {
         const labels = {
             'navigate': 'Navigate to URL',
@@ -224,8 +452,12 @@ class AutomationUI {
             'fill_form': 'Fill Form',
             'screenshot': 'Take Screenshot',
             'wait': 'Wait',
+            'wait_for_element': 'Wait for Element',
             'script': 'Execute Script',
-            'ai_analysis': 'AI Analysis'
+            'ai_analysis': 'AI Analysis',
+            'if': 'If Condition',
+            'forEach': 'For Each',
+            'set_variable': 'Set Variable'
         };
         return labels[type] || type;
     }
@@ -242,15 +474,60 @@ class AutomationUI {
                 return `Fields: ${Object.keys(action.fields || {}).length}`;
             case 'wait':
                 return `Duration: ${action.duration}ms`;
+            case 'wait_for_element':
+                return `Until ${action.selector} appears`;
             case 'ai_analysis':
                 return `Prompt: ${action.prompt?.substring(0, 50)}...`;
+            case 'if':
+                return `If ${this.formatCondition(action.condition || {})}`;
+            case 'forEach':
+                return action.list
+                    ? `Each item of \${${action.list}} as \${${action.as || 'item'}}`
+                    : `${action.times} times as \${${action.as || 'item'}}`;
+            case 'set_variable':
+                return `\${${action.name}} = ${action.value}`;
             default:
                 return 'Configured';
         }
     }
 
-    showActionModal() {
+    getActionPolicySummary(action) {
+        const parts = [];
+        if (action.timeout) parts.push(`⏱️ ${action.timeout}ms`);
+        if (action.retries) parts.push(`🔁 ${action.retries} ${action.retries === 1 ? 'retry' : 'retries'} (${action.backoff || 'exponential'})`);
+        if (action.onFailure === 'skip') parts.push('On failure: skip');
+        if (action.onFailure === 'fallback') parts.push('On failure: fallback');
+        return parts.join(' · ');
+    }
+
+    formatCondition(condition) {
+        const operators = {
+            'exists': 'exists',
+            'not_exists': 'does not exist',
+            'equals': 'equals',
+            'not_equals': 'does not equal',
+            'contains': 'contains',
+            'greater_than': 'is greater than',
+            'less_than': 'is less than',
+            'matches': 'matches'
+        };
+        const subject = condition.source === 'element' ? `element ${condition.selector}` : `\${${condition.variable}}`;
+        const operator = condition.operator || 'exists';
+        const needsValue = !['exists', 'not_exists'].includes(operator);
+        return `${subject} ${operators[operator] || operator}${needsValue ? ` "${condition.value}"` : ''}`;
+    }
+
+    // Summaries hold selectors and URLs taken from recorded pages
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    showActionModal(listPath = '') {
         this.currentAction = null;
+        this.actionTarget = listPath;
+        document.getElementById('action-modal-title').textContent = listPath ? 'Add Nested Action' : 'Add Action';
         document.getElementById('action-modal').style.display = 'block';
         document.getElementById('action-form').reset();
         this.updateActionConfig();
@@ -269,7 +546,7 @@ class AutomationUI {
             'navigate': `
                 <div class="form-group">
                     <label for="action-url">URL</label>
-                    <input type="url" id="action-url" required placeholder="https://example.com">
+                    <input type="text" id="action-url" required placeholder="https://example.com/page/\${page}">
                 </div>
                 <div class="form-group">
                     <label>
@@ -279,13 +556,18 @@ class AutomationUI {
             `,
             'click': `
                 <div class="form-group">
-                    <label for="action-selector">CSS Selector</label>
-                    <input type="text" id="action-selector" required placeholder="#button, .class, [data-id]">
+                    <label for="action-selector">Selector</label>
+                    <input type="text" id="action-selector" required placeholder="#submit || text:Continue">
+                    <p class="action-hint">CSS, xpath://…, text:Sign in, role:button[name="Save"] or pierce: for shadow DOM; separate fallbacks with ||.</p>
                 </div>
                 <div class="form-group">
                     <label for="action-wait">Wait before click (ms)</label>
                     <input type="number" id="action-wait" value="1000">
                 </div>
+                <div class="form-group">
+                    <label for="action-wait-timeout">Wait for element up to (ms)</label>
+                    <input type="number" id="action-wait-timeout" min="0" placeholder="10000">
+                </div>
             `,
             'extract_data': `
                 <div class="form-group">
@@ -303,7 +585,7 @@ class AutomationUI {
             'fill_form': `
                 <div class="form-group">
                     <label for="action-fields">Form Fields (JSON)</label>
-                    <textarea id="action-fields" rows="4" placeholder='{"#name": "John Doe", "#email": "john@example.com"}'></textarea>
+                    <textarea id="action-fields" rows="4" placeholder='{"#name": "John Doe", "#email": "\${row.email}"}'></textarea>
                 </div>
                 <div class="form-group">
                     <label>
@@ -317,10 +599,28 @@ class AutomationUI {
                     <input type="number" id="action-duration" required value="1000">
                 </div>
             `,
+            'wait_for_element': `
+                <div class="form-group">
+                    <label for="action-selector">Selector</label>
+                    <input type="text" id="action-selector" required placeholder=".results || role:list">
+                    <p class="action-hint">CSS, xpath://…, text:Sign in, role:button[name="Save"] or pierce: for shadow DOM; separate fallbacks with ||.</p>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="action-wait-timeout">Give up after (ms)</label>
+                        <input type="number" id="action-wait-timeout" min="0" placeholder="10000">
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" id="action-visible"> Must be visible
+                        </label>
+                    </div>
+                </div>
+            `,
             'script': `
                 <div class="form-group">
                     <label for="action-code">JavaScript Code</label>
-                    <textarea id="action-code" rows="6" placeholder="console.log('Hello from automation');"></textarea>
+                    <textarea id="action-code" rows="6" placeholder="console.log('Hello from automation', variables.page);"></textarea>
                 </div>
             `,
             'ai_analysis': `
@@ -328,10 +628,130 @@ class AutomationUI {
                     <label for="action-prompt">Analysis Prompt</label>
                     <textarea id="action-prompt" rows="4" placeholder="Analyze this page and extract key insights..."></textarea>
                 </div>
+            `,
+            'if': `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="condition-source">Check</label>
+                        <select id="condition-source">
+                            <option value="variable">Variable</option>
+                            <option value="element">Element on page</option>
+                        </select>
+                    </div>
+                    <div class="form-group condition-field" data-source="variable">
+                        <label for="condition-variable">Variable</label>
+                        <input type="text" id="condition-variable" placeholder="data.price">
+                    </div>
+                    <div class="form-group condition-field" data-source="element">
+                        <label for="condition-selector">Selector</label>
+                        <input type="text" id="condition-selector" placeholder="#logout-button || text:Log out">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="condition-operator">Condition</label>
+                        <select id="condition-operator">
+                            <option value="exists">exists</option>
+                            <option value="not_exists">does not exist</option>
+                            <option value="equals" data-source="variable">equals</option>
+                            <option value="not_equals" data-source="variable">does not equal</option>
+                            <option value="contains" data-source="variable">contains</option>
+                            <option value="greater_than" data-source="variable">is greater than</option>
+                            <option value="less_than" data-source="variable">is less than</option>
+                            <option value="matches" data-source="variable">matches (regex)</option>
+                        </select>
+                    </div>
+                    <div class="form-group condition-field" data-source="variable">
+                        <label for="condition-value">Value</label>
+                        <input type="text" id="condition-value" placeholder="100 or \${limit}">
+                    </div>
+                </div>
+                <p class="action-hint">Add the Then and Else actions from the task's action list after saving.</p>
+            `,
+            'forEach': `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="loop-mode">Loop over</label>
+                        <select id="loop-mode">
+                            <option value="list">Items of a list variable</option>
+                            <option value="times">A number of times</option>
+                        </select>
+                    </div>
+                    <div class="form-group loop-field" data-mode="list">
+                        <label for="loop-list">List variable</label>
+                        <input type="text" id="loop-list" placeholder="results.items">
+                    </div>
+                    <div class="form-group loop-field" data-mode="times">
+                        <label for="loop-times">Times</label>
+                        <input type="number" id="loop-times" min="1" value="5">
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="loop-as">Item variable</label>
+                        <input type="text" id="loop-as" value="item">
+                    </div>
+                    <div class="form-group">
+                        <label for="loop-index-as">Index variable (optional)</label>
+                        <input type="text" id="loop-index-as" placeholder="index">
+                    </div>
+                </div>
+                <p class="action-hint">Counted loops set the item variable to 1, 2, 3… which suits page numbers.</p>
+            `,
+            'set_variable': `
+                <div class="form-group">
+                    <label for="variable-name">Variable Name</label>
+                    <input type="text" id="variable-name" required placeholder="baseUrl">
+                </div>
+                <div class="form-group">
+                    <label for="variable-value">Value</label>
+                    <input type="text" id="variable-value" placeholder="https://example.com or \${data.next}">
+                </div>
             `
         };
+
+        // Actions that produce a result can store it for later steps
+        const saveAs = ['navigate', 'extract_data', 'script', 'ai_analysis'].includes(actionType) ? `
+            <div class="form-group">
+                <label for="action-save-as">Save result as variable (optional)</label>
+                <input type="text" id="action-save-as" placeholder="data">
+            </div>
+        ` : '';
         
-        configContainer.innerHTML = configs[actionType] || '';
+        configContainer.innerHTML = (configs[actionType] || '') + saveAs;
+        this.bindActionConfigFields(actionType);
+    }
+
+    /**
+     * Show only the inputs that apply to the chosen condition source or loop mode
+     */
+    bindActionConfigFields(actionType) {
+        if (actionType === 'if') {
+            const source = document.getElementById('condition-source');
+            const update = () => {
+                document.querySelectorAll('#action-config [data-source]').forEach(element => {
+                    const visible = element.dataset.source === source.value;
+                    if (element.tagName === 'OPTION') {
+                        element.disabled = !visible;
+                    } else {
+                        element.style.display = visible ? '' : 'none';
+                    }
+                });
+                const operator = document.getElementById('condition-operator');
+                if (operator.selectedOptions[0].disabled) operator.value = 'exists';
+            };
+            source.addEventListener('change', update);
+            update();
+        } else if (actionType === 'forEach') {
+            const mode = document.getElementById('loop-mode');
+            const update = () => {
+                document.querySelectorAll('#action-config .loop-field').forEach(element => {
+                    element.style.display = element.dataset.mode === mode.value ? '' : 'none';
+                });
+            };
+            mode.addEventListener('change', update);
+            update();
+        }
     }
 
     async saveAction() {
@@ -347,6 +767,7 @@ class AutomationUI {
             case 'click':
                 action.selector = document.getElementById('action-selector').value;
                 action.waitFor = parseInt(document.getElementById('action-wait').value);
+                this.readWaitTimeout(action);
                 break;
             case 'extract_data':
                 try {
@@ -369,31 +790,100 @@ class AutomationUI {
             case 'wait':
                 action.duration = parseInt(document.getElementById('action-duration').value);
                 break;
+            case 'wait_for_element':
+                action.selector = document.getElementById('action-selector').value.trim();
+                action.visible = document.getElementById('action-visible').checked;
+                this.readWaitTimeout(action);
+                if (!action.selector) {
+                    alert('Enter a selector to wait for');
+                    return;
+                }
+                break;
             case 'script':
                 action.code = document.getElementById('action-code').value;
                 break;
             case 'ai_analysis':
                 action.prompt = document.getElementById('action-prompt').value;
                 break;
+            case 'if': {
+                const source = document.getElementById('condition-source').value;
+                action.condition = { source: source, operator: document.getElementById('condition-operator').value };
+                if (source === 'element') {
+                    action.condition.selector = document.getElementById('condition-selector').value.trim();
+                } else {
+                    action.condition.variable = document.getElementById('condition-variable').value.trim();
+                    action.condition.value = document.getElementById('condition-value').value;
+                }
+                if (!action.condition.selector && !action.condition.variable) {
+                    alert(source === 'element' ? 'Enter a selector to check' : 'Enter the variable to check');
+                    return;
+                }
+                action.then = [];
+                action.else = [];
+                break;
+            }
+            case 'forEach':
+                if (document.getElementById('loop-mode').value === 'times') {
+                    action.times = parseInt(document.getElementById('loop-times').value);
+                } else {
+                    action.list = document.getElementById('loop-list').value.trim();
+                    if (!action.list) {
+                        alert('Enter the list variable to loop over');
+                        return;
+                    }
+                }
+                action.as = document.getElementById('loop-as').value.trim() || 'item';
+                if (document.getElementById('loop-index-as').value.trim()) {
+                    action.indexAs = document.getElementById('loop-index-as').value.trim();
+                }
+                action.actions = [];
+                break;
+            case 'set_variable':
+                action.name = document.getElementById('variable-name').value.trim();
+                action.value = document.getElementById('variable-value').value;
+                break;
+        }
+
+        const saveAs = document.getElementById('action-save-as');
+        if (saveAs && saveAs.value.trim()) {
+            action.saveAs = saveAs.value.trim();
+        }
+
+        // Failure policy; defaults are left out so the scheduler's own defaults apply
+        const timeout = parseInt(document.getElementById('action-timeout').value);
+        const retries = parseInt(document.getElementById('action-retries').value);
+        const onFailure = document.getElementById('action-on-failure').value;
+        if (timeout > 0) action.timeout = timeout;
+        if (retries > 0) {
+            action.retries = retries;
+            action.retryDelay = parseInt(document.getElementById('action-retry-delay').value) || 0;
+            action.backoff = document.getElementById('action-backoff').value;
+        }
+        if (onFailure !== 'abort') action.onFailure = onFailure;
+        if (onFailure === 'fallback') action.fallback = [];
+
+        // Variable names end up in ${...} references, so keep them to identifiers
+        const names = [action.saveAs, action.as, action.indexAs, action.name].filter(name => name !== undefined);
+        const invalid = names.find(name => !/^[A-Za-z_]\w*$/.test(name));
+        if (invalid !== undefined) {
+            alert(`"${invalid}" is not a valid variable name. Use letters, digits and underscores.`);
+            return;
         }
         
-        // Add action to current task's actions
-        const actionsContainer = document.getElementById('actions-container');
-        const currentActions = Array.from(actionsContainer.children).map((item, index) => {
-            return this.currentTask?.actions?.[index] || {};
-        });
-        
-        currentActions.push(action);
-        this.renderActions(currentActions);
+        this.getActionList(this.actionTarget).push(action);
+        this.renderActions();
         this.hideActionModal();
     }
 
-    removeAction(index) {
-        const actionsContainer = document.getElementById('actions-container');
-        const actionItems = Array.from(actionsContainer.children);
-        if (actionItems[index]) {
-            actionItems[index].remove();
-        }
+    // Leave waitTimeout unset so the scheduler default applies
+    readWaitTimeout(action) {
+        const waitTimeout = parseInt(document.getElementById('action-wait-timeout').value);
+        if (waitTimeout >= 0) action.waitTimeout = waitTimeout;
+    }
+
+    removeAction(listPath, index) {
+        this.getActionList(listPath).splice(index, 1);
+        this.renderActions();
     }
 
     async saveTask() {
@@ -403,23 +893,48 @@ class AutomationUI {
             return;
         }
         
-        // Collect actions
-        const actionsContainer = document.getElementById('actions-container');
-        const actions = Array.from(actionsContainer.children).map((item, index) => {
-            return this.currentTask?.actions?.[index] || {};
-        });
+        const actions = this.draftActions;
+        
+        let schedule;
+        try {
+            schedule = this.parseSchedule();
+        } catch (error) {
+            alert('Invalid schedule: ' + error.message);
+            return;
+        }
+        
+        let variables = {};
+        const variablesText = document.getElementById('task-variables').value.trim();
+        if (variablesText) {
+            try {
+                variables = JSON.parse(variablesText);
+            } catch (e) {
+                alert('Invalid JSON in variables field');
+                return;
+            }
+        }
         
         const taskConfig = {
             name: document.getElementById('task-name').value,
             description: document.getElementById('task-description').value,
             type: document.getElementById('task-type').value,
-            schedule: this.parseSchedule(),
+            schedule: schedule,
+            catchUp: document.getElementById('task-catchup').value,
+            deadline: document.getElementById('task-deadline').value || null,
             tags: document.getElementById('task-tags').value.split(',').map(t => t.trim()).filter(t => t),
+            variables: variables,
             actions: actions
         };
         
+        // Templates open the modal without an id and are saved as new tasks
+        const taskId = this.currentTask?.id;
+        
         try {
-            const response = await browser.runtime.sendMessage({
+            const response = await browser.runtime.sendMessage(taskId ? {
+                action: 'UPDATE_AUTOMATION_TASK',
+                taskId: taskId,
+                taskConfig: taskConfig
+            } : {
                 action: 'CREATE_AUTOMATION_TASK',
                 taskConfig: taskConfig
             });
@@ -437,20 +952,87 @@ class AutomationUI {
         }
     }
 
+    /**
+     * Read the schedule fields into the shape AutomationScheduler expects;
+     * throws with a user-facing message when the input is incomplete
+     */
     parseSchedule() {
         const type = document.getElementById('task-type').value;
-        const value = document.getElementById('task-schedule').value;
+        const timeZone = document.getElementById('task-timezone').value.trim() || this.getLocalTimeZone();
+        const [hour, minute] = (document.getElementById('task-time').value || '00:00').split(':').map(n => parseInt(n, 10));
         
         switch (type) {
-            case 'interval':
-                return parseInt(value);
+            case 'interval': {
+                const seconds = parseInt(document.getElementById('task-schedule').value, 10);
+                if (!seconds || seconds < 1) throw new Error('Enter an interval of at least 1 second');
+                return seconds;
+            }
             case 'daily':
-                return { hour: parseInt(value), minute: 0 };
+                return { hour, minute, timeZone };
             case 'weekly':
-            case 'monthly':
-                return parseInt(value);
+                return { dayOfWeek: parseInt(document.getElementById('task-weekday').value, 10), hour, minute, timeZone };
+            case 'monthly': {
+                const dayOfMonth = parseInt(document.getElementById('task-monthday').value, 10);
+                if (!dayOfMonth || dayOfMonth < 1 || dayOfMonth > 31) throw new Error('Day of month must be between 1 and 31');
+                return { dayOfMonth, hour, minute, timeZone };
+            }
+            case 'cron': {
+                const expression = document.getElementById('task-cron').value.trim();
+                if (!expression) throw new Error('Enter a cron expression, e.g. "15 9 * * 1-5"');
+                return { expression, timeZone };
+            }
             default:
-                return value;
+                throw new Error('Unknown schedule type');
+        }
+    }
+
+    async toggleRecording() {
+        try {
+            const state = await browser.runtime.sendMessage({ action: 'GET_MACRO_RECORDING' });
+            
+            if (state && state.success && state.data.recording) {
+                const response = await browser.runtime.sendMessage({ action: 'STOP_MACRO_RECORDING' });
+                if (response && response.success && !response.data) {
+                    alert('Nothing was recorded, so no task was created');
+                } else if (!response || !response.success) {
+                    alert('Failed to stop recording: ' + (response?.error || 'Unknown error'));
+                }
+            } else {
+                const url = prompt('Start recording at this URL. Interact with the page, then press Stop in the recording bar or here.', 'https://');
+                if (!url || url === 'https://') return;
+                
+                const response = await browser.runtime.sendMessage({ action: 'START_MACRO_RECORDING', url: url });
+                if (!response || !response.success) {
+                    alert('Failed to start recording: ' + (response?.error || 'Unknown error'));
+                }
+            }
+        } catch (error) {
+            console.error('Failed to toggle recording:', error);
+        }
+        
+        await this.updateRecordButton();
+    }
+
+    async updateRecordButton() {
+        const button = document.getElementById('record-btn');
+        try {
+            const response = await browser.runtime.sendMessage({ action: 'GET_MACRO_RECORDING' });
+            const recording = response && response.success && response.data.recording;
+            button.textContent = recording ? `⏹️ Stop Recording (${response.data.stepCount} steps)` : '⏺️ Record Macro';
+            button.classList.toggle('recording', Boolean(recording));
+        } catch (error) {
+            console.error('Failed to read recording state:', error);
+        }
+    }
+
+    async handleRecordedTask(task) {
+        await this.loadTasks();
+        this.renderTasks();
+        await this.updateRecordButton();
+        
+        const recorded = this.tasks.find(t => t.id === task.id);
+        if (recorded) {
+            this.showTaskModal(recorded);
         }
     }
 
@@ -492,6 +1074,193 @@ class AutomationUI {
         }
     }
 
+    async showHistory(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        this.historyTaskId = taskId;
+        document.getElementById('history-title').textContent = `Run History: ${task.name}`;
+        document.getElementById('history-modal').style.display = 'block';
+
+        try {
+            const response = await browser.runtime.sendMessage({ action: 'GET_AUTOMATION_HISTORY_RETENTION' });
+            if (response && response.success) {
+                document.getElementById('retention-max-runs').value = response.data.maxRunsPerTask;
+                document.getElementById('retention-max-age').value = response.data.maxAgeDays;
+            }
+        } catch (error) {
+            console.error('Failed to load retention settings:', error);
+        }
+
+        await this.loadRunTimeline();
+    }
+
+    async loadRunTimeline() {
+        const container = document.getElementById('run-timeline');
+        container.replaceChildren(this.createTimelineMessage('Loading runs...'));
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'GET_AUTOMATION_RUNS',
+                taskId: this.historyTaskId
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error');
+            }
+            this.renderRunTimeline(response.data);
+        } catch (error) {
+            container.replaceChildren(this.createTimelineMessage(`Failed to load run history: ${error.message}`));
+        }
+    }
+
+    createTimelineMessage(text) {
+        const message = document.createElement('div');
+        message.className = 'empty-state';
+        message.appendChild(document.createElement('p')).textContent = text;
+        return message;
+    }
+
+    // Run logs contain page content, so the timeline is built from DOM nodes rather than HTML strings
+    renderRunTimeline(runs) {
+        const container = document.getElementById('run-timeline');
+
+        if (runs.length === 0) {
+            container.replaceChildren(this.createTimelineMessage('This task has not run yet'));
+            return;
+        }
+
+        const triggers = { schedule: 'Scheduled', catch_up: 'Catch-up', manual: 'Manual' };
+        const icons = { success: '✅', partial: '⚠️', error: '❌', timeout: '⏱️', running: '⏳' };
+
+        container.replaceChildren(...runs.map(run => {
+            const item = document.createElement('details');
+            item.className = `run-item ${run.status}`;
+
+            const summary = item.appendChild(document.createElement('summary'));
+            this.appendText(summary, 'span', 'run-status', icons[run.status] || '');
+            this.appendText(summary, 'span', 'run-time', new Date(run.startedAt).toLocaleString());
+            this.appendText(summary, 'span', 'run-meta', `${triggers[run.trigger] || run.trigger} · ${this.formatDuration(run.duration)}`);
+
+            if (run.error) this.appendText(item, 'div', 'run-error', run.error);
+
+            const steps = item.appendChild(document.createElement('ol'));
+            steps.className = 'run-steps';
+            run.actions.forEach(step => steps.appendChild(this.renderRunStep(run, step)));
+            return item;
+        }));
+    }
+
+    renderRunStep(run, step) {
+        const icons = { success: '✅', error: '❌', skipped: '⏭️', running: '⏳' };
+        const item = document.createElement('li');
+        item.className = `run-step ${step.status}`;
+        // Indent steps from branches and loop iterations by their depth in the action graph
+        const depth = step.path ? (step.path.match(/[.[]/g) || []).length : 0;
+        item.style.marginLeft = `${Math.floor(depth / 2) * 16}px`;
+
+        const header = item.appendChild(document.createElement('div'));
+        header.className = 'run-step-header';
+        this.appendText(header, 'span', '', `${icons[step.status] || ''} ${this.getActionTypeLabel(step.type)}`);
+        const attempts = step.attempts > 1 ? ` · ${step.attempts} attempts` : '';
+        this.appendText(header, 'span', 'run-meta', step.status === 'skipped' ? 'Skipped' : this.formatDuration(step.duration) + attempts);
+
+        if (step.error) {
+            const recovery = { skip: ' (skipped, task continued)', fallback: ' (ran fallback actions)' }[step.recovery] || '';
+            this.appendText(item, 'div', 'run-error', step.error + recovery);
+        }
+        if (step.data) this.appendText(item, 'pre', 'run-data', step.data);
+
+        [[step.dataRef, '📄 Full output'], [step.screenshotRef, '📸 Screenshot']].forEach(([key, label]) => {
+            if (!key) return;
+            const button = this.appendText(item, 'button', 'task-btn', label);
+            button.addEventListener('click', () => this.showRunArtifact(run.taskId, key, button));
+        });
+
+        return item;
+    }
+
+    appendText(parent, tag, className, text) {
+        const element = parent.appendChild(document.createElement(tag));
+        if (className) element.className = className;
+        element.textContent = text;
+        return element;
+    }
+
+    async showRunArtifact(taskId, key, button) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'GET_AUTOMATION_RUN_ARTIFACT',
+                taskId: taskId,
+                key: key
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Unknown error');
+            }
+
+            const artifact = response.data;
+            let element;
+            if (typeof artifact === 'string' && artifact.startsWith('data:image/')) {
+                element = document.createElement('img');
+                element.className = 'run-screenshot';
+                element.src = artifact;
+                element.alt = 'Screenshot captured during this run';
+            } else {
+                element = document.createElement('pre');
+                element.className = 'run-data';
+                element.textContent = typeof artifact === 'string' ? artifact : JSON.stringify(artifact, null, 2);
+            }
+            button.replaceWith(element);
+        } catch (error) {
+            alert('Failed to load run output: ' + error.message);
+        }
+    }
+
+    async saveRetention() {
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'SET_AUTOMATION_HISTORY_RETENTION',
+                retention: {
+                    maxRunsPerTask: document.getElementById('retention-max-runs').value,
+                    maxAgeDays: document.getElementById('retention-max-age').value
+                }
+            });
+
+            if (response && response.success) {
+                await this.loadRunTimeline();
+            } else {
+                alert('Failed to save retention: ' + (response?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            console.error('Failed to save retention:', error);
+        }
+    }
+
+    async clearHistory() {
+        if (!this.historyTaskId || !confirm('Delete all recorded runs for this task?')) return;
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                action: 'CLEAR_AUTOMATION_RUNS',
+                taskId: this.historyTaskId
+            });
+
+            if (response && response.success) {
+                this.renderRunTimeline([]);
+            }
+        } catch (error) {
+            console.error('Failed to clear run history:', error);
+        }
+    }
+
+    formatDuration(ms) {
+        if (!ms) return '0 ms';
+        if (ms < 1000) return `${ms} ms`;
+        if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+        return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+    }
+
     editTask(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
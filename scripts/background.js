@@ -14,24 +14,261 @@ const browserState = {
 // Core extension state
 let extensionState = { initialized: false };
 
-// Context menu setup with enhanced options
-browser.runtime.onInstalled.addListener(() => {
-    browser.contextMenus.create({
-        id: 'askLMStudio',
-        title: 'Ask LM Studio about "%s"',
-        contexts: ['selection']
+// Agentic subsystems - one instance each for the lifetime of the background page
+const agenticSystems = {
+    automation: new AutomationScheduler(),
+    dataCollection: new DataCollectionPipeline(),
+    crossReference: new CrossReferenceSystem(),
+    factChecking: new FactCheckingSystem(),
+    citations: new CitationGenerator(),
+    researchNotes: new ResearchNotesSystem(),
+    insights: new InsightExtractor()
+};
+agenticSystems.factChecking.setCrossReferenceSystem(agenticSystems.crossReference);
+agenticSystems.recorder = new MacroRecorder(agenticSystems.automation);
+
+// Web search - the chat page and popup ask by message; the systems that live here call it directly
+const searchService = new SearchService();
+agenticSystems.factChecking.setSearchService(searchService);
+agenticSystems.crossReference.setSearchService(searchService);
+const searchPlanner = new SearchPlanner(searchService);
+
+// Retrieval over the notes, insights, highlights and citations the systems above store
+const knowledgeBase = new KnowledgeBase();
+
+const messageRouter = new MessageRouter();
+registerAgenticRoutes(messageRouter, agenticSystems);
+registerSearchRoutes(messageRouter, searchService, searchPlanner);
+registerKnowledgeBaseRoutes(messageRouter, knowledgeBase);
+
+// Wraps a handler so it only runs once the subsystem has loaded its data from storage
+function whenReady(system, handler) {
+    return async (message, sender) => {
+        await system.ready;
+        return handler(message, sender);
+    };
+}
+
+function requireField(message, field) {
+    if (message[field] === undefined || message[field] === null || message[field] === '') {
+        throw new RouteError(`Missing required field: ${field}`);
+    }
+    return message[field];
+}
+
+function requireFound(item, what) {
+    if (!item) {
+        throw new RouteError(`${what} not found`, 'NOT_FOUND');
+    }
+    return item;
+}
+
+// Message types used by the agentic UI pages
+function registerAgenticRoutes(router, systems) {
+    const { automation, recorder, dataCollection, crossReference, factChecking, citations, researchNotes, insights } = systems;
+
+    router.registerAll({
+        // Automation scheduler (automation-ui.js)
+        GET_AUTOMATION_TASKS: whenReady(automation, () => automation.getAllTasks()),
+        GET_AUTOMATION_TASK: whenReady(automation, (msg) =>
+            requireFound(automation.getTask(requireField(msg, 'taskId')), 'Task')),
+        CREATE_AUTOMATION_TASK: whenReady(automation, (msg) => automation.createTask(requireField(msg, 'taskConfig'))),
+        UPDATE_AUTOMATION_TASK: whenReady(automation, async (msg) => {
+            const taskId = requireField(msg, 'taskId');
+            requireFound(automation.getTask(taskId), 'Task');
+            return automation.updateTask(taskId, requireField(msg, 'taskConfig'));
+        }),
+        ENABLE_AUTOMATION_TASK: whenReady(automation, async (msg) => {
+            const taskId = requireField(msg, 'taskId');
+            requireFound(automation.getTask(taskId), 'Task');
+            await automation.enableTask(taskId);
+            return automation.getTask(taskId);
+        }),
+        DISABLE_AUTOMATION_TASK: whenReady(automation, async (msg) => {
+            const taskId = requireField(msg, 'taskId');
+            requireFound(automation.getTask(taskId), 'Task');
+            await automation.disableTask(taskId);
+            return automation.getTask(taskId);
+        }),
+        RUN_AUTOMATION_TASK: whenReady(automation, async (msg) => {
+            const taskId = requireField(msg, 'taskId');
+            requireFound(automation.getTask(taskId), 'Task');
+            await automation.executeTask(taskId);
+            return automation.getTask(taskId);
+        }),
+        DELETE_AUTOMATION_TASK: whenReady(automation, async (msg) => {
+            await automation.deleteTask(requireField(msg, 'taskId'));
+            return true;
+        }),
+        PREVIEW_AUTOMATION_SCHEDULE: whenReady(automation, (msg) => {
+            const scheduleType = requireField(msg, 'scheduleType');
+            const schedule = automation.normalizeSchedule(scheduleType, requireField(msg, 'schedule'));
+            return {
+                schedule,
+                timeZone: scheduleType === 'interval' ? null : CronSchedule.resolveTimeZone(schedule.timeZone),
+                nextRuns: automation.getUpcomingRuns(scheduleType, schedule, msg.count || 5)
+            };
+        }),
+        // Macro recorder (automation-ui.js and the content script of the recorded tab)
+        START_MACRO_RECORDING: whenReady(recorder, (msg) => recorder.start({ url: msg.url, tabId: msg.tabId })),
+        STOP_MACRO_RECORDING: whenReady(recorder, () => recorder.stop()),
+        CANCEL_MACRO_RECORDING: whenReady(recorder, async () => {
+            await recorder.discard();
+            return true;
+        }),
+        GET_MACRO_RECORDING: whenReady(recorder, (msg, sender) =>
+            recorder.getState(sender && sender.tab ? sender.tab.id : null)),
+        RECORD_MACRO_STEP: whenReady(recorder, (msg, sender) =>
+            recorder.addStep(requireField(msg, 'step'), sender && sender.tab ? sender.tab.id : null)),
+        GET_AUTOMATION_RUNS: whenReady(automation, (msg) => automation.getRunHistory(requireField(msg, 'taskId'))),
+        GET_AUTOMATION_RUN_ARTIFACT: whenReady(automation, async (msg) =>
+            requireFound(await automation.getRunArtifact(requireField(msg, 'taskId'), requireField(msg, 'key')), 'Run output')),
+        CLEAR_AUTOMATION_RUNS: whenReady(automation, async (msg) => {
+            await automation.clearRunHistory(requireField(msg, 'taskId'));
+            return true;
+        }),
+        GET_AUTOMATION_HISTORY_RETENTION: whenReady(automation, () => automation.getHistoryRetention()),
+        SET_AUTOMATION_HISTORY_RETENTION: whenReady(automation, (msg) =>
+            automation.setHistoryRetention(requireField(msg, 'retention'))),
+
+        // Data collection pipelines (data-collection-ui.js)
+        GET_DATA_PIPELINES: whenReady(dataCollection, () => dataCollection.getAllPipelines()),
+        CREATE_DATA_PIPELINE: whenReady(dataCollection, (msg) => dataCollection.createPipeline(requireField(msg, 'config'))),
+        EXECUTE_DATA_PIPELINE: whenReady(dataCollection, async (msg) => {
+            const pipelineId = requireField(msg, 'pipelineId');
+            const pipeline = requireFound(dataCollection.getPipeline(pipelineId), 'Pipeline');
+            if (!pipeline.enabled) {
+                throw new RouteError('Pipeline is disabled', 'DISABLED');
+            }
+            return dataCollection.executePipeline(pipelineId);
+        }),
+        ENABLE_DATA_PIPELINE: whenReady(dataCollection, async (msg) => {
+            const pipelineId = requireField(msg, 'pipelineId');
+            requireFound(dataCollection.getPipeline(pipelineId), 'Pipeline');
+            await dataCollection.enablePipeline(pipelineId);
+            return dataCollection.getPipeline(pipelineId);
+        }),
+        DISABLE_DATA_PIPELINE: whenReady(dataCollection, async (msg) => {
+            const pipelineId = requireField(msg, 'pipelineId');
+            requireFound(dataCollection.getPipeline(pipelineId), 'Pipeline');
+            await dataCollection.disablePipeline(pipelineId);
+            return dataCollection.getPipeline(pipelineId);
+        }),
+        DELETE_DATA_PIPELINE: whenReady(dataCollection, async (msg) => {
+            await dataCollection.deletePipeline(requireField(msg, 'pipelineId'));
+            return true;
+        }),
+        PROPOSE_DATA_SELECTORS: whenReady(dataCollection, (msg) =>
+            dataCollection.proposeSelectors(requireField(msg, 'url'), requireField(msg, 'description'), { waitTime: msg.waitTime })),
+        PREVIEW_DATA_SELECTORS: whenReady(dataCollection, (msg) =>
+            dataCollection.previewSelectors(requireField(msg, 'url'), requireField(msg, 'selectors'), msg.dataSchema || {}, { waitTime: msg.waitTime })),
+
+        // Cross-reference analyses (cross-reference-ui.js)
+        GET_CROSS_REFERENCES: whenReady(crossReference, () => crossReference.getAllCrossReferences()),
+        CREATE_CROSS_REFERENCE: whenReady(crossReference, (msg) => crossReference.createCrossReference(requireField(msg, 'config'))),
+        EXECUTE_CROSS_REFERENCE: whenReady(crossReference, (msg) => crossReference.executeCrossReference(requireField(msg, 'crossRefId'))),
+        DELETE_CROSS_REFERENCE: whenReady(crossReference, async (msg) => {
+            await crossReference.deleteCrossReference(requireField(msg, 'crossRefId'));
+            return true;
+        }),
+
+        // Fact checks (fact-check-ui.js)
+        GET_FACT_CHECKS: whenReady(factChecking, () => factChecking.getAllFactChecks()),
+        CREATE_FACT_CHECK: whenReady(factChecking, (msg) => factChecking.createFactCheck(requireField(msg, 'config'))),
+        EXECUTE_FACT_CHECK: whenReady(factChecking, (msg) => factChecking.executeFactCheck(requireField(msg, 'factCheckId'))),
+        DELETE_FACT_CHECK: whenReady(factChecking, async (msg) => {
+            await factChecking.deleteFactCheck(requireField(msg, 'factCheckId'));
+            return true;
+        }),
+
+        // Citations (citation-ui.js)
+        GET_CITATIONS: whenReady(citations, () => citations.getAllCitations()),
+        CREATE_CITATION: whenReady(citations, (msg) => citations.createCitation(requireField(msg, 'sourceData'))),
+        ADD_CITATION_SOURCES: whenReady(citations, (msg) => citations.addSources(requireField(msg, 'sources'))),
+        UPDATE_CITATION: whenReady(citations, (msg) =>
+            citations.updateCitation(requireField(msg, 'citationId'), requireField(msg, 'updates'))),
+        DELETE_CITATION: whenReady(citations, async (msg) => {
+            await citations.deleteCitation(requireField(msg, 'citationId'));
+            return true;
+        }),
+        EXPORT_BIBLIOGRAPHY: whenReady(citations, (msg) =>
+            citations.exportBibliography(requireField(msg, 'citationIds'), msg.format || 'apa')),
+
+        // Research notes (research-notes-ui.js)
+        GET_RESEARCH_NOTES: whenReady(researchNotes, () => researchNotes.getAllNotes()),
+        GET_ALL_TAGS: whenReady(researchNotes, () => researchNotes.getAllTags()),
+        SEARCH_RESEARCH_NOTES: whenReady(researchNotes, (msg) => researchNotes.searchNotes(msg.query || '', msg.filters || {})),
+        CREATE_RESEARCH_NOTE: whenReady(researchNotes, (msg) => researchNotes.createNote(requireField(msg, 'config'))),
+        UPDATE_RESEARCH_NOTE: whenReady(researchNotes, (msg) =>
+            researchNotes.updateNote(requireField(msg, 'noteId'), requireField(msg, 'updates'))),
+        DELETE_RESEARCH_NOTE: whenReady(researchNotes, async (msg) => {
+            await researchNotes.deleteNote(requireField(msg, 'noteId'));
+            return true;
+        }),
+        IMPORT_RESEARCH_NOTES: whenReady(researchNotes, (msg) =>
+            researchNotes.importNotes(requireField(msg, 'data'), msg.format || 'json')),
+        EXPORT_RESEARCH_NOTES: whenReady(researchNotes, (msg) => researchNotes.exportNotes(msg.format || 'json')),
+
+        // Insights (insight-extractor-ui.js and other callers)
+        EXTRACT_INSIGHTS: whenReady(insights, (msg) =>
+            insights.extractInsights(requireField(msg, 'content'), msg.url || '', msg.title || '')),
+        GET_INSIGHTS: whenReady(insights, () => insights.getStoredInsights()),
+        DELETE_INSIGHTS: whenReady(insights, async (msg) => {
+            const deleted = await insights.deleteInsights(requireField(msg, 'insightId'));
+            if (!deleted) {
+                throw new RouteError('Failed to delete insights', 'STORAGE_ERROR');
+            }
+            return true;
+        }),
+        EXPORT_INSIGHTS: whenReady(insights, (msg) => insights.exportInsights(msg.format || 'json'))
     });
-    
-    browser.contextMenus.create({
-        id: 'askLMStudioPage',
-        title: 'Ask LM Studio about this page',
-        contexts: ['page']
+}
+
+function registerSearchRoutes(router, search, planner) {
+    // `queries` runs several queries (a search plan) and fuses their results
+    const searchInternet = (msg) => search.search(Array.isArray(msg.queries) && msg.queries.length > 0 ? msg.queries : requireField(msg, 'query'), {
+        providers: msg.providers,
+        limit: msg.limit,
+        deep: Boolean(msg.deep),
+        question: msg.question
     });
+    router.registerAll({
+        SEARCH_INTERNET: searchInternet,
+        // The name older callers send as `action`
+        searchInternet: searchInternet,
+        PLAN_SEARCH: (msg) => planner.plan(requireField(msg, 'question'), {
+            model: msg.model,
+            history: Array.isArray(msg.history) ? msg.history : []
+        })
+    });
+}
+
+// Chat page: passages from the user's own collected material
+function registerKnowledgeBaseRoutes(router, knowledgeBase) {
+    router.registerAll({
+        SEARCH_KNOWLEDGE_BASE: (msg) => knowledgeBase.search(requireField(msg, 'question'), { limit: msg.limit })
+    });
+}
+
+// Prompt templates - context menu entries and keyboard shortcuts expand them
+// against the current page before handing the text to the chat
+const promptTemplates = new PromptTemplateLibrary();
+const promptTemplatesReady = promptTemplates.load().catch(error => {
+    console.error('Failed to load prompt templates:', error);
+});
+promptTemplates.onChanged(() => rebuildContextMenus());
+
+async function rebuildContextMenus() {
+    await promptTemplatesReady;
+    await browser.contextMenus.removeAll();
     
-    browser.contextMenus.create({
-        id: 'automateTask',
-        title: 'Automate this task with LM Studio',
-        contexts: ['page']
+    promptTemplates.templates.filter(template => template.contextMenu).forEach(template => {
+        browser.contextMenus.create({
+            id: 'template:' + template.id,
+            title: template.name,
+            // Templates about the selection only make sense when something is selected
+            contexts: PromptTemplateLibrary.getVariables(template.template).has('selection') ? ['selection'] : ['page']
+        });
     });
     
     browser.contextMenus.create({
@@ -57,49 +294,63 @@ browser.runtime.onInstalled.addListener(() => {
         title: 'Monitor this site with LM Studio',
         contexts: ['page']
     });
+}
+
+/**
+ * Open the popup for a template that targets it. Firefox only opens the popup straight
+ * from a user action, so menu and shortcut handlers call this before their first await.
+ * @returns {Promise<boolean>|null} Whether the popup opened; null when the template opens the chat
+ */
+function openTemplatePopup(template) {
+    if (!template || template.openIn !== 'popup') return null;
+    return browser.browserAction.openPopup().then(() => true, (error) => {
+        console.warn('Could not open the popup, using the chat page instead:', error.message);
+        return false;
+    });
+}
+
+/**
+ * Expand a template for the given tab and open the chat page or popup with it
+ * @param {Promise<boolean>|null} popupOpened - From openTemplatePopup; the popup picks the query up once it is stored
+ */
+async function runPromptTemplate(template, tab, selection = null, popupOpened = null) {
+    const values = await PromptTemplateLibrary.collectValues(template.template, { tab, selection });
+    const query = PromptTemplateLibrary.expand(template.template, values);
+    
+    if (values.selection) {
+        browser.tabs.sendMessage(tab.id, { action: 'highlightSelection' }).catch(() => {});
+    }
+    
+    if (template.openIn === 'popup' && popupOpened && await popupOpened) {
+        await browser.storage.local.set({ pendingQuery: query });
+        return;
+    }
+    
+    await browser.storage.local.set({ pendingQuery: query, autoSend: template.autoSend });
+    await browser.tabs.create({ url: browser.runtime.getURL('chat.html') });
+}
+
+// Context menu setup with enhanced options
+browser.runtime.onInstalled.addListener(() => {
+    rebuildContextMenus();
 });
 
 // Enhanced context menu handler
 browser.contextMenus.onClicked.addListener((info, tab) => {
+    if (String(info.menuItemId).startsWith('template:')) {
+        const id = info.menuItemId.slice('template:'.length);
+        const popupOpened = openTemplatePopup(promptTemplates.get(id));
+        // The event page may have just woken up, so wait for the templates to load
+        promptTemplatesReady.then(() => {
+            const template = promptTemplates.get(id);
+            if (template) {
+                runPromptTemplate(template, tab, info.selectionText || null, popupOpened);
+            }
+        });
+        return;
+    }
+    
     switch(info.menuItemId) {
-        case 'askLMStudio':
-            const query = `Explain this: "${info.selectionText}"`;
-            
-            // Highlight the selected text on the current page
-            browser.tabs.sendMessage(tab.id, {
-                action: 'highlightSelection'
-            });
-            
-            // Open chat.html in new tab with the query
-            const chatUrl = browser.runtime.getURL('chat.html');
-            browser.tabs.create({ url: chatUrl }).then((newTab) => {
-                // Store the query for the new tab to pick up
-                browser.storage.local.set({ 
-                    pendingQuery: query,
-                    targetTabId: newTab.id,
-                    autoSend: true
-                });
-            });
-            break;
-            
-        case 'askLMStudioPage':
-            browser.tabs.sendMessage(tab.id, { action: 'getPageContent' }, (response) => {
-                if (response) {
-                    const query = `Analyze this webpage: ${response.title}\nURL: ${response.url}\nContent: ${response.content}`;
-                    browser.storage.local.set({ pendingQuery: query });
-                    browser.browserAction.openPopup();
-                }
-            });
-            break;
-            
-        case 'automateTask':
-            browser.tabs.sendMessage(tab.id, { action: 'extractData' });
-            browser.storage.local.set({ 
-                pendingQuery: `Help me automate tasks on this page: ${tab.url}` 
-            });
-            browser.browserAction.openPopup();
-            break;
-            
         case 'extractData':
             browser.tabs.sendMessage(tab.id, { action: 'extractData' });
             break;
@@ -126,10 +377,30 @@ browser.contextMenus.onClicked.addListener((info, tab) => {
     }
 });
 
+// Keyboard shortcuts run-template-1 … run-template-4 run whichever template holds that slot
+browser.commands.onCommand.addListener(async (command) => {
+    const match = /^run-template-(\d+)$/.exec(command);
+    if (!match) return;
+    
+    const slot = parseInt(match[1]);
+    const popupOpened = openTemplatePopup(promptTemplates.getByCommand(slot));
+    await promptTemplatesReady;
+    const template = promptTemplates.getByCommand(slot);
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (template && tab) {
+        runPromptTemplate(template, tab, null, popupOpened);
+    }
+});
+
 // Enhanced message handler with full browser control
 browser.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('Background received message:', request);
     
+    // Versioned protocol used by the extension pages; replies with {success, data, error}
+    if (messageRouter.canHandle(request)) {
+        return messageRouter.handle(request, sender);
+    }
+    
     switch(request.action) {
         case 'textSelected':
             browser.storage.local.set({ lastSelectedText: request.text });
@@ -0,0 +1,468 @@
+/**
+ * Chat Exporter - Writes chat sessions as Markdown, HTML, plain text or JSON and reads them back
+ * Used by the chat page
+ *
+ * Markdown, HTML and text show the branch of each chat that was open, with its
+ * metadata, attachments and the sources the answers used. JSON keeps the whole
+ * message tree so it can be imported again without losing branches. The importer
+ * also takes older LMSfox exports and OpenAI-style `messages` arrays.
+ */
+
+class ChatExporter {
+    static get EXPORT_TYPE() {
+        return 'lmsfox-chat-export';
+    }
+
+    static get FORMATS() {
+        return {
+            markdown: { extension: 'md', mimeType: 'text/markdown' },
+            html: { extension: 'html', mimeType: 'text/html' },
+            text: { extension: 'txt', mimeType: 'text/plain' },
+            json: { extension: 'json', mimeType: 'application/json' }
+        };
+    }
+
+    static get ROLE_LABELS() {
+        return { user: '🧑 You', assistant: '🤖 Assistant' };
+    }
+
+    /**
+     * @param {Array<{session: Object, messages: Array}>} chats - Session records with their open branch
+     * @param {string} format - markdown, html, text or json
+     * @param {Object} options - renderMarkdown(text) returning HTML and stylesheet, for the HTML format
+     * @returns {string}
+     */
+    serialize(chats, format, options = {}) {
+        switch (format) {
+            case 'markdown':
+                return this.toMarkdown(chats);
+            case 'html':
+                return this.toHTML(chats, options);
+            case 'text':
+                return this.toText(chats);
+            case 'json':
+                return this.toJSON(chats);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    getFileName(chats, format) {
+        const date = new Date().toISOString().split('T')[0];
+        const name = chats.length === 1
+            ? chats[0].session.title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').substring(0, 60).toLowerCase()
+            : `${chats.length}-chats`;
+        return `lm-studio-chat-${name || 'untitled'}-${date}.${ChatExporter.FORMATS[format].extension}`;
+    }
+
+    // Metadata lines shared by the readable formats
+
+    describeSession(session) {
+        const lines = [];
+        lines.push(['Created', this.formatDate(session.createdAt)]);
+        lines.push(['Last message', this.formatDate(session.updatedAt)]);
+        if (session.model) lines.push(['Model', session.model]);
+        const parameters = this.describeParameters(session.parameters);
+        if (parameters) lines.push(['Parameters', parameters]);
+        return lines.filter(([, value]) => value);
+    }
+
+    describeParameters(parameters) {
+        if (!parameters) return '';
+        const parts = [];
+        if (parameters.temperature !== null && parameters.temperature !== undefined) parts.push(`temperature ${parameters.temperature}`);
+        if (parameters.maxTokens) parts.push(`max tokens ${parameters.maxTokens}`);
+        if (parameters.stop && parameters.stop.length > 0) parts.push(`stop ${parameters.stop.map(stop => JSON.stringify(stop)).join(', ')}`);
+        return parts.join(', ');
+    }
+
+    describeMessage(message) {
+        const parts = [this.formatDate(message.timestamp)];
+        if (message.role === 'assistant') {
+            if (message.model) parts.push(message.model);
+            if (message.temperature !== undefined && message.temperature !== null) parts.push(`temperature ${message.temperature}`);
+            if (message.finishReason === 'length') parts.push('cut off at the token limit');
+            if (message.finishReason === 'stopped') parts.push('stopped');
+        }
+        return parts.filter(Boolean).join(' · ');
+    }
+
+    describeAttachment(attachment) {
+        const details = [];
+        if (attachment.pages) details.push(`${attachment.pages} pages`);
+        if (attachment.rows) details.push(`${attachment.rows} rows`);
+        if (attachment.sections > 1) details.push(`${attachment.used} of ${attachment.sections} sections sent`);
+        return details.length > 0 ? `${attachment.name} (${details.join(', ')})` : attachment.name;
+    }
+
+    formatDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return isNaN(date) ? '' : date.toLocaleString();
+    }
+
+    getText(message) {
+        return message.role === 'user' ? (message.display || message.content) : message.content;
+    }
+
+    // Markdown
+
+    toMarkdown(chats) {
+        return chats.map(({ session, messages }) => {
+            const lines = [`# ${session.title}`, ''];
+            this.describeSession(session).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+            if (session.systemPrompt) {
+                lines.push('', '**System prompt:**', '', ...session.systemPrompt.split('\n').map(line => `> ${line}`));
+            }
+
+            messages.forEach(message => {
+                lines.push('', '---', '', `### ${ChatExporter.ROLE_LABELS[message.role]}`, `*${this.describeMessage(message)}*`, '');
+                if (message.reasoning) {
+                    lines.push('<details><summary>Reasoning</summary>', '', message.reasoning, '', '</details>', '');
+                }
+                lines.push(this.getText(message));
+
+                if (message.attachments && message.attachments.length > 0) {
+                    lines.push('', `📎 **Attachments:** ${message.attachments.map(attachment => this.describeAttachment(attachment)).join(', ')}`);
+                }
+                const sources = message.sources || {};
+                if (sources.page) {
+                    lines.push('', `📄 **Page:** [${this.escapeMarkdownLabel(sources.page.title || sources.page.url)}](${sources.page.url})`);
+                }
+                if (sources.search && sources.search.length > 0) {
+                    lines.push('', '🔍 **Search results:**', '');
+                    sources.search.forEach((result, i) => {
+                        const title = this.escapeMarkdownLabel(result.title);
+                        lines.push(`${i + 1}. ${result.url ? `[${title}](${result.url})` : title}${result.snippet ? ` — ${result.snippet.replace(/\s+/g, ' ')}` : ''}`);
+                    });
+                }
+            });
+            return lines.join('\n');
+        }).join('\n\n\n');
+    }
+
+    escapeMarkdownLabel(text) {
+        return String(text || '').replace(/[[\]]/g, '\\$&');
+    }
+
+    // Plain text
+
+    toText(chats) {
+        const rule = '='.repeat(60);
+        return chats.map(({ session, messages }) => {
+            const lines = [rule, session.title, rule];
+            this.describeSession(session).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+            if (session.systemPrompt) {
+                lines.push(`System prompt: ${session.systemPrompt}`);
+            }
+
+            messages.forEach(message => {
+                const label = message.role === 'user' ? 'You' : 'Assistant';
+                lines.push('', `[${label}] ${this.describeMessage(message)}`, this.getText(message));
+                if (message.attachments && message.attachments.length > 0) {
+                    lines.push(`Attachments: ${message.attachments.map(attachment => this.describeAttachment(attachment)).join(', ')}`);
+                }
+                const sources = message.sources || {};
+                if (sources.page) {
+                    lines.push(`Page: ${sources.page.title} <${sources.page.url}>`);
+                }
+                (sources.search || []).forEach((result, i) => {
+                    lines.push(`Source ${i + 1}: ${result.title}${result.url ? ` <${result.url}>` : ''}`);
+                });
+            });
+            return lines.join('\n');
+        }).join('\n\n\n') + '\n';
+    }
+
+    // HTML - a standalone page; everything but the rendered Markdown is escaped here
+
+    toHTML(chats, { renderMarkdown = null, stylesheet = '' } = {}) {
+        const escape = text => this.escapeHTML(text);
+        const sections = chats.map(({ session, messages }) => {
+            const meta = this.describeSession(session)
+                .map(([label, value]) => `<li><strong>${escape(label)}:</strong> ${escape(value)}</li>`).join('');
+            const system = session.systemPrompt
+                ? `<blockquote class="system-prompt"><strong>System prompt:</strong><br>${escape(session.systemPrompt)}</blockquote>`
+                : '';
+
+            const items = messages.map(message => {
+                const text = this.getText(message);
+                const body = message.role === 'assistant' && renderMarkdown
+                    ? `<div class="content markdown-body">${renderMarkdown(text)}</div>`
+                    : `<div class="content plain">${escape(text)}</div>`;
+                const reasoning = message.reasoning
+                    ? `<details class="reasoning"><summary>Reasoning</summary><div>${escape(message.reasoning)}</div></details>`
+                    : '';
+
+                const extras = [];
+                if (message.attachments && message.attachments.length > 0) {
+                    extras.push(`<p class="attachments">📎 ${message.attachments.map(attachment => escape(this.describeAttachment(attachment))).join(', ')}</p>`);
+                }
+                const sources = message.sources || {};
+                if (sources.page) {
+                    extras.push(`<p class="sources">📄 ${this.linkHTML(sources.page.url, sources.page.title || sources.page.url)}</p>`);
+                }
+                if (sources.search && sources.search.length > 0) {
+                    extras.push(`<ol class="sources">${sources.search.map(result =>
+                        `<li>${this.linkHTML(result.url, result.title)}${result.snippet ? ` — ${escape(result.snippet)}` : ''}</li>`).join('')}</ol>`);
+                }
+
+                return `<article class="message ${message.role}">` +
+                    `<header>${escape(ChatExporter.ROLE_LABELS[message.role])} <span>${escape(this.describeMessage(message))}</span></header>` +
+                    reasoning + body + extras.join('') + '</article>';
+            }).join('\n');
+
+            return `<section class="chat"><h1>${escape(session.title)}</h1><ul class="meta">${meta}</ul>${system}\n${items}</section>`;
+        }).join('\n');
+
+        const title = chats.length === 1 ? chats[0].session.title : `${chats.length} chats`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>
+body { background: #1a1a1a; color: #e1e1e1; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.5; max-width: 900px; margin: 0 auto; padding: 24px; }
+h1 { font-size: 1.5em; border-bottom: 1px solid #404040; padding-bottom: 8px; }
+a { color: #4da6ff; }
+.meta { color: #aaa; font-size: 13px; }
+.system-prompt { border-left: 3px solid #6c757d; margin: 12px 0; padding: 4px 12px; color: #bbb; white-space: pre-wrap; }
+.message { border-radius: 10px; padding: 12px 16px; margin: 14px 0; }
+.message.user { background: #0d3b6e; }
+.message.assistant { background: #2d2d2d; }
+.message header { font-weight: 600; margin-bottom: 6px; }
+.message header span { font-weight: normal; color: #aaa; font-size: 12px; margin-left: 8px; }
+.plain, .reasoning div { white-space: pre-wrap; }
+.reasoning { color: #aaa; font-size: 13px; margin-bottom: 8px; }
+.attachments, .sources { color: #bbb; font-size: 13px; }
+.chat + .chat { margin-top: 48px; }
+${stylesheet}
+</style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+    }
+
+    escapeHTML(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Only web links become anchors; anything else is shown as text
+    linkHTML(url, label) {
+        const text = this.escapeHTML(label || url);
+        return /^https?:\/\//i.test(url || '') ? `<a href="${this.escapeHTML(url)}">${text}</a>` : text;
+    }
+
+    // JSON
+
+    toJSON(chats) {
+        return JSON.stringify({
+            type: ChatExporter.EXPORT_TYPE,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            sessions: chats.map(({ session, messages }) => ({
+                title: session.title,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                pinned: Boolean(session.pinned),
+                archived: Boolean(session.archived),
+                model: session.model || null,
+                presetId: session.presetId || null,
+                systemPrompt: session.systemPrompt || '',
+                parameters: session.parameters || null,
+                // The open branch, readable on its own; nodes has every branch
+                messages: messages.map(message => this.exportMessage(message)),
+                nodes: this.exportNodes(session.nodes)
+            }))
+        }, null, 2);
+    }
+
+    exportMessage(message) {
+        const exported = { ...message };
+        delete exported.id;
+        delete exported.parentId;
+        delete exported.children;
+        delete exported.activeChild;
+        return exported;
+    }
+
+    exportNodes(nodes) {
+        const exported = {};
+        Object.values(nodes || {}).forEach(node => {
+            exported[node.id] = { ...node };
+        });
+        return exported;
+    }
+
+    // Import
+
+    /**
+     * Sessions found in an exported file
+     * @returns {Array<Object>} Session fields with either a message tree in `nodes`
+     *          or a flat `messages` list; ids are left for the caller to assign
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        let sessions;
+        if (data && data.type === ChatExporter.EXPORT_TYPE && Array.isArray(data.sessions)) {
+            sessions = data.sessions;
+        } else if (Array.isArray(data) && data.length > 0 && data.every(item => item && Array.isArray(item.messages))) {
+            // A list of conversations
+            sessions = data;
+        } else if (Array.isArray(data)) {
+            // A bare OpenAI-style messages array
+            sessions = [{ messages: data }];
+        } else if (data && Array.isArray(data.messages)) {
+            // Older LMSfox exports ({timestamp, model, messages}) and OpenAI request bodies
+            sessions = [{ ...data, createdAt: data.createdAt || data.timestamp }];
+        } else {
+            throw new Error('No chats found in the file');
+        }
+
+        const imported = sessions.map((session, i) => this.importSession(session, i)).filter(Boolean);
+        if (imported.length === 0) {
+            throw new Error('No messages found in the file');
+        }
+        return imported;
+    }
+
+    importSession(raw, index) {
+        const messages = [];
+        let systemPrompt = typeof raw.systemPrompt === 'string' ? raw.systemPrompt : '';
+        (Array.isArray(raw.messages) ? raw.messages : []).forEach(message => {
+            if (!message || typeof message !== 'object') return;
+            const content = this.readContent(message.content);
+            if (message.role === 'system') {
+                // System messages become the chat's system prompt
+                if (!systemPrompt) systemPrompt = content;
+                return;
+            }
+            const role = message.role === 'assistant' ? 'assistant' : message.role === 'user' ? 'user' : null;
+            if (role && content) {
+                messages.push(this.importMessage({ ...message, role, content }));
+            }
+        });
+
+        const nodes = this.importNodes(raw.nodes);
+        if (messages.length === 0 && !nodes) return null;
+
+        const firstUser = messages.find(message => message.role === 'user');
+        const firstLine = firstUser ? this.getText(firstUser).trim().split('\n')[0] : '';
+        const fallbackTitle = firstLine ? firstLine.substring(0, 50) + (firstLine.length > 50 ? '...' : '') : `Imported chat ${index + 1}`;
+        const timestamps = messages.map(message => message.timestamp).filter(Boolean);
+        const parameters = raw.parameters && typeof raw.parameters === 'object' ? raw.parameters : {};
+        return {
+            title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : fallbackTitle,
+            createdAt: this.readDate(raw.createdAt) || timestamps[0] || new Date().toISOString(),
+            updatedAt: this.readDate(raw.updatedAt) || timestamps[timestamps.length - 1] || new Date().toISOString(),
+            pinned: Boolean(raw.pinned),
+            archived: Boolean(raw.archived),
+            model: typeof raw.model === 'string' ? raw.model : null,
+            systemPrompt: systemPrompt,
+            parameters: {
+                temperature: Number.isFinite(parameters.temperature) ? parameters.temperature : (Number.isFinite(raw.temperature) ? raw.temperature : null),
+                maxTokens: Number.isFinite(parameters.maxTokens) ? parameters.maxTokens : (Number.isFinite(raw.max_tokens) ? raw.max_tokens : null),
+                stop: Array.isArray(parameters.stop) ? parameters.stop.filter(stop => typeof stop === 'string') : []
+            },
+            nodes: nodes,
+            messages: messages
+        };
+    }
+
+    // OpenAI content may be a list of parts; images cannot be brought back and are noted instead
+    readContent(content) {
+        if (typeof content === 'string') return content;
+        if (!Array.isArray(content)) return '';
+        return content.map(part => {
+            if (typeof part === 'string') return part;
+            if (part && part.type === 'text') return part.text || '';
+            if (part && part.type === 'image_url') return '[image]';
+            return '';
+        }).filter(Boolean).join('\n');
+    }
+
+    readDate(value) {
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    importMessage(message) {
+        const imported = { role: message.role, content: String(message.content), timestamp: this.readDate(message.timestamp) || new Date().toISOString() };
+        if (message.role === 'user' && typeof message.display === 'string') imported.display = message.display;
+        if (message.role === 'assistant') {
+            if (typeof message.model === 'string') imported.model = message.model;
+            if (typeof message.finishReason === 'string') imported.finishReason = message.finishReason;
+            if (Number.isFinite(message.temperature)) imported.temperature = message.temperature;
+            if (typeof message.reasoning === 'string' && message.reasoning) imported.reasoning = message.reasoning;
+        }
+        if (message.sources && typeof message.sources === 'object') imported.sources = message.sources;
+        if (Array.isArray(message.attachments)) {
+            // Only the description travels; the files themselves stay in the browser they were attached in
+            imported.attachments = message.attachments
+                .filter(attachment => attachment && typeof attachment.name === 'string')
+                .map(attachment => {
+                    const copy = { ...attachment };
+                    delete copy.id;
+                    delete copy.dataUrl;
+                    return copy;
+                });
+        }
+        return imported;
+    }
+
+    /**
+     * A message tree from a JSON export, checked so a damaged file cannot break the chat
+     * @returns {Object|null} null when the file has no usable tree
+     */
+    importNodes(nodes) {
+        if (!nodes || typeof nodes !== 'object' || !nodes.root || nodes.root.role !== 'root') return null;
+
+        const imported = {};
+        for (const [id, node] of Object.entries(nodes)) {
+            if (!node || node.id !== id || !Array.isArray(node.children)) return null;
+            if (id === 'root') {
+                imported[id] = { id, parentId: null, role: 'root', children: [], activeChild: null };
+            } else {
+                if (node.role !== 'user' && node.role !== 'assistant') return null;
+                imported[id] = { ...this.importMessage({ ...node, content: this.readContent(node.content) }), id, parentId: node.parentId, children: [], activeChild: null };
+            }
+        }
+        for (const [id, node] of Object.entries(nodes)) {
+            for (const childId of node.children) {
+                const child = imported[childId];
+                if (!child || child.parentId !== id) return null;
+                imported[id].children.push(childId);
+            }
+            if (node.activeChild && imported[id].children.includes(node.activeChild)) {
+                imported[id].activeChild = node.activeChild;
+            }
+        }
+        // Every message must hang from the root
+        const reachable = new Set();
+        const visit = id => {
+            reachable.add(id);
+            imported[id].children.forEach(visit);
+        };
+        visit('root');
+        return reachable.size === Object.keys(imported).length ? imported : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatExporter;
+}
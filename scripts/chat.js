@@ -1,15 +1,38 @@
 class LMStudioChatApp {
     constructor() {
-        this.apiUrl = 'http://localhost:1234/v1';
+        this.lmStudio = new LMStudioClient();
         this.isConnected = false;
         this.searchEnabled = false;
         this.contextEnabled = false;
+        this.knowledgeBaseEnabled = false; // answer from the user's notes, insights, highlights and citations
         this.autoSearchEnabled = false; // Default disabled for speed
+        this.deepSearchEnabled = false;  // read the top result pages, not just their snippets
+        this.searchPlanningEnabled = false; // let the model decide when to search and write the queries
+        this.planEditor = null;          // search plan waiting for the user
+        this.citeSourcesEnabled = false; // ask the model to cite search results as [n]
         this.advancedMode = false;
         this.currentModel = null;
-        this.chatHistory = [];
-        this.chatSessions = [];
+        this.chatSessions = [];          // index of all sessions, newest first
         this.currentSessionId = null;
+        this.currentSession = null;      // full record of the open session
+        this.branchPointId = null;       // message the next one branches from, when not the last shown
+        this.sessionCache = new Map();   // full records loaded for search
+        this.sessionSearchQuery = '';
+        this.sessionSearchResults = null;
+        this.showArchived = false;
+        this.presets = new PresetLibrary();
+        this.promptTemplates = new PromptTemplateLibrary();
+        this.defaultPresetId = null;
+        this.sessionSettings = this.getDefaultSessionSettings();
+        this.budgeter = new ContextBudgeter();
+        this.contextModel = undefined;   // model the budgeter's context length was read for
+        this.defaultMaxTokens = null;
+        this.markdown = new MarkdownRenderer();
+        this.activeRequest = null;       // AbortController of the reply being streamed
+        this.attachmentProcessor = new AttachmentProcessor();
+        this.pendingAttachments = [];    // files read for the next message: { key, name, status, attachment }
+        this.modelVision = null;         // whether the current model reads images; null when unknown
+        this.exporter = new ChatExporter();
         
         this.initializeElements();
         this.setupEventListeners();
@@ -19,14 +42,29 @@ class LMStudioChatApp {
         this.checkPendingQuery();
     }
     
+    // Id of the node every conversation tree hangs from
+    static get ROOT_NODE_ID() {
+        return 'root';
+    }
+    
+    // Sent instead of a user message when extending a cut-off reply
+    static get CONTINUE_PROMPT() {
+        return 'Continue your previous answer exactly where it stopped. Do not repeat what you already wrote and do not add an introduction.';
+    }
+    
     initializeElements() {
         this.elements = {
             messagesContainer: document.getElementById('chat-messages'),
             messageInput: document.getElementById('message-input'),
             sendBtn: document.getElementById('send-btn'),
+            stopBtn: document.getElementById('stop-btn'),
             searchToggle: document.getElementById('search-toggle'),
             contextToggle: document.getElementById('context-toggle'),
+            knowledgeBaseToggle: document.getElementById('knowledge-base-toggle'),
             autoSearchToggle: document.getElementById('auto-search-toggle'),
+            deepSearchToggle: document.getElementById('deep-search-toggle'),
+            searchPlanningToggle: document.getElementById('search-planning-toggle'),
+            citeSourcesToggle: document.getElementById('cite-sources-toggle'),
             advancedModeToggle: document.getElementById('advanced-mode-toggle'),
             statusIndicator: document.getElementById('statusIndicator'),
             statusText: document.getElementById('statusText'),
@@ -37,15 +75,37 @@ class LMStudioChatApp {
             newChatBtn: document.getElementById('new-chat-btn'),
             refreshBtn: document.getElementById('refreshConnection'),
             chatSessions: document.getElementById('chat-sessions'),
+            sessionSearch: document.getElementById('session-search'),
+            showArchivedToggle: document.getElementById('show-archived'),
+            systemPrompt: document.getElementById('system-prompt'),
+            sessionTemperature: document.getElementById('session-temperature'),
+            sessionMaxTokens: document.getElementById('session-max-tokens'),
+            sessionStop: document.getElementById('session-stop'),
+            sessionPreset: document.getElementById('session-preset'),
+            savePresetBtn: document.getElementById('save-preset-btn'),
+            quickPromptButtons: document.getElementById('quick-prompt-buttons'),
             charCount: document.getElementById('char-count'),
+            tokenMeter: document.getElementById('token-meter'),
+            tokenMeterFill: document.getElementById('token-meter-fill'),
+            tokenMeterText: document.getElementById('token-meter-text'),
             attachBtn: document.getElementById('attach-btn'),
+            attachmentChips: document.getElementById('attachment-chips'),
             voiceBtn: document.getElementById('voice-btn'),
             fileModal: document.getElementById('file-modal'),
+            fileModalClose: document.querySelector('#file-modal .modal-close'),
             fileInput: document.getElementById('file-input'),
             uploadArea: document.getElementById('upload-area'),
             pasteContent: document.getElementById('paste-content'),
             attachConfirm: document.getElementById('attach-confirm'),
-            attachCancel: document.getElementById('attach-cancel')
+            attachCancel: document.getElementById('attach-cancel'),
+            exportModal: document.getElementById('export-modal'),
+            exportModalClose: document.querySelector('#export-modal .modal-close'),
+            exportScope: document.getElementById('export-scope'),
+            exportFormat: document.getElementById('export-format'),
+            exportConfirm: document.getElementById('export-confirm'),
+            exportCancel: document.getElementById('export-cancel'),
+            importBtn: document.getElementById('import-btn'),
+            importInput: document.getElementById('import-input')
         };
     }
     
@@ -55,6 +115,8 @@ class LMStudioChatApp {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 this.sendMessage();
+            } else if (e.key === 'Escape' && this.activeRequest) {
+                this.stopGeneration();
             }
         });
         
@@ -65,8 +127,9 @@ class LMStudioChatApp {
         
         // Button events
         this.elements.sendBtn.addEventListener('click', () => this.sendMessage());
+        this.elements.stopBtn.addEventListener('click', () => this.stopGeneration());
         this.elements.clearBtn.addEventListener('click', () => this.clearCurrentChat());
-        this.elements.exportBtn.addEventListener('click', () => this.exportChat());
+        this.elements.exportBtn.addEventListener('click', () => this.showExportModal());
         this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
         this.elements.newChatBtn.addEventListener('click', () => this.startNewChat());
         this.elements.refreshBtn.addEventListener('click', () => this.forceRefreshConnection());
@@ -82,21 +145,87 @@ class LMStudioChatApp {
             this.saveSettings();
         });
         
+        this.elements.knowledgeBaseToggle.addEventListener('change', (e) => {
+            this.knowledgeBaseEnabled = e.target.checked;
+            this.saveSettings();
+        });
+        
         this.elements.autoSearchToggle.addEventListener('change', (e) => {
             this.autoSearchEnabled = e.target.checked;
             this.saveSettings();
         });
         
+        this.elements.deepSearchToggle.addEventListener('change', (e) => {
+            this.deepSearchEnabled = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.elements.searchPlanningToggle.addEventListener('change', (e) => {
+            this.searchPlanningEnabled = e.target.checked;
+            this.saveSettings();
+        });
+        
+        this.elements.citeSourcesToggle.addEventListener('change', (e) => {
+            this.citeSourcesEnabled = e.target.checked;
+            this.saveSettings();
+        });
+        
         this.elements.advancedModeToggle.addEventListener('change', (e) => {
             this.advancedMode = e.target.checked;
             this.saveSettings();
         });
         
+        this.elements.modelSelect.addEventListener('change', (e) => {
+            this.currentModel = e.target.value || null;
+            this.saveSettings();
+            this.refreshContextLength();
+            if (this.currentSession) {
+                this.currentSession.model = this.currentModel;
+                this.saveCurrentSession();
+            }
+        });
+        
+        // Session sidebar
+        let searchTimer = null;
+        this.elements.sessionSearch.addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.searchSessions(e.target.value), 200);
+        });
+        this.elements.showArchivedToggle.addEventListener('change', (e) => {
+            this.showArchived = e.target.checked;
+            this.updateChatSessions();
+        });
+        
+        // Per-session system prompt and sampling parameters
+        [this.elements.systemPrompt, this.elements.sessionTemperature, this.elements.sessionMaxTokens, this.elements.sessionStop].forEach(input => {
+            input.addEventListener('change', () => this.readSessionSettings());
+        });
+        this.elements.sessionPreset.addEventListener('change', (e) => this.applyPreset(e.target.value));
+        this.elements.savePresetBtn.addEventListener('click', () => this.saveSettingsAsPreset());
+        this.presets.onChanged(() => this.renderPresetOptions());
+        
         // File upload events
         this.elements.attachBtn.addEventListener('click', () => this.showFileModal());
-        this.elements.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        this.elements.fileInput.addEventListener('change', (e) => {
+            this.handleFileSelect(e.target.files);
+            // Picking the same file again should read it again
+            e.target.value = '';
+        });
+        this.elements.uploadArea.addEventListener('click', () => this.elements.fileInput.click());
         this.elements.attachConfirm.addEventListener('click', () => this.confirmAttachment());
         this.elements.attachCancel.addEventListener('click', () => this.hideFileModal());
+        this.elements.fileModalClose.addEventListener('click', () => this.hideFileModal());
+        
+        // Export and import
+        this.elements.exportConfirm.addEventListener('click', () => this.exportChats());
+        this.elements.exportCancel.addEventListener('click', () => this.hideExportModal());
+        this.elements.exportModalClose.addEventListener('click', () => this.hideExportModal());
+        this.elements.importBtn.addEventListener('click', () => this.elements.importInput.click());
+        this.elements.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importChats(file);
+        });
         
         // Modal events
         this.elements.fileModal.addEventListener('click', (e) => {
@@ -104,17 +233,14 @@ class LMStudioChatApp {
                 this.hideFileModal();
             }
         });
-        
-        // Quick prompt events
-        document.querySelectorAll('.prompt-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const prompt = e.target.dataset.prompt;
-                this.elements.messageInput.value = prompt + ' ';
-                this.elements.messageInput.focus();
-                this.autoResizeTextarea();
-                this.updateCharCount();
-            });
+        this.elements.exportModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.exportModal) {
+                this.hideExportModal();
+            }
         });
+        
+        // Quick prompts come from the template library and follow edits made in the options page
+        this.promptTemplates.onChanged(() => this.renderQuickPrompts());
         window.addEventListener('click', (e) => {
             if (e.target === this.elements.fileModal) {
                 this.elements.fileModal.style.display = 'none';
@@ -173,57 +299,30 @@ class LMStudioChatApp {
     
     async checkConnection() {
         try {
-            console.log('🔍 Checking LM Studio connection at:', `${this.apiUrl}/models`);
-            console.log('🔧 Current API URL:', this.apiUrl);
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-        
-            const response = await fetch(`${this.apiUrl}/models`, {
-                signal: controller.signal,
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            });
+            const settings = await this.lmStudio.getSettings();
+            console.log('🔍 Checking LM Studio connection at:', `${settings.apiUrl}/models`);
             
-            clearTimeout(timeoutId);
+            const models = await this.lmStudio.listModels();
+            console.log('🤖 Available models:', models.map(m => m.id));
             
-            console.log('📡 Response status:', response.status);
-            console.log('📡 Response headers:', Object.fromEntries(response.headers.entries()));
+            this.isConnected = true;
+            this.updateConnectionStatus('Connected', true);
+            this.updateModelList(models);
+            await this.refreshContextLength();
             
-            if (response.ok) {
-                const data = await response.json();
-                console.log('✅ LM Studio models response:', data);
-                console.log('🤖 Available models:', data.data?.map(m => m.id) || 'No models found');
-                
-                this.isConnected = true;
-                this.updateConnectionStatus('Connected', true);
-                this.updateModelList(data.data || []);
-                
-                // Show model count in status
-                const modelCount = data.data?.length || 0;
-                if (modelCount > 0) {
-                    this.updateConnectionStatus(`Connected (${modelCount} models)`, true);
-                } else {
-                    this.updateConnectionStatus('Connected - No models loaded', true);
-                }
-                
-                return true;
+            // Show model count in status
+            if (models.length > 0) {
+                this.updateConnectionStatus(`Connected (${models.length} models)`, true);
             } else {
-                const errorText = await response.text();
-                console.error('❌ LM Studio API returned error:', response.status, response.statusText, errorText);
-                throw new Error(`API returned ${response.status}: ${response.statusText} - ${errorText}`);
+                this.updateConnectionStatus('Connected - No models loaded', true);
             }
+            
+            return true;
         } catch (error) {
             console.error('❌ Connection check failed:', error);
-            console.error('🔧 Error details:', {
-                name: error.name,
-                message: error.message,
-                stack: error.stack
-            });
             
             // Check if we already got models successfully before the timeout
-            if (error.name === 'AbortError' && this.elements.modelSelect && this.elements.modelSelect.children.length > 1) {
+            if (error instanceof LMStudioTimeoutError && this.elements.modelSelect && this.elements.modelSelect.children.length > 1) {
                 console.log('⚠️ Timeout occurred but models were already loaded - keeping connected status');
                 this.isConnected = true;
                 this.updateConnectionStatus('Connected (timeout after success)', true);
@@ -233,14 +332,14 @@ class LMStudioChatApp {
             this.isConnected = false;
             
             // More specific error handling
-            if (error.name === 'AbortError') {
+            if (error instanceof LMStudioTimeoutError) {
                 this.updateConnectionStatus('⏱️ Timeout - Is LM Studio running?', false);
                 console.log('💡 Troubleshooting: Make sure LM Studio is running and the local server is enabled');
-            } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                this.updateConnectionStatus('🚫 Cannot reach localhost:1234', false);
+            } else if (error instanceof LMStudioConnectionError) {
+                this.updateConnectionStatus('🚫 Cannot reach LM Studio', false);
                 console.log('💡 Troubleshooting: Check if LM Studio local server is enabled in settings');
-            } else if (error.message.includes('NetworkError')) {
-                this.updateConnectionStatus('🌐 Network error - Check firewall', false);
+            } else if (error instanceof LMStudioHTTPError) {
+                this.updateConnectionStatus(`❌ Server error (${error.status})`, false);
             } else {
                 this.updateConnectionStatus('❌ Connection failed', false);
                 console.log('💡 Troubleshooting: Ensure LM Studio is running with local server enabled');
@@ -267,6 +366,7 @@ class LMStudioChatApp {
         
         // Clear current model selection
         this.currentModel = null;
+        this.contextModel = undefined;
         this.elements.modelSelect.innerHTML = '<option value="">Select Model...</option>';
         
         // Force a fresh connection check
@@ -290,6 +390,26 @@ class LMStudioChatApp {
         }
     }
     
+    /**
+     * Read the context window of the selected model and the default reply length;
+     * only asks the server again when the model changes
+     */
+    async refreshContextLength() {
+        if (this.contextModel === this.currentModel) return;
+        this.contextModel = this.currentModel;
+        
+        const [info, settings] = await Promise.all([
+            this.lmStudio.getModelInfo(this.currentModel),
+            this.lmStudio.getSettings()
+        ]);
+        this.budgeter.setContextLength(info ? info.contextLength : null);
+        this.modelVision = info ? info.vision : null;
+        this.defaultMaxTokens = settings.maxTokens;
+        console.log('📏 Context window:', this.budgeter.getContextLength(), info ? `(${info.id})` : '(assumed)');
+        this.renderAttachmentChips();
+        this.updateTokenMeter();
+    }
+    
     autoResizeTextarea() {
         const textarea = this.elements.messageInput;
         textarea.style.height = 'auto';
@@ -300,6 +420,7 @@ class LMStudioChatApp {
         const count = this.elements.messageInput.value.length;
         this.elements.charCount.textContent = count;
         this.elements.charCount.style.color = count > 3500 ? '#ff4444' : '#888';
+        this.updateTokenMeter();
     }
     
     openSettings() {
@@ -343,14 +464,23 @@ class LMStudioChatApp {
     }
     
     async sendMessage() {
-        const message = this.elements.messageInput.value.trim();
+        let message = this.elements.messageInput.value.trim();
         console.log('🚀 sendMessage called with:', message);
         console.log('🔗 isConnected:', this.isConnected);
         
-        if (!message) {
+        if (this.pendingAttachments.some(pending => pending.status === 'processing')) {
+            this.addMessage('⏳ Still reading the attached files, send again in a moment.', 'system');
+            return;
+        }
+        const attachments = this.pendingAttachments.map(pending => pending.attachment);
+        
+        if (!message && attachments.length === 0) {
             console.log('❌ No message provided');
             return;
         }
+        if (!message) {
+            message = attachments.length === 1 ? 'Please look at the attached file.' : 'Please look at the attached files.';
+        }
         
         if (!this.isConnected) {
             console.log('❌ Not connected to LM Studio');
@@ -360,15 +490,29 @@ class LMStudioChatApp {
         
         // Clear input and add user message
         this.elements.messageInput.value = '';
+        this.pendingAttachments = [];
+        this.renderAttachmentChips();
         this.autoResizeTextarea();
         this.updateCharCount();
         
-        this.addMessage(message, 'user');
+        await this.submitMessage(message, attachments);
+    }
+    
+    /**
+     * Send a message as a reply to the branch point, or to the last message shown
+     * @param {Array} attachments - Processed attachments sent with it
+     */
+    async submitMessage(message, attachments = []) {
+        const parentId = this.getReplyParentId();
+        const userDiv = this.addMessage(message, 'user');
+        const summaries = attachments.map(attachment => this.attachmentProcessor.describe(attachment));
+        const chips = summaries.length > 0 ? this.addAttachmentChips(userDiv, summaries) : null;
         this.elements.sendBtn.disabled = true;
         
         try {
             let finalMessage = message;
             let searchResults = [];
+            const sources = {};
             
             // Get page context if enabled
             console.log('🔍 Checking page context - contextEnabled:', this.contextEnabled);
@@ -377,6 +521,7 @@ class LMStudioChatApp {
                 const pageContext = await this.getPageContext();
                 if (pageContext) {
                     finalMessage = `Page Context: ${pageContext.title}\n${pageContext.content}\n\nUser Question: ${message}`;
+                    sources.page = { title: pageContext.title, url: pageContext.url };
                     console.log('📄 Page context added to message');
                 } else {
                     console.log('📄 No page context retrieved');
@@ -385,9 +530,42 @@ class LMStudioChatApp {
                 console.log('📄 Page context disabled, skipping');
             }
             
+            // Attached documents: whole when they fit, otherwise the passages that match the question
+            const images = attachments.filter(attachment => attachment.kind === 'image');
+            if (attachments.length > images.length) {
+                const { text, usage } = this.attachmentProcessor.buildContext(attachments, message, {
+                    maxTokens: this.getAttachmentBudget(message, images.length),
+                    estimateTokens: (value) => this.budgeter.estimateTokens(value)
+                });
+                finalMessage = `${text}\n\n${finalMessage === message ? `User Question: ${message}` : finalMessage}`;
+                summaries.forEach(summary => Object.assign(summary, usage[summary.id]));
+                chips.replaceWith(this.createAttachmentChips(summaries));
+            }
+            if (images.length > 0 && this.modelVision === false) {
+                this.addMessage(`🖼️ ${this.currentModel || 'The loaded model'} cannot read images, so ${images.map(image => image.name).join(', ')} ${images.length === 1 ? 'was' : 'were'} not sent. Load a vision model to ask about ${images.length === 1 ? 'it' : 'them'}.`, 'system');
+            }
+            
+            // Passages from the user's own notes, insights, highlights and saved citations, cited as [Kn]
+            if (this.knowledgeBaseEnabled) {
+                const passages = await this.searchKnowledgeBase(message);
+                if (passages.length > 0) {
+                    finalMessage = this.enhanceMessageWithKnowledge(finalMessage, message, passages);
+                    sources.knowledge = passages.map(({ title, url, text, source }) => ({ title, url, snippet: text, source }));
+                }
+            }
+            
+            // With planning on the model decides whether to search and writes the queries;
+            // the keyword list is the fallback when it cannot
+            const plan = this.searchPlanningEnabled && (this.searchEnabled || this.autoSearchEnabled)
+                ? await this.planSearch(message, parentId)
+                : null;
+            
             // Intelligent search detection - only if auto-search is enabled
-            const shouldAutoSearch = this.autoSearchEnabled && this.shouldAutoSearch(message);
+            const shouldAutoSearch = this.autoSearchEnabled && (plan ? plan.search : this.shouldAutoSearch(message));
             const searchEnabled = this.searchEnabled || shouldAutoSearch;
+            if (plan && !searchEnabled) {
+                this.addMessage(`🧭 No search needed${plan.reason ? `: ${plan.reason}` : ''}`, 'system');
+            }
             
             // Search the internet if enabled or auto-detected
             console.log('🔍 Search check - searchEnabled:', this.searchEnabled, 'autoSearchEnabled:', this.autoSearchEnabled, 'shouldAutoSearch:', shouldAutoSearch, 'finalSearchEnabled:', searchEnabled);
@@ -399,16 +577,26 @@ class LMStudioChatApp {
                     this.elements.searchToggle.parentElement.querySelector('span').textContent = '🔍 Auto-Search Active';
                 }
                 
-                this.addLoadingMessage('🔍 Searching the internet for current information...');
-                searchResults = await this.searchInternet(message);
-                this.removeLoadingMessage();
-                console.log('🔍 Web search completed, results:', searchResults.length);
-                
-                if (searchResults.length > 0) {
-                    this.addSearchResults(searchResults);
-                    finalMessage = this.enhanceMessageWithSearch(finalMessage, searchResults);
-                } else if (shouldAutoSearch) {
-                    this.addMessage('No current information found, using model knowledge only.', 'system');
+                // A planned search waits until the user has checked the queries, or skipped it
+                const edited = plan ? await this.reviewSearchPlan(plan) : null;
+                if (!plan || edited) {
+                    this.addLoadingMessage(this.deepSearchEnabled
+                        ? '📖 Searching the internet and reading the top pages...'
+                        : '🔍 Searching the internet for current information...');
+                    searchResults = await this.searchInternet(message, edited);
+                    this.removeLoadingMessage();
+                    console.log('🔍 Web search completed, results:', searchResults.length);
+                    
+                    if (searchResults.length > 0) {
+                        this.addSearchResults(searchResults);
+                        finalMessage = this.enhanceMessageWithSearch(finalMessage, searchResults, this.citeSourcesEnabled);
+                        sources.search = searchResults.map(({ title, url, snippet, source, publishedAt }) => ({ title, url, snippet, source, publishedAt }));
+                        if (this.citeSourcesEnabled) {
+                            sources.cited = true;
+                        }
+                    } else if (shouldAutoSearch) {
+                        this.addMessage('No current information found, using model knowledge only.', 'system');
+                    }
                 }
                 
                 // Reset auto-search visual indicator after a delay
@@ -424,19 +612,36 @@ class LMStudioChatApp {
             this.addLoadingMessage('🤖 Processing with ' + (searchResults.length > 0 ? 'internet-enhanced' : 'local') + ' knowledge...');
             
             // Send to LM Studio with enhanced context
-            const response = await this.callLMStudio(finalMessage);
+            const reply = await this.callLMStudio(finalMessage, this.getHistoryMessages(parentId), { images });
             this.removeLoadingMessage();
-            this.addMessage(response, 'assistant');
+            if (reply.finishReason === 'stopped' && !reply.content) {
+                // Stopped before the first token; hand the message back instead of storing half an exchange.
+                // Other empty replies (all reasoning, or out of tokens) are kept so they can be continued
+                userDiv.remove();
+                this.elements.messageInput.value = message;
+                this.updateCharCount();
+                this.restorePendingAttachments(attachments);
+                this.addMessage('⏹️ Stopped before the model replied.', 'system');
+                return;
+            }
             
             // Update session
-            this.updateCurrentSession(message, response);
+            await Promise.all(attachments.map(attachment => this.attachmentProcessor.store(attachment))).catch(error => {
+                console.error('Failed to store attachments:', error);
+            });
+            const { userNode, assistantNode } = this.recordExchange(parentId, message, finalMessage, reply, { attachments: summaries, sources });
+            this.addMessageControls(userDiv, userNode);
+            this.addMessage(reply.content, 'assistant', new Date(), assistantNode);
             
         } catch (error) {
             this.removeLoadingMessage();
+            // Files are tedious to pick again, so they go back to the message box
+            this.restorePendingAttachments(attachments);
             this.addMessage(`Error: ${error.message}`, 'system');
         } finally {
             this.elements.sendBtn.disabled = false;
             this.elements.messageInput.focus();
+            this.updateTokenMeter();
         }
     }
     
@@ -486,113 +691,122 @@ class LMStudioChatApp {
         return null;
     }
     
-    async searchInternet(query) {
-        const results = [];
-        
+    // The model's search plan for a message, or null when planning fails
+    async planSearch(message, parentId) {
+        this.addLoadingMessage('🧭 Planning the search...');
         try {
-            // Try Wikipedia first (more reliable API)
-            const wikiResults = await this.searchWikipedia(query);
-            results.push(...wikiResults);
-            
-            // Try DuckDuckGo as secondary source
-            try {
-                const ddgResults = await this.searchDuckDuckGo(query);
-                results.push(...ddgResults);
-            } catch (ddgError) {
-                console.warn('DuckDuckGo search failed:', ddgError);
+            // What the user typed, not the prompts built around it
+            const nodes = this.currentSession ? this.currentSession.nodes : {};
+            const history = this.getHistoryMessages(parentId).map(entry => ({
+                role: entry.role,
+                content: nodes[entry.id].display || entry.content
+            }));
+            const response = await browser.runtime.sendMessage({ type: 'PLAN_SEARCH', question: message, model: this.currentModel, history: history });
+            if (!response.success) {
+                throw new Error(response.error);
             }
-            
-            return results.slice(0, 5); // Limit to 5 results
+            return response.data;
         } catch (error) {
-            console.error('Search error:', error);
-            return [];
+            console.error('Search planning failed:', error);
+            this.addMessage(`⚠️ Could not plan the search: ${error.message}. Deciding by keywords instead.`, 'system');
+            return null;
+        } finally {
+            this.removeLoadingMessage();
         }
     }
     
-    async searchWikipedia(query) {
+    /**
+     * Show the planned queries for editing
+     * @returns {Promise<{queries: string[], providers: string[]|null}|null>} null when the user skips the search
+     */
+    reviewSearchPlan(plan) {
+        const editor = new SearchPlanEditor(plan);
+        this.planEditor = editor;
+        this.elements.messagesContainer.appendChild(editor.element);
+        this.scrollToBottom();
+        editor.focus();
+        return editor.decision.finally(() => {
+            if (this.planEditor === editor) this.planEditor = null;
+        });
+    }
+    
+    // Searches run in the background script, which asks every enabled provider and merges the results;
+    // with deep search on it also reads the top pages and returns their most relevant passages.
+    // A reviewed plan replaces the message with its queries and may narrow the providers
+    async searchInternet(query, plan = null) {
         try {
-            const searchUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(query)}`;
-            const response = await fetch(searchUrl);
-            
-            if (!response.ok) {
-                // Try search API if direct page lookup fails
-                const searchApiUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=3&format=json&origin=*`;
-                const searchResponse = await fetch(searchApiUrl);
-                const searchData = await searchResponse.json();
-                
-                const results = [];
-                if (searchData[1] && searchData[2] && searchData[3]) {
-                    for (let i = 0; i < Math.min(3, searchData[1].length); i++) {
-                        results.push({
-                            title: `Wikipedia: ${searchData[1][i]}`,
-                            snippet: searchData[2][i] || 'Wikipedia article',
-                            url: searchData[3][i] || '',
-                            source: 'Wikipedia'
-                        });
-                    }
-                }
-                return results;
+            const request = { type: 'SEARCH_INTERNET', query: query, deep: this.deepSearchEnabled };
+            if (plan) {
+                Object.assign(request, { queries: plan.queries, providers: plan.providers, question: query });
             }
-            
-            const data = await response.json();
-            return [{
-                title: `Wikipedia: ${data.title}`,
-                snippet: data.extract || data.description || 'Wikipedia article',
-                url: data.content_urls?.desktop?.page || '',
-                source: 'Wikipedia'
-            }];
+            const response = await browser.runtime.sendMessage(request);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            return response.data.results;
         } catch (error) {
-            console.error('Wikipedia search error:', error);
+            console.error('Search error:', error);
+            this.addMessage(`⚠️ Search failed: ${error.message}. Using model knowledge only.`, 'system');
             return [];
         }
     }
     
-    async searchDuckDuckGo(query) {
+    // Searches run in the background script, which keeps the index; passages come back best first
+    async searchKnowledgeBase(question) {
+        this.addLoadingMessage('📚 Searching your knowledge base...');
         try {
-            // DuckDuckGo Instant Answer API
-            const response = await fetch(`https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`);
-            const data = await response.json();
-            
-            const results = [];
-            
-            // Add instant answer if available
-            if (data.AbstractText) {
-                results.push({
-                    title: data.AbstractSource || 'DuckDuckGo',
-                    snippet: data.AbstractText,
-                    url: data.AbstractURL || '',
-                    source: 'DuckDuckGo'
-                });
+            const response = await browser.runtime.sendMessage({ type: 'SEARCH_KNOWLEDGE_BASE', question: question });
+            if (!response.success) {
+                throw new Error(response.error);
             }
-            
-            // Add related topics
-            if (data.RelatedTopics) {
-                data.RelatedTopics.slice(0, 2).forEach(topic => {
-                    if (topic.Text) {
-                        results.push({
-                            title: topic.FirstURL ? new URL(topic.FirstURL).hostname : 'Related',
-                            snippet: topic.Text,
-                            url: topic.FirstURL || '',
-                            source: 'DuckDuckGo'
-                        });
-                    }
-                });
+            const { passages, method, total } = response.data;
+            if (total === 0) {
+                this.addMessage('📚 Your knowledge base is empty. Research notes, extracted insights, page highlights and saved citations are searched here once you have some.', 'system');
+            } else if (passages.length === 0) {
+                this.addMessage('📚 Nothing in your knowledge base matches this question.', 'system');
+            } else {
+                this.addKnowledgeResults(passages, method);
             }
-            
-            return results;
+            return passages;
         } catch (error) {
-            console.error('DuckDuckGo search error:', error);
+            console.error('Knowledge base error:', error);
+            this.addMessage(`⚠️ Knowledge base search failed: ${error.message}`, 'system');
             return [];
+        } finally {
+            this.removeLoadingMessage();
         }
     }
     
-    enhanceMessageWithSearch(originalMessage, searchResults) {
+    enhanceMessageWithKnowledge(currentMessage, originalMessage, passages) {
+        let context = "FROM THE USER'S KNOWLEDGE BASE (their saved notes, insights, highlights and citations):\n";
+        context += "=".repeat(50) + "\n\n";
+        
+        passages.forEach((passage, index) => {
+            context += `[K${index + 1}] ${passage.source.toUpperCase()}: ${passage.title}\n`;
+            context += `${passage.text.split('\n').map(line => `   > ${line}`).join('\n')}\n`;
+            if (passage.url) context += `   URL: ${passage.url}\n`;
+            context += "\n";
+        });
+        
+        context += "=".repeat(50) + "\n\n";
+        context += "INSTRUCTIONS: Use these passages where they help answer the question. Right after a statement that relies on one, ";
+        context += "cite it as [K1], [K2] and so on. Only use the labels listed above.\n\n";
+        
+        return `${context}${currentMessage === originalMessage ? `User Question: ${originalMessage}` : currentMessage}`;
+    }
+    
+    // With cite on, sources are numbered [n] and the answer is asked to point back to them
+    enhanceMessageWithSearch(originalMessage, searchResults, cite = false) {
         let context = "INTERNET SEARCH RESULTS (Current Information):\n";
         context += "=".repeat(50) + "\n\n";
         
         searchResults.forEach((result, index) => {
-            context += `${index + 1}. SOURCE: ${result.title}\n`;
-            context += `   CONTENT: ${result.snippet}\n`;
+            context += cite ? `[${index + 1}] SOURCE: ${result.title}\n` : `${index + 1}. SOURCE: ${result.title}\n`;
+            if (result.passages && result.passages.length > 0) {
+                context += `   EXCERPTS FROM THE PAGE:\n${result.passages.map(passage => `   > ${passage.replace(/\s+/g, ' ')}`).join('\n')}\n`;
+            } else {
+                context += `   CONTENT: ${result.snippet}\n`;
+            }
             if (result.url) context += `   URL: ${result.url}\n`;
             context += "\n";
         });
@@ -602,12 +816,25 @@ class LMStudioChatApp {
         context += "Use this current data to enhance your response. If the search results are relevant, ";
         context += "incorporate them naturally into your answer. If they're not relevant, rely on your training data. ";
         context += "Always be helpful and accurate.\n\n";
+        if (cite) {
+            context += "CITATIONS: Whenever a statement is based on a search result, put the number of that source in square brackets ";
+            context += "right after the statement, for example [1] or [2][3]. Only use the numbers listed above, ";
+            context += `from [1] to [${searchResults.length}]. Do not cite anything for statements from your own knowledge.\n\n`;
+        }
         context += `USER QUESTION: ${originalMessage}`;
         
         return context;
     }
     
-    async callLMStudio(message) {
+    /**
+     * Stream a reply into a temporary bubble; the caller shows the finished message
+     * @param {Object} overrides - model and temperature for this request only,
+     *                             prefix: text already written, shown before the new tokens, and
+     *                             images: image attachments sent with the message
+     * @returns {{content: string, reasoning: string, finishReason: string, model: string, temperature: number}}
+     *          finishReason is 'stopped' when the user pressed Stop
+     */
+    async callLMStudio(message, history = [], overrides = {}) {
         try {
             // First check if LM Studio is running
             await this.checkConnection();
@@ -617,153 +844,506 @@ class LMStudioChatApp {
             
             console.log('🚀 Sending message to LM Studio:', message.substring(0, 100) + '...');
             console.log('🤖 Using model:', this.currentModel || 'default');
-            console.log('📝 Chat history length:', this.chatHistory.length);
-            
-            const requestPayload = {
-                model: this.currentModel || 'default',
-                messages: [
-                    ...this.chatHistory.slice(-10), // Include recent history for context
-                    { role: 'user', content: message }
-                ],
-                max_tokens: 4000,
-                temperature: 0.7,
-                stream: true
-            };
-            
-            console.log('📤 Request payload:', {
-                ...requestPayload,
-                messages: requestPayload.messages.map(m => ({ role: m.role, content: m.content.substring(0, 50) + '...' }))
-            });
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 120000); // 2 minutes timeout
-            
-            const response = await fetch(`${this.apiUrl}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(requestPayload),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
+            console.log('📝 Chat history length:', history.length);
             
-            console.log('📡 LM Studio response status:', response.status);
-            console.log('📡 Response headers:', Object.fromEntries(response.headers.entries()));
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('LM Studio API error response:', errorText);
-                throw new Error(`LM Studio API error (${response.status}): ${errorText || 'Unknown error'}`);
-            }
-            
-            // Handle streaming response
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let assistantMessage = '';
-            let messageDiv = null;
+            const messages = await this.buildRequestMessages(message, history, overrides.images || []);
+            // Temperature and max tokens come from the options page unless this chat overrides them
+            const requestOptions = { model: overrides.model || this.currentModel };
+            if (this.sessionSettings.temperature !== null) requestOptions.temperature = this.sessionSettings.temperature;
+            if (overrides.temperature !== undefined && overrides.temperature !== null) requestOptions.temperature = overrides.temperature;
+            if (this.sessionSettings.maxTokens !== null) requestOptions.maxTokens = this.sessionSettings.maxTokens;
+            if (this.sessionSettings.stop.length > 0) requestOptions.stop = this.sessionSettings.stop;
             
             // Create streaming message element
-            messageDiv = document.createElement('div');
+            const messageDiv = document.createElement('div');
             messageDiv.className = 'message assistant streaming';
             const messageContent = document.createElement('div');
-            messageContent.className = 'message-content';
+            messageContent.className = 'message-content markdown-body';
             messageDiv.appendChild(messageContent);
             this.elements.messagesContainer.appendChild(messageDiv);
             this.scrollToBottom();
+            const renderStream = this.markdown.createStream(messageContent);
+            const prefix = overrides.prefix || '';
+            if (prefix) renderStream.finish(prefix);
+            
+            // Stop aborts the request; whatever arrived until then is kept
+            const controller = new AbortController();
+            let partial = '';
+            let reasoning = '';
+            let reasoningBlock = null;
+            this.activeRequest = controller;
+            this.setGenerating(true);
             
+            let result;
             try {
-                while (true) {
-                    const { done, value } = await reader.read();
-                    if (done) break;
-                    
-                    const chunk = decoder.decode(value);
-                    const lines = chunk.split('\n');
-                    
-                    for (const line of lines) {
-                        if (line.startsWith('data: ')) {
-                            const data = line.slice(6);
-                            if (data === '[DONE]') continue;
-                            
-                            try {
-                                const parsed = JSON.parse(data);
-                                if (parsed.choices && parsed.choices[0] && parsed.choices[0].delta && parsed.choices[0].delta.content) {
-                                    const content = parsed.choices[0].delta.content;
-                                    assistantMessage += content;
-                                    messageContent.textContent = assistantMessage;
-                                    this.scrollToBottom();
-                                }
-                            } catch (e) {
-                                // Skip invalid JSON chunks
-                            }
+                result = await this.lmStudio.stream(messages, {
+                    ...requestOptions,
+                    signal: controller.signal,
+                    onToken: (delta, fullText) => {
+                        partial = fullText;
+                        renderStream.update(prefix + fullText);
+                        this.scrollToBottom();
+                    },
+                    onReasoning: (delta, fullReasoning) => {
+                        reasoning = fullReasoning;
+                        if (!reasoningBlock) {
+                            reasoningBlock = this.createReasoningBlock('', true);
+                            messageDiv.insertBefore(reasoningBlock, messageContent);
                         }
+                        reasoningBlock.lastChild.textContent = fullReasoning;
+                        this.scrollToBottom();
                     }
+                });
+            } catch (error) {
+                if (!(error instanceof LMStudioAbortError && controller.signal.aborted)) {
+                    messageDiv.remove();
+                    throw error;
                 }
+                console.log('⏹️ Generation stopped after', partial.length, 'characters');
+                result = { content: partial, reasoning: reasoning, finishReason: 'stopped', usage: null };
             } finally {
-                reader.releaseLock();
+                this.activeRequest = null;
+                this.setGenerating(false);
+            }
+            const assistantMessage = result.content;
+            if (result.usage) {
+                this.budgeter.calibrate(messages, result.usage.prompt_tokens);
             }
             
-            // Remove streaming class and finalize message
-            messageDiv.classList.remove('streaming');
+            // The caller shows the finished reply together with its message controls
+            messageDiv.remove();
             
             if (this.advancedMode) {
                 console.log('✅ Streaming response completed');
-                this.addAdvancedDebugInfo({ content: assistantMessage }, requestPayload);
+                this.addAdvancedDebugInfo({ ...result, model: this.currentModel }, { ...requestOptions, messages });
             } else {
                 console.log('✅ Streaming response completed');
             }
             
             console.log('Assistant message received:', assistantMessage.substring(0, 100) + '...');
             
-            // Update chat history
-            this.chatHistory.push(
-                { role: 'user', content: message },
-                { role: 'assistant', content: assistantMessage }
-            );
-            
-            // Keep history manageable
-            if (this.chatHistory.length > 30) {
-                this.chatHistory = this.chatHistory.slice(-30);
-            }
-            
-            return assistantMessage;
+            return {
+                content: assistantMessage,
+                reasoning: result.reasoning,
+                finishReason: result.finishReason,
+                model: requestOptions.model,
+                temperature: requestOptions.temperature
+            };
             
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out after 2 minutes. The model may be generating a very long response.');
-            }
             console.error('LM Studio API call failed:', error);
             throw error;
         }
     }
     
-    addMessage(content, type) {
+    getReplyTokens() {
+        return this.sessionSettings.maxTokens || this.defaultMaxTokens || 2000;
+    }
+    
+    planContext(message, history, images = []) {
+        const userMessage = { role: 'user', content: message };
+        if (images.length > 0) userMessage.images = images;
+        return this.budgeter.fit({
+            system: this.sessionSettings.systemPrompt ? { role: 'system', content: this.sessionSettings.systemPrompt } : null,
+            history: history,
+            message: userMessage,
+            replyTokens: this.getReplyTokens()
+        });
+    }
+    
+    // Attached documents may take most of what the system prompt, the question, images and
+    // the reply leave over; older turns are summarized first to make room for them
+    getAttachmentBudget(message, imageCount = 0) {
+        const limit = this.budgeter.getContextLength();
+        const reply = Math.min(this.getReplyTokens(), Math.floor(limit / 2));
+        const fixed = this.budgeter.estimateTokens(this.sessionSettings.systemPrompt) +
+            this.budgeter.estimateTokens(message) + imageCount * ContextBudgeter.IMAGE_TOKENS;
+        return Math.max(256, Math.floor((limit - reply - fixed) * 0.75));
+    }
+    
+    /**
+     * Fit the system prompt, history and new message into the model's context window.
+     * Turns that no longer fit are replaced by a summary written by the model itself.
+     */
+    async buildRequestMessages(message, history, images = []) {
+        const plan = this.planContext(message, history, images);
+        
+        let systemContent = this.sessionSettings.systemPrompt;
+        if (plan.dropped.length > 0) {
+            const summary = await this.getHistorySummary(plan.dropped).catch(error => {
+                console.warn('Could not summarize earlier messages, leaving them out:', error.message);
+                return null;
+            });
+            if (summary) {
+                // Merged into one system message; some chat templates reject a second one
+                systemContent = [systemContent, `Summary of the earlier conversation:\n${summary}`].filter(Boolean).join('\n\n');
+            }
+            console.log(`📏 ${plan.dropped.length} older messages did not fit the context window${summary ? ' and were summarized' : ''}`);
+        }
+        
+        const messages = await Promise.all(plan.kept.concat(plan.message).map(entry => this.toRequestMessage(entry)));
+        if (systemContent) {
+            messages.unshift({ role: 'system', content: systemContent });
+        }
+        return messages;
+    }
+    
+    /**
+     * A message with images becomes a list of text and image_url parts. Images saved
+     * with earlier messages are read back from storage; a model that cannot read
+     * images gets a note in their place.
+     */
+    async toRequestMessage({ role, content, images }) {
+        if (!images || images.length === 0) {
+            return { role, content };
+        }
+        if (this.modelVision === false) {
+            return { role, content: `${content}\n\n[Images not shown to the model: ${images.map(image => image.name).join(', ')}]` };
+        }
+        
+        const stored = await this.attachmentProcessor.load(images.filter(image => !image.dataUrl).map(image => image.id));
+        const dataUrls = images.map(image => image.dataUrl || (stored.find(entry => entry.id === image.id) || {}).dataUrl).filter(Boolean);
+        return {
+            role,
+            content: [
+                { type: 'text', text: content },
+                ...dataUrls.map(url => ({ type: 'image_url', image_url: { url } }))
+            ]
+        };
+    }
+    
+    /**
+     * Summary of a conversation prefix, cached on the session by the id of its last
+     * message. A node's history never changes, so the summary holds on every branch
+     * through it, and a longer prefix builds on the summary of a shorter one.
+     */
+    async getHistorySummary(dropped) {
+        const session = this.currentSession;
+        if (!session) return null;
+        session.summaries = session.summaries || {};
+        
+        const lastId = dropped[dropped.length - 1].id;
+        if (session.summaries[lastId]) return session.summaries[lastId];
+        
+        let previous = '';
+        let start = 0;
+        for (let i = dropped.length - 2; i >= 0; i--) {
+            if (session.summaries[dropped[i].id]) {
+                previous = session.summaries[dropped[i].id];
+                start = i + 1;
+                break;
+            }
+        }
+        
+        const transcript = dropped.slice(start)
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+            .join('\n\n');
+        const room = this.budgeter.getContextLength() - ContextBudgeter.SUMMARY_TOKENS * 2 - this.budgeter.estimateTokens(previous);
+        const prompt = (previous ? `Summary so far:\n${previous}\n\nConversation that follows:\n` : 'Conversation:\n') +
+            this.budgeter.truncateToTokens(transcript, Math.max(room, 200));
+        
+        const summary = await this.lmStudio.complete(prompt, {
+            systemPrompt: 'Summarize the conversation for someone who will continue it. Keep names, numbers, decisions, open questions and anything the user asked to remember. Write at most 200 words.',
+            model: this.currentModel,
+            temperature: 0.2,
+            maxTokens: ContextBudgeter.SUMMARY_TOKENS
+        });
+        
+        session.summaries[lastId] = summary.trim();
+        return session.summaries[lastId];
+    }
+    
+    /**
+     * Estimated size of the next request, including what is being typed
+     */
+    updateTokenMeter() {
+        const history = this.getHistoryMessages(this.getReplyParentId());
+        const input = this.elements.messageInput.value.trim();
+        const attached = this.pendingAttachments.filter(pending => pending.attachment).map(pending => pending.attachment);
+        const images = attached.filter(attachment => attachment.kind === 'image');
+        const documents = attached.filter(attachment => attachment.kind === 'document');
+        // Long documents are cut down to the attachment budget when the message is sent
+        const documentTokens = documents.length === 0 ? 0 : Math.min(
+            documents.reduce((total, attachment) => total + this.budgeter.estimateTokens(attachment.text), 0),
+            this.getAttachmentBudget(input, images.length));
+        const plan = this.planContext(input, history, images);
+        const { system, history: historyTokens, message, reply, limit } = plan.usage;
+        const summaries = this.currentSession && this.currentSession.summaries;
+        const summary = plan.dropped.length > 0 && summaries ? summaries[plan.dropped[plan.dropped.length - 1].id] : null;
+        const summaryTokens = summary ? this.budgeter.estimateTokens(summary) : plan.usage.summary;
+        const used = system + historyTokens + summaryTokens + message + documentTokens;
+        
+        this.elements.tokenMeterText.textContent = `~${used.toLocaleString()} / ${limit.toLocaleString()} tokens`;
+        this.elements.tokenMeterFill.style.width = `${Math.min(100, (used + reply) / limit * 100)}%`;
+        this.elements.tokenMeter.classList.toggle('warning', (used + reply) / limit > 0.75);
+        this.elements.tokenMeter.classList.toggle('full', plan.dropped.length > 0);
+        
+        const details = [
+            `System prompt: ${system}`,
+            `Conversation: ${historyTokens}`,
+            `New message: ${message}${images.length > 0 ? ` (${images.length} image${images.length === 1 ? '' : 's'} included)` : ''}`,
+            `Reserved for the reply: ${reply}`,
+            `Context window: ${limit}${this.budgeter.contextLength ? '' : ' (assumed, the model did not report it)'}`
+        ];
+        if (documents.length > 0) {
+            details.splice(3, 0, `Attached files: ${documentTokens}`);
+        }
+        if (plan.dropped.length > 0) {
+            details.push(`${plan.dropped.length} older messages ${summary ? 'are replaced by a summary' : 'will be summarized'}: ${summaryTokens}`);
+        }
+        this.elements.tokenMeter.title = details.join('\n');
+    }
+    
+    addMessage(content, type, timestamp = new Date(), node = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}`;
         
+        if (node && node.reasoning) {
+            messageDiv.appendChild(this.createReasoningBlock(node.reasoning));
+        }
+        
         const messageContent = document.createElement('div');
-        messageContent.textContent = content;
+        // Model output is rendered as Markdown; everything else stays plain text
+        if (type === 'assistant') {
+            messageContent.className = 'message-content markdown-body';
+            this.markdown.renderInto(messageContent, content);
+        } else {
+            messageContent.textContent = content;
+        }
         messageDiv.appendChild(messageContent);
         
+        const citedSources = type === 'assistant' && node ? this.getCitedSources(node) : null;
+        if (citedSources) {
+            messageDiv.appendChild(this.linkCitations(messageContent, citedSources));
+        }
+        
+        if (node && node.attachments && node.attachments.length > 0) {
+            messageDiv.appendChild(this.createAttachmentChips(node.attachments));
+        }
+        
         const messageTime = document.createElement('div');
         messageTime.className = 'message-time';
-        messageTime.textContent = new Date().toLocaleTimeString();
+        messageTime.textContent = timestamp.toLocaleTimeString();
         messageDiv.appendChild(messageTime);
         
-        if (type === 'assistant') {
-            const actions = document.createElement('div');
-            actions.className = 'message-actions';
-            actions.innerHTML = `
-                <button class="message-action-btn" onclick="this.copyToClipboard('${content.replace(/'/g, "\\'")}')">📋</button>
-                <button class="message-action-btn" onclick="this.regenerateResponse()">🔄</button>
-            `;
-            messageDiv.appendChild(actions);
+        if (node) {
+            this.addMessageControls(messageDiv, node);
         }
         
         this.elements.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageDiv;
+    }
+    
+    // Sources a reply was asked to cite, stored on the question it answers: search results
+    // as [n] when Cite Sources was on, knowledge base passages as [K1], [K2]...
+    getCitedSources(node) {
+        const question = this.currentSession && this.currentSession.nodes[node.parentId];
+        const sources = question && question.sources;
+        if (!sources) return null;
+        const search = sources.cited && sources.search ? sources.search : null;
+        const knowledge = sources.knowledge || null;
+        return search || knowledge ? { search, knowledge } : null;
+    }
+    
+    /**
+     * Turn the [n] and [Kn] markers of a rendered answer into links to the sources they number
+     * @param {Object} sources - search and knowledge lists; markers for a list the answer did not get stay text
+     * @returns {HTMLElement} footer flagging markers that match no source, with a button to save the cited search results
+     */
+    linkCitations(container, { search = null, knowledge = null }) {
+        const cited = new Map();
+        const invalid = new Set();
+        
+        // Collect first; replacing nodes while walking would skip some
+        const textNodes = [];
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            if (!walker.currentNode.parentElement.closest('pre, code, a')) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+        
+        textNodes.forEach(textNode => {
+            const text = textNode.nodeValue;
+            // Not right after a word, which would be indexing like items[0]
+            const pattern = /(?<!\w)\[(K?\d+(?:\s*,\s*K?\d+)*)\]/g;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const labels = match[1].split(',').map(value => value.trim());
+                if (labels.some(label => !(label.startsWith('K') ? knowledge : search))) continue;
+                fragment.append(text.slice(last, match.index));
+                labels.forEach(label => {
+                    const list = label.startsWith('K') ? knowledge : search;
+                    const source = list[parseInt(label.replace('K', ''), 10) - 1];
+                    if (source) {
+                        cited.set(label, source);
+                    } else {
+                        invalid.add(label);
+                    }
+                    fragment.appendChild(this.createCitationMarker(label, source));
+                });
+                last = pattern.lastIndex;
+            }
+            if (last > 0) {
+                fragment.append(text.slice(last));
+                textNode.replaceWith(fragment);
+            }
+        });
+        
+        const footer = document.createElement('div');
+        footer.className = 'citation-footer';
+        if (invalid.size > 0) {
+            const warning = document.createElement('div');
+            warning.className = 'citation-warning';
+            const labels = Array.from(invalid).map(label => `[${label}]`).join(', ');
+            warning.textContent = `⚠️ The answer cites ${labels}, which ${invalid.size === 1 ? 'matches' : 'match'} no source it was given. Check those claims yourself.`;
+            footer.appendChild(warning);
+        }
+        
+        // Knowledge base passages are saved already; only web sources can go to Citations
+        const used = search ? search.filter((source, index) => cited.has(String(index + 1))) : [];
+        if (used.length > 0) {
+            const save = document.createElement('button');
+            save.className = 'citation-save-btn';
+            save.textContent = `📚 Save ${used.length} cited source${used.length === 1 ? '' : 's'} to Citations`;
+            save.addEventListener('click', () => this.saveCitedSources(used, save));
+            footer.appendChild(save);
+        } else if (cited.size === 0) {
+            const note = document.createElement('div');
+            note.className = 'citation-note';
+            note.textContent = 'ℹ️ The answer does not cite any of its sources.';
+            footer.appendChild(note);
+        }
+        return footer;
+    }
+    
+    // Superscript link with a hover card; labels the prompt never listed are flagged instead
+    createCitationMarker(label, source) {
+        const marker = document.createElement('sup');
+        marker.className = 'citation';
+        if (!source) {
+            marker.classList.add('invalid');
+            marker.textContent = `[${label}]`;
+            marker.title = `There is no source [${label}]`;
+            return marker;
+        }
+        
+        const linked = this.isWebLink(source.url);
+        const link = document.createElement(linked ? 'a' : 'span');
+        link.className = 'citation-ref';
+        link.textContent = `[${label}]`;
+        if (linked) {
+            link.href = source.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        
+        // Sources come from third-party sites, so the card is built from text only
+        const card = document.createElement('span');
+        card.className = 'citation-card';
+        const title = document.createElement('span');
+        title.className = 'citation-card-title';
+        title.textContent = source.title;
+        const snippet = document.createElement('span');
+        snippet.className = 'citation-card-snippet';
+        snippet.textContent = source.snippet || '';
+        const meta = document.createElement('span');
+        meta.className = 'citation-card-meta';
+        meta.textContent = [source.source, source.url].filter(Boolean).join(' · ');
+        card.append(title, snippet, meta);
+        
+        marker.append(link, card);
+        return marker;
+    }
+    
+    // Only web links become anchors; sources of imported chats were never checked
+    isWebLink(url) {
+        return /^https?:\/\//i.test(url || '');
+    }
+    
+    async saveCitedSources(sources, button) {
+        button.disabled = true;
+        button.textContent = '📚 Saving…';
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'ADD_CITATION_SOURCES', sources: sources });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            const { added, skipped } = response.data;
+            button.textContent = `✅ ${added.length} saved to Citations` + (skipped > 0 ? `, ${skipped} already there` : '');
+        } catch (error) {
+            console.error('Failed to save cited sources:', error);
+            button.disabled = false;
+            button.textContent = '📚 Retry saving the cited sources';
+            this.addMessage(`⚠️ Could not save the sources: ${error.message}`, 'system');
+        }
+    }
+    
+    // Collapsible "thinking" of reasoning models, open only while it streams
+    createReasoningBlock(text, open = false) {
+        const details = document.createElement('details');
+        details.className = 'message-reasoning';
+        details.open = open;
+        const summary = document.createElement('summary');
+        summary.textContent = open ? '💭 Thinking…' : '💭 Reasoning';
+        const body = document.createElement('div');
+        body.className = 'reasoning-content';
+        body.textContent = text;
+        details.append(summary, body);
+        return details;
+    }
+    
+    /**
+     * Edit/copy/regenerate/continue buttons, plus arrows between alternate branches
+     */
+    addMessageControls(messageDiv, node) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        const buttons = node.role === 'user'
+            ? [['✏️', 'Edit as a new branch', () => this.startEditingMessage(messageDiv, node.id)]]
+            : [
+                ['📋', 'Copy', () => navigator.clipboard.writeText(node.content)],
+                ['🔄', 'Regenerate as a new branch', () => this.regenerateReply(node.id)],
+                ['🎛️', 'Regenerate with another model or temperature', () => this.showRegenerateOptions(messageDiv, node)]
+            ];
+        // Only the end of a branch can grow; earlier replies already have answers below them
+        if (this.canContinueReply(node)) {
+            buttons.push(['⏩', 'Continue the answer', () => this.continueReply(node.id)]);
+        }
+        buttons.push(['↪️', 'Continue from here', () => this.continueFromMessage(node.id)]);
+        buttons.forEach(([icon, label, handler]) => {
+            actions.appendChild(this.createMessageButton(icon, label, handler));
+        });
+        messageDiv.appendChild(actions);
+        
+        const siblings = this.currentSession.nodes[node.parentId].children;
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(node.id);
+            const branches = document.createElement('div');
+            branches.className = 'message-branches';
+            
+            const previous = this.createMessageButton('‹', 'Previous branch', () => this.switchBranch(node.id, -1));
+            previous.disabled = index === 0;
+            const position = document.createElement('span');
+            position.textContent = `${index + 1} / ${siblings.length}`;
+            const next = this.createMessageButton('›', 'Next branch', () => this.switchBranch(node.id, 1));
+            next.disabled = index === siblings.length - 1;
+            
+            branches.append(previous, position, next);
+            messageDiv.appendChild(branches);
+        }
+    }
+    
+    createMessageButton(icon, label, handler) {
+        const button = document.createElement('button');
+        button.className = 'message-action-btn';
+        button.textContent = icon;
+        button.title = label;
+        button.addEventListener('click', handler);
+        return button;
     }
     
     addLoadingMessage(text) {
@@ -794,44 +1374,106 @@ class LMStudioChatApp {
         const resultsDiv = document.createElement('div');
         resultsDiv.className = 'message system';
         
-        let html = '<strong>🔍 Search Results:</strong><br>';
+        const heading = document.createElement('strong');
+        heading.textContent = '🔍 Search Results:';
+        resultsDiv.appendChild(heading);
         results.forEach((result, index) => {
-            html += `
-                <div style="background: #1a3a5c; border: 1px solid #2d5a8d; border-radius: 6px; padding: 8px; margin: 6px 0;">
-                    <div style="font-weight: 600; color: #4da6ff; margin-bottom: 4px;">${result.title}</div>
-                    <div style="color: #ccc; font-size: 12px;">${result.snippet}</div>
-                    ${result.url ? `<div style="color: #888; font-size: 10px; margin-top: 4px;">${result.url}</div>` : ''}
-                </div>
-            `;
+            resultsDiv.appendChild(this.createSearchResult(result, index + 1));
+        });
+        
+        this.elements.messagesContainer.appendChild(resultsDiv);
+        this.scrollToBottom();
+    }
+    
+    addKnowledgeResults(passages, method) {
+        const resultsDiv = document.createElement('div');
+        resultsDiv.className = 'message system knowledge-results';
+        
+        const heading = document.createElement('strong');
+        heading.textContent = `📚 From your knowledge base (matched ${method === 'embeddings' ? 'by meaning' : 'by keywords'}):`;
+        resultsDiv.appendChild(heading);
+        passages.forEach((passage, index) => {
+            const result = { title: passage.title, url: passage.url, snippet: passage.text, source: passage.source };
+            resultsDiv.appendChild(this.createSearchResult(result, `K${index + 1}`));
         });
         
-        resultsDiv.innerHTML = html;
         this.elements.messagesContainer.appendChild(resultsDiv);
         this.scrollToBottom();
     }
     
+    // Titles and snippets come from third-party sites, so they only ever go in as text;
+    // the number is the one the answer cites
+    createSearchResult(result, number) {
+        const item = document.createElement('div');
+        item.className = 'search-result';
+        
+        const label = document.createElement('span');
+        label.className = 'search-result-number';
+        label.textContent = `[${number}]`;
+        
+        const linked = this.isWebLink(result.url);
+        const title = document.createElement(linked ? 'a' : 'div');
+        title.className = 'search-result-title';
+        title.textContent = result.title;
+        if (linked) {
+            title.href = result.url;
+            title.target = '_blank';
+            title.rel = 'noopener noreferrer';
+        }
+        
+        const snippet = document.createElement('div');
+        snippet.className = 'search-result-snippet';
+        snippet.textContent = result.snippet;
+        
+        const meta = document.createElement('div');
+        meta.className = 'search-result-meta';
+        const read = result.passages
+            ? (result.readError ? `page not read: ${result.readError}` : `📖 ${result.passages.length} passage${result.passages.length === 1 ? '' : 's'} read`)
+            : null;
+        meta.textContent = [(result.sources || [result.source]).join(', '), read, result.url].filter(Boolean).join(' · ');
+        
+        item.append(label, title, snippet, meta);
+        return item;
+    }
+    
     scrollToBottom() {
         this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
     }
     
     startNewChat() {
-        this.currentSessionId = Date.now().toString();
-        this.chatHistory = [];
+        // The session itself is created when the first message is sent
+        this.currentSessionId = null;
+        this.currentSession = null;
+        this.branchPointId = null;
+        this.sessionSettings = this.getDefaultSessionSettings();
+        this.renderSessionSettings();
         this.clearMessages();
         this.addWelcomeMessage();
         this.updateChatSessions();
+        this.updateTokenMeter();
+        this.saveData();
     }
     
     clearCurrentChat() {
-        this.chatHistory = [];
+        this.branchPointId = null;
         this.clearMessages();
         this.addWelcomeMessage();
-        if (this.currentSessionId) {
-            this.updateCurrentSession('', '');
+        if (this.currentSession) {
+            this.attachmentProcessor.remove(this.getAttachmentIds(this.currentSession)).catch(error => {
+                console.error('Failed to delete attachments:', error);
+            });
+            this.currentSession.nodes = this.createMessageTree();
+            this.currentSession.summaries = {};
+            this.saveCurrentSession();
         }
+        this.updateTokenMeter();
     }
     
     clearMessages() {
+        // A search plan nobody can see any more would hold the message back forever
+        if (this.planEditor) {
+            this.planEditor.cancel();
+        }
         this.elements.messagesContainer.innerHTML = '';
     }
     
@@ -853,107 +1495,1178 @@ class LMStudioChatApp {
         `;
     }
     
-    updateCurrentSession(userMessage, assistantMessage) {
-        if (!this.currentSessionId) {
-            this.currentSessionId = Date.now().toString();
+    // Chat sessions - the `chatSessions` index holds one summary per session for the
+    // sidebar; the full record (message tree, model, system prompt, sampling parameters)
+    // is stored under its own key so the index stays small
+    
+    getSessionKey(sessionId) {
+        return `chat_session_${sessionId}`;
+    }
+    
+    generateSessionId() {
+        return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+    
+    // New chats start from the default preset chosen in the options page, if any
+    getDefaultSessionSettings() {
+        const preset = this.defaultPresetId && this.presets.get(this.defaultPresetId);
+        if (preset) {
+            return this.getPresetSettings(preset);
         }
+        return { presetId: null, systemPrompt: '', temperature: null, maxTokens: null, stop: [] };
+    }
+    
+    getPresetSettings(preset) {
+        return {
+            presetId: preset.id,
+            systemPrompt: preset.systemPrompt,
+            temperature: preset.temperature,
+            maxTokens: preset.maxTokens,
+            stop: [...preset.stop]
+        };
+    }
+    
+    readSessionSettings() {
+        const temperature = parseFloat(this.elements.sessionTemperature.value);
+        const maxTokens = parseInt(this.elements.sessionMaxTokens.value);
+        this.sessionSettings = {
+            presetId: this.elements.sessionPreset.value || null,
+            systemPrompt: this.elements.systemPrompt.value.trim(),
+            temperature: Number.isFinite(temperature) ? temperature : null,
+            maxTokens: maxTokens > 0 ? maxTokens : null,
+            stop: PresetLibrary.parseStopSequences(this.elements.sessionStop.value).slice(0, PresetLibrary.MAX_STOP_SEQUENCES)
+        };
+        this.updateTokenMeter();
+        
+        if (this.currentSession) {
+            this.saveCurrentSession({ touch: false });
+        }
+    }
+    
+    renderSessionSettings() {
+        this.elements.systemPrompt.value = this.sessionSettings.systemPrompt;
+        this.elements.sessionTemperature.value = this.sessionSettings.temperature ?? '';
+        this.elements.sessionMaxTokens.value = this.sessionSettings.maxTokens ?? '';
+        this.elements.sessionStop.value = PresetLibrary.formatStopSequences(this.sessionSettings.stop);
+        this.renderPresetOptions();
+    }
+    
+    async loadQuickPrompts() {
+        try {
+            await this.promptTemplates.load();
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+        }
+        this.renderQuickPrompts();
+    }
+    
+    renderQuickPrompts() {
+        const buttons = this.promptTemplates.templates.filter(template => template.quickPrompt).map(template => {
+            const button = document.createElement('button');
+            button.className = 'prompt-btn';
+            button.textContent = template.name;
+            button.title = template.template;
+            button.addEventListener('click', () => this.insertQuickPrompt(template));
+            return button;
+        });
+        this.elements.quickPromptButtons.replaceChildren(...buttons);
+    }
+    
+    /**
+     * Expand a template into the message box. {{page.*}} refers to the web page
+     * used most recently in this window, since the chat itself is the active tab;
+     * {{selection}} prefers text selected in the chat and falls back to that page.
+     */
+    async insertQuickPrompt(template) {
+        const names = PromptTemplateLibrary.getVariables(template.template);
+        const selection = window.getSelection().toString();
+        const needsPage = Array.from(names).some(name => name.startsWith('page.')) ||
+            (names.has('selection') && !selection);
+        const tab = needsPage ? await this.findLastWebTab() : null;
+        const values = await PromptTemplateLibrary.collectValues(template.template, { tab, selection });
         
-        const existingSession = this.chatSessions.find(s => s.id === this.currentSessionId);
-        if (existingSession) {
-            existingSession.lastMessage = userMessage;
-            existingSession.timestamp = new Date();
+        let text = PromptTemplateLibrary.expand(template.template, values);
+        if (!/\s$/.test(text)) text += ' ';
+        this.elements.messageInput.value = text;
+        this.elements.messageInput.focus();
+        this.autoResizeTextarea();
+        this.updateCharCount();
+        
+        if (template.autoSend) {
+            this.sendMessage();
+        }
+    }
+    
+    async findLastWebTab() {
+        try {
+            const tabs = await browser.tabs.query({ currentWindow: true });
+            const pages = tabs.filter(tab => /^(https?|file):/.test(tab.url || ''));
+            pages.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+            return pages[0] || null;
+        } catch (error) {
+            console.error('Failed to find a page for the prompt template:', error);
+            return null;
+        }
+    }
+    
+    async loadPresets() {
+        try {
+            await this.presets.load();
+            this.defaultPresetId = await this.presets.getDefaultId();
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+        }
+        this.renderPresetOptions();
+    }
+    
+    renderPresetOptions() {
+        const select = this.elements.sessionPreset;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'No preset';
+        const options = this.presets.presets.map(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            return option;
+        });
+        select.replaceChildren(none, ...options);
+        // A deleted preset leaves its settings on the chat but no longer names it
+        select.value = this.presets.get(this.sessionSettings.presetId) ? this.sessionSettings.presetId : '';
+    }
+    
+    /**
+     * Copy a preset's prompt and parameters into this chat; later edits stay with the chat
+     */
+    applyPreset(presetId) {
+        const preset = this.presets.get(presetId);
+        if (!preset) {
+            this.sessionSettings.presetId = null;
         } else {
-            this.chatSessions.unshift({
-                id: this.currentSessionId,
-                title: userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : ''),
-                lastMessage: userMessage,
-                timestamp: new Date(),
-                messageCount: 1
+            this.sessionSettings = this.getPresetSettings(preset);
+            if (preset.model && preset.model !== this.currentModel) {
+                this.restoreSessionModel(preset.model);
+                this.refreshContextLength();
+            }
+            console.log('🎭 Applied preset:', preset.name);
+        }
+        this.renderSessionSettings();
+        this.updateTokenMeter();
+        
+        if (this.currentSession) {
+            this.saveCurrentSession({ touch: false });
+        }
+    }
+    
+    async saveSettingsAsPreset() {
+        this.readSessionSettings();
+        const current = this.presets.get(this.sessionSettings.presetId);
+        const name = prompt('Preset name', current ? `${current.name} (copy)` : '');
+        if (!name || !name.trim()) return;
+        
+        try {
+            const preset = await this.presets.save({
+                name: name,
+                systemPrompt: this.sessionSettings.systemPrompt,
+                temperature: this.sessionSettings.temperature,
+                maxTokens: this.sessionSettings.maxTokens,
+                stop: this.sessionSettings.stop,
+                model: this.currentModel
             });
+            this.sessionSettings.presetId = preset.id;
+            this.renderPresetOptions();
+            if (this.currentSession) {
+                this.saveCurrentSession({ touch: false });
+            }
+        } catch (error) {
+            this.addMessage(`❌ Could not save the preset: ${error.message}`, 'system');
+        }
+    }
+    
+    getSessionParameters() {
+        return { temperature: this.sessionSettings.temperature, maxTokens: this.sessionSettings.maxTokens, stop: this.sessionSettings.stop };
+    }
+    
+    createSessionRecord(title) {
+        const now = new Date().toISOString();
+        return {
+            id: this.generateSessionId(),
+            title: title,
+            createdAt: now,
+            updatedAt: now,
+            pinned: false,
+            archived: false,
+            model: this.currentModel,
+            presetId: this.sessionSettings.presetId,
+            systemPrompt: this.sessionSettings.systemPrompt,
+            parameters: this.getSessionParameters(),
+            nodes: this.createMessageTree()
+        };
+    }
+    
+    /**
+     * Add one exchange to the open session, creating the session on the first message
+     * @param {string} parentId - Message the exchange replies to
+     * @param {string} userMessage - What the user typed
+     * @param {string} sentMessage - What the model received, including any page context or search results
+     * @param {Object} reply - Result of callLMStudio
+     * @param {Object} extras - attachments: summaries of the files sent; sources: the page and search results used
+     * @returns {{userNode: Object, assistantNode: Object}}
+     */
+    recordExchange(parentId, userMessage, sentMessage, reply, { attachments = [], sources = {} } = {}) {
+        if (!this.currentSession) {
+            this.currentSession = this.createSessionRecord(userMessage.substring(0, 50) + (userMessage.length > 50 ? '...' : ''));
+            this.currentSessionId = this.currentSession.id;
+        }
+        // A new chat was started while the reply was arriving
+        if (!this.currentSession.nodes[parentId]) {
+            parentId = LMStudioChatApp.ROOT_NODE_ID;
         }
         
-        this.updateChatSessions();
-        this.saveData();
+        const timestamp = new Date().toISOString();
+        const userEntry = { role: 'user', content: sentMessage, timestamp: timestamp };
+        if (sentMessage !== userMessage) {
+            userEntry.display = userMessage;
+        }
+        if (attachments.length > 0) {
+            userEntry.attachments = attachments;
+        }
+        if (Object.keys(sources).length > 0) {
+            userEntry.sources = sources;
+        }
+        const userNode = this.addMessageNode(this.currentSession, parentId, userEntry);
+        const assistantNode = this.addMessageNode(this.currentSession, userNode.id, this.createReplyEntry(reply, timestamp));
+        
+        this.branchPointId = null;
+        this.saveCurrentSession();
+        return { userNode, assistantNode };
     }
     
-    updateChatSessions() {
-        this.elements.chatSessions.innerHTML = '';
-        this.chatSessions.forEach(session => {
-            const sessionDiv = document.createElement('div');
-            sessionDiv.className = `chat-session ${session.id === this.currentSessionId ? 'active' : ''}`;
-            sessionDiv.innerHTML = `
-                <div class="session-title">${session.title}</div>
-                <div class="session-preview">${session.lastMessage}</div>
-                <div class="session-time">${session.timestamp.toLocaleDateString()}</div>
-            `;
-            sessionDiv.addEventListener('click', () => this.loadSession(session.id));
-            this.elements.chatSessions.appendChild(sessionDiv);
+    // Message tree - every message is a node under a root node. Editing a message or
+    // regenerating a reply adds a sibling instead of overwriting it, and each node
+    // remembers which child was viewed last; following those from the root gives
+    // the conversation on screen
+    
+    createMessageTree() {
+        const rootId = LMStudioChatApp.ROOT_NODE_ID;
+        return { [rootId]: { id: rootId, parentId: null, role: 'root', children: [], activeChild: null } };
+    }
+    
+    generateNodeId() {
+        return 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+    
+    // Sessions saved before branching kept a flat message list, which becomes a single branch
+    ensureMessageTree(session) {
+        if (!session.nodes) {
+            session.nodes = this.createMessageTree();
+            let parentId = LMStudioChatApp.ROOT_NODE_ID;
+            (session.messages || []).forEach(message => {
+                parentId = this.addMessageNode(session, parentId, message).id;
+            });
+        }
+        delete session.messages;
+        return session;
+    }
+    
+    addMessageNode(session, parentId, message) {
+        const node = { ...message, id: this.generateNodeId(), parentId: parentId, children: [], activeChild: null };
+        const parent = session.nodes[parentId];
+        session.nodes[node.id] = node;
+        parent.children.push(node.id);
+        parent.activeChild = node.id;
+        return node;
+    }
+    
+    // finishReason 'length' or 'stopped', or no visible text at all, marks a reply that can be continued
+    createReplyEntry(reply, timestamp = new Date().toISOString()) {
+        const entry = { role: 'assistant', content: reply.content, timestamp: timestamp, model: reply.model, finishReason: reply.finishReason };
+        if (reply.temperature !== undefined) {
+            entry.temperature = reply.temperature;
+        }
+        // Kept for display only; getHistoryMessages never sends it back to the model
+        if (reply.reasoning) {
+            entry.reasoning = reply.reasoning;
+        }
+        return entry;
+    }
+    
+    /**
+     * Messages on the active branch, from the first one down
+     * @param {string} stopAt - Leave out everything after this message
+     */
+    getActivePath(session = this.currentSession, stopAt = null) {
+        const path = [];
+        if (!session) return path;
+        
+        let node = session.nodes[LMStudioChatApp.ROOT_NODE_ID];
+        while (node.id !== stopAt && session.nodes[node.activeChild]) {
+            node = session.nodes[node.activeChild];
+            path.push(node);
+        }
+        return path;
+    }
+    
+    // Conversation leading up to and including a message, as sent to the model; the
+    // node ids let the context budgeter cache summaries of turns that no longer fit
+    getHistoryMessages(nodeId) {
+        const history = [];
+        const nodes = this.currentSession ? this.currentSession.nodes : {};
+        let node = nodes[nodeId];
+        while (node && node.role !== 'root') {
+            const message = { id: node.id, role: node.role, content: node.content };
+            const images = (node.attachments || []).filter(attachment => attachment.kind === 'image');
+            if (images.length > 0) message.images = images;
+            history.unshift(message);
+            node = nodes[node.parentId];
+        }
+        return history;
+    }
+    
+    getReplyParentId() {
+        if (this.branchPointId) return this.branchPointId;
+        const path = this.getActivePath();
+        return path.length > 0 ? path[path.length - 1].id : LMStudioChatApp.ROOT_NODE_ID;
+    }
+    
+    renderConversation() {
+        this.clearMessages();
+        const path = this.getActivePath(this.currentSession, this.branchPointId);
+        if (path.length === 0) {
+            this.addWelcomeMessage();
+        }
+        path.forEach(node => {
+            this.addMessage(node.display || node.content, node.role, new Date(node.timestamp), node);
         });
+        this.updateTokenMeter();
     }
     
-    loadSession(sessionId) {
-        // This is a simplified version - in a full implementation,
-        // you'd store and restore the full chat history for each session
-        this.currentSessionId = sessionId;
-        this.updateChatSessions();
+    switchBranch(nodeId, offset) {
+        if (this.elements.sendBtn.disabled || !this.currentSession) return;
+        
+        const parent = this.currentSession.nodes[this.currentSession.nodes[nodeId].parentId];
+        const index = parent.children.indexOf(nodeId) + offset;
+        if (index < 0 || index >= parent.children.length) return;
+        
+        parent.activeChild = parent.children[index];
+        this.branchPointId = null;
+        this.renderConversation();
+        this.saveCurrentSession({ touch: false });
+    }
+    
+    // Later messages stay in the tree; the next message starts a new branch after this one
+    continueFromMessage(nodeId) {
+        if (this.elements.sendBtn.disabled) return;
+        
+        this.branchPointId = nodeId;
+        this.renderConversation();
+        this.addMessage('Continuing from here. Your next message starts a new branch; the rest of the conversation is kept.', 'system');
+        this.elements.messageInput.focus();
+    }
+    
+    startEditingMessage(messageDiv, nodeId) {
+        if (this.elements.sendBtn.disabled) return;
+        
+        const node = this.currentSession.nodes[nodeId];
+        const original = Array.from(messageDiv.childNodes);
+        const cancel = () => messageDiv.replaceChildren(...original);
+        
+        const editor = document.createElement('textarea');
+        editor.className = 'message-editor';
+        editor.value = node.display || node.content;
+        editor.rows = Math.min(10, editor.value.split('\n').length + 1);
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.editMessage(nodeId, editor.value);
+            } else if (e.key === 'Escape') {
+                cancel();
+            }
+        });
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-actions';
+        const send = document.createElement('button');
+        send.textContent = 'Send as new branch';
+        send.addEventListener('click', () => this.editMessage(nodeId, editor.value));
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', cancel);
+        buttons.append(send, cancelBtn);
+        
+        messageDiv.replaceChildren(editor, buttons);
+        editor.focus();
+    }
+    
+    /**
+     * Send an edited copy of a user message as a sibling of the original
+     */
+    async editMessage(nodeId, text) {
+        const message = text.trim();
+        if (!message || this.elements.sendBtn.disabled) return;
+        
+        if (!this.isConnected) {
+            this.addMessage('❌ Not connected to LM Studio. Please check connection.', 'system');
+            return;
+        }
+        
+        // The edited message keeps the original's attachments, chosen again for the new wording
+        const node = this.currentSession.nodes[nodeId];
+        const attachments = await this.attachmentProcessor.load((node.attachments || []).map(attachment => attachment.id));
+        
+        this.branchPointId = node.parentId;
+        this.renderConversation();
+        await this.submitMessage(message, attachments);
     }
     
-    handleFileSelect(files) {
-        Array.from(files).forEach(file => {
-            if (file.size > 1024 * 1024) { // 1MB limit
-                alert('File too large. Please select files under 1MB.');
+    /**
+     * Ask for another answer to the same message, kept as a sibling of the reply
+     */
+    async regenerateReply(nodeId, overrides = {}) {
+        if (this.elements.sendBtn.disabled || !this.currentSession) return;
+        
+        if (!this.isConnected) {
+            this.addMessage('❌ Not connected to LM Studio. Please check connection.', 'system');
+            return;
+        }
+        
+        const session = this.currentSession;
+        const userNode = session.nodes[session.nodes[nodeId].parentId];
+        this.branchPointId = userNode.id;
+        this.renderConversation();
+        this.elements.sendBtn.disabled = true;
+        
+        try {
+            this.addLoadingMessage('🔄 Regenerating response...');
+            const images = (userNode.attachments || []).filter(attachment => attachment.kind === 'image');
+            const reply = await this.callLMStudio(userNode.content, this.getHistoryMessages(userNode.parentId), { ...overrides, images });
+            this.removeLoadingMessage();
+            this.branchPointId = null;
+            if (reply.finishReason === 'stopped' && !reply.content) {
+                this.renderConversation();
+                this.addMessage('⏹️ Stopped before the model replied.', 'system');
                 return;
             }
             
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const content = e.target.result;
-                this.elements.pasteContent.value += `\n\n--- ${file.name} ---\n${content}`;
-            };
-            reader.readAsText(file);
+            const assistantNode = this.addMessageNode(session, userNode.id, this.createReplyEntry(reply));
+            this.addMessage(reply.content, 'assistant', new Date(), assistantNode);
+            this.saveCurrentSession();
+        } catch (error) {
+            this.removeLoadingMessage();
+            this.branchPointId = null;
+            this.renderConversation();
+            this.addMessage(`Error: ${error.message}`, 'system');
+        } finally {
+            this.elements.sendBtn.disabled = false;
+            this.updateTokenMeter();
+        }
+    }
+    
+    /**
+     * Inline form for regenerating with a different model or temperature
+     */
+    showRegenerateOptions(messageDiv, node) {
+        if (this.elements.sendBtn.disabled) return;
+        
+        const existing = messageDiv.querySelector('.regenerate-options');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        
+        const form = document.createElement('div');
+        form.className = 'regenerate-options';
+        
+        const modelSelect = document.createElement('select');
+        Array.from(this.elements.modelSelect.options).forEach(option => {
+            if (!option.value) return;
+            const copy = document.createElement('option');
+            copy.value = option.value;
+            copy.textContent = option.textContent;
+            modelSelect.appendChild(copy);
         });
+        modelSelect.value = node.model || this.currentModel || '';
+        modelSelect.title = 'Model';
+        
+        const temperature = document.createElement('input');
+        temperature.type = 'number';
+        temperature.min = '0';
+        temperature.max = '2';
+        temperature.step = '0.1';
+        temperature.placeholder = 'Temperature';
+        temperature.title = 'Temperature (empty uses the chat setting)';
+        if (node.temperature !== undefined) temperature.value = node.temperature;
+        
+        const regenerate = document.createElement('button');
+        regenerate.textContent = 'Regenerate';
+        regenerate.addEventListener('click', () => {
+            const value = parseFloat(temperature.value);
+            form.remove();
+            this.regenerateReply(node.id, {
+                model: modelSelect.value || null,
+                temperature: isNaN(value) ? null : Math.min(Math.max(value, 0), 2)
+            });
+        });
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => form.remove());
+        
+        form.append(modelSelect, temperature, regenerate, cancel);
+        messageDiv.appendChild(form);
+    }
+    
+    canContinueReply(node) {
+        return node.role === 'assistant' && node.children.length === 0 &&
+            (node.finishReason === 'length' || node.finishReason === 'stopped' || !node.content);
+    }
+    
+    /**
+     * Ask the model to extend a reply that hit the token limit or was stopped.
+     * The continuation is appended to the same message, so the branch stays one exchange.
+     */
+    async continueReply(nodeId) {
+        if (this.elements.sendBtn.disabled || !this.currentSession) return;
+        
+        if (!this.isConnected) {
+            this.addMessage('❌ Not connected to LM Studio. Please check connection.', 'system');
+            return;
+        }
+        
+        const session = this.currentSession;
+        const node = session.nodes[nodeId];
+        if (!this.canContinueReply(node)) return;
+        
+        // The streaming bubble shows the reply so far, so hide the finished one meanwhile
+        this.branchPointId = node.parentId;
+        this.renderConversation();
+        this.elements.sendBtn.disabled = true;
+        
+        try {
+            const reply = await this.callLMStudio(LMStudioChatApp.CONTINUE_PROMPT, this.getHistoryMessages(nodeId), {
+                model: node.model,
+                temperature: node.temperature,
+                prefix: node.content
+            });
+            if (reply.content) {
+                node.content += reply.content;
+                node.finishReason = reply.finishReason;
+                if (reply.reasoning) {
+                    node.reasoning = [node.reasoning, reply.reasoning].filter(Boolean).join('\n\n');
+                }
+                // A summary that covered the shorter reply no longer matches it
+                if (session.summaries) delete session.summaries[nodeId];
+                this.saveCurrentSession();
+            }
+            this.branchPointId = null;
+            this.renderConversation();
+        } catch (error) {
+            this.branchPointId = null;
+            this.renderConversation();
+            this.addMessage(`Error: ${error.message}`, 'system');
+        } finally {
+            this.elements.sendBtn.disabled = false;
+        }
+    }
+    
+    stopGeneration() {
+        if (this.activeRequest) {
+            this.activeRequest.abort();
+        }
+    }
+    
+    // While a reply streams, the send button turns into a stop button
+    setGenerating(active) {
+        this.elements.stopBtn.hidden = !active;
+        this.elements.sendBtn.hidden = active;
+    }
+    
+    /**
+     * Store the open session with the current model and chat settings
+     * @param {Object} options - touch: false keeps its place in the history list
+     */
+    async saveCurrentSession({ touch = true } = {}) {
+        const session = this.currentSession;
+        if (!session) return;
+        
+        session.model = this.currentModel;
+        session.presetId = this.sessionSettings.presetId;
+        session.systemPrompt = this.sessionSettings.systemPrompt;
+        session.parameters = this.getSessionParameters();
+        if (touch) {
+            session.updatedAt = new Date().toISOString();
+        }
+        
+        this.sessionCache.set(session.id, session);
+        this.upsertSessionSummary(session);
+        this.updateChatSessions();
+        
+        try {
+            await browser.storage.local.set({ [this.getSessionKey(session.id)]: session });
+        } catch (error) {
+            console.error('Failed to save chat session:', error);
+        }
+        await this.saveData();
+    }
+    
+    getSessionSummary(session) {
+        const path = this.getActivePath(session);
+        const lastUserMessage = [...path].reverse().find(message => message.role === 'user');
+        return {
+            id: session.id,
+            title: session.title,
+            lastMessage: lastUserMessage ? (lastUserMessage.display || lastUserMessage.content).substring(0, 100) : (session.lastMessage || ''),
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            messageCount: path.length || session.messageCount || 0,
+            pinned: session.pinned,
+            archived: session.archived,
+            model: session.model
+        };
+    }
+    
+    upsertSessionSummary(session) {
+        const summary = this.getSessionSummary(session);
+        const index = this.chatSessions.findIndex(s => s.id === session.id);
+        if (index === -1) {
+            this.chatSessions.unshift(summary);
+        } else {
+            this.chatSessions[index] = summary;
+        }
     }
     
+    // Summaries saved by older versions only had a title, lastMessage and a Date timestamp
+    normalizeSessionSummary(session) {
+        const timestamp = new Date(session.updatedAt || session.timestamp || Date.now()).toISOString();
+        return {
+            id: String(session.id),
+            title: session.title || 'Untitled chat',
+            lastMessage: session.lastMessage || '',
+            createdAt: session.createdAt || timestamp,
+            updatedAt: timestamp,
+            messageCount: session.messageCount || 0,
+            pinned: Boolean(session.pinned),
+            archived: Boolean(session.archived),
+            model: session.model || null
+        };
+    }
+    
+    async getSessionRecord(sessionId) {
+        if (this.sessionCache.has(sessionId)) {
+            return this.sessionCache.get(sessionId);
+        }
+        
+        const key = this.getSessionKey(sessionId);
+        const result = await browser.storage.local.get(key);
+        let session = result[key];
+        if (!session) {
+            const summary = this.chatSessions.find(s => s.id === sessionId);
+            if (!summary) return null;
+            // Sessions from before full history was kept have no stored messages
+            session = { ...this.createSessionRecord(summary.title), ...summary };
+        }
+        
+        this.ensureMessageTree(session);
+        this.sessionCache.set(sessionId, session);
+        return session;
+    }
+    
+    async loadAllSessionRecords() {
+        const missing = this.chatSessions.filter(s => !this.sessionCache.has(s.id));
+        if (missing.length === 0) return;
+        
+        const result = await browser.storage.local.get(missing.map(s => this.getSessionKey(s.id)));
+        missing.forEach(summary => {
+            const session = result[this.getSessionKey(summary.id)];
+            this.sessionCache.set(summary.id, this.ensureMessageTree(session || { ...summary }));
+        });
+    }
+    
+    async loadSession(sessionId) {
+        // Switching while a reply is still arriving would file it under the wrong chat
+        if (this.elements.sendBtn.disabled) return;
+        
+        const session = await this.getSessionRecord(sessionId);
+        if (!session) {
+            this.addMessage('That chat could not be found.', 'system');
+            return;
+        }
+        
+        this.currentSession = session;
+        this.currentSessionId = session.id;
+        this.branchPointId = null;
+        this.sessionSettings = {
+            presetId: session.presetId || null,
+            systemPrompt: session.systemPrompt || '',
+            temperature: session.parameters?.temperature ?? null,
+            maxTokens: session.parameters?.maxTokens ?? null,
+            stop: session.parameters?.stop || []
+        };
+        this.renderSessionSettings();
+        
+        this.renderConversation();
+        this.restoreSessionModel(session.model);
+        
+        this.updateChatSessions();
+        this.saveData();
+    }
+    
+    restoreSessionModel(model) {
+        if (!model) return;
+        
+        const available = Array.from(this.elements.modelSelect.options).some(option => option.value === model);
+        const modelsLoaded = this.elements.modelSelect.options.length > 1;
+        if (available || !modelsLoaded) {
+            // Before the model list arrives, updateModelList keeps this choice if the model exists
+            this.currentModel = model;
+            if (available) this.elements.modelSelect.value = model;
+        } else {
+            this.addMessage(`This chat used ${model}, which is not loaded. Continuing with ${this.currentModel || 'the default model'}.`, 'system');
+        }
+    }
+    
+    async updateSessionMeta(sessionId, changes) {
+        const session = await this.getSessionRecord(sessionId);
+        if (!session) return;
+        
+        Object.assign(session, changes);
+        this.upsertSessionSummary(session);
+        this.updateChatSessions();
+        
+        try {
+            await browser.storage.local.set({ [this.getSessionKey(sessionId)]: session });
+        } catch (error) {
+            console.error('Failed to update chat session:', error);
+        }
+        await this.saveData();
+    }
+    
+    renameSession(sessionId) {
+        const summary = this.chatSessions.find(s => s.id === sessionId);
+        if (!summary) return;
+        
+        const title = prompt('Rename chat', summary.title);
+        if (title && title.trim()) {
+            this.updateSessionMeta(sessionId, { title: title.trim() });
+        }
+    }
+    
+    togglePinSession(sessionId) {
+        const summary = this.chatSessions.find(s => s.id === sessionId);
+        if (summary) {
+            this.updateSessionMeta(sessionId, { pinned: !summary.pinned });
+        }
+    }
+    
+    toggleArchiveSession(sessionId) {
+        const summary = this.chatSessions.find(s => s.id === sessionId);
+        if (summary) {
+            this.updateSessionMeta(sessionId, { archived: !summary.archived });
+        }
+    }
+    
+    async deleteSession(sessionId) {
+        if (!confirm('Delete this chat? This cannot be undone.')) return;
+        
+        // Read before it leaves the index, to find the attachments it owns
+        const session = await this.getSessionRecord(sessionId).catch(() => null);
+        this.chatSessions = this.chatSessions.filter(s => s.id !== sessionId);
+        this.sessionCache.delete(sessionId);
+        if (this.sessionSearchResults) {
+            this.sessionSearchResults = this.sessionSearchResults.filter(result => result.session.id !== sessionId);
+        }
+        
+        try {
+            await browser.storage.local.remove(this.getSessionKey(sessionId));
+            if (session) {
+                await this.attachmentProcessor.remove(this.getAttachmentIds(session));
+            }
+        } catch (error) {
+            console.error('Failed to delete chat session:', error);
+        }
+        
+        if (sessionId === this.currentSessionId) {
+            this.startNewChat();
+        } else {
+            this.updateChatSessions();
+            await this.saveData();
+        }
+    }
+    
+    /**
+     * Full-text search over the titles and messages of every saved chat, archived ones and
+     * inactive branches included
+     */
+    async searchSessions(query) {
+        const needle = query.trim().toLowerCase();
+        this.sessionSearchQuery = needle;
+        if (!needle) {
+            this.sessionSearchResults = null;
+            this.updateChatSessions();
+            return;
+        }
+        
+        await this.loadAllSessionRecords();
+        // A newer search has started while the sessions were loading
+        if (needle !== this.sessionSearchQuery) return;
+        
+        const results = [];
+        this.chatSessions.forEach(summary => {
+            const session = this.sessionCache.get(summary.id) || { nodes: {} };
+            const match = Object.values(session.nodes).find(message =>
+                message.role !== 'root' && (message.display || message.content).toLowerCase().includes(needle)
+            );
+            if (match) {
+                results.push({ session: summary, snippet: this.getSearchSnippet(match.display || match.content, needle) });
+            } else if (summary.title.toLowerCase().includes(needle)) {
+                results.push({ session: summary, snippet: summary.lastMessage });
+            }
+        });
+        
+        this.sessionSearchResults = results;
+        this.updateChatSessions();
+    }
+    
+    getSearchSnippet(text, needle) {
+        const index = text.toLowerCase().indexOf(needle);
+        const start = Math.max(0, index - 40);
+        const snippet = text.substring(start, index + needle.length + 60).replace(/\s+/g, ' ');
+        return (start > 0 ? '…' : '') + snippet + (index + needle.length + 60 < text.length ? '…' : '');
+    }
+    
+    sortSessions(entries) {
+        return entries.sort((a, b) =>
+            (b.session.pinned - a.session.pinned) || b.session.updatedAt.localeCompare(a.session.updatedAt)
+        );
+    }
+    
+    updateChatSessions() {
+        const entries = this.sessionSearchQuery && this.sessionSearchResults
+            ? [...this.sessionSearchResults]
+            : this.chatSessions
+                .filter(session => this.showArchived || !session.archived)
+                .map(session => ({ session: session, snippet: session.lastMessage }));
+        
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'session-empty';
+            empty.textContent = this.sessionSearchQuery ? 'No chats match your search' : 'No saved chats yet';
+            this.elements.chatSessions.replaceChildren(empty);
+            return;
+        }
+        
+        this.elements.chatSessions.replaceChildren(...this.sortSessions(entries).map(({ session, snippet }) =>
+            this.createSessionElement(session, snippet)
+        ));
+    }
+    
+    createSessionElement(session, snippet) {
+        const sessionDiv = document.createElement('div');
+        sessionDiv.className = 'chat-session';
+        sessionDiv.classList.toggle('active', session.id === this.currentSessionId);
+        sessionDiv.classList.toggle('pinned', session.pinned);
+        sessionDiv.classList.toggle('archived', session.archived);
+        
+        const header = document.createElement('div');
+        header.className = 'session-header';
+        
+        const title = document.createElement('div');
+        title.className = 'session-title';
+        title.textContent = (session.pinned ? '📌 ' : '') + (session.archived ? '🗄️ ' : '') + session.title;
+        title.title = session.title;
+        header.appendChild(title);
+        
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+        [
+            ['📌', session.pinned ? 'Unpin' : 'Pin', () => this.togglePinSession(session.id)],
+            ['✏️', 'Rename', () => this.renameSession(session.id)],
+            ['🗄️', session.archived ? 'Unarchive' : 'Archive', () => this.toggleArchiveSession(session.id)],
+            ['🗑️', 'Delete', () => this.deleteSession(session.id)]
+        ].forEach(([icon, label, handler]) => {
+            const button = document.createElement('button');
+            button.className = 'session-action-btn';
+            button.textContent = icon;
+            button.title = label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            actions.appendChild(button);
+        });
+        header.appendChild(actions);
+        sessionDiv.appendChild(header);
+        
+        const preview = document.createElement('div');
+        preview.className = 'session-preview';
+        preview.textContent = snippet;
+        sessionDiv.appendChild(preview);
+        
+        const time = document.createElement('div');
+        time.className = 'session-time';
+        time.textContent = `${new Date(session.updatedAt).toLocaleDateString()} · ${session.messageCount} messages`;
+        sessionDiv.appendChild(time);
+        
+        sessionDiv.addEventListener('click', () => this.loadSession(session.id));
+        return sessionDiv;
+    }
+    
+    // Attachments - files are read as soon as they are picked and wait as chips above
+    // the message box; they are stored with the message once it has been answered
+    
+    showFileModal() {
+        this.elements.fileModal.style.display = 'block';
+        this.elements.pasteContent.focus();
+    }
+    
+    hideFileModal() {
+        this.elements.fileModal.style.display = 'none';
+    }
+    
+    async handleFileSelect(files) {
+        const picked = Array.from(files || []);
+        if (picked.length === 0) return;
+        this.hideFileModal();
+        
+        await Promise.all(picked.map(async (file) => {
+            const pending = { key: this.attachmentProcessor.generateAttachmentId(), name: file.name, status: 'processing', attachment: null };
+            this.pendingAttachments.push(pending);
+            this.renderAttachmentChips();
+            
+            try {
+                pending.attachment = await this.attachmentProcessor.process(file);
+                pending.status = 'ready';
+                console.log('📎 Attached', file.name, pending.attachment.kind, pending.attachment.text ? `${pending.attachment.text.length} characters` : '');
+            } catch (error) {
+                console.error('Failed to read attachment:', error);
+                this.pendingAttachments = this.pendingAttachments.filter(entry => entry !== pending);
+                this.addMessage(`📎 ${error.message}`, 'system');
+            }
+            this.renderAttachmentChips();
+        }));
+        this.updateTokenMeter();
+    }
+    
+    // Pasted text is attached like a file instead of going into the message box
     confirmAttachment() {
         const content = this.elements.pasteContent.value.trim();
         if (content) {
-            this.elements.messageInput.value += `\n\n${content}`;
-            this.autoResizeTextarea();
-            this.updateCharCount();
+            const attachment = this.attachmentProcessor.fromText(content);
+            this.pendingAttachments.push({ key: attachment.id, name: attachment.name, status: 'ready', attachment });
+            this.renderAttachmentChips();
+            this.updateTokenMeter();
         }
         this.elements.pasteContent.value = '';
-        this.elements.fileModal.style.display = 'none';
+        this.hideFileModal();
     }
     
-    exportChat() {
-        const chatData = {
-            timestamp: new Date().toISOString(),
-            model: this.currentModel,
-            messages: this.chatHistory
-        };
+    removePendingAttachment(key) {
+        this.pendingAttachments = this.pendingAttachments.filter(pending => pending.key !== key);
+        this.renderAttachmentChips();
+        this.updateTokenMeter();
+    }
+    
+    restorePendingAttachments(attachments) {
+        attachments.forEach(attachment => {
+            this.pendingAttachments.push({ key: attachment.id, name: attachment.name, status: 'ready', attachment });
+        });
+        this.renderAttachmentChips();
+    }
+    
+    renderAttachmentChips() {
+        const chips = this.pendingAttachments.map(pending => {
+            const summary = pending.attachment ? this.attachmentProcessor.describe(pending.attachment) : { name: pending.name, kind: 'document' };
+            const chip = this.createAttachmentChip(summary, pending.attachment && pending.attachment.dataUrl);
+            if (pending.status === 'processing') {
+                chip.classList.add('processing');
+                chip.title = `Reading ${pending.name}…`;
+            } else if (summary.kind === 'image' && this.modelVision === false) {
+                chip.classList.add('warning');
+                chip.title += '\nThe current model cannot read images; load a vision model to send it';
+            }
+            
+            const remove = document.createElement('button');
+            remove.className = 'attachment-chip-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove';
+            remove.addEventListener('click', () => this.removePendingAttachment(pending.key));
+            chip.appendChild(remove);
+            return chip;
+        });
+        this.elements.attachmentChips.replaceChildren(...chips);
+        this.elements.attachmentChips.hidden = chips.length === 0;
+    }
+    
+    addAttachmentChips(messageDiv, summaries) {
+        const chips = this.createAttachmentChips(summaries);
+        messageDiv.insertBefore(chips, messageDiv.querySelector('.message-time'));
+        return chips;
+    }
+    
+    createAttachmentChips(summaries) {
+        const container = document.createElement('div');
+        container.className = 'attachment-chips';
+        summaries.forEach(summary => container.appendChild(this.createAttachmentChip(summary)));
+        return container;
+    }
+    
+    createAttachmentChip(summary, thumbnail = null) {
+        const chip = document.createElement('span');
+        chip.className = `attachment-chip ${summary.kind}`;
         
-        const blob = new Blob([JSON.stringify(chatData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `lm-studio-chat-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
+        if (thumbnail) {
+            const image = document.createElement('img');
+            image.className = 'attachment-thumbnail';
+            image.src = thumbnail;
+            image.alt = '';
+            chip.appendChild(image);
+        } else {
+            const icon = document.createElement('span');
+            icon.className = 'attachment-icon';
+            icon.textContent = summary.kind === 'image' ? '🖼️' : '📄';
+            chip.appendChild(icon);
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = summary.name;
+        chip.appendChild(name);
+        
+        const details = [AttachmentProcessor.FORMAT_LABELS[summary.format] || 'File'];
+        if (summary.size) details.push(this.formatFileSize(summary.size));
+        if (summary.pages) details.push(`${summary.pages} page${summary.pages === 1 ? '' : 's'}`);
+        if (summary.rows) details.push(`${summary.rows} rows`);
+        if (summary.sections > 1) {
+            const meta = document.createElement('span');
+            meta.className = 'attachment-meta';
+            meta.textContent = `${summary.used}/${summary.sections}`;
+            chip.appendChild(meta);
+            details.push(`${summary.used} of ${summary.sections} sections sent, picked for the question`);
+        }
+        chip.title = details.join(' · ');
+        return chip;
     }
     
-    exportChat() {
-        const chatData = {
-            timestamp: new Date().toISOString(),
-            model: this.currentModel,
-            messages: this.chatHistory
-        };
-
-        const blob = new Blob([JSON.stringify(chatData, null, 2)], { type: 'application/json' });
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    
+    getAttachmentIds(session) {
+        const ids = new Set();
+        Object.values(session.nodes || {}).forEach(node => {
+            // Imported chats describe their attachments but do not own stored copies
+            (node.attachments || []).filter(attachment => attachment.id).forEach(attachment => ids.add(attachment.id));
+        });
+        return Array.from(ids);
+    }
+    
+    // Export and import - Markdown, HTML and text show the branch that is open in each chat;
+    // JSON keeps every branch and is what the importer reads back
+    
+    showExportModal() {
+        this.elements.exportScope.value = this.currentSession ? 'current' : 'all';
+        this.elements.exportScope.options[0].disabled = !this.currentSession;
+        this.elements.exportModal.style.display = 'block';
+    }
+    
+    hideExportModal() {
+        this.elements.exportModal.style.display = 'none';
+    }
+    
+    async exportChats() {
+        const format = this.elements.exportFormat.value;
+        try {
+            let sessions;
+            if (this.elements.exportScope.value === 'current') {
+                sessions = this.currentSession ? [this.currentSession] : [];
+            } else {
+                await this.loadAllSessionRecords();
+                sessions = this.chatSessions.map(summary => this.sessionCache.get(summary.id)).filter(Boolean);
+            }
+            if (sessions.length === 0) {
+                this.addMessage('📤 There are no chats to export yet.', 'system');
+                this.hideExportModal();
+                return;
+            }
+            
+            const chats = sessions.map(session => ({ session, messages: this.getActivePath(session) }));
+            const options = format === 'html'
+                ? { renderMarkdown: (text) => this.renderMarkdownHTML(text), stylesheet: await this.getMarkdownStylesheet() }
+                : {};
+            const content = this.exporter.serialize(chats, format, options);
+            this.downloadFile(content, this.exporter.getFileName(chats, format), ChatExporter.FORMATS[format].mimeType);
+            this.hideExportModal();
+            console.log(`📤 Exported ${chats.length} chat(s) as ${format}`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.addMessage(`❌ Export failed: ${error.message}`, 'system');
+        }
+    }
+    
+    // Rendered like the chat shows it, minus the copy buttons that would not work in a saved page
+    renderMarkdownHTML(text) {
+        const container = document.createElement('div');
+        this.markdown.renderInto(container, text);
+        container.querySelectorAll('.code-copy-btn').forEach(button => button.remove());
+        return container.innerHTML;
+    }
+    
+    async getMarkdownStylesheet() {
+        try {
+            const response = await fetch(browser.runtime.getURL('styles/markdown.css'));
+            return await response.text();
+        } catch (error) {
+            console.warn('Markdown styles not included in the export:', error.message);
+            return '';
+        }
+    }
+    
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `lm-studio-chat-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = fileName;
         a.click();
-        URL.revokeObjectURL(url);
+        // Revoking straight away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Add the chats in an exported file as new sessions; nothing already saved is replaced
+     */
+    async importChats(file) {
+        this.hideExportModal();
+        try {
+            const imported = this.exporter.parse(await file.text());
+            const records = imported.map(({ nodes, messages, ...fields }) => {
+                const session = { ...this.createSessionRecord(fields.title), ...fields, presetId: null, summaries: {} };
+                if (nodes) {
+                    // Node ids only need to be unique within their own chat, so the tree is kept as it is
+                    session.nodes = nodes;
+                } else {
+                    session.nodes = null;
+                    session.messages = messages;
+                    this.ensureMessageTree(session);
+                }
+                return session;
+            });
+            
+            await browser.storage.local.set(Object.fromEntries(records.map(session => [this.getSessionKey(session.id), session])));
+            records.forEach(session => {
+                this.sessionCache.set(session.id, session);
+                this.upsertSessionSummary(session);
+            });
+            this.updateChatSessions();
+            await this.saveData();
+            
+            this.addMessage(`📥 Imported ${records.length} chat${records.length === 1 ? '' : 's'} from ${file.name}.`, 'system');
+            console.log('📥 Imported chats:', records.map(session => session.title));
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.addMessage(`❌ Could not import ${file.name}: ${error.message}`, 'system');
+        }
     }
     
     addAdvancedDebugInfo(responseData, requestPayload) {
@@ -984,11 +2697,12 @@ class LMStudioChatApp {
     async loadData() {
         try {
             const result = await browser.storage.local.get([
-                'chatHistory', 'chatSessions', 'searchEnabled', 'contextEnabled', 'autoSearchEnabled', 'advancedMode', 'currentModel'
+                'chatSessions', 'currentChatSessionId', 'searchEnabled', 'contextEnabled', 'knowledgeBaseEnabled', 'autoSearchEnabled', 'deepSearchEnabled', 'searchPlanningEnabled', 'citeSourcesEnabled', 'advancedMode', 'currentModel'
             ]);
 
-            if (result.chatHistory) this.chatHistory = result.chatHistory;
-            if (result.chatSessions) this.chatSessions = result.chatSessions;
+            if (result.chatSessions) {
+                this.chatSessions = result.chatSessions.map(session => this.normalizeSessionSummary(session));
+            }
             if (result.searchEnabled !== undefined) {
                 this.searchEnabled = result.searchEnabled;
                 this.elements.searchToggle.checked = this.searchEnabled;
@@ -997,10 +2711,26 @@ class LMStudioChatApp {
                 this.contextEnabled = result.contextEnabled;
                 this.elements.contextToggle.checked = this.contextEnabled;
             }
+            if (result.knowledgeBaseEnabled !== undefined) {
+                this.knowledgeBaseEnabled = result.knowledgeBaseEnabled;
+                this.elements.knowledgeBaseToggle.checked = this.knowledgeBaseEnabled;
+            }
             if (result.autoSearchEnabled !== undefined) {
                 this.autoSearchEnabled = result.autoSearchEnabled;
                 this.elements.autoSearchToggle.checked = this.autoSearchEnabled;
             }
+            if (result.deepSearchEnabled !== undefined) {
+                this.deepSearchEnabled = result.deepSearchEnabled;
+                this.elements.deepSearchToggle.checked = this.deepSearchEnabled;
+            }
+            if (result.searchPlanningEnabled !== undefined) {
+                this.searchPlanningEnabled = result.searchPlanningEnabled;
+                this.elements.searchPlanningToggle.checked = this.searchPlanningEnabled;
+            }
+            if (result.citeSourcesEnabled !== undefined) {
+                this.citeSourcesEnabled = result.citeSourcesEnabled;
+                this.elements.citeSourcesToggle.checked = this.citeSourcesEnabled;
+            }
             if (result.advancedMode !== undefined) {
                 this.advancedMode = result.advancedMode;
                 this.elements.advancedModeToggle.checked = this.advancedMode;
@@ -1008,6 +2738,18 @@ class LMStudioChatApp {
             if (result.currentModel) {
                 this.currentModel = result.currentModel;
             }
+            await this.loadPresets();
+            await this.loadQuickPrompts();
+            
+            // Reopen the chat that was open last time
+            if (result.currentChatSessionId && this.chatSessions.some(s => s.id === result.currentChatSessionId)) {
+                await this.loadSession(result.currentChatSessionId);
+            } else {
+                this.sessionSettings = this.getDefaultSessionSettings();
+                this.renderSessionSettings();
+                this.updateChatSessions();
+                this.updateTokenMeter();
+            }
         } catch (error) {
             console.error('Failed to load data:', error);
         }
@@ -1016,11 +2758,15 @@ class LMStudioChatApp {
     async saveData() {
         try {
             await browser.storage.local.set({
-                chatHistory: this.chatHistory,
                 chatSessions: this.chatSessions,
+                currentChatSessionId: this.currentSessionId,
                 searchEnabled: this.searchEnabled,
                 contextEnabled: this.contextEnabled,
+                knowledgeBaseEnabled: this.knowledgeBaseEnabled,
                 autoSearchEnabled: this.autoSearchEnabled,
+                deepSearchEnabled: this.deepSearchEnabled,
+                searchPlanningEnabled: this.searchPlanningEnabled,
+                citeSourcesEnabled: this.citeSourcesEnabled,
                 advancedMode: this.advancedMode,
                 currentModel: this.currentModel
             });
@@ -1028,21 +2774,26 @@ class LMStudioChatApp {
             console.error('Failed to save data:', error);
         }
     }
+    
+    async saveSettings() {
+        try {
+            await browser.storage.local.set({
+                searchEnabled: this.searchEnabled,
+                contextEnabled: this.contextEnabled,
+                knowledgeBaseEnabled: this.knowledgeBaseEnabled,
+                autoSearchEnabled: this.autoSearchEnabled,
+                deepSearchEnabled: this.deepSearchEnabled,
+                searchPlanningEnabled: this.searchPlanningEnabled,
+                citeSourcesEnabled: this.citeSourcesEnabled,
+                advancedMode: this.advancedMode,
+                currentModel: this.currentModel
+            });
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+        }
+    }
 }
 
-// Initialize the app
-const app = new LMStudioChatApp();
-
-// Global functions for message actions
-window.copyToClipboard = function(text) {
-    navigator.clipboard.writeText(text);
-};
-
-window.regenerateResponse = function() {
-    // Implement regenerate functionality
-    console.log('Regenerate response');
-};
-
 // Initialize the chat app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     if (!window.chatApp) {
@@ -26,9 +26,9 @@ class CitationGenerator {
             'software': 'Software',
             'dataset': 'Dataset'
         };
-        this.lmStudioUrl = 'http://localhost:1234/v1';
+        this.lmStudio = new LMStudioClient();
         this.storageKey = 'citations';
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -78,6 +78,39 @@ class CitationGenerator {
         return citation;
     }
 
+    // Save the web sources an answer cited; pages that already have a citation are skipped
+    async addSources(sources) {
+        const saved = new Set(this.citations.map(c => c.url).filter(Boolean));
+        const added = [];
+        let skipped = 0;
+
+        for (const source of sources) {
+            if (!source.url || saved.has(source.url)) {
+                skipped++;
+                continue;
+            }
+            saved.add(source.url);
+
+            let publisher = '';
+            try {
+                publisher = new URL(source.url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                // Keep the citation without a publisher
+            }
+            added.push(await this.createCitation({
+                type: 'website',
+                title: source.title,
+                url: source.url,
+                publisher: publisher,
+                publicationDate: source.publishedAt ? String(source.publishedAt).split('T')[0] : '',
+                notes: source.snippet || '',
+                tags: ['chat']
+            }));
+        }
+
+        return { added, skipped };
+    }
+
     // Extract metadata from URL
     async extractMetadata(citation) {
         try {
@@ -162,30 +195,11 @@ class CitationGenerator {
     async generateAICitation(citation, format) {
         const prompt = this.buildCitationPrompt(citation, format);
         
-        const response = await fetch(`${this.lmStudioUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: 'local-model',
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 300
-            })
+        const citationText = await this.lmStudio.complete(prompt, {
+            temperature: 0.1,
+            maxTokens: 300
         });
-
-        if (!response.ok) {
-            throw new Error(`LM Studio API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content.trim();
+        return citationText.trim();
     }
 
     // Build citation prompt for AI
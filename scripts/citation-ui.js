@@ -117,7 +117,7 @@ class CitationUI {
             });
 
             if (response.success) {
-                this.citations = response.citations || [];
+                this.citations = response.data || [];
                 this.applyFilters();
             } else {
                 this.showNotification('Failed to load citations: ' + response.error, 'error');
@@ -627,7 +627,7 @@ class CitationUI {
             });
 
             if (response.success) {
-                const blob = new Blob([response.bibliography], { type: 'text/plain' });
+                const blob = new Blob([response.data], { type: 'text/plain' });
                 const link = document.createElement('a');
                 link.href = URL.createObjectURL(blob);
                 link.download = `bibliography-${format}-${new Date().toISOString().split('T')[0]}.txt`;
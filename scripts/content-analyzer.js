@@ -11,6 +11,7 @@ class ContentAnalyzer {
             includeActionItems: true,
             analysisTypes: ['summary', 'keypoints', 'actionitems', 'insights']
         };
+        this.lmStudio = new LMStudioClient();
         
         this.init();
     }
@@ -158,9 +159,17 @@ class ContentAnalyzer {
     }
 
     extractMainText() {
+        return ContentAnalyzer.extractMainText(document);
+    }
+
+    /**
+     * Main text of a document, with paragraph breaks kept. Works on a copy, so it can
+     * read the live page as well as pages fetched in the background and parsed with DOMParser
+     */
+    static extractMainText(doc) {
         // Remove script, style, and other non-content elements
-        const elementsToRemove = ['script', 'style', 'nav', 'header', 'footer', 'aside', 'advertisement'];
-        const clonedDoc = document.cloneNode(true);
+        const elementsToRemove = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'input', 'select', 'textarea', 'button', 'nav', 'header', 'footer', 'aside', 'advertisement', '[role="navigation"]', '[aria-hidden="true"]'];
+        const clonedDoc = doc.cloneNode(true);
         
         elementsToRemove.forEach(tag => {
             const elements = clonedDoc.querySelectorAll(tag);
@@ -168,7 +177,7 @@ class ContentAnalyzer {
         });
 
         // Try to find main content area
-        let mainContent = '';
+        let mainElement = null;
         const contentSelectors = [
             'main',
             'article',
@@ -183,21 +192,44 @@ class ContentAnalyzer {
 
         for (const selector of contentSelectors) {
             const element = clonedDoc.querySelector(selector);
-            if (element) {
-                mainContent = element.textContent || element.innerText || '';
+            if (element && element.textContent.trim().length > 200) {
+                mainElement = element;
                 break;
             }
         }
 
-        // Fallback to body content if no main content found
-        if (!mainContent) {
-            mainContent = clonedDoc.body?.textContent || clonedDoc.body?.innerText || '';
+        // Otherwise the element holding the most paragraph text, as readability tools do
+        if (!mainElement) {
+            const scores = new Map();
+            clonedDoc.querySelectorAll('p').forEach(paragraph => {
+                const length = paragraph.textContent.trim().length;
+                if (length < 25 || !paragraph.parentElement) return;
+                const parent = paragraph.parentElement;
+                scores.set(parent, (scores.get(parent) || 0) + length);
+            });
+            let best = 0;
+            scores.forEach((score, element) => {
+                if (score > best) {
+                    best = score;
+                    mainElement = element;
+                }
+            });
         }
 
+        // Fallback to body content if no main content found
+        mainElement = mainElement || clonedDoc.body;
+        if (!mainElement) return '';
+
+        // Block elements end their line so paragraphs survive the whitespace cleanup
+        mainElement.querySelectorAll('p, div, br, li, tr, h1, h2, h3, h4, h5, h6, pre, blockquote, section, table')
+            .forEach(el => el.after('\n'));
+
         // Clean up the text
-        return mainContent
-            .replace(/\s+/g, ' ')
-            .replace(/\n\s*\n/g, '\n')
+        return mainElement.textContent
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
             .trim();
     }
 
@@ -485,30 +517,10 @@ Insights:`;
     }
 
     async callLMStudio(prompt) {
-        const response = await fetch('http://localhost:1234/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: 'local-model',
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 1000
-            })
+        return this.lmStudio.complete(prompt, {
+            temperature: 0.7,
+            maxTokens: 1000
         });
-
-        if (!response.ok) {
-            throw new Error(`LM Studio API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content;
     }
 
     parseListResponse(response) {
@@ -619,8 +631,8 @@ Insights:`;
     }
 }
 
-// Initialize content analyzer
+// Initialize content analyzer on web pages; the background page only borrows extractMainText
 let contentAnalyzer;
-if (typeof window !== 'undefined') {
+if (typeof window !== 'undefined' && window.location.protocol !== 'moz-extension:') {
     contentAnalyzer = new ContentAnalyzer();
 }
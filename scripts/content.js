@@ -10,6 +10,8 @@ class LMStudioBrowserController {
         this.isActive = false;
         this.overlay = null;
         this.highlightedElements = [];
+        this.recorder = null;
+        this.selectors = new SelectorEngine();
         this.init();
     }
     
@@ -18,6 +20,7 @@ class LMStudioBrowserController {
         this.setupContextMenuListener();
         this.setupEventListeners();
         this.injectControlInterface();
+        this.resumeRecording();
     }
     
     createOverlay() {
@@ -187,6 +190,9 @@ class LMStudioBrowserController {
     }
     
     showNotification(message) {
+        if (!this.overlay) {
+            this.createOverlay();
+        }
         this.overlay.innerHTML = `<div>🤖 ${message}</div>`;
         this.overlay.style.display = 'block';
         
@@ -195,22 +201,41 @@ class LMStudioBrowserController {
         }, 2000);
     }
 
-    // Automation task methods
-    automationClick(selector, waitFor = 1000) {
-        setTimeout(() => {
-            const element = document.querySelector(selector);
-            if (element) {
-                element.click();
-                this.showNotification(`Clicked: ${selector}`);
-            }
-        }, waitFor);
+    // Automation task methods - selectors go through SelectorEngine, so they may be
+    // CSS, XPath, text:, role: or pierce: selectors and "a || b" fallback chains
+
+    async automationClick(selector, waitFor = 1000, timeout = SelectorEngine.DEFAULT_WAIT_TIMEOUT) {
+        await new Promise(resolve => setTimeout(resolve, waitFor));
+
+        const { element, matched } = await this.selectors.waitFor(selector, { timeout: timeout, visible: true });
+        if (!element) {
+            throw new Error(`No visible element matches ${this.selectors.describe(selector)}`);
+        }
+
+        element.scrollIntoView({ block: 'center' });
+        element.click();
+        this.showNotification(`Clicked: ${matched}`);
+        return { success: true, matched: matched };
+    }
+
+    async automationWaitFor(selector, timeout = SelectorEngine.DEFAULT_WAIT_TIMEOUT, visible = false) {
+        const { element, matched } = await this.selectors.waitFor(selector, { timeout: timeout, visible: visible });
+        if (!element) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${this.selectors.describe(selector)}`);
+        }
+        return { success: true, matched: matched };
+    }
+
+    automationQuery(selector) {
+        const { elements, matched } = this.selectors.resolve(selector);
+        return { count: elements.length, matched: matched };
     }
 
     automationExtract(selectors, format = 'json') {
         const data = {};
         
         for (const [key, selector] of Object.entries(selectors)) {
-            const elements = document.querySelectorAll(selector);
+            const elements = this.selectors.queryAll(selector);
             if (elements.length === 1) {
                 data[key] = elements[0].textContent.trim();
             } else if (elements.length > 1) {
@@ -221,27 +246,291 @@ class LMStudioBrowserController {
         return format === 'json' ? data : JSON.stringify(data);
     }
 
-    automationFillForm(fields, submit = false) {
-        for (const [selector, value] of Object.entries(fields)) {
-            const element = document.querySelector(selector);
-            if (element) {
-                if (element.type === 'checkbox' || element.type === 'radio') {
-                    element.checked = value;
-                } else {
-                    element.value = value;
-                }
-                element.dispatchEvent(new Event('input', { bubbles: true }));
+    async automationFillForm(fields, submit = false, timeout = SelectorEngine.DEFAULT_WAIT_TIMEOUT) {
+        const entries = Object.entries(fields);
+        const missing = [];
+        let lastElement = null;
+
+        // Give a form that is still rendering time to show its first field
+        if (entries.length > 0) {
+            await this.selectors.waitFor(entries[0][0], { timeout: timeout });
+        }
+
+        for (const [selector, value] of entries) {
+            const element = this.selectors.query(selector);
+            if (!element) {
+                missing.push(selector);
+                continue;
+            }
+
+            if (element.type === 'checkbox' || element.type === 'radio') {
+                element.checked = value === true || value === 'true';
+            } else {
+                element.value = value;
             }
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            lastElement = element;
+        }
+
+        if (missing.length > 0) {
+            throw new Error(`No element matches ${missing.map(selector => this.selectors.describe(selector)).join(', ')}`);
         }
         
         if (submit) {
-            const form = document.querySelector('form');
+            const form = (lastElement && lastElement.form) || document.querySelector('form');
             if (form) {
-                form.submit();
+                // requestSubmit runs the page's own submit handlers
+                if (form.requestSubmit) {
+                    form.requestSubmit();
+                } else {
+                    form.submit();
+                }
             }
         }
         
         this.showNotification('Form filled automatically');
+        return { success: true, filled: entries.length };
+    }
+
+    /**
+     * Macro recorder - reports this tab's clicks, field edits and submits to the
+     * background MacroRecorder, which turns them into an automation task
+     */
+    async resumeRecording() {
+        // Only the top frame records; steps from iframes could not be replayed
+        if (window.top !== window) return;
+
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'GET_MACRO_RECORDING' });
+            if (response && response.success && response.data.recording) {
+                this.startRecording();
+
+                // Report the load once the page is usable so replay waits long enough
+                const recordLoad = () => this.recordStep({ kind: 'load', url: window.location.href, title: document.title });
+                if (document.readyState === 'complete') {
+                    recordLoad();
+                } else {
+                    window.addEventListener('load', recordLoad, { once: true });
+                }
+            }
+        } catch (error) {
+            console.error('Failed to check macro recording state:', error);
+        }
+    }
+
+    startRecording() {
+        if (this.recorder || window.top !== window) return;
+
+        this.recorder = {
+            lastClick: null,
+            handlers: {
+                click: (e) => this.recordClick(e),
+                change: (e) => this.recordChange(e),
+                submit: (e) => this.recordSubmit(e)
+            }
+        };
+
+        // Capture phase so pages that stop propagation are still recorded
+        Object.entries(this.recorder.handlers).forEach(([type, handler]) => {
+            document.addEventListener(type, handler, true);
+        });
+
+        if (document.body) {
+            this.showRecordingBar();
+        } else {
+            document.addEventListener('DOMContentLoaded', () => this.showRecordingBar(), { once: true });
+        }
+    }
+
+    /**
+     * @param {string} message - Shown in the recording bar briefly before it disappears
+     */
+    stopRecording(message = null) {
+        if (this.recorder) {
+            Object.entries(this.recorder.handlers).forEach(([type, handler]) => {
+                document.removeEventListener(type, handler, true);
+            });
+            this.recorder = null;
+        } else if (!message) {
+            return;
+        }
+
+        let bar = document.getElementById('lm-studio-recording-bar');
+        if (!message) {
+            if (bar) bar.remove();
+            return;
+        }
+
+        // Saving makes the background stop the recording in this tab, which removes the bar first
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'lm-studio-recording-bar';
+            bar.className = 'lm-studio-recording-bar';
+            document.body.appendChild(bar);
+        }
+        bar.replaceChildren(message);
+        setTimeout(() => bar.remove(), 3000);
+    }
+
+    isRecorderUI(element) {
+        return Boolean(element.closest && element.closest('#lm-studio-recording-bar, #lm-studio-panel, .lm-studio-overlay'));
+    }
+
+    recordClick(event) {
+        if (!event.isTrusted || this.isRecorderUI(event.target)) return;
+
+        const target = event.target.closest('a, button, [role="button"], [role="link"], [role="tab"], [role="menuitem"], input, select, textarea, label, summary, [onclick]') || event.target;
+        const tag = target.tagName.toLowerCase();
+
+        // Focusing a field is not an action; its value is recorded on change
+        if (tag === 'select' || tag === 'textarea') return;
+        if (tag === 'input' && !['button', 'submit', 'reset', 'image'].includes(target.type)) return;
+        if (tag === 'label' && target.control) return;
+
+        const selector = this.buildStableSelector(target);
+        this.recorder.lastClick = { selector, form: target.form || null, timestamp: Date.now() };
+        this.recordStep({ kind: 'click', selector, text: (target.innerText || target.value || '').trim().substring(0, 80) });
+    }
+
+    recordChange(event) {
+        const field = event.target;
+        if (!event.isTrusted || this.isRecorderUI(field) || !field.tagName) return;
+        if (!['input', 'select', 'textarea'].includes(field.tagName.toLowerCase())) return;
+        if (['file', 'hidden', 'submit', 'button', 'image', 'reset'].includes(field.type)) return;
+
+        const step = { kind: 'fill', selector: this.buildStableSelector(field) };
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            step.value = field.checked;
+        } else if (field.type === 'password') {
+            // Never send typed passwords anywhere; the task gets a variable instead
+            step.value = '';
+            step.sensitive = true;
+        } else {
+            step.value = field.value;
+        }
+        this.recordStep(step);
+    }
+
+    recordSubmit(event) {
+        if (!event.isTrusted || this.isRecorderUI(event.target)) return;
+
+        // Clicking a submit button was already recorded as a click
+        const lastClick = this.recorder.lastClick;
+        if (lastClick && lastClick.form === event.target && Date.now() - lastClick.timestamp < 1000) return;
+
+        const button = event.target.querySelector('[type="submit"], button:not([type])');
+        this.recordStep({ kind: 'submit', selector: button ? this.buildStableSelector(button) : null });
+    }
+
+    async recordStep(step) {
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'RECORD_MACRO_STEP',
+                step: { ...step, url: step.url || window.location.href, timestamp: Date.now() }
+            });
+
+            if (response && response.success) {
+                if (!response.data.recording) {
+                    this.stopRecording();
+                } else {
+                    this.updateRecordingBar(response.data.stepCount);
+                }
+            }
+        } catch (error) {
+            console.error('Failed to record macro step:', error);
+        }
+    }
+
+    /**
+     * Shortest selector that still identifies the element after a reload:
+     * a stable id, then test/name/ARIA attributes, then a short structural path
+     */
+    buildStableSelector(element) {
+        const unique = (selector) => {
+            try {
+                return document.querySelectorAll(selector).length === 1;
+            } catch (error) {
+                return false;
+            }
+        };
+        // Ids with long digit runs are usually generated per page load
+        const stableId = (id) => id && !/\d{4,}|^\d/.test(id);
+        const tag = element.tagName.toLowerCase();
+
+        if (stableId(element.id) && unique(`#${CSS.escape(element.id)}`)) {
+            return `#${CSS.escape(element.id)}`;
+        }
+
+        for (const attribute of ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label', 'placeholder', 'title', 'href']) {
+            const value = element.getAttribute(attribute);
+            if (!value || value.length > 200) continue;
+
+            const selector = `${tag}[${attribute}="${CSS.escape(value)}"]`;
+            if (unique(selector)) return selector;
+        }
+
+        const parts = [];
+        let node = element;
+        while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.body) {
+            if (node !== element && stableId(node.id)) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                return parts.join(' > ');
+            }
+
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const sameTag = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+                if (sameTag.length > 1) {
+                    part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+                }
+            }
+            parts.unshift(part);
+            node = parent;
+        }
+
+        return ['body', ...parts].join(' > ');
+    }
+
+    showRecordingBar() {
+        if (document.getElementById('lm-studio-recording-bar')) return;
+
+        const bar = document.createElement('div');
+        bar.id = 'lm-studio-recording-bar';
+        bar.className = 'lm-studio-recording-bar';
+
+        const label = document.createElement('span');
+        label.className = 'lm-studio-recording-label';
+        label.textContent = '⏺️ Recording macro';
+        bar.appendChild(label);
+
+        const stop = document.createElement('button');
+        stop.textContent = '⏹️ Stop & save';
+        stop.addEventListener('click', async () => {
+            const response = await browser.runtime.sendMessage({ type: 'STOP_MACRO_RECORDING' });
+            this.stopRecording(response && response.success && response.data
+                ? `✅ Saved task "${response.data.name}" - review it in Automation`
+                : 'Recording stopped, nothing to save');
+        });
+        bar.appendChild(stop);
+
+        const cancel = document.createElement('button');
+        cancel.textContent = 'Discard';
+        cancel.addEventListener('click', async () => {
+            await browser.runtime.sendMessage({ type: 'CANCEL_MACRO_RECORDING' });
+            this.stopRecording();
+        });
+        bar.appendChild(cancel);
+
+        document.body.appendChild(bar);
+    }
+
+    updateRecordingBar(stepCount) {
+        const label = document.querySelector('#lm-studio-recording-bar .lm-studio-recording-label');
+        if (label) {
+            label.textContent = `⏺️ Recording macro - ${stepCount} step${stepCount === 1 ? '' : 's'}`;
+        }
     }
 
     /**
@@ -372,14 +661,14 @@ class LMStudioBrowserController {
             
             // If selectors specify a container for multiple items
             if (selectors.container) {
-                const containers = document.querySelectorAll(selectors.container);
+                const containers = this.selectors.queryAll(selectors.container);
                 
                 containers.forEach((container, index) => {
                     const item = { _index: index };
                     
                     // Extract data for each field
                     Object.entries(selectors.fields || {}).forEach(([field, selector]) => {
-                        const element = container.querySelector(selector);
+                        const element = this.selectors.query(selector, container);
                         if (element) {
                             item[field] = this.extractElementData(element, schema[field]);
                         }
@@ -392,7 +681,7 @@ class LMStudioBrowserController {
                 const item = {};
                 
                 Object.entries(selectors.fields || selectors).forEach(([field, selector]) => {
-                    const element = document.querySelector(selector);
+                    const element = this.selectors.query(selector);
                     if (element) {
                         item[field] = this.extractElementData(element, schema[field]);
                     }
@@ -434,7 +723,7 @@ class LMStudioBrowserController {
                 const dateText = element.textContent?.trim() || '';
                 return new Date(dateText).toISOString();
             case 'list':
-                const items = element.querySelectorAll(fieldSchema.itemSelector || 'li');
+                const items = this.selectors.queryAll(fieldSchema.itemSelector || 'li', element);
                 return Array.from(items).map(item => item.textContent?.trim());
             default:
                 return element.textContent?.trim() || '';
@@ -450,31 +739,25 @@ class LMStudioBrowserController {
             
             // Try different methods to find next page button
             if (config.nextSelector) {
-                nextButton = document.querySelector(config.nextSelector);
+                nextButton = this.selectors.query(config.nextSelector);
             } else if (config.nextText) {
                 // Find button/link with specific text
-                const buttons = document.querySelectorAll('a, button');
-                nextButton = Array.from(buttons).find(btn => 
-                    btn.textContent?.toLowerCase().includes(config.nextText.toLowerCase())
-                );
+                nextButton = this.selectors.query({ text: config.nextText, tag: 'a, button, [role="button"], [role="link"]' });
             } else {
-                // Common next page selectors
-                const commonSelectors = [
+                // Common next page selectors, most specific first
+                nextButton = this.selectors.query([
                     'a[rel="next"]',
-                    '.next',
                     '.pagination-next',
-                    '[aria-label*="next"]',
-                    'a:contains("Next")',
-                    'a:contains(">")'
-                ];
-                
-                for (const selector of commonSelectors) {
-                    nextButton = document.querySelector(selector);
-                    if (nextButton) break;
-                }
+                    '.next',
+                    'role:link[name*="next"]',
+                    'role:button[name*="next"]',
+                    { text: 'Next', tag: 'a, button' },
+                    { text: '›', exact: true, tag: 'a, button' },
+                    { text: '»', exact: true, tag: 'a, button' }
+                ]);
             }
             
-            if (nextButton && !nextButton.disabled) {
+            if (nextButton && !nextButton.disabled && nextButton.getAttribute('aria-disabled') !== 'true') {
                 nextButton.click();
                 return { success: true };
             } else {
@@ -485,6 +768,82 @@ class LMStudioBrowserController {
         }
     }
 
+    /**
+     * Condensed outline of the page for the model to write selectors against: one
+     * indented line per element with its tag, id, classes, useful attributes and own
+     * text. Bare wrappers are flattened and runs of similar siblings are cut short.
+     */
+    buildDomOutline(maxLength = 12000) {
+        const skipTags = new Set(['script', 'style', 'noscript', 'svg', 'template', 'iframe', 'link', 'meta', 'head']);
+        const keptTags = new Set(['a', 'button', 'img', 'input', 'select', 'textarea', 'table', 'tr', 'td', 'th', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'article', 'section', 'time', 'form']);
+        const attributes = ['href', 'src', 'alt', 'title', 'name', 'type', 'role', 'aria-label', 'itemprop', 'datetime', 'data-testid'];
+        const truncate = (text, length) => text.length > length ? text.substring(0, length) + '…' : text;
+        const lines = [];
+        let size = 0;
+        let truncated = false;
+
+        const describe = (element) => {
+            let line = element.tagName.toLowerCase();
+            if (element.id) line += `#${element.id}`;
+
+            const classes = Array.from(element.classList).filter(name => name.length <= 40).slice(0, 4);
+            if (classes.length > 0) line += `.${classes.join('.')}`;
+
+            const attrs = attributes
+                .filter(name => element.hasAttribute(name))
+                .map(name => `${name}="${truncate(element.getAttribute(name), 60)}"`);
+            if (attrs.length > 0) line += ` [${attrs.join(' ')}]`;
+
+            const ownText = Array.from(element.childNodes)
+                .filter(node => node.nodeType === Node.TEXT_NODE)
+                .map(node => node.textContent)
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (ownText) line += ` "${truncate(ownText, 80)}"`;
+            return line;
+        };
+
+        const signature = (element) => `${element.tagName}.${Array.from(element.classList).sort().join('.')}`;
+
+        const push = (line, depth) => {
+            if (size >= maxLength) {
+                truncated = true;
+                return false;
+            }
+            const indented = '  '.repeat(depth) + line;
+            lines.push(indented);
+            size += indented.length + 1;
+            return true;
+        };
+
+        const visit = (element, depth) => {
+            const tag = element.tagName.toLowerCase();
+            if (truncated || skipTags.has(tag) || element.hidden || this.isRecorderUI(element)) return;
+
+            const line = describe(element);
+            const bare = line === tag && !keptTags.has(tag);
+            if (!bare && !push(line, depth)) return;
+
+            const childDepth = bare ? depth : depth + 1;
+            const children = Array.from(element.children);
+            for (let i = 0; i < children.length && !truncated;) {
+                // Lists of similar items only need a couple of examples
+                let end = i + 1;
+                while (end < children.length && signature(children[end]) === signature(children[i])) end++;
+
+                children.slice(i, Math.min(end, i + 2)).forEach(child => visit(child, childDepth));
+                if (end - i > 2) push(`… ${end - i - 2} more like the above`, childDepth);
+                i = end;
+            }
+        };
+
+        if (document.body) visit(document.body, 0);
+        if (truncated) lines.push('… (outline truncated)');
+
+        return { title: document.title, url: window.location.href, outline: lines.join('\n'), truncated: truncated };
+    }
+
     setupMessageListener() {
         browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
             switch(message.action) {
@@ -494,6 +853,9 @@ class LMStudioBrowserController {
                 case 'getPageContent':
                     sendResponse(this.getPageContent());
                     break;
+                case 'getSelection':
+                    sendResponse({ text: window.getSelection().toString() });
+                    break;
                 case 'activateControl':
                     this.activateControl();
                     break;
@@ -511,9 +873,61 @@ class LMStudioBrowserController {
                         this.highlightSelection(this.lastSelection);
                     }
                     break;
+                case 'startRecording':
+                    this.startRecording();
+                    break;
+                case 'stopRecording':
+                    this.stopRecording();
+                    break;
             }
+
+            return this.handleAutomationMessage(message);
         });
     }
+
+    /**
+     * Requests from the background AutomationScheduler and DataCollectionPipeline.
+     * Only the top frame answers, so iframes do not race it with empty results.
+     * @returns {Promise|undefined} the reply, or undefined for other messages
+     */
+    handleAutomationMessage(message) {
+        if (window.top !== window) return undefined;
+
+        const run = (handler) => {
+            try {
+                return Promise.resolve(handler());
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        };
+
+        switch (message.type) {
+            case 'AUTOMATION_CLICK':
+                return run(() => this.automationClick(message.selector, message.waitFor, message.timeout));
+            case 'AUTOMATION_EXTRACT':
+                return run(() => this.automationExtract(message.selectors, message.format));
+            case 'AUTOMATION_FILL_FORM':
+                return run(() => this.automationFillForm(message.fields, message.submit, message.timeout));
+            case 'AUTOMATION_WAIT_FOR':
+                return run(() => this.automationWaitFor(message.selector, message.timeout, message.visible));
+            case 'AUTOMATION_QUERY':
+                return run(() => this.automationQuery(message.selector));
+            case 'COLLECT_DATA':
+                return run(async () => {
+                    // Lists rendered by scripts may not be there yet
+                    if (message.selectors && message.selectors.container) {
+                        await this.selectors.waitFor(message.selectors.container, { timeout: message.timeout || SelectorEngine.DEFAULT_WAIT_TIMEOUT });
+                    }
+                    return this.collectData(message.selectors || {}, message.schema || {});
+                });
+            case 'NAVIGATE_NEXT_PAGE':
+                return run(() => this.navigateNextPage(message.config || {}));
+            case 'GET_DOM_OUTLINE':
+                return run(() => this.buildDomOutline(message.maxLength));
+            default:
+                return undefined;
+        }
+    }
     
     setupContextMenuListener() {
         // Listen for context menu selections and highlight them
@@ -0,0 +1,179 @@
+/**
+ * Context Budgeter - Fits a chat request into the model's context window
+ * Used by the chat page to trim history and drive the token meter
+ *
+ * Token counts are estimated from the text: about four characters per token for
+ * Latin script and one token per CJK character. Whenever the server reports real
+ * prompt usage the estimate is scaled towards it; images count a fixed amount
+ * each. The system prompt, the new message and room for the reply are always
+ * kept; older turns are dropped oldest first so the caller can replace them with
+ * a summary.
+ */
+
+class ContextBudgeter {
+    /**
+     * @param {number} contextLength - Context window of the loaded model, if known
+     */
+    constructor(contextLength = null) {
+        this.contextLength = null;
+        this.ratio = 1;
+        this.setContextLength(contextLength);
+    }
+
+    // Assumed when the server does not report the model's context length
+    static get DEFAULT_CONTEXT_LENGTH() {
+        return 4096;
+    }
+
+    static get CHARS_PER_TOKEN() {
+        return 4;
+    }
+
+    // Role markers and separators the chat template adds around every message
+    static get MESSAGE_OVERHEAD() {
+        return 4;
+    }
+
+    // Room kept for the summary of dropped turns
+    static get SUMMARY_TOKENS() {
+        return 400;
+    }
+
+    // Rough cost of one attached image; vision models differ, most stay below this
+    static get IMAGE_TOKENS() {
+        return 800;
+    }
+
+    setContextLength(contextLength) {
+        this.contextLength = contextLength > 0 ? contextLength : null;
+    }
+
+    getContextLength() {
+        return this.contextLength || ContextBudgeter.DEFAULT_CONTEXT_LENGTH;
+    }
+
+    /**
+     * Uncorrected estimate, used to learn the correction ratio
+     */
+    rawTokens(text) {
+        const value = String(text || '');
+        const wide = (value.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+        return Math.ceil(wide + (value.length - wide) / ContextBudgeter.CHARS_PER_TOKEN);
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(this.rawTokens(text) * this.ratio);
+    }
+
+    estimateMessage(message) {
+        const { text, images } = ContextBudgeter.getMessageParts(message);
+        return ContextBudgeter.MESSAGE_OVERHEAD + this.estimateTokens(text) + images * ContextBudgeter.IMAGE_TOKENS;
+    }
+
+    /**
+     * Text and image count of a message, whether its images are listed in `images`
+     * or its content is already a list of text and image_url parts
+     */
+    static getMessageParts(message) {
+        if (Array.isArray(message.content)) {
+            return {
+                text: message.content.filter(part => part.type === 'text').map(part => part.text).join('\n'),
+                images: message.content.filter(part => part.type === 'image_url').length
+            };
+        }
+        return { text: message.content, images: message.images ? message.images.length : 0 };
+    }
+
+    estimateMessages(messages) {
+        return messages.reduce((total, message) => total + this.estimateMessage(message), 0);
+    }
+
+    /**
+     * Move the estimate towards the prompt size the server actually counted
+     * @param {Array} messages - Messages that were sent
+     * @param {number} promptTokens - usage.prompt_tokens from the response
+     */
+    calibrate(messages, promptTokens) {
+        const parts = messages.map(message => ContextBudgeter.getMessageParts(message));
+        // What an image really costs varies by model and says nothing about text
+        if (parts.some(part => part.images > 0)) return;
+        const raw = parts.reduce((total, part) => total + ContextBudgeter.MESSAGE_OVERHEAD + this.rawTokens(part.text), 0);
+        if (!promptTokens || raw < 50) return;
+
+        const observed = Math.min(Math.max(promptTokens / raw, 0.5), 2.5);
+        this.ratio = this.ratio * 0.5 + observed * 0.5;
+    }
+
+    /**
+     * Shorten text to about maxTokens, keeping its start and end
+     */
+    truncateToTokens(text, maxTokens) {
+        const value = String(text || '');
+        if (this.estimateTokens(value) <= maxTokens) return value;
+
+        const marker = '\n\n[… middle of the text removed to fit the context window …]\n\n';
+        const keepChars = Math.max(0, Math.floor(maxTokens / this.ratio * ContextBudgeter.CHARS_PER_TOKEN) - marker.length);
+        const head = Math.ceil(keepChars / 2);
+        return value.substring(0, head) + marker + value.substring(value.length - (keepChars - head));
+    }
+
+    /**
+     * Decide which history fits next to the system prompt, the new message and the reply
+     * @param {Object} parts - system: message or null, history: messages oldest first,
+     *                         message: the new user message, replyTokens: room for the answer
+     * @returns {{message: Object, kept: Array, dropped: Array, usage: Object}}
+     */
+    fit({ system = null, history = [], message, replyTokens = 0 }) {
+        const limit = this.getContextLength();
+        // A max_tokens close to the window would leave nothing for the conversation
+        const reply = Math.min(replyTokens, Math.floor(limit / 2));
+        const systemTokens = system ? this.estimateMessage(system) : 0;
+
+        let current = message;
+        const room = limit - reply - systemTokens;
+        if (this.estimateMessage(current) > room) {
+            current = { ...message, content: this.truncateToTokens(message.content, room - ContextBudgeter.MESSAGE_OVERHEAD) };
+        }
+        const messageTokens = this.estimateMessage(current);
+
+        // Newest turns first; once something has to go, keep room for its summary
+        let available = room - messageTokens;
+        let historyTokens = 0;
+        let firstKept = history.length;
+        const total = this.estimateMessages(history);
+        if (total > available) {
+            available -= ContextBudgeter.SUMMARY_TOKENS;
+        }
+        for (let i = history.length - 1; i >= 0; i--) {
+            const tokens = this.estimateMessage(history[i]);
+            if (historyTokens + tokens > available) break;
+            historyTokens += tokens;
+            firstKept = i;
+        }
+        // Never start the kept history with an assistant turn that lost its question
+        if (firstKept < history.length && history[firstKept].role === 'assistant' && firstKept > 0) {
+            historyTokens -= this.estimateMessage(history[firstKept]);
+            firstKept++;
+        }
+
+        const dropped = history.slice(0, firstKept);
+        return {
+            message: current,
+            kept: history.slice(firstKept),
+            dropped: dropped,
+            usage: {
+                system: systemTokens,
+                history: historyTokens,
+                summary: dropped.length > 0 ? ContextBudgeter.SUMMARY_TOKENS : 0,
+                message: messageTokens,
+                reply: reply,
+                limit: limit
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextBudgeter;
+}
@@ -0,0 +1,283 @@
+/**
+ * Cron Schedule - 5-field cron expressions evaluated in an explicit IANA timezone
+ * Shared by AutomationScheduler (background) and AutomationUI (schedule previews)
+ *
+ * Supported syntax: minute hour day-of-month month day-of-week
+ *   wildcards, single values, ranges (a-b), steps (a-b/n, a/n or a wildcard followed by /n),
+ *   comma-separated lists, JAN-DEC and SUN-SAT names (7 = Sunday), and the macros
+ *   @yearly @annually @monthly @weekly @daily @midnight @hourly.
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted a day matches
+ * if either field matches.
+ */
+
+class CronSchedule {
+    /**
+     * @param {string} expression - Cron expression
+     * @param {string} timeZone - IANA zone such as 'Europe/Berlin'; defaults to the browser's zone
+     */
+    constructor(expression, timeZone = null) {
+        this.expression = String(expression || '').trim();
+        this.timeZone = CronSchedule.resolveTimeZone(timeZone);
+        this.fields = this.parse(this.expression);
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+    }
+
+    static get MACROS() {
+        return {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *'
+        };
+    }
+
+    static get FIELD_SPECS() {
+        return [
+            { name: 'minute', min: 0, max: 59 },
+            { name: 'hour', min: 0, max: 23 },
+            { name: 'dayOfMonth', min: 1, max: 31 },
+            { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], nameOffset: 1 },
+            { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], nameOffset: 0 }
+        ];
+    }
+
+    /**
+     * Resolve and validate a timezone name, falling back to the browser's zone
+     */
+    static resolveTimeZone(timeZone) {
+        const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        } catch (error) {
+            throw new Error(`Unknown timezone: ${zone}`);
+        }
+        return zone;
+    }
+
+    /**
+     * Check an expression without throwing
+     * @returns {{valid: boolean, error: string|null}}
+     */
+    static validate(expression, timeZone = null) {
+        try {
+            new CronSchedule(expression, timeZone);
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    parse(expression) {
+        if (!expression) throw new Error('Cron expression is empty');
+
+        const source = CronSchedule.MACROS[expression.toLowerCase()] || expression;
+        const parts = source.split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Cron expression must have 5 fields (minute hour day month weekday), got ${parts.length}`);
+        }
+
+        const fields = {};
+        CronSchedule.FIELD_SPECS.forEach((spec, index) => {
+            fields[spec.name] = this.parseField(parts[index], spec);
+        });
+
+        // 7 is an alias for Sunday
+        if (fields.dayOfWeek.values.has(7)) {
+            fields.dayOfWeek.values.delete(7);
+            fields.dayOfWeek.values.add(0);
+        }
+
+        return fields;
+    }
+
+    parseField(text, spec) {
+        const values = new Set();
+        const wildcard = text === '*' || text === '?';
+
+        text.split(',').forEach(item => {
+            if (!item) throw new Error(`Empty list item in ${spec.name} field`);
+
+            const [rangePart, stepPart] = item.split('/');
+            const step = stepPart !== undefined ? this.parseNumber(stepPart, spec, true) : 1;
+            if (step < 1) throw new Error(`Step must be at least 1 in ${spec.name} field`);
+
+            let start;
+            let end;
+            if (rangePart === '*' || rangePart === '?') {
+                start = spec.min;
+                end = spec.max;
+            } else if (rangePart.includes('-')) {
+                const [from, to] = rangePart.split('-');
+                start = this.parseNumber(from, spec);
+                end = this.parseNumber(to, spec);
+                if (start > end) throw new Error(`Range ${rangePart} is reversed in ${spec.name} field`);
+            } else {
+                start = this.parseNumber(rangePart, spec);
+                // "5/15" means "from 5 to the end in steps of 15"
+                end = stepPart !== undefined ? spec.max : start;
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        });
+
+        return { values, wildcard };
+    }
+
+    parseNumber(text, spec, isStep = false) {
+        const upper = String(text).toUpperCase();
+        if (!isStep && spec.names) {
+            const nameIndex = spec.names.indexOf(upper);
+            if (nameIndex !== -1) return nameIndex + spec.nameOffset;
+        }
+
+        if (!/^\d+$/.test(upper)) {
+            throw new Error(`Invalid value "${text}" in ${spec.name} field`);
+        }
+
+        const value = parseInt(upper, 10);
+        if (!isStep && (value < spec.min || value > spec.max)) {
+            throw new Error(`${spec.name} value ${value} is out of range ${spec.min}-${spec.max}`);
+        }
+        return value;
+    }
+
+    /**
+     * Next fire time strictly after `after`
+     * @param {Date} after - Reference instant (defaults to now)
+     * @returns {Date|null} null if the expression never fires within five years
+     */
+    next(after = new Date()) {
+        const afterMs = after.getTime();
+        // Wall-clock time in the schedule's zone, stored in the UTC fields of a Date
+        let wall = new Date(this.toWallClock(afterMs));
+        wall.setUTCSeconds(0, 0);
+        wall.setUTCMinutes(wall.getUTCMinutes() + 1);
+
+        const horizon = wall.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+        const { minute, hour, month } = this.fields;
+
+        while (wall.getTime() < horizon) {
+            if (!month.values.has(wall.getUTCMonth() + 1)) {
+                wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 1));
+                continue;
+            }
+            if (!this.matchesDay(wall)) {
+                wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1));
+                continue;
+            }
+            if (!hour.values.has(wall.getUTCHours())) {
+                wall = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours() + 1));
+                continue;
+            }
+            if (!minute.values.has(wall.getUTCMinutes())) {
+                wall = new Date(wall.getTime() + 60 * 1000);
+                continue;
+            }
+
+            const instant = this.toInstants(wall.getTime()).find(ms => ms > afterMs);
+            if (instant !== undefined) {
+                return new Date(instant);
+            }
+            // Wall time fell in a DST overlap that already passed; keep looking
+            wall = new Date(wall.getTime() + 60 * 1000);
+        }
+
+        return null;
+    }
+
+    /**
+     * Several upcoming fire times
+     * @returns {Date[]}
+     */
+    nextRuns(count = 5, after = new Date()) {
+        const runs = [];
+        let cursor = after;
+        while (runs.length < count) {
+            const run = this.next(cursor);
+            if (!run) break;
+            runs.push(run);
+            cursor = run;
+        }
+        return runs;
+    }
+
+    matchesDay(wall) {
+        const { dayOfMonth, dayOfWeek } = this.fields;
+        const domMatch = dayOfMonth.values.has(wall.getUTCDate());
+        const dowMatch = dayOfWeek.values.has(wall.getUTCDay());
+
+        if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    /**
+     * Wall-clock time of an instant in the schedule's zone, as UTC milliseconds
+     */
+    toWallClock(instantMs) {
+        const parts = {};
+        this.formatter.formatToParts(new Date(instantMs)).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+        });
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    }
+
+    offsetAt(instantMs) {
+        const wholeSeconds = Math.floor(instantMs / 1000) * 1000;
+        return this.toWallClock(wholeSeconds) - wholeSeconds;
+    }
+
+    /**
+     * Convert a wall-clock time in the schedule's zone to instants, earliest first.
+     * A time repeated by a DST fall-back yields two instants; a time inside a
+     * spring-forward gap resolves to just after the gap, as cron daemons do.
+     */
+    toInstants(wallMs) {
+        const day = 24 * 60 * 60 * 1000;
+        // Offsets either side of any transition near this wall time
+        const offsetBefore = this.offsetAt(wallMs - day);
+        const offsetAfter = this.offsetAt(wallMs + day);
+
+        const candidates = [...new Set([wallMs - offsetBefore, wallMs - offsetAfter])]
+            .filter(ms => this.toWallClock(ms) === wallMs)
+            .sort((a, b) => a - b);
+
+        return candidates.length > 0 ? candidates : [wallMs - offsetBefore];
+    }
+
+    /**
+     * Format an instant in the schedule's zone for display
+     */
+    formatInZone(date, options = {}) {
+        return date.toLocaleString(undefined, {
+            timeZone: this.timeZone,
+            weekday: 'short',
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            ...options
+        });
+    }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CronSchedule;
+}
@@ -8,13 +8,15 @@ class CrossReferenceSystem {
         this.sources = new Map();
         this.crossReferences = new Map();
         this.storage = browser.storage.local;
+        this.lmStudio = new LMStudioClient();
         this.searchAPIs = {
             duckduckgo: 'https://api.duckduckgo.com/',
             wikipedia: 'https://en.wikipedia.org/api/rest_v1/',
             news: 'https://newsapi.org/v2/'
         };
+        this.searchService = null; // Will be injected
         
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -26,6 +28,27 @@ class CrossReferenceSystem {
         }
     }
 
+    /**
+     * Set search service for web searches
+     */
+    setSearchService(searchService) {
+        this.searchService = searchService;
+    }
+
+    /**
+     * Search the web through the search service, or by message when running outside the background page
+     */
+    async searchInternet(query) {
+        if (this.searchService) {
+            return this.searchService.search(query);
+        }
+        const response = await browser.runtime.sendMessage({ type: 'SEARCH_INTERNET', query: query });
+        if (!response || !response.success) {
+            throw new Error(response ? response.error : 'No reply from the background script');
+        }
+        return response.data;
+    }
+
     /**
      * Create a new cross-reference analysis
      */
@@ -145,17 +168,13 @@ class CrossReferenceSystem {
      */
     async searchWeb(query) {
         try {
-            // Use the existing search functionality from the extension
-            const response = await browser.runtime.sendMessage({
-                action: 'searchInternet',
-                query: query
-            });
+            const { results } = await this.searchInternet(query);
 
-            if (response && response.results) {
+            if (results.length > 0) {
                 return {
                     source: 'web_search',
                     query: query,
-                    content: response.results.map(r => ({
+                    content: results.map(r => ({
                         title: r.title,
                         snippet: r.snippet,
                         url: r.url,
@@ -238,13 +257,24 @@ class CrossReferenceSystem {
      */
     async searchNews(query) {
         try {
-            // This would require a news API key - for now, return placeholder
+            // Only results with a publication date count as news; those come from SearXNG or a news feed
+            const { results } = await this.searchInternet(query);
+            const articles = results
+                .filter(r => r.publishedAt)
+                .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+                .map(r => ({
+                    title: r.title,
+                    snippet: r.snippet,
+                    url: r.url,
+                    publishedAt: r.publishedAt,
+                    relevance: r.relevance || 0.5
+                }));
             return {
                 source: 'news',
                 query: query,
                 content: {
-                    articles: [],
-                    note: 'News API integration requires API key'
+                    articles: articles,
+                    note: articles.length > 0 ? null : 'No dated results; add a SearXNG instance or a news feed in the search settings'
                 },
                 timestamp: new Date().toISOString(),
                 confidence: 0.6
@@ -342,22 +372,12 @@ Provide analysis in JSON format:
     "mostReliable": "which source seems most reliable and why"
 }`;
 
-            const response = await fetch('http://localhost:1234/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messages: [
-                        { role: 'system', content: 'You are an expert fact-checker and information analyst.' },
-                        { role: 'user', content: analysisPrompt }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 1500
-                })
+            const analysisText = await this.lmStudio.complete(analysisPrompt, {
+                systemPrompt: 'You are an expert fact-checker and information analyst.',
+                temperature: 0.3,
+                maxTokens: 1500
             });
 
-            const result = await response.json();
-            const analysisText = result.choices[0].message.content;
-
             // Try to parse JSON response
             try {
                 const analysis = JSON.parse(analysisText);
@@ -65,7 +65,7 @@ class CrossReferenceUI {
             });
 
             if (response.success) {
-                this.analyses = response.crossReferences || [];
+                this.analyses = response.data || [];
             } else {
                 console.error('Failed to load analyses:', response.error);
                 this.showNotification('Failed to load analyses', 'error');
@@ -238,14 +238,14 @@ class CrossReferenceUI {
             });
 
             if (response.success) {
-                this.analyses.push(response.crossRef);
+                this.analyses.push(response.data);
                 this.updateStats();
                 this.renderAnalyses();
                 this.hideAnalysisModal();
                 this.showNotification('Analysis created successfully!');
                 
                 // Auto-execute the analysis
-                this.executeAnalysis(response.crossRef.id);
+                this.executeAnalysis(response.data.id);
             } else {
                 this.showNotification('Failed to create analysis: ' + response.error, 'error');
             }
@@ -323,7 +323,7 @@ class CrossReferenceUI {
                 // Update the analysis in our local array
                 const index = this.analyses.findIndex(a => a.id === analysisId);
                 if (index !== -1) {
-                    this.analyses[index] = response.crossRef;
+                    this.analyses[index] = response.data;
                 }
                 
                 this.updateStats();
@@ -539,13 +539,13 @@ class CrossReferenceUI {
             });
 
             if (response.success) {
-                this.analyses.push(response.crossRef);
+                this.analyses.push(response.data);
                 this.updateStats();
                 this.renderAnalyses();
                 this.showNotification('Quick analysis started!');
                 
                 // Auto-execute
-                this.executeAnalysis(response.crossRef.id);
+                this.executeAnalysis(response.data.id);
             } else {
                 this.showNotification('Failed to create analysis: ' + response.error, 'error');
             }
@@ -8,9 +8,28 @@ class DataCollectionPipeline {
         this.pipelines = new Map();
         this.collectors = new Map();
         this.storage = browser.storage.local;
+        this.lmStudio = new LMStudioClient();
         this.isRunning = false;
         
-        this.init();
+        this.ready = this.init();
+    }
+
+    // Field types collectData knows how to extract
+    static get FIELD_TYPES() {
+        return ['text', 'html', 'attribute', 'link', 'image', 'number', 'date', 'list'];
+    }
+
+    static get OUTLINE_MAX_LENGTH() {
+        return 12000;
+    }
+
+    static get PREVIEW_ROWS() {
+        return 10;
+    }
+
+    // First proposal plus one repair round for fields that matched nothing
+    static get MAX_SELECTOR_ATTEMPTS() {
+        return 2;
     }
 
     async init() {
@@ -133,7 +152,7 @@ class DataCollectionPipeline {
                 const pageData = await browser.tabs.sendMessage(tab.id, {
                     type: 'COLLECT_DATA',
                     selectors: collector.selectors,
-                    schema: pipeline.dataSchema
+                    schema: { ...pipeline.dataSchema, ...(siteConfig.schema || {}) }
                 });
 
                 if (pageData && pageData.length > 0) {
@@ -171,6 +190,159 @@ class DataCollectionPipeline {
         return collectedData;
     }
 
+    /**
+     * Ask LM Studio for selectors that extract the described fields from a page,
+     * then check them against the live page with collectData
+     * @param {string} url - Page to write selectors for
+     * @param {string} description - Plain-language field list, e.g. "product name, price, rating"
+     * @param {Object} options - { waitTime }
+     * @returns {Promise<{selectors: Object, dataSchema: Object, preview: Object}>}
+     */
+    async proposeSelectors(url, description, options = {}) {
+        return this.withCollectionTab(url, options.waitTime, async (tabId) => {
+            const page = await browser.tabs.sendMessage(tabId, {
+                type: 'GET_DOM_OUTLINE',
+                maxLength: DataCollectionPipeline.OUTLINE_MAX_LENGTH
+            });
+            if (!page || !page.outline) {
+                throw new Error('Could not read the page structure');
+            }
+
+            const messages = [
+                { role: 'system', content: 'You write selectors for web scraping. Respond with valid JSON only.' },
+                { role: 'user', content: this.buildSelectorPrompt(page, description) }
+            ];
+
+            let proposal = null;
+            let preview = null;
+            for (let attempt = 1; attempt <= DataCollectionPipeline.MAX_SELECTOR_ATTEMPTS; attempt++) {
+                const response = await this.lmStudio.chat(messages, { temperature: 0.1, maxTokens: 1500 });
+                proposal = this.normalizeSelectorProposal(this.parseJSONResponse(response));
+                preview = await this.previewOnTab(tabId, proposal.selectors, proposal.dataSchema);
+
+                if (preview.itemCount > 0 && preview.missingFields.length === 0) break;
+
+                // Tell the model what did not match and let it try again
+                messages.push({ role: 'assistant', content: response });
+                messages.push({ role: 'user', content: this.buildSelectorFeedback(preview) });
+            }
+
+            console.log(`🎯 Proposed selectors for ${url}: ${preview.itemCount} items, ${preview.missingFields.length} fields without matches`);
+            return { ...proposal, preview };
+        });
+    }
+
+    /**
+     * Run selectors against a page and return the first records, without saving anything
+     */
+    async previewSelectors(url, selectors, dataSchema = {}, options = {}) {
+        return this.withCollectionTab(url, options.waitTime, (tabId) => this.previewOnTab(tabId, selectors, dataSchema));
+    }
+
+    async previewOnTab(tabId, selectors, dataSchema) {
+        const records = await browser.tabs.sendMessage(tabId, {
+            type: 'COLLECT_DATA',
+            selectors: selectors,
+            schema: dataSchema
+        }) || [];
+
+        const fields = Object.keys(selectors.fields || {});
+        const fieldCounts = {};
+        fields.forEach(field => {
+            fieldCounts[field] = records.filter(record =>
+                record[field] !== undefined && record[field] !== '' && record[field] !== null
+            ).length;
+        });
+
+        return {
+            itemCount: records.length,
+            fieldCounts: fieldCounts,
+            missingFields: fields.filter(field => fieldCounts[field] === 0),
+            rows: records.slice(0, DataCollectionPipeline.PREVIEW_ROWS)
+        };
+    }
+
+    buildSelectorPrompt(page, description) {
+        return `Fields to extract: ${description}
+
+Page: ${page.title} (${page.url})
+Condensed DOM outline, one element per line as tag#id.classes [attributes] "own text". Indentation shows nesting and runs of similar elements are shortened:
+${page.outline}
+
+Respond with JSON in this shape:
+{
+  "container": "CSS selector matching each repeated item, or \"\" if the page shows a single item",
+  "fields": {
+    "field_name": { "selector": "selector relative to the container", "type": "${DataCollectionPipeline.FIELD_TYPES.join('|')}", "attribute": "attribute name, only for type attribute" }
+  }
+}
+
+Use short snake_case field names. Prefer stable ids, class names and attributes over positions like :nth-child.
+Besides CSS you may use text:..., role:..., xpath:... and "a || b" fallback chains.`;
+    }
+
+    buildSelectorFeedback(preview) {
+        const problems = [];
+        if (preview.itemCount === 0) {
+            problems.push('The container selector matched no elements.');
+        }
+        if (preview.missingFields.length > 0) {
+            problems.push(`These fields matched nothing in any item: ${preview.missingFields.join(', ')}.`);
+        }
+        return `${problems.join(' ')} Look at the outline again and return the complete corrected JSON.`;
+    }
+
+    /**
+     * Turn the model's answer into the siteConfig.selectors / dataSchema shapes
+     */
+    normalizeSelectorProposal(proposal) {
+        const selectors = { container: typeof proposal.container === 'string' ? proposal.container.trim() : '', fields: {} };
+        const dataSchema = {};
+
+        Object.entries(proposal.fields || {}).forEach(([field, spec]) => {
+            const name = String(field).trim();
+            const selector = typeof spec === 'string' ? spec : spec && spec.selector;
+            if (!name || typeof selector !== 'string' || !selector.trim()) return;
+
+            selectors.fields[name] = selector.trim();
+
+            const type = DataCollectionPipeline.FIELD_TYPES.includes(spec.type) ? spec.type : 'text';
+            dataSchema[name] = { type: type };
+            if (type === 'attribute' && spec.attribute) {
+                dataSchema[name].attribute = spec.attribute;
+            }
+        });
+
+        if (Object.keys(selectors.fields).length === 0) {
+            throw new Error('The model did not propose any field selectors');
+        }
+        return { selectors, dataSchema };
+    }
+
+    parseJSONResponse(response) {
+        try {
+            // Models sometimes wrap the JSON in prose or code fences
+            const jsonMatch = response.match(/\{[\s\S]*\}/);
+            return JSON.parse(jsonMatch ? jsonMatch[0] : response);
+        } catch (error) {
+            throw new Error('The model did not return valid JSON');
+        }
+    }
+
+    /**
+     * Open a page in a background tab, run `callback(tabId)` once it has loaded, then close it
+     */
+    async withCollectionTab(url, waitTime = 2000, callback) {
+        const tab = await browser.tabs.create({ url: url, active: false });
+        try {
+            await this.waitForPageLoad(tab.id);
+            await this.sleep(waitTime);
+            return await callback(tab.id);
+        } finally {
+            await browser.tabs.remove(tab.id).catch(() => {});
+        }
+    }
+
     /**
      * Process collected data through processors
      */
@@ -310,22 +482,12 @@ class DataCollectionPipeline {
             const prompt = config.prompt || 'Analyze this data and extract insights';
             const dataString = JSON.stringify(data.slice(0, 10), null, 2); // Limit for API
             
-            const response = await fetch('http://localhost:1234/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messages: [
-                        { role: 'system', content: prompt },
-                        { role: 'user', content: `Data to analyze:\n${dataString}` }
-                    ],
-                    temperature: 0.3,
-                    max_tokens: 1000
-                })
+            const analysis = await this.lmStudio.complete(`Data to analyze:\n${dataString}`, {
+                systemPrompt: prompt,
+                temperature: 0.3,
+                maxTokens: 1000
             });
 
-            const result = await response.json();
-            const analysis = result.choices[0].message.content;
-
             // Add analysis to each record or as metadata
             return data.map(record => ({
                 ...record,
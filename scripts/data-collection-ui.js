@@ -47,6 +47,8 @@ class DataCollectionUI {
         document.getElementById('siteForm').addEventListener('submit', (e) => this.saveSite(e));
         document.getElementById('cancelSiteBtn').addEventListener('click', () => this.hideSiteModal());
         document.getElementById('addSelectorBtn').addEventListener('click', () => this.addSelectorField());
+        document.getElementById('generateSelectorsBtn').addEventListener('click', () => this.generateSelectors());
+        document.getElementById('previewSelectorsBtn').addEventListener('click', () => this.previewSelectors());
 
         // Processor modal
         document.getElementById('addProcessorBtn').addEventListener('click', () => this.showProcessorModal());
@@ -86,7 +88,7 @@ class DataCollectionUI {
             });
 
             if (response.success) {
-                this.pipelines = response.pipelines || [];
+                this.pipelines = response.data || [];
             } else {
                 console.error('Failed to load pipelines:', response.error);
                 this.showNotification('Failed to load pipelines', 'error');
@@ -234,6 +236,7 @@ class DataCollectionUI {
             name: document.getElementById('pipelineName').value,
             description: document.getElementById('pipelineDescription').value,
             sites: this.getCurrentSites(),
+            dataSchema: this.getCurrentDataSchema(),
             processors: this.getCurrentProcessors(),
             outputs: this.getCurrentOutputs(),
             schedule: this.getCurrentSchedule(),
@@ -254,7 +257,7 @@ class DataCollectionUI {
                 });
 
                 if (response.success) {
-                    this.pipelines.push(response.pipeline);
+                    this.pipelines.push(response.data);
                     this.updateStats();
                     this.renderPipelines();
                     this.hidePipelineModal();
@@ -360,11 +363,13 @@ class DataCollectionUI {
             document.getElementById('nextSelector').value = site.pagination?.nextSelector || '';
             document.getElementById('nextText').value = site.pagination?.nextText || '';
             
-            this.renderSelectorsList(site.selectors?.fields || {});
+            this.renderSelectorsList(site.selectors?.fields || {}, site.schema || {});
         } else {
             document.getElementById('siteForm').reset();
             this.renderSelectorsList({});
         }
+        this.setSelectorStatus('');
+        document.getElementById('selectorPreview').replaceChildren();
         
         modal.style.display = 'block';
     }
@@ -385,6 +390,7 @@ class DataCollectionUI {
                 container: document.getElementById('containerSelector').value,
                 fields: this.getCurrentSelectors()
             },
+            schema: this.getCurrentSchema(),
             pagination: {
                 nextSelector: document.getElementById('nextSelector').value,
                 nextText: document.getElementById('nextText').value
@@ -438,8 +444,8 @@ class DataCollectionUI {
                     <input type="text" class="selector-field" placeholder="e.g., title, price">
                 </div>
                 <div style="flex: 2;">
-                    <label>CSS Selector:</label>
-                    <input type="text" class="selector-value" placeholder="e.g., h1, .price">
+                    <label>Selector:</label>
+                    <input type="text" class="selector-value" placeholder="e.g., .price || xpath://span[@itemprop='price']">
                 </div>
                 <div>
                     <label>Type:</label>
@@ -448,6 +454,9 @@ class DataCollectionUI {
                         <option value="link">Link</option>
                         <option value="image">Image</option>
                         <option value="number">Number</option>
+                        <option value="date">Date</option>
+                        <option value="list">List</option>
+                        <option value="html">HTML</option>
                         <option value="attribute">Attribute</option>
                     </select>
                 </div>
@@ -457,7 +466,7 @@ class DataCollectionUI {
         container.appendChild(div);
     }
 
-    renderSelectorsList(selectors) {
+    renderSelectorsList(selectors, schema = {}) {
         const container = document.getElementById('selectorsList');
         container.innerHTML = '';
         
@@ -466,6 +475,13 @@ class DataCollectionUI {
             const lastGroup = container.lastElementChild;
             lastGroup.querySelector('.selector-field').value = field;
             lastGroup.querySelector('.selector-value').value = selector;
+
+            const fieldSchema = schema[field];
+            if (fieldSchema) {
+                lastGroup.querySelector('.selector-type').value = fieldSchema.type || 'text';
+                // The row has no attribute input, so keep the name with it
+                if (fieldSchema.attribute) lastGroup.dataset.attribute = fieldSchema.attribute;
+            }
         });
     }
 
@@ -481,6 +497,150 @@ class DataCollectionUI {
         return selectors;
     }
 
+    getCurrentSchema() {
+        const schema = {};
+        document.querySelectorAll('#selectorsList .form-group').forEach(group => {
+            const field = group.querySelector('.selector-field').value;
+            const type = group.querySelector('.selector-type').value;
+            if (!field) return;
+
+            schema[field] = { type: type };
+            if (type === 'attribute' && group.dataset.attribute) {
+                schema[field].attribute = group.dataset.attribute;
+            }
+        });
+        return schema;
+    }
+
+    getCurrentDataSchema() {
+        return this.getCurrentSites().reduce((schema, site) => ({ ...schema, ...(site.schema || {}) }), {});
+    }
+
+    // AI-generated selectors
+    async generateSelectors() {
+        const url = document.getElementById('siteUrl').value.trim();
+        const description = document.getElementById('fieldDescription').value.trim();
+        if (!url || !description) {
+            this.setSelectorStatus('Enter the website URL and describe the fields first', true);
+            return;
+        }
+
+        this.setSelectorButtonsDisabled(true);
+        this.setSelectorStatus('Reading the page and asking LM Studio for selectors…');
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'PROPOSE_DATA_SELECTORS',
+                url: url,
+                description: description,
+                waitTime: parseInt(document.getElementById('waitTime').value) || 2000
+            });
+
+            if (response.success) {
+                const { selectors, dataSchema, preview } = response.data;
+                document.getElementById('containerSelector').value = selectors.container || '';
+                this.renderSelectorsList(selectors.fields, dataSchema);
+                this.renderSelectorPreview(preview);
+                this.setSelectorStatus(preview.missingFields.length > 0
+                    ? 'Some fields still need attention, see the preview'
+                    : 'Selectors generated, check the preview before saving');
+            } else {
+                this.setSelectorStatus('Could not generate selectors: ' + response.error, true);
+            }
+        } catch (error) {
+            console.error('Error generating selectors:', error);
+            this.setSelectorStatus('Error generating selectors', true);
+        } finally {
+            this.setSelectorButtonsDisabled(false);
+        }
+    }
+
+    async previewSelectors() {
+        const url = document.getElementById('siteUrl').value.trim();
+        const fields = this.getCurrentSelectors();
+        if (!url || Object.keys(fields).length === 0) {
+            this.setSelectorStatus('Enter the website URL and at least one field selector first', true);
+            return;
+        }
+
+        this.setSelectorButtonsDisabled(true);
+        this.setSelectorStatus('Collecting a preview…');
+
+        try {
+            const response = await browser.runtime.sendMessage({
+                type: 'PREVIEW_DATA_SELECTORS',
+                url: url,
+                selectors: {
+                    container: document.getElementById('containerSelector').value,
+                    fields: fields
+                },
+                dataSchema: this.getCurrentSchema(),
+                waitTime: parseInt(document.getElementById('waitTime').value) || 2000
+            });
+
+            if (response.success) {
+                this.renderSelectorPreview(response.data);
+                this.setSelectorStatus('');
+            } else {
+                this.setSelectorStatus('Preview failed: ' + response.error, true);
+            }
+        } catch (error) {
+            console.error('Error previewing selectors:', error);
+            this.setSelectorStatus('Error previewing selectors', true);
+        } finally {
+            this.setSelectorButtonsDisabled(false);
+        }
+    }
+
+    renderSelectorPreview(preview) {
+        const container = document.getElementById('selectorPreview');
+        const fields = Object.keys(preview.fieldCounts);
+
+        const summary = document.createElement('div');
+        summary.className = 'selector-preview-summary';
+        summary.textContent = `${preview.itemCount} item${preview.itemCount === 1 ? '' : 's'} found` +
+            (preview.missingFields.length > 0 ? `, no matches for: ${preview.missingFields.join(', ')}` : '') +
+            (preview.rows.length < preview.itemCount ? ` (showing the first ${preview.rows.length})` : '');
+
+        if (preview.rows.length === 0) {
+            container.replaceChildren(summary);
+            return;
+        }
+
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        fields.forEach(field => {
+            const th = document.createElement('th');
+            th.textContent = `${field} (${preview.fieldCounts[field]})`;
+            if (preview.missingFields.includes(field)) th.className = 'missing';
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        preview.rows.forEach(record => {
+            const row = body.insertRow();
+            fields.forEach(field => {
+                const value = record[field];
+                const cell = row.insertCell();
+                cell.textContent = Array.isArray(value) ? value.join(', ') : (value ?? '');
+                cell.title = cell.textContent;
+            });
+        });
+
+        container.replaceChildren(summary, table);
+    }
+
+    setSelectorStatus(message, isError = false) {
+        const status = document.getElementById('selectorStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    setSelectorButtonsDisabled(disabled) {
+        document.getElementById('generateSelectorsBtn').disabled = disabled;
+        document.getElementById('previewSelectorsBtn').disabled = disabled;
+    }
+
     getCurrentSites() {
         const sites = [];
         document.querySelectorAll('#sitesList .dynamic-item').forEach(item => {
@@ -78,7 +78,7 @@ class FactCheckUI {
             });
 
             if (response.success) {
-                this.factChecks = response.factChecks || [];
+                this.factChecks = response.data || [];
                 this.applyFilters();
             } else {
                 this.showNotification('Failed to load fact checks: ' + response.error, 'error');
@@ -355,7 +355,7 @@ class FactCheckUI {
                 this.showNotification('Quick fact check started', 'success');
                 
                 // Auto-execute the fact check
-                await this.executeFactCheck(response.factCheck.id);
+                await this.executeFactCheck(response.data.id);
                 
                 await this.loadFactChecks();
                 this.renderFactChecks();
@@ -7,6 +7,7 @@ class FactCheckingSystem {
     constructor() {
         this.factChecks = new Map();
         this.storage = browser.storage.local;
+        this.lmStudio = new LMStudioClient();
         this.reliableSources = [
             'wikipedia.org',
             'snopes.com',
@@ -20,8 +21,9 @@ class FactCheckingSystem {
             'ncbi.nlm.nih.gov'
         ];
         this.crossReferenceSystem = null; // Will be injected
+        this.searchService = null; // Will be injected
         
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -40,6 +42,27 @@ class FactCheckingSystem {
         this.crossReferenceSystem = crossRefSystem;
     }
 
+    /**
+     * Set search service for web searches
+     */
+    setSearchService(searchService) {
+        this.searchService = searchService;
+    }
+
+    /**
+     * Search the web through the search service, or by message when running outside the background page
+     */
+    async searchInternet(query) {
+        if (this.searchService) {
+            return this.searchService.search(query);
+        }
+        const response = await browser.runtime.sendMessage({ type: 'SEARCH_INTERNET', query: query });
+        if (!response || !response.success) {
+            throw new Error(response ? response.error : 'No reply from the background script');
+        }
+        return response.data;
+    }
+
     /**
      * Create a new fact-check analysis
      */
@@ -184,13 +207,10 @@ class FactCheckingSystem {
             try {
                 // Use site-specific search
                 const searchQuery = `site:${site} ${claim}`;
-                const response = await browser.runtime.sendMessage({
-                    action: 'searchInternet',
-                    query: searchQuery
-                });
+                const { results: found } = await this.searchInternet(searchQuery);
 
-                if (response && response.results && response.results.length > 0) {
-                    results.push(...response.results.map(r => ({
+                if (found.length > 0) {
+                    results.push(...found.map(r => ({
                         title: r.title,
                         snippet: r.snippet,
                         url: r.url,
@@ -219,16 +239,13 @@ class FactCheckingSystem {
         try {
             // Search for academic papers and studies
             const academicQuery = `${claim} site:ncbi.nlm.nih.gov OR site:nature.com OR site:science.org`;
-            const response = await browser.runtime.sendMessage({
-                action: 'searchInternet',
-                query: academicQuery
-            });
+            const { results } = await this.searchInternet(academicQuery);
 
-            if (response && response.results) {
+            if (results.length > 0) {
                 return {
                     source: 'academic',
                     query: claim,
-                    content: response.results.map(r => ({
+                    content: results.map(r => ({
                         title: r.title,
                         snippet: r.snippet,
                         url: r.url,
@@ -249,16 +266,13 @@ class FactCheckingSystem {
      */
     async searchWeb(claim) {
         try {
-            const response = await browser.runtime.sendMessage({
-                action: 'searchInternet',
-                query: claim
-            });
+            const { results } = await this.searchInternet(claim);
 
-            if (response && response.results) {
+            if (results.length > 0) {
                 return {
                     source: 'web_search',
                     query: claim,
-                    content: response.results.map(r => ({
+                    content: results.map(r => ({
                         title: r.title,
                         snippet: r.snippet,
                         url: r.url,
@@ -486,22 +500,12 @@ Provide analysis in JSON format:
     "neutral": [{"source": "source_name", "reason": "why it's neutral"}]
 }`;
 
-            const response = await fetch('http://localhost:1234/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messages: [
-                        { role: 'system', content: 'You are an expert fact-checker and evidence analyst.' },
-                        { role: 'user', content: analysisPrompt }
-                    ],
-                    temperature: 0.2,
-                    max_tokens: 1500
-                })
+            const analysisText = await this.lmStudio.complete(analysisPrompt, {
+                systemPrompt: 'You are an expert fact-checker and evidence analyst.',
+                temperature: 0.2,
+                maxTokens: 1500
             });
 
-            const result = await response.json();
-            const analysisText = result.choices[0].message.content;
-
             try {
                 const analysis = JSON.parse(analysisText);
                 return {
@@ -654,22 +658,12 @@ Provide a final verdict in JSON format:
     "reasoning": "detailed explanation of the verdict"
 }`;
 
-            const response = await fetch('http://localhost:1234/v1/chat/completions', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    messages: [
-                        { role: 'system', content: 'You are an expert fact-checker. Provide balanced, evidence-based verdicts.' },
-                        { role: 'user', content: verdictPrompt }
-                    ],
-                    temperature: 0.1,
-                    max_tokens: 800
-                })
+            const verdictText = await this.lmStudio.complete(verdictPrompt, {
+                systemPrompt: 'You are an expert fact-checker. Provide balanced, evidence-based verdicts.',
+                temperature: 0.1,
+                maxTokens: 800
             });
 
-            const result = await response.json();
-            const verdictText = result.choices[0].message.content;
-
             return JSON.parse(verdictText);
 
         } catch (error) {
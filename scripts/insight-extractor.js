@@ -5,9 +5,9 @@
 
 class InsightExtractor {
     constructor() {
-        this.apiUrl = 'http://localhost:1234/v1/chat/completions';
+        this.lmStudio = new LMStudioClient();
         this.storageKey = 'lm_studio_insights';
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -509,34 +509,11 @@ Provide knowledge gaps as a JSON array with objects containing:
     }
 
     async callLMStudio(prompt) {
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: 'local-model',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert analyst specializing in extracting insights and actionable takeaways from complex content. Always respond with valid JSON when requested.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 2000
-            })
+        return this.lmStudio.complete(prompt, {
+            systemPrompt: 'You are an expert analyst specializing in extracting insights and actionable takeaways from complex content. Always respond with valid JSON when requested.',
+            temperature: 0.3,
+            maxTokens: 2000
         });
-
-        if (!response.ok) {
-            throw new Error(`LM Studio API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content;
     }
 
     parseAIResponse(response, fallback = []) {
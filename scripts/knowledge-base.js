@@ -0,0 +1,237 @@
+/**
+ * Knowledge Base - Local retrieval over what the user has collected: research notes, extracted
+ * insights, page highlights and saved citations
+ * Runs in the background page and answers SEARCH_KNOWLEDGE_BASE messages from the chat page
+ *
+ * Every stored item is split into passages { id, kind, source, title, url, text }. Passages are
+ * ranked by cosine similarity of LM Studio embeddings (/v1/embeddings) when an embedding model is
+ * available, and by BM25 (TextChunker) otherwise. Vectors are kept in memory by passage text, so
+ * only new or edited passages are embedded again; the passage list is rebuilt whenever one of the
+ * stores changes.
+ */
+
+class KnowledgeBase {
+    constructor() {
+        this.lmStudio = new LMStudioClient();
+        this.chunker = new TextChunker({ chunkSize: KnowledgeBase.PASSAGE_SIZE, overlap: 100 });
+        this.passages = null;            // built on first use and after a store changes
+        this.vectors = new Map();        // passage text -> embedding from vectorModel
+        this.vectorModel = null;
+        this.embeddingsFailedAt = 0;
+
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && Object.keys(KnowledgeBase.STORES).some(key => key in changes)) {
+                this.passages = null;
+            }
+        });
+    }
+
+    // Storage keys of the stores that are indexed, and what their items are called
+    static get STORES() {
+        return {
+            research_notes: { kind: 'note', label: 'Research note' },
+            lm_studio_insights: { kind: 'insight', label: 'Insights' },
+            lm_studio_highlights: { kind: 'highlight', label: 'Highlights' },
+            citations: { kind: 'citation', label: 'Saved citation' }
+        };
+    }
+
+    static get PASSAGE_SIZE() {
+        return 800;
+    }
+
+    static get DEFAULT_LIMIT() {
+        return 5;
+    }
+
+    // So one long note cannot take every slot
+    static get PASSAGES_PER_ITEM() {
+        return 2;
+    }
+
+    static get EMBEDDING_BATCH() {
+        return 32;
+    }
+
+    // After a failed embeddings request, BM25 is used for this long before trying again
+    static get EMBEDDING_RETRY_DELAY() {
+        return 5 * 60 * 1000;
+    }
+
+    // Cosine similarity below this is treated as unrelated
+    static get MIN_SIMILARITY() {
+        return 0.2;
+    }
+
+    // Fields of InsightExtractor analysis items that hold the finding itself
+    static get INSIGHT_FIELDS() {
+        return {
+            keyInsights: 'insight',
+            actionableItems: 'action',
+            criticalPoints: 'point',
+            implications: 'implication',
+            recommendations: 'recommendation',
+            patterns: 'pattern',
+            contradictions: 'contradiction',
+            gaps: 'gap'
+        };
+    }
+
+    /**
+     * The passages that best answer a question
+     * @param {string} question
+     * @param {Object} options - limit: number of passages
+     * @returns {Promise<{passages: Array<{kind, source, title, url, text, score}>, method: string|null, total: number}>}
+     *          method is 'embeddings' or 'bm25'; total is the number of passages indexed
+     */
+    async search(question, { limit = null } = {}) {
+        const passages = await this.getPassages();
+        if (passages.length === 0) {
+            return { passages: [], method: null, total: 0 };
+        }
+
+        let ranked = null;
+        let method = 'bm25';
+        const model = await this.getEmbeddingModel();
+        if (model) {
+            try {
+                ranked = await this.rankByEmbeddings(passages, question, model);
+                method = 'embeddings';
+            } catch (error) {
+                console.warn('⚠️ Embeddings failed, ranking the knowledge base by keywords:', error.message);
+                this.embeddingsFailedAt = Date.now();
+            }
+        }
+        if (!ranked) {
+            ranked = this.chunker.rank(passages, question).filter(({ score }) => score > 0);
+        }
+
+        const perItem = new Map();
+        const picked = [];
+        for (const { chunk, score } of ranked) {
+            const count = perItem.get(chunk.id) || 0;
+            if (count >= KnowledgeBase.PASSAGES_PER_ITEM) continue;
+            perItem.set(chunk.id, count + 1);
+            const { kind, source, title, url, text } = chunk;
+            picked.push({ kind, source, title, url, text, score: Math.round(score * 1000) / 1000 });
+            if (picked.length >= (limit || KnowledgeBase.DEFAULT_LIMIT)) break;
+        }
+
+        console.log(`📚 Knowledge base: ${picked.length} of ${passages.length} passages by ${method}`);
+        return { passages: picked, method, total: passages.length };
+    }
+
+    async getPassages() {
+        if (this.passages) return this.passages;
+
+        const stored = await browser.storage.local.get(Object.keys(KnowledgeBase.STORES));
+        const items = [
+            ...(stored.research_notes || []).map(note => this.fromNote(note)),
+            ...(stored.lm_studio_insights || []).map(insights => this.fromInsights(insights)),
+            ...(stored.lm_studio_highlights || []).map(page => this.fromHighlights(page)),
+            ...(stored.citations || []).map(citation => this.fromCitation(citation))
+        ].filter(item => item.text.trim());
+
+        const passages = [];
+        items.forEach(item => {
+            this.chunker.chunk(item.text).forEach(chunk => {
+                passages.push({
+                    index: passages.length,
+                    id: item.id,
+                    kind: KnowledgeBase.STORES[item.store].kind,
+                    source: KnowledgeBase.STORES[item.store].label,
+                    title: item.title,
+                    url: item.url,
+                    text: chunk.text
+                });
+            });
+        });
+        this.passages = passages;
+        return passages;
+    }
+
+    fromNote(note) {
+        const text = [note.title, note.summary, note.content, ...(note.keyPoints || [])].filter(Boolean).join('\n\n');
+        return { store: 'research_notes', id: `note:${note.id}`, title: note.title || 'Untitled note', url: note.url || '', text };
+    }
+
+    fromInsights(insights) {
+        const analysis = insights.analysis || {};
+        const lines = [];
+        Object.entries(KnowledgeBase.INSIGHT_FIELDS).forEach(([list, field]) => {
+            (analysis[list] || []).forEach(item => {
+                const value = typeof item === 'string' ? item : item && item[field];
+                if (value) lines.push(`${value}${item.evidence ? ` (${item.evidence})` : ''}`);
+            });
+        });
+        return { store: 'lm_studio_insights', id: `insight:${insights.id}`, title: insights.title || insights.url || 'Insights', url: insights.url || '', text: lines.join('\n') };
+    }
+
+    fromHighlights(page) {
+        const text = (page.highlights || []).map(highlight => highlight.text).filter(Boolean).join('\n');
+        return { store: 'lm_studio_highlights', id: `highlight:${page.url}:${page.timestamp}`, title: page.title || page.url, url: page.url || '', text };
+    }
+
+    fromCitation(citation) {
+        const text = [citation.title, citation.publisher, citation.notes].filter(Boolean).join('\n');
+        return { store: 'citations', id: `citation:${citation.id}`, title: citation.title || citation.url, url: citation.url || '', text };
+    }
+
+    // The embedding model from the options page, or the first one LM Studio lists; null means BM25
+    async getEmbeddingModel() {
+        if (Date.now() - this.embeddingsFailedAt < KnowledgeBase.EMBEDDING_RETRY_DELAY) return null;
+        try {
+            const { embeddingModel } = await browser.storage.local.get('embeddingModel');
+            if (embeddingModel) return embeddingModel;
+            const models = await this.lmStudio.listModels();
+            const model = models.find(entry => /embed/i.test(entry.id));
+            return model ? model.id : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async rankByEmbeddings(passages, question, model) {
+        if (model !== this.vectorModel) {
+            this.vectors.clear();
+            this.vectorModel = model;
+        }
+
+        // Forget vectors of passages that were edited or deleted
+        const texts = new Set(passages.map(passage => passage.text));
+        Array.from(this.vectors.keys()).forEach(text => {
+            if (!texts.has(text)) this.vectors.delete(text);
+        });
+
+        const missing = Array.from(texts).filter(text => !this.vectors.has(text));
+        for (let start = 0; start < missing.length; start += KnowledgeBase.EMBEDDING_BATCH) {
+            const batch = missing.slice(start, start + KnowledgeBase.EMBEDDING_BATCH);
+            const vectors = await this.lmStudio.embeddings(batch, { model, retries: 0 });
+            batch.forEach((text, i) => this.vectors.set(text, vectors[i]));
+        }
+        const [query] = await this.lmStudio.embeddings([question], { model, retries: 0 });
+
+        return passages
+            .map(passage => ({ chunk: passage, score: this.cosine(query, this.vectors.get(passage.text)) }))
+            .filter(({ score }) => score >= KnowledgeBase.MIN_SIMILARITY)
+            .sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+    }
+
+    cosine(a, b) {
+        if (!a || !b || a.length !== b.length) return 0;
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KnowledgeBase;
+}
@@ -0,0 +1,652 @@
+/**
+ * LM Studio Client - Shared access to the LM Studio OpenAI-compatible API
+ * Reads connection and generation settings saved from the options page so every
+ * subsystem talks to the same server with the same defaults and error handling
+ */
+
+/**
+ * Base error for everything the client throws. `code` is stable and safe to
+ * switch on; `retryable` tells callers whether trying again could help.
+ */
+class LMStudioError extends Error {
+    constructor(message, code = 'LM_STUDIO_ERROR', details = {}) {
+        super(message);
+        this.name = 'LMStudioError';
+        this.code = code;
+        this.retryable = details.retryable || false;
+        this.details = details;
+    }
+}
+
+/** The server could not be reached at all (not running, wrong URL, firewall) */
+class LMStudioConnectionError extends LMStudioError {
+    constructor(apiUrl, cause) {
+        super(`Cannot reach LM Studio at ${apiUrl}. Make sure LM Studio is running with the local server enabled.`,
+            'CONNECTION_FAILED', { retryable: true, apiUrl, cause });
+        this.name = 'LMStudioConnectionError';
+    }
+}
+
+/** The request did not finish within the configured timeout */
+class LMStudioTimeoutError extends LMStudioError {
+    constructor(timeoutMs) {
+        super(`LM Studio did not respond within ${Math.round(timeoutMs / 1000)} seconds.`,
+            'TIMEOUT', { retryable: true, timeoutMs });
+        this.name = 'LMStudioTimeoutError';
+    }
+}
+
+/** The server answered with a non-2xx status */
+class LMStudioHTTPError extends LMStudioError {
+    constructor(status, body) {
+        super(`LM Studio API error (${status}): ${body || 'Unknown error'}`,
+            'HTTP_ERROR', { retryable: status === 429 || status >= 500, status, body });
+        this.name = 'LMStudioHTTPError';
+        this.status = status;
+    }
+}
+
+/** The caller cancelled the request through its AbortSignal */
+class LMStudioAbortError extends LMStudioError {
+    constructor() {
+        super('Request was cancelled.', 'ABORTED');
+        this.name = 'LMStudioAbortError';
+    }
+}
+
+/** The server answered but the payload was not what the API promises */
+class LMStudioResponseError extends LMStudioError {
+    constructor(message, payload) {
+        super(message, 'INVALID_RESPONSE', { payload });
+        this.name = 'LMStudioResponseError';
+    }
+}
+
+/**
+ * Incremental parser for text/event-stream bodies. Network chunks can end in the
+ * middle of a line or of a multi-byte character, so bytes are decoded in stream
+ * mode and an event is only returned once the blank line that ends it arrived.
+ */
+class SSEParser {
+    constructor() {
+        this.decoder = new TextDecoder();
+        this.buffer = '';
+        this.resetEvent();
+    }
+
+    resetEvent() {
+        this.eventType = '';
+        this.dataLines = [];
+        this.lastEventId = this.lastEventId || '';
+    }
+
+    /**
+     * @param {Uint8Array|string} chunk - Raw bytes from a reader, or already decoded text
+     * @returns {Array<{event: string, data: string, id: string}>} Events completed by this chunk
+     */
+    push(chunk) {
+        this.buffer += typeof chunk === 'string' ? chunk : this.decoder.decode(chunk, { stream: true });
+
+        const events = [];
+        // A trailing \r may be the first half of \r\n, so it waits for the next chunk
+        const pattern = /\r\n|\r(?!$)|\n/g;
+        let start = 0;
+        let match;
+        while ((match = pattern.exec(this.buffer)) !== null) {
+            const event = this.processLine(this.buffer.slice(start, match.index));
+            if (event) events.push(event);
+            start = match.index + match[0].length;
+        }
+        this.buffer = this.buffer.slice(start);
+        return events;
+    }
+
+    /**
+     * End of the body: decode what is left and dispatch an event the server did not terminate
+     */
+    flush() {
+        const events = this.push(this.decoder.decode());
+        if (this.buffer) {
+            const event = this.processLine(this.buffer.replace(/\r$/, ''));
+            if (event) events.push(event);
+            this.buffer = '';
+        }
+        const last = this.processLine('');
+        if (last) events.push(last);
+        return events;
+    }
+
+    processLine(line) {
+        if (line === '') {
+            if (this.dataLines.length === 0) {
+                this.resetEvent();
+                return null;
+            }
+            const event = { event: this.eventType || 'message', data: this.dataLines.join('\n'), id: this.lastEventId };
+            this.resetEvent();
+            return event;
+        }
+        if (line.startsWith(':')) return null; // Comment, used by some servers as a keep-alive
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') {
+            this.dataLines.push(value);
+        } else if (field === 'event') {
+            this.eventType = value;
+        } else if (field === 'id' && !value.includes('\0')) {
+            this.lastEventId = value;
+        }
+        return null;
+    }
+}
+
+class LMStudioClient {
+    /**
+     * @param {Object} overrides - Per-instance settings that win over stored ones
+     */
+    constructor(overrides = {}) {
+        // Mirrors the relevant keys of SettingsManager.defaultSettings in options.js
+        this.defaults = {
+            apiUrl: 'http://localhost:1234/v1',
+            connectionTimeout: 10,   // seconds, used for /models and health checks
+            requestTimeout: 2,       // minutes, used for completions
+            defaultModel: '',
+            defaultTemperature: 0.7,
+            maxTokens: 2000,
+            modelParameters: ''
+        };
+        this.overrides = overrides;
+        this.maxRetries = overrides.maxRetries !== undefined ? overrides.maxRetries : 2;
+        this.retryDelay = overrides.retryDelay || 1000;
+    }
+
+    /**
+     * Read settings fresh on every call so changes in the options page apply
+     * without reloading whichever page or script owns this client
+     */
+    async getSettings() {
+        let stored = {};
+        try {
+            stored = await browser.storage.local.get(Object.keys(this.defaults));
+        } catch (error) {
+            console.error('Failed to read LM Studio settings, using defaults:', error);
+        }
+
+        const settings = { ...this.defaults };
+        Object.keys(this.defaults).forEach(key => {
+            if (stored[key] !== undefined && stored[key] !== null && stored[key] !== '') {
+                settings[key] = stored[key];
+            }
+            if (this.overrides[key] !== undefined) {
+                settings[key] = this.overrides[key];
+            }
+        });
+
+        settings.apiUrl = String(settings.apiUrl).replace(/\/+$/, '');
+        settings.connectionTimeout = Number(settings.connectionTimeout) || this.defaults.connectionTimeout;
+        settings.requestTimeout = Number(settings.requestTimeout) || this.defaults.requestTimeout;
+        settings.defaultTemperature = Number(settings.defaultTemperature);
+        settings.maxTokens = parseInt(settings.maxTokens) || this.defaults.maxTokens;
+        settings.modelParameters = this.parseModelParameters(settings.modelParameters);
+
+        return settings;
+    }
+
+    parseModelParameters(value) {
+        if (!value) return {};
+        if (typeof value === 'object') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            console.warn('Ignoring invalid model parameters JSON:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * List models currently available on the server
+     * @returns {Promise<Array>} OpenAI-style model objects
+     */
+    async listModels(options = {}) {
+        const settings = await this.getSettings();
+        const response = await this.request(settings, '/models', { method: 'GET' }, {
+            timeout: settings.connectionTimeout * 1000,
+            retries: 0,
+            signal: options.signal
+        });
+        const data = await this.readJSON(response);
+        return data.data || [];
+    }
+
+    /**
+     * Quick health check that never throws
+     */
+    async checkConnection() {
+        try {
+            const models = await this.listModels();
+            return { connected: true, models };
+        } catch (error) {
+            return { connected: false, models: [], error };
+        }
+    }
+
+    /**
+     * Context window and vision support of a model, read from LM Studio's native REST
+     * API (/api/v0), which the OpenAI-compatible /models endpoint does not report. Never throws.
+     * @param {string} modelId - Model to look up; defaults to whichever model is loaded
+     * @returns {Promise<{id: string, contextLength: number, maxContextLength: number, state: string, vision: boolean|null}|null>}
+     *          null when the server does not offer the native API
+     */
+    async getModelInfo(modelId = null, options = {}) {
+        try {
+            const settings = await this.getSettings();
+            const nativeUrl = settings.apiUrl.replace(/\/v1$/, '') + '/api/v0';
+            const response = await this.fetchOnce(nativeUrl, '/models', { method: 'GET' },
+                settings.connectionTimeout * 1000, options.signal);
+            const data = await this.readJSON(response);
+            const models = data.data || [];
+
+            const model = (modelId && models.find(m => m.id === modelId)) || models.find(m => m.state === 'loaded');
+            if (!model) return null;
+
+            return {
+                id: model.id,
+                // A model loaded with a shorter context than it supports is limited to that
+                contextLength: model.loaded_context_length || model.max_context_length || null,
+                maxContextLength: model.max_context_length || null,
+                state: model.state || null,
+                // LM Studio marks vision models as 'vlm'; null when the server does not say
+                vision: model.type ? model.type === 'vlm' : null
+            };
+        } catch (error) {
+            console.warn('Model details not available from LM Studio:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Non-streaming chat completion
+     * @param {Array} messages - OpenAI-style messages
+     * @param {Object} options - model, temperature, maxTokens, stop, timeout, signal, retries, extra body fields
+     * @returns {Promise<string>} Assistant message content
+     */
+    async chat(messages, options = {}) {
+        const result = await this.chatCompletion(messages, options);
+        return result.content;
+    }
+
+    /**
+     * Non-streaming chat completion returning the full result
+     * @returns {Promise<{content: string, finishReason: string, usage: Object, raw: Object}>}
+     */
+    async chatCompletion(messages, options = {}) {
+        const settings = await this.getSettings();
+        const body = this.buildBody(settings, messages, options, false);
+
+        const response = await this.request(settings, '/chat/completions', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        }, {
+            timeout: options.timeout || settings.requestTimeout * 60000,
+            retries: options.retries,
+            signal: options.signal
+        });
+
+        const data = await this.readJSON(response);
+        const choice = data.choices && data.choices[0];
+        if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+            throw new LMStudioResponseError('Invalid response format from LM Studio', data);
+        }
+
+        return {
+            content: choice.message.content,
+            reasoning: choice.message.reasoning_content || choice.message.reasoning || null,
+            finishReason: choice.finish_reason || null,
+            usage: data.usage || null,
+            raw: data
+        };
+    }
+
+    /**
+     * Convenience wrapper for the single-prompt calls most subsystems make
+     * @param {string} prompt - User prompt
+     * @param {Object} options - Same as chat(), plus `systemPrompt`
+     */
+    async complete(prompt, options = {}) {
+        const messages = [];
+        if (options.systemPrompt) {
+            messages.push({ role: 'system', content: options.systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
+        return this.chat(messages, options);
+    }
+
+    /**
+     * Streaming chat completion. Retries only happen before the first token
+     * arrives so callers never see duplicated output.
+     * Reasoning models send their thinking either as `reasoning_content` deltas or
+     * inside a leading <think> block; both are kept out of `content`.
+     * @param {Array} messages - OpenAI-style messages
+     * @param {Object} options - Same as chat(), plus `onToken(delta, fullText)` and
+     *                           `onReasoning(delta, fullReasoning)`
+     * @returns {Promise<{content: string, reasoning: string, finishReason: string, usage: Object}>}
+     */
+    async stream(messages, options = {}) {
+        const settings = await this.getSettings();
+        const body = this.buildBody(settings, messages, options, true);
+        const timeout = options.timeout || settings.requestTimeout * 60000;
+
+        // One controller covers both the fetch and the body reads, so the
+        // timeout also fires if the server stalls mid-stream
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onCallerAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onCallerAbort);
+        }
+
+        const result = { content: '', reasoning: '', finishReason: null, usage: null };
+        const thinkState = { pending: '', mode: 'start' };
+
+        try {
+            const response = await this.request(settings, '/chat/completions', {
+                method: 'POST',
+                headers: { 'Accept': 'text/event-stream' },
+                body: JSON.stringify(body)
+            }, {
+                timeout,
+                retries: options.retries,
+                signal: controller.signal
+            });
+
+            const reader = response.body.getReader();
+            const parser = new SSEParser();
+
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    const events = done ? parser.flush() : parser.push(value);
+
+                    for (const event of events) {
+                        if (this.handleStreamEvent(event, result, thinkState, options) === 'done') {
+                            return this.finishStream(result, thinkState, options);
+                        }
+                    }
+                    if (done) break;
+                }
+            } finally {
+                reader.releaseLock();
+            }
+
+            return this.finishStream(result, thinkState, options);
+        } catch (error) {
+            if (timedOut) throw new LMStudioTimeoutError(timeout);
+            if (error instanceof LMStudioError) throw error;
+            if (error.name === 'AbortError') throw new LMStudioAbortError();
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (options.signal) options.signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    /**
+     * Apply one server-sent event to the stream result
+     * @returns {string|null} 'done' once the server sent [DONE]
+     */
+    handleStreamEvent(event, result, thinkState, options) {
+        const data = event.data.trim();
+        if (data === '[DONE]') return 'done';
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) {
+            if (event.event === 'error') {
+                throw new LMStudioResponseError(data || 'LM Studio reported an error mid-stream', { data });
+            }
+            // Events are complete at this point, so this is the server's fault rather than chunking
+            console.warn('⚠️ Skipping malformed stream event:', data.substring(0, 200));
+            return null;
+        }
+
+        if (parsed.error || event.event === 'error') {
+            const error = parsed.error || parsed;
+            throw new LMStudioResponseError(error.message || (typeof error === 'string' ? error : 'LM Studio reported an error mid-stream'), parsed);
+        }
+
+        const choice = parsed.choices && parsed.choices[0];
+        const delta = choice && choice.delta;
+        if (delta) {
+            const reasoning = delta.reasoning_content || delta.reasoning;
+            if (reasoning) this.emitReasoning(reasoning, result, options);
+            if (delta.content) this.routeContent(delta.content, result, thinkState, options);
+        }
+        if (choice && choice.finish_reason) result.finishReason = choice.finish_reason;
+        if (parsed.usage) result.usage = parsed.usage;
+        return null;
+    }
+
+    /**
+     * Split a leading <think>…</think> block out of the content. Text that could
+     * still turn out to be part of a tag is held back until the next delta.
+     */
+    routeContent(text, result, thinkState, options) {
+        thinkState.pending += text;
+
+        if (thinkState.mode === 'start') {
+            const trimmed = thinkState.pending.trimStart();
+            if ('<think>'.startsWith(trimmed)) return;
+            if (trimmed.startsWith('<think>')) {
+                thinkState.mode = 'thinking';
+                thinkState.pending = trimmed.slice('<think>'.length);
+            } else {
+                thinkState.mode = 'content';
+            }
+        }
+
+        if (thinkState.mode === 'thinking') {
+            const close = thinkState.pending.indexOf('</think>');
+            if (close === -1) {
+                let keep = 0;
+                for (let length = Math.min(7, thinkState.pending.length); length > 0; length--) {
+                    if ('</think>'.startsWith(thinkState.pending.slice(-length))) {
+                        keep = length;
+                        break;
+                    }
+                }
+                const ready = thinkState.pending.slice(0, thinkState.pending.length - keep);
+                thinkState.pending = thinkState.pending.slice(ready.length);
+                if (ready) this.emitReasoning(ready, result, options);
+                return;
+            }
+            const reasoning = thinkState.pending.slice(0, close);
+            if (reasoning) this.emitReasoning(reasoning, result, options);
+            thinkState.mode = 'content';
+            thinkState.pending = thinkState.pending.slice(close + '</think>'.length).replace(/^\s+/, '');
+        }
+
+        if (thinkState.mode === 'content' && thinkState.pending) {
+            const content = thinkState.pending;
+            thinkState.pending = '';
+            result.content += content;
+            if (options.onToken) options.onToken(content, result.content);
+        }
+    }
+
+    emitReasoning(text, result, options) {
+        result.reasoning += text;
+        if (options.onReasoning) options.onReasoning(text, result.reasoning);
+    }
+
+    // Whatever is still held back once the stream ends belongs where it was heading
+    finishStream(result, thinkState, options) {
+        if (thinkState.pending) {
+            const rest = thinkState.pending;
+            thinkState.pending = '';
+            if (thinkState.mode === 'thinking') {
+                this.emitReasoning(rest, result, options);
+            } else {
+                result.content += rest;
+                if (options.onToken) options.onToken(rest, result.content);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Create embeddings for one or more strings
+     * @returns {Promise<Array<number[]>>}
+     */
+    async embeddings(input, options = {}) {
+        const settings = await this.getSettings();
+        const body = { input };
+        const model = options.model || settings.defaultModel;
+        if (model) body.model = model;
+
+        const response = await this.request(settings, '/embeddings', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        }, {
+            timeout: options.timeout || settings.requestTimeout * 60000,
+            retries: options.retries,
+            signal: options.signal
+        });
+
+        const data = await this.readJSON(response);
+        if (!Array.isArray(data.data)) {
+            throw new LMStudioResponseError('Invalid embeddings response from LM Studio', data);
+        }
+        return data.data.map(item => item.embedding);
+    }
+
+    buildBody(settings, messages, options, stream) {
+        const body = {
+            ...settings.modelParameters,
+            messages,
+            temperature: options.temperature !== undefined ? options.temperature : settings.defaultTemperature,
+            max_tokens: options.maxTokens || settings.maxTokens,
+            stream
+        };
+
+        const model = options.model || settings.defaultModel;
+        if (model) body.model = model;
+        if (Array.isArray(options.stop) && options.stop.length > 0) body.stop = options.stop;
+        // Token counts arrive in a final chunk only when asked for
+        if (stream) body.stream_options = { include_usage: true };
+        if (options.body) Object.assign(body, options.body);
+
+        return body;
+    }
+
+    /**
+     * fetch() with timeout, cancellation, typed errors and retry with backoff
+     */
+    async request(settings, path, init, { timeout, retries, signal } = {}) {
+        const maxRetries = retries !== undefined ? retries : this.maxRetries;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            if (attempt > 0) {
+                const delay = this.retryDelay * Math.pow(2, attempt - 1);
+                console.log(`🔁 Retrying LM Studio request (${attempt}/${maxRetries}) in ${delay}ms:`, lastError.message);
+                await this.sleep(delay, signal);
+            }
+
+            try {
+                return await this.fetchOnce(settings.apiUrl, path, init, timeout, signal);
+            } catch (error) {
+                lastError = error;
+                if (!error.retryable) throw error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    async fetchOnce(apiUrl, path, init, timeout, signal) {
+        if (signal && signal.aborted) throw new LMStudioAbortError();
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onCallerAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onCallerAbort);
+
+        try {
+            const response = await fetch(`${apiUrl}${path}`, {
+                ...init,
+                headers: { 'Content-Type': 'application/json', ...(init.headers || {}) },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                let body = '';
+                try {
+                    body = await response.text();
+                } catch (e) {
+                    // Body is only used for the error message
+                }
+                throw new LMStudioHTTPError(response.status, body);
+            }
+
+            return response;
+        } catch (error) {
+            if (error instanceof LMStudioError) throw error;
+            if (error.name === 'AbortError') {
+                if (timedOut) throw new LMStudioTimeoutError(timeout);
+                throw new LMStudioAbortError();
+            }
+            throw new LMStudioConnectionError(apiUrl, error);
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+
+    async readJSON(response) {
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new LMStudioResponseError('LM Studio returned a response that is not valid JSON', null);
+        }
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new LMStudioAbortError());
+                }, { once: true });
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LMStudioClient,
+        SSEParser,
+        LMStudioError,
+        LMStudioConnectionError,
+        LMStudioTimeoutError,
+        LMStudioHTTPError,
+        LMStudioAbortError,
+        LMStudioResponseError
+    };
+}
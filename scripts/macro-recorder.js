@@ -0,0 +1,274 @@
+/**
+ * Macro Recorder - Records a browsing session in one tab and turns it into an automation task
+ *
+ * The content script in the recorded tab reports clicks, field changes, form submissions and
+ * page loads as steps. Recording state lives in storage because the background page may be
+ * unloaded between steps. Stopping converts the steps into navigate/click/fill_form/wait
+ * actions and saves them as a disabled AutomationScheduler task for review.
+ */
+
+class MacroRecorder {
+    constructor(scheduler) {
+        this.scheduler = scheduler;
+        this.storage = browser.storage.local;
+        this.recording = null;
+
+        // Finish the recording if its tab goes away
+        browser.tabs.onRemoved.addListener((tabId) => this.handleTabRemoved(tabId));
+
+        this.ready = this.init();
+    }
+
+    static get STORAGE_KEY() {
+        return 'automation_recording';
+    }
+
+    // A page load this soon after a click or submit is treated as caused by it
+    static get LOAD_AFTER_INTERACTION_WINDOW() {
+        return 10000;
+    }
+
+    static get MAX_LOAD_WAIT() {
+        return 15000;
+    }
+
+    async init() {
+        try {
+            const result = await this.storage.get(MacroRecorder.STORAGE_KEY);
+            this.recording = result[MacroRecorder.STORAGE_KEY] || null;
+            console.log('⏺️ Macro Recorder initialized');
+        } catch (error) {
+            console.error('Failed to initialize Macro Recorder:', error);
+        }
+    }
+
+    /**
+     * Start recording, either in a new tab opened at `url` or in an existing tab
+     * @param {Object} options - { url } or { tabId }
+     */
+    async start({ url = null, tabId = null } = {}) {
+        if (this.recording) {
+            throw new Error('A recording is already in progress');
+        }
+
+        let tab;
+        if (tabId) {
+            tab = await browser.tabs.get(tabId);
+        } else if (url) {
+            tab = await browser.tabs.create({ url: url, active: true });
+        } else {
+            throw new Error('Recording needs a URL or a tab');
+        }
+
+        this.recording = {
+            tabId: tab.id,
+            startedAt: new Date().toISOString(),
+            title: '',
+            steps: []
+        };
+        await this.save();
+
+        // An already loaded page will not ask for the recording state, so tell it directly
+        if (tabId) {
+            this.recording.steps.push({ kind: 'load', url: tab.url, title: tab.title, timestamp: Date.now() });
+            await this.save();
+            await browser.tabs.sendMessage(tab.id, { action: 'startRecording' }).catch(() => {});
+        }
+
+        console.log(`⏺️ Started recording macro in tab ${tab.id}`);
+        return this.getState();
+    }
+
+    /**
+     * Stop recording and save the steps as a new, disabled automation task
+     * @returns {Object|null} the created task, or null if nothing was recorded
+     */
+    async stop() {
+        if (!this.recording) {
+            throw new Error('No recording in progress');
+        }
+
+        const recording = this.recording;
+        await this.discard();
+
+        const taskConfig = this.buildTaskConfig(recording);
+        if (taskConfig.actions.length === 0) {
+            console.log('⏹️ Recording stopped without any steps');
+            return null;
+        }
+
+        await this.scheduler.ready;
+        const task = await this.scheduler.createTask(taskConfig);
+        console.log(`⏹️ Saved recording as task ${task.name} with ${task.actions.length} actions`);
+
+        // Let an open automation page show the new task for editing
+        browser.runtime.sendMessage({ type: 'AUTOMATION_TASK_RECORDED', task: task }).catch(() => {});
+        return task;
+    }
+
+    /**
+     * Throw the current recording away without creating a task
+     */
+    async discard() {
+        const tabId = this.recording ? this.recording.tabId : null;
+        this.recording = null;
+        await this.storage.remove(MacroRecorder.STORAGE_KEY);
+
+        if (tabId) {
+            await browser.tabs.sendMessage(tabId, { action: 'stopRecording' }).catch(() => {});
+        }
+    }
+
+    /**
+     * Append a step reported by the content script of the recorded tab
+     */
+    async addStep(step, tabId) {
+        if (!this.recording || this.recording.tabId !== tabId) {
+            return { recording: false, stepCount: 0 };
+        }
+
+        this.recording.steps.push({ ...step, timestamp: step.timestamp || Date.now() });
+        if (step.kind === 'load' && !this.recording.title && step.title) {
+            this.recording.title = step.title;
+        }
+        await this.save();
+
+        return { recording: true, stepCount: this.recording.steps.length };
+    }
+
+    /**
+     * Recording state; when asked from a tab, only says "recording" for the recorded tab
+     */
+    getState(tabId = null) {
+        if (!this.recording) {
+            return { recording: false, stepCount: 0 };
+        }
+
+        const recording = tabId === null || this.recording.tabId === tabId;
+        return {
+            recording: recording,
+            tabId: this.recording.tabId,
+            startedAt: this.recording.startedAt,
+            stepCount: recording ? this.recording.steps.length : 0
+        };
+    }
+
+    async handleTabRemoved(tabId) {
+        await this.ready;
+        if (this.recording && this.recording.tabId === tabId) {
+            console.log('⏹️ Recorded tab was closed, saving the recording');
+            await this.stop().catch(error => console.error('Failed to save recording:', error));
+        }
+    }
+
+    buildTaskConfig(recording) {
+        const { actions, variables } = this.buildActions(recording.steps);
+        const firstLoad = recording.steps.find(step => step.kind === 'load');
+        let host = '';
+        try {
+            host = firstLoad ? new URL(firstLoad.url).hostname : '';
+        } catch (error) {
+            // Not a regular URL, keep the name generic
+        }
+
+        return {
+            name: `Recorded: ${recording.title || host || 'macro'}`,
+            description: `Recorded on ${new Date(recording.startedAt).toLocaleString()}${host ? ` at ${host}` : ''}`,
+            type: 'daily',
+            schedule: { hour: 9, minute: 0 },
+            // Recorded tasks stay off until someone has reviewed them
+            enabled: false,
+            actions: actions,
+            variables: variables,
+            tags: ['recorded']
+        };
+    }
+
+    /**
+     * Turn recorded steps into scheduler actions:
+     *   first page load        -> navigate
+     *   load after click/submit -> wait (for the page to finish loading)
+     *   other page loads       -> navigate
+     *   consecutive field edits -> one fill_form
+     *   clicks / submit buttons -> click
+     * Password values are never stored; they become ${password} variables to fill in.
+     */
+    buildActions(steps) {
+        const actions = [];
+        const variables = {};
+        let pendingFill = null;
+        let lastInteraction = null;
+
+        const flushFill = () => {
+            if (pendingFill) {
+                actions.push(pendingFill);
+                pendingFill = null;
+            }
+        };
+
+        steps.forEach(step => {
+            switch (step.kind) {
+                case 'load': {
+                    flushFill();
+                    const elapsed = lastInteraction !== null ? step.timestamp - lastInteraction : null;
+                    if (actions.length > 0 && elapsed !== null && elapsed <= MacroRecorder.LOAD_AFTER_INTERACTION_WINDOW) {
+                        actions.push({ type: 'wait', duration: Math.min(Math.max(elapsed + 500, 1000), MacroRecorder.MAX_LOAD_WAIT) });
+                    } else {
+                        actions.push({ type: 'navigate', url: step.url, active: true });
+                    }
+                    lastInteraction = null;
+                    break;
+                }
+                case 'fill': {
+                    if (!pendingFill) {
+                        pendingFill = { type: 'fill_form', fields: {}, submit: false };
+                    }
+                    let value = step.value;
+                    if (step.sensitive) {
+                        const name = this.uniqueVariableName(variables, 'password');
+                        variables[name] = '';
+                        value = `\${${name}}`;
+                    }
+                    pendingFill.fields[step.selector] = value;
+                    break;
+                }
+                case 'click':
+                    flushFill();
+                    actions.push({ type: 'click', selector: step.selector, waitFor: 500 });
+                    lastInteraction = step.timestamp;
+                    break;
+                case 'submit':
+                    // Submitted with Enter: press the form's submit button, or let fill_form submit it
+                    if (step.selector) {
+                        flushFill();
+                        actions.push({ type: 'click', selector: step.selector, waitFor: 500 });
+                    } else if (pendingFill) {
+                        pendingFill.submit = true;
+                    }
+                    flushFill();
+                    lastInteraction = step.timestamp;
+                    break;
+            }
+        });
+
+        flushFill();
+        return { actions, variables };
+    }
+
+    uniqueVariableName(variables, base) {
+        let name = base;
+        for (let i = 2; name in variables; i++) {
+            name = `${base}${i}`;
+        }
+        return name;
+    }
+
+    async save() {
+        await this.storage.set({ [MacroRecorder.STORAGE_KEY]: this.recording });
+    }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MacroRecorder;
+}
@@ -0,0 +1,1180 @@
+/**
+ * Markdown Renderer - Turns model output into DOM nodes for the chat and popup pages
+ *
+ * Everything is built with createElement and text nodes, so HTML in model output is
+ * shown as text and never parsed or run. Supported: headings, paragraphs, emphasis,
+ * strikethrough, inline code, links (http, https and mailto only; images become
+ * links), nested and task lists, blockquotes, tables, rules, fenced code with syntax
+ * highlighting and a copy button, and TeX math ($…$, $$…$$, \(…\), \[…\]) rendered
+ * as MathML.
+ *
+ * For streamed replies, createStream() keeps the nodes of blocks whose source has not
+ * changed and only rebuilds the block that is still growing.
+ */
+
+class MarkdownRenderer {
+    constructor(doc = document) {
+        this.doc = doc;
+        this.highlightPatterns = new Map();
+    }
+
+    static get SAFE_PROTOCOLS() {
+        return ['http:', 'https:', 'mailto:'];
+    }
+
+    static get MATHML_NS() {
+        return 'http://www.w3.org/1998/Math/MathML';
+    }
+
+    static get LIST_ITEM() {
+        return /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    }
+
+    /**
+     * @returns {DocumentFragment}
+     */
+    render(markdown) {
+        const fragment = this.doc.createDocumentFragment();
+        this.parseBlocks(markdown).forEach(block => fragment.appendChild(this.renderBlock(block)));
+        return fragment;
+    }
+
+    renderInto(element, markdown) {
+        element.replaceChildren(this.render(markdown));
+    }
+
+    /**
+     * Incremental rendering into `element` for text that grows while tokens arrive.
+     * update() renders at most once per animation frame; finish() renders right away.
+     * @returns {{update: function(string), finish: function(string)}}
+     */
+    createStream(element) {
+        let rendered = [];
+        let pending = '';
+        let frame = null;
+
+        const apply = (text) => {
+            const blocks = this.parseBlocks(text);
+            let same = 0;
+            while (same < blocks.length && same < rendered.length &&
+                rendered[same].source === blocks[same].source && rendered[same].type === blocks[same].type) {
+                same++;
+            }
+
+            rendered.slice(same).forEach(entry => entry.node.remove());
+            rendered = rendered.slice(0, same);
+            blocks.slice(same).forEach(block => {
+                const node = this.renderBlock(block);
+                element.appendChild(node);
+                rendered.push({ source: block.source, type: block.type, node: node });
+            });
+        };
+
+        element.replaceChildren();
+        return {
+            update: (text) => {
+                pending = text;
+                if (frame !== null) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    apply(pending);
+                });
+            },
+            finish: (text) => {
+                if (frame !== null) {
+                    cancelAnimationFrame(frame);
+                    frame = null;
+                }
+                apply(text);
+            }
+        };
+    }
+
+    // Block parsing
+
+    parseBlocks(text) {
+        const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let block;
+            let match;
+
+            if ((match = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/))) {
+                const fence = match[1];
+                const closer = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+                const body = [];
+                let closed = false;
+                for (i++; i < lines.length; i++) {
+                    if (closer.test(lines[i])) {
+                        closed = true;
+                        i++;
+                        break;
+                    }
+                    body.push(lines[i]);
+                }
+                block = { type: 'code', language: match[2].toLowerCase(), code: body.join('\n'), closed: closed };
+            } else if (this.isMathBlockStart(line)) {
+                match = line.match(/^\s*(\$\$|\\\[)(.*)$/);
+                const close = match[1] === '$$' ? '$$' : '\\]';
+                let rest = match[2];
+                const body = [];
+                let closed = false;
+                i++;
+                while (true) {
+                    const end = rest.indexOf(close);
+                    if (end !== -1) {
+                        body.push(rest.substring(0, end));
+                        closed = true;
+                        break;
+                    }
+                    body.push(rest);
+                    if (i >= lines.length) break;
+                    rest = lines[i++];
+                }
+                block = { type: 'math', tex: body.join('\n').trim(), closed: closed };
+            } else if ((match = line.match(/^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/))) {
+                block = { type: 'heading', level: match[1].length, text: match[2] };
+                i++;
+            } else if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                block = { type: 'rule' };
+                i++;
+            } else if (/^ {0,3}>/.test(line)) {
+                const inner = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    inner.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                block = { type: 'quote', blocks: this.parseBlocks(inner.join('\n')) };
+            } else if (this.isTableStart(lines, i)) {
+                const header = this.splitTableRow(lines[i]);
+                const align = this.splitTableRow(lines[i + 1]).map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+                });
+                const rows = [];
+                for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) {
+                    rows.push(this.splitTableRow(lines[i]));
+                }
+                block = { type: 'table', header: header, align: align, rows: rows };
+            } else if ((match = line.match(MarkdownRenderer.LIST_ITEM))) {
+                // A bullet list right after a numbered one (or the reverse) is a separate list
+                const ordered = /\d/.test(match[2]);
+                const otherKind = (text) => {
+                    const item = text.match(MarkdownRenderer.LIST_ITEM);
+                    return item && item[1].length <= match[1].length && /\d/.test(item[2]) !== ordered;
+                };
+                const itemLines = [];
+                while (i < lines.length) {
+                    const current = lines[i];
+                    const next = lines[i + 1];
+                    if (i > start && otherKind(current)) {
+                        break;
+                    } else if (MarkdownRenderer.LIST_ITEM.test(current) || (current.trim() && /^\s{2,}\S/.test(current))) {
+                        itemLines.push(current);
+                    } else if (!current.trim() && next !== undefined && !otherKind(next) &&
+                        (MarkdownRenderer.LIST_ITEM.test(next) || /^\s{2,}\S/.test(next))) {
+                        itemLines.push(current);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                block = { type: 'list', ...this.parseList(itemLines) };
+            } else {
+                const text = [line];
+                for (i++; i < lines.length && lines[i].trim() && !this.startsBlock(lines, i); i++) {
+                    text.push(lines[i]);
+                }
+                block = { type: 'paragraph', text: text.join('\n') };
+            }
+
+            block.source = lines.slice(start, i).join('\n');
+            blocks.push(block);
+        }
+
+        return blocks;
+    }
+
+    // Whether a line inside a paragraph starts a new block instead
+    startsBlock(lines, i) {
+        const line = lines[i];
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6}\s|>)/.test(line) ||
+            this.isMathBlockStart(line) ||
+            /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            MarkdownRenderer.LIST_ITEM.test(line) ||
+            this.isTableStart(lines, i);
+    }
+
+    // $$ or \[ opening a line, unless the formula closes on that line and text follows it
+    isMathBlockStart(line) {
+        const match = line.match(/^\s*(\$\$|\\\[)(.*)$/);
+        if (!match) return false;
+        const end = match[2].indexOf(match[1] === '$$' ? '$$' : '\\]');
+        return end === -1 || !match[2].substring(end + 2).trim();
+    }
+
+    isTableStart(lines, i) {
+        if (!lines[i].includes('|') || i + 1 >= lines.length || !lines[i + 1].includes('-')) {
+            return false;
+        }
+        const cells = this.splitTableRow(lines[i + 1]);
+        return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell));
+    }
+
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.substring(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.substring(0, row.length - 1);
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * Group list lines into items; lines indented past an item's marker belong to it
+     * and are parsed again as blocks, which is how nested lists come out
+     */
+    parseList(lines) {
+        const first = lines[0].match(MarkdownRenderer.LIST_ITEM);
+        const baseIndent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let contentIndent = 0;
+
+        lines.forEach(line => {
+            const match = line.match(MarkdownRenderer.LIST_ITEM);
+            if (match && match[1].length <= baseIndent + 1) {
+                contentIndent = match[1].length + match[2].length + 1;
+                items.push([match[3]]);
+            } else {
+                const indent = line.match(/^\s*/)[0].length;
+                items[items.length - 1].push(line.substring(Math.min(indent, contentIndent)));
+            }
+        });
+
+        return {
+            ordered: ordered,
+            start: ordered ? parseInt(first[2]) : 1,
+            items: items.map(itemLines => {
+                const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+                if (task) {
+                    itemLines[0] = itemLines[0].substring(task[0].length);
+                }
+                return {
+                    checked: task ? task[1] !== ' ' : null,
+                    blocks: this.parseBlocks(itemLines.join('\n'))
+                };
+            })
+        };
+    }
+
+    // Block rendering
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'heading': {
+                const heading = this.doc.createElement(`h${block.level}`);
+                this.renderInline(block.text, heading);
+                return heading;
+            }
+            case 'paragraph': {
+                const paragraph = this.doc.createElement('p');
+                this.renderInline(block.text, paragraph);
+                return paragraph;
+            }
+            case 'rule':
+                return this.doc.createElement('hr');
+            case 'quote': {
+                const quote = this.doc.createElement('blockquote');
+                block.blocks.forEach(inner => quote.appendChild(this.renderBlock(inner)));
+                return quote;
+            }
+            case 'list':
+                return this.renderList(block);
+            case 'table':
+                return this.renderTable(block);
+            case 'code':
+                return this.renderCodeBlock(block);
+            case 'math': {
+                const container = this.doc.createElement('div');
+                container.className = 'math-block';
+                if (block.closed) {
+                    container.appendChild(this.renderMath(block.tex, true));
+                } else {
+                    // Still streaming; parsing half an expression would only flash errors
+                    container.classList.add('math-pending');
+                    container.textContent = block.tex;
+                }
+                return container;
+            }
+            default:
+                return this.doc.createTextNode('');
+        }
+    }
+
+    renderList(block) {
+        const list = this.doc.createElement(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.start !== 1) {
+            list.start = block.start;
+        }
+
+        block.items.forEach(item => {
+            const li = this.doc.createElement('li');
+            if (item.checked !== null) {
+                li.className = 'task-item';
+                const checkbox = this.doc.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = item.checked;
+                checkbox.disabled = true;
+                li.appendChild(checkbox);
+            }
+            // The item's own text stays inline so lists do not get paragraph spacing
+            const blocks = [...item.blocks];
+            if (blocks.length > 0 && blocks[0].type === 'paragraph') {
+                this.renderInline(blocks.shift().text, li);
+            }
+            blocks.forEach(inner => li.appendChild(this.renderBlock(inner)));
+            list.appendChild(li);
+        });
+
+        return list;
+    }
+
+    renderTable(block) {
+        const wrapper = this.doc.createElement('div');
+        wrapper.className = 'table-wrapper';
+        const table = this.doc.createElement('table');
+
+        const addRow = (section, cells, tag) => {
+            const row = this.doc.createElement('tr');
+            block.header.forEach((unused, index) => {
+                const cell = this.doc.createElement(tag);
+                if (block.align[index]) cell.style.textAlign = block.align[index];
+                this.renderInline(cells[index] || '', cell);
+                row.appendChild(cell);
+            });
+            section.appendChild(row);
+        };
+
+        const head = this.doc.createElement('thead');
+        addRow(head, block.header, 'th');
+        table.appendChild(head);
+
+        const body = this.doc.createElement('tbody');
+        block.rows.forEach(cells => addRow(body, cells, 'td'));
+        table.appendChild(body);
+
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    renderCodeBlock(block) {
+        const container = this.doc.createElement('div');
+        container.className = 'code-block';
+
+        const header = this.doc.createElement('div');
+        header.className = 'code-block-header';
+        const language = this.doc.createElement('span');
+        language.textContent = block.language || 'text';
+        header.appendChild(language);
+
+        const copy = this.doc.createElement('button');
+        copy.className = 'code-copy-btn';
+        copy.textContent = 'Copy';
+        copy.addEventListener('click', () => {
+            navigator.clipboard.writeText(block.code).then(() => {
+                copy.textContent = 'Copied';
+                setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+            }).catch(() => {
+                copy.textContent = 'Copy failed';
+            });
+        });
+        header.appendChild(copy);
+        container.appendChild(header);
+
+        const pre = this.doc.createElement('pre');
+        const code = this.doc.createElement('code');
+        if (block.language) code.className = `language-${block.language}`;
+        code.appendChild(this.highlight(block.code, block.language));
+        pre.appendChild(code);
+        container.appendChild(pre);
+
+        return container;
+    }
+
+    // Inline parsing
+
+    /**
+     * Append the inline content of `text` to `parent`
+     */
+    renderInline(text, parent) {
+        let buffer = '';
+        const flush = () => {
+            if (buffer) {
+                parent.appendChild(this.doc.createTextNode(buffer));
+                buffer = '';
+            }
+        };
+        const emit = (node) => {
+            flush();
+            parent.appendChild(node);
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            let match;
+
+            if (ch === '\\') {
+                const next = text[i + 1];
+                if (next === '(' || next === '[') {
+                    const close = next === '(' ? '\\)' : '\\]';
+                    const end = text.indexOf(close, i + 2);
+                    if (end !== -1) {
+                        emit(this.renderMath(text.substring(i + 2, end), next === '['));
+                        i = end + 2;
+                        continue;
+                    }
+                }
+                if (next && /[!-/:-@[-`{-~]/.test(next)) {
+                    buffer += next;
+                    i += 2;
+                    continue;
+                }
+                buffer += ch;
+                i++;
+            } else if (ch === '`') {
+                const run = text.substring(i).match(/^`+/)[0];
+                const end = this.findCodeSpanEnd(text, i + run.length, run.length);
+                if (end === -1) {
+                    buffer += run;
+                    i += run.length;
+                    continue;
+                }
+                const code = this.doc.createElement('code');
+                let content = text.substring(i + run.length, end).replace(/\n/g, ' ');
+                if (/^ .* $/.test(content)) content = content.substring(1, content.length - 1);
+                code.textContent = content;
+                emit(code);
+                i = end + run.length;
+            } else if (ch === '$') {
+                const pattern = text[i + 1] === '$'
+                    ? /\$\$([\s\S]+?)\$\$/y
+                    : /\$(?![\s$])((?:\\.|[^$\\\n])+?)(?<![\s\\])\$(?!\d)/y;
+                pattern.lastIndex = i;
+                if ((match = pattern.exec(text))) {
+                    emit(this.renderMath(match[1], text[i + 1] === '$'));
+                    i += match[0].length;
+                    continue;
+                }
+                buffer += ch;
+                i++;
+            } else if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+                const image = ch === '!';
+                const pattern = /\[((?:[^[\]\\]|\\.|\[[^[\]]*\])*)\]\(\s*<?([^\s<>()]*(?:\([^\s()]*\)[^\s<>()]*)*)>?(?:\s+["']([^"']*)["'])?\s*\)/y;
+                pattern.lastIndex = image ? i + 1 : i;
+                if ((match = pattern.exec(text))) {
+                    emit(this.createLink(match[2], match[1], match[3], image));
+                    i = pattern.lastIndex;
+                    continue;
+                }
+                buffer += ch;
+                i++;
+            } else if (ch === '<') {
+                const pattern = /<((?:https?:\/\/|mailto:)[^\s<>]+)>/y;
+                pattern.lastIndex = i;
+                if ((match = pattern.exec(text))) {
+                    emit(this.createLink(match[1], null, null, false));
+                    i += match[0].length;
+                    continue;
+                }
+                buffer += ch;
+                i++;
+            } else if (ch === 'h' && /^https?:\/\//.test(text.substring(i, i + 8)) && !/\w/.test(text[i - 1] || '')) {
+                const pattern = /https?:\/\/[^\s<>]*[^\s<>.,:;"'!?)\]*_~]/y;
+                pattern.lastIndex = i;
+                if ((match = pattern.exec(text))) {
+                    emit(this.createLink(match[0], null, null, false));
+                    i += match[0].length;
+                    continue;
+                }
+                buffer += ch;
+                i++;
+            } else if (ch === '*' || ch === '_' || ch === '~') {
+                const consumed = this.renderEmphasis(text, i, emit);
+                if (consumed) {
+                    i += consumed;
+                    continue;
+                }
+                const run = text.substring(i).match(/^([*_~])\1*/)[0];
+                buffer += run;
+                i += run.length;
+            } else if (ch === '\n') {
+                emit(this.doc.createElement('br'));
+                i++;
+            } else {
+                buffer += ch;
+                i++;
+            }
+        }
+
+        flush();
+    }
+
+    findCodeSpanEnd(text, from, length) {
+        const pattern = /`+/g;
+        pattern.lastIndex = from;
+        let match;
+        while ((match = pattern.exec(text))) {
+            if (match[0].length === length) return match.index;
+        }
+        return -1;
+    }
+
+    /**
+     * Emphasis, strong and strikethrough. The closing run must be the same length as the
+     * opening one, so `**bold *and* more**` nests; `_` only works at word boundaries so
+     * snake_case names stay intact.
+     * @returns {number} characters consumed, 0 if the run is not a delimiter
+     */
+    renderEmphasis(text, i, emit) {
+        const run = text.substring(i).match(/^([*_~])\1*/)[0];
+        const ch = run[0];
+        const length = Math.min(run.length, 3);
+        if ((ch === '~' && run.length !== 2) || run.length > 3) return 0;
+        if (!text[i + run.length] || /\s/.test(text[i + run.length])) return 0;
+        if (ch === '_' && /\w/.test(text[i - 1] || '')) return 0;
+
+        let from = i + run.length;
+        while (true) {
+            const end = text.indexOf(run, from);
+            if (end === -1) return 0;
+
+            const closingRun = text.substring(end).match(/^([*_~])\1*/)[0].length;
+            const validCloser = closingRun === run.length && !/\s/.test(text[end - 1]) &&
+                !(ch === '_' && /\w/.test(text[end + run.length] || '')) && end > i + run.length;
+            if (!validCloser) {
+                from = end + closingRun;
+                continue;
+            }
+
+            const inner = text.substring(i + run.length, end);
+            let element;
+            if (ch === '~') {
+                element = this.doc.createElement('del');
+                this.renderInline(inner, element);
+            } else if (length === 3) {
+                element = this.doc.createElement('strong');
+                const em = this.doc.createElement('em');
+                this.renderInline(inner, em);
+                element.appendChild(em);
+            } else {
+                element = this.doc.createElement(length === 2 ? 'strong' : 'em');
+                this.renderInline(inner, element);
+            }
+            emit(element);
+            return end + run.length - i;
+        }
+    }
+
+    /**
+     * Links only for http, https and mailto; anything else stays readable as text.
+     * Images are shown as links rather than loaded.
+     */
+    createLink(href, label, title, image) {
+        let url = null;
+        try {
+            url = new URL(href.replace(/\\([()])/g, '$1'));
+        } catch (error) {
+            // Relative or malformed
+        }
+
+        if (!url || !MarkdownRenderer.SAFE_PROTOCOLS.includes(url.protocol)) {
+            const span = this.doc.createElement('span');
+            if (label) {
+                this.renderInline(label, span);
+            } else {
+                span.textContent = href;
+            }
+            return span;
+        }
+
+        const link = this.doc.createElement('a');
+        link.href = url.href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        if (title) link.title = title;
+        if (image) {
+            link.className = 'image-link';
+            link.textContent = `🖼️ ${label || url.href}`;
+        } else if (label) {
+            this.renderInline(label, link);
+        } else {
+            link.textContent = href;
+        }
+        return link;
+    }
+
+    // Syntax highlighting
+
+    static get LANGUAGE_ALIASES() {
+        return {
+            js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+            ts: 'typescript', tsx: 'typescript',
+            py: 'python', python3: 'python',
+            sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', powershell: 'bash', ps1: 'bash',
+            c: 'clike', h: 'clike', cpp: 'clike', 'c++': 'clike', hpp: 'clike', cs: 'clike', csharp: 'clike',
+            java: 'clike', kotlin: 'clike', kt: 'clike', go: 'clike', golang: 'clike', rust: 'clike', rs: 'clike',
+            swift: 'clike', php: 'clike', dart: 'clike', scala: 'clike',
+            scss: 'css', less: 'css',
+            html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup', xhtml: 'markup',
+            yml: 'yaml'
+        };
+    }
+
+    static get LANGUAGES() {
+        // Unterminated comments and strings run to the end of the code, which happens while streaming
+        const end = '(?![\\s\\S])';
+        const cComments = ['//[^\\n]*', `/\\*[\\s\\S]*?(?:\\*/|${end})`];
+        const quoted = ['"(?:\\\\.|[^"\\\\\\n])*"?', "'(?:\\\\.|[^'\\\\\\n])*'?"];
+        const jsKeywords = 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield';
+
+        return {
+            javascript: {
+                comments: cComments,
+                strings: [...quoted, '`(?:\\\\.|[^`\\\\])*`?'],
+                keywords: jsKeywords,
+                literals: 'true false null undefined NaN Infinity'
+            },
+            typescript: {
+                comments: cComments,
+                strings: [...quoted, '`(?:\\\\.|[^`\\\\])*`?'],
+                keywords: `${jsKeywords} abstract as declare enum implements interface keyof namespace private protected public readonly type`,
+                literals: 'true false null undefined NaN Infinity'
+            },
+            python: {
+                comments: ['#[^\\n]*'],
+                strings: [`[rbfuRBFU]{0,2}"""[\\s\\S]*?(?:"""|${end})`, `[rbfuRBFU]{0,2}'''[\\s\\S]*?(?:'''|${end})`,
+                    ...quoted.map(pattern => `[rbfuRBFU]{0,2}${pattern}`)],
+                keywords: 'and as assert async await break case class continue def del elif else except finally for from global if import in is lambda match nonlocal not or pass raise return try while with yield',
+                literals: 'True False None'
+            },
+            bash: {
+                comments: ['(?<![\\w$])#[^\\n]*'],
+                strings: quoted,
+                keywords: 'if then else elif fi for while until do done case esac function in return local export readonly echo exit set unset source sudo cd',
+                literals: 'true false',
+                variables: '\\$\\{[^}]*\\}|\\$[\\w@#?*!-]+'
+            },
+            clike: {
+                comments: cComments,
+                strings: quoted,
+                keywords: 'abstract as async auto await bool break byte case catch chan char class const continue crate def default defer delete do double dyn else enum explicit extends extern final finally float fn for foreach func function go goto if impl implements import in include inline int interface internal is let long loop map match mod mut namespace new object operator override package private protected pub public range readonly ref return select self short signed sizeof static struct super switch template this throw throws trait try type typedef typename union unsafe unsigned use using val var virtual void volatile when where while',
+                literals: 'true false null nullptr nil NULL None'
+            },
+            json: {
+                comments: [],
+                keys: '"(?:\\\\.|[^"\\\\\\n])*"(?=\\s*:)',
+                strings: ['"(?:\\\\.|[^"\\\\\\n])*"?'],
+                keywords: '',
+                literals: 'true false null'
+            },
+            sql: {
+                comments: ['--[^\\n]*', `/\\*[\\s\\S]*?(?:\\*/|${end})`],
+                strings: quoted,
+                keywords: 'add all alter and as asc begin between by case check column commit constraint create cross database default delete desc distinct drop else end exists foreign from full group having if in index inner insert into is join key left like limit not null offset on or order outer primary references returning right rollback select set table then transaction union unique update values view when where with',
+                literals: 'true false',
+                caseInsensitive: true
+            },
+            css: {
+                comments: [`/\\*[\\s\\S]*?(?:\\*/|${end})`],
+                strings: quoted,
+                keys: '[\\w-]+(?=\\s*:(?!:))',
+                colors: '#[\\da-fA-F]{3,8}\\b',
+                keywords: '',
+                atRules: '@[\\w-]+',
+                literals: '!important'
+            },
+            yaml: {
+                comments: ['#[^\\n]*'],
+                strings: quoted,
+                keys: '^[ \\t-]*[\\w.-]+(?=\\s*:)',
+                keywords: '',
+                literals: 'true false null yes no on off'
+            },
+            markup: {
+                markup: true
+            }
+        };
+    }
+
+    getHighlightPattern(name) {
+        if (this.highlightPatterns.has(name)) {
+            return this.highlightPatterns.get(name);
+        }
+
+        const spec = MarkdownRenderer.LANGUAGES[name];
+        const groups = [];
+        const words = (list) => list.split(' ').filter(Boolean).map(word => word.replace(/[^\w\s]/g, '\\$&')).join('|');
+
+        if (spec.markup) {
+            groups.push(['comment', '<!--[\\s\\S]*?(?:-->|(?![\\s\\S]))']);
+            groups.push(['tag', '</?[A-Za-z][\\w:.-]*|/?>']);
+            groups.push(['attr', '[\\w:-]+(?==)']);
+            groups.push(['string', '"[^"]*"?|\'[^\']*\'?']);
+        } else {
+            if (spec.comments.length) groups.push(['comment', spec.comments.join('|')]);
+            if (spec.keys) groups.push(['attr', spec.keys]);
+            groups.push(['string', spec.strings.join('|')]);
+            if (spec.variables) groups.push(['attr', spec.variables]);
+            if (spec.atRules) groups.push(['keyword', spec.atRules]);
+            if (spec.colors) groups.push(['number', spec.colors]);
+            groups.push(['number', '\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b']);
+            if (spec.keywords) groups.push(['keyword', `\\b(?:${words(spec.keywords)})\\b`]);
+            if (spec.literals) groups.push(['literal', `(?<![\\w$-])(?:${words(spec.literals)})(?![\\w-])`]);
+            groups.push(['function', '\\b[A-Za-z_$][\\w$]*(?=\\s*\\()']);
+        }
+
+        const pattern = {
+            regex: new RegExp(groups.map(([, source]) => `(${source})`).join('|'), spec.caseInsensitive ? 'gmi' : 'gm'),
+            classes: groups.map(([type]) => `hl-${type}`)
+        };
+        this.highlightPatterns.set(name, pattern);
+        return pattern;
+    }
+
+    /**
+     * @returns {DocumentFragment} code split into text nodes and hl-* spans
+     */
+    highlight(code, language) {
+        const fragment = this.doc.createDocumentFragment();
+        const name = MarkdownRenderer.LANGUAGE_ALIASES[language] || language;
+        if (!MarkdownRenderer.LANGUAGES[name]) {
+            fragment.appendChild(this.doc.createTextNode(code));
+            return fragment;
+        }
+
+        const { regex, classes } = this.getHighlightPattern(name);
+        regex.lastIndex = 0;
+        let last = 0;
+        let match;
+        while ((match = regex.exec(code))) {
+            if (match[0] === '') {
+                regex.lastIndex++;
+                continue;
+            }
+            if (match.index > last) {
+                fragment.appendChild(this.doc.createTextNode(code.substring(last, match.index)));
+            }
+            const group = match.findIndex((value, index) => index > 0 && value !== undefined);
+            const span = this.doc.createElement('span');
+            span.className = classes[group - 1];
+            span.textContent = match[0];
+            fragment.appendChild(span);
+            last = match.index + match[0].length;
+        }
+        if (last < code.length) {
+            fragment.appendChild(this.doc.createTextNode(code.substring(last)));
+        }
+        return fragment;
+    }
+
+    // TeX to MathML
+
+    static get MATH_IDENTIFIERS() {
+        return {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+            theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+            varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+            varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+            Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+            infty: '∞', partial: '∂', nabla: '∇', ell: 'ℓ', hbar: 'ℏ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+            emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃', neg: '¬', angle: '∠', triangle: '△',
+            prime: '′', dagger: '†', checkmark: '✓'
+        };
+    }
+
+    static get MATH_OPERATORS() {
+        return {
+            pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', cdotp: '⋅', ast: '∗', star: '⋆', circ: '∘',
+            bullet: '∙', oplus: '⊕', otimes: '⊗', cdots: '⋯', ldots: '…', dots: '…', vdots: '⋮', ddots: '⋱',
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+            simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', perp: '⊥', parallel: '∥', mid: '∣',
+            to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+            leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺', implies: '⟹', mapsto: '↦',
+            uparrow: '↑', downarrow: '↓', longrightarrow: '⟶', longleftarrow: '⟵',
+            in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+            cup: '∪', cap: '∩', setminus: '∖', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+            langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖',
+            lbrace: '{', rbrace: '}', colon: ':', degree: '°'
+        };
+    }
+
+    // Operators that take their limits above and below in display math
+    static get MATH_LARGE_OPERATORS() {
+        return {
+            sum: ['∑', true], prod: ['∏', true], coprod: ['∐', true], bigcup: ['⋃', true], bigcap: ['⋂', true],
+            bigoplus: ['⨁', true], bigotimes: ['⨂', true],
+            int: ['∫', false], iint: ['∬', false], iiint: ['∭', false], oint: ['∮', false]
+        };
+    }
+
+    static get MATH_FUNCTIONS() {
+        return ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+            'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'Pr', 'hom',
+            'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin'];
+    }
+
+    static get MATH_ACCENTS() {
+        return {
+            hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→', dot: '˙',
+            ddot: '¨', tilde: '~', widetilde: '~', underline: '_'
+        };
+    }
+
+    static get MATH_SPACES() {
+        return { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+            quad: '1em', qquad: '2em', '!': '-0.1667em' };
+    }
+
+    /**
+     * @returns {Element} a <math> element, or the TeX source in a code element if it cannot be parsed
+     */
+    renderMath(tex, display) {
+        try {
+            const state = { tokens: this.tokenizeTex(tex), index: 0, display: display };
+            const row = this.parseMathRow(state, () => false);
+            if (state.index < state.tokens.length) {
+                throw new Error('Unexpected closing brace');
+            }
+            const math = this.mathNode('math', [row]);
+            math.setAttribute('display', display ? 'block' : 'inline');
+            return math;
+        } catch (error) {
+            const code = this.doc.createElement('code');
+            code.className = 'math-error';
+            code.title = error.message;
+            code.textContent = tex;
+            return code;
+        }
+    }
+
+    tokenizeTex(tex) {
+        const tokens = [];
+        const pattern = /\\([A-Za-z]+|.)|(\d+(?:\.\d+)?)|(\s+)|([\s\S])/g;
+        let match;
+        while ((match = pattern.exec(tex))) {
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'command', value: match[1] });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'number', value: match[2] });
+            } else if (match[4] !== undefined) {
+                const value = match[4];
+                tokens.push({ type: '{}^_&'.includes(value) ? value : 'char', value: value });
+            }
+        }
+        return tokens;
+    }
+
+    mathNode(tag, children = [], text = null) {
+        const node = this.doc.createElementNS(MarkdownRenderer.MATHML_NS, tag);
+        if (text !== null) node.textContent = text;
+        children.forEach(child => node.appendChild(child));
+        return node;
+    }
+
+    parseMathRow(state, stop) {
+        const items = [];
+        while (state.index < state.tokens.length) {
+            const token = state.tokens[state.index];
+            if (token.type === '}' || stop(token)) break;
+            state.index++;
+            const atom = this.parseMathAtom(state, token);
+            if (atom) items.push(this.parseMathScripts(state, atom));
+        }
+        return items.length === 1 ? items[0] : this.mathNode('mrow', items);
+    }
+
+    parseMathGroup(state) {
+        const row = this.parseMathRow(state, () => false);
+        if (!state.tokens[state.index] || state.tokens[state.index].type !== '}') {
+            throw new Error('Missing closing brace');
+        }
+        state.index++;
+        return row;
+    }
+
+    // A braced group or a single token, as taken by \frac, ^, _ and friends
+    parseMathArgument(state) {
+        const token = state.tokens[state.index++];
+        if (!token) throw new Error('Missing argument');
+        if (token.type === '{') return this.parseMathGroup(state);
+        if (token.type === 'number' && token.value.length > 1) {
+            // \frac12 means \frac{1}{2}
+            state.tokens.splice(state.index, 0, { type: 'number', value: token.value.substring(1) });
+            return this.mathNode('mn', [], token.value[0]);
+        }
+        return this.parseMathAtom(state, token) || this.mathNode('mrow');
+    }
+
+    // Raw text of a braced group, for \text and environment names
+    readMathText(state) {
+        const open = state.tokens[state.index];
+        if (!open || open.type !== '{') throw new Error('Expected {');
+        state.index++;
+        let depth = 1;
+        let text = '';
+        while (state.index < state.tokens.length) {
+            const token = state.tokens[state.index++];
+            if (token.type === '{') depth++;
+            if (token.type === '}' && --depth === 0) return text;
+            text += token.type === 'command' ? (/^[A-Za-z]+$/.test(token.value) ? `\\${token.value}` : token.value) : token.value;
+        }
+        throw new Error('Missing closing brace');
+    }
+
+    parseMathScripts(state, base) {
+        let sub = null;
+        let sup = null;
+        while (state.index < state.tokens.length) {
+            const token = state.tokens[state.index];
+            if (token.type === 'command' && (token.value === 'limits' || token.value === 'nolimits')) {
+                state.index++;
+            } else if (token.type === '_' && !sub) {
+                state.index++;
+                sub = this.parseMathArgument(state);
+            } else if (token.type === '^' && !sup) {
+                state.index++;
+                sup = this.parseMathArgument(state);
+            } else if (token.type === 'char' && token.value === "'" && !sup) {
+                state.index++;
+                sup = this.mathNode('mo', [], '′');
+            } else {
+                break;
+            }
+        }
+        if (!sub && !sup) return base;
+
+        const limits = state.display && base.getAttribute('data-limits') === 'true';
+        if (sub && sup) return this.mathNode(limits ? 'munderover' : 'msubsup', [base, sub, sup]);
+        if (sub) return this.mathNode(limits ? 'munder' : 'msub', [base, sub]);
+        return this.mathNode(limits ? 'mover' : 'msup', [base, sup]);
+    }
+
+    parseMathAtom(state, token) {
+        switch (token.type) {
+            case '{':
+                return this.parseMathGroup(state);
+            case 'number':
+                return this.mathNode('mn', [], token.value);
+            case '}':
+            case '&':
+            case '^':
+            case '_':
+                throw new Error(`Unexpected ${token.value}`);
+            case 'char':
+                return /[A-Za-z]/.test(token.value)
+                    ? this.mathNode('mi', [], token.value)
+                    : this.mathNode('mo', [], token.value === '-' ? '−' : token.value);
+            default:
+                return this.parseMathCommand(state, token.value);
+        }
+    }
+
+    parseMathCommand(state, name) {
+        const identifiers = MarkdownRenderer.MATH_IDENTIFIERS;
+        const operators = MarkdownRenderer.MATH_OPERATORS;
+        const large = MarkdownRenderer.MATH_LARGE_OPERATORS;
+        const accents = MarkdownRenderer.MATH_ACCENTS;
+        const spaces = MarkdownRenderer.MATH_SPACES;
+
+        if (identifiers[name]) return this.mathNode('mi', [], identifiers[name]);
+        if (operators[name]) return this.mathNode('mo', [], operators[name]);
+        if (large[name]) {
+            const op = this.mathNode('mo', [], large[name][0]);
+            op.setAttribute('largeop', 'true');
+            if (large[name][1]) op.setAttribute('data-limits', 'true');
+            return op;
+        }
+        if (MarkdownRenderer.MATH_FUNCTIONS.includes(name)) {
+            const fn = this.mathNode('mi', [], name);
+            if (['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'argmax', 'argmin'].includes(name)) {
+                fn.setAttribute('data-limits', 'true');
+            }
+            return fn;
+        }
+        if (spaces[name]) {
+            const space = this.mathNode('mspace');
+            space.setAttribute('width', spaces[name]);
+            return space;
+        }
+        if (accents[name]) {
+            const base = this.parseMathArgument(state);
+            const mark = this.mathNode('mo', [], accents[name]);
+            mark.setAttribute('stretchy', 'true');
+            const node = this.mathNode(name === 'underline' ? 'munder' : 'mover', [base, mark]);
+            node.setAttribute(name === 'underline' ? 'accentunder' : 'accent', 'true');
+            return node;
+        }
+        if ('{}|%$#&_'.includes(name)) {
+            return this.mathNode('mo', [], name === '|' ? '‖' : name);
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return this.mathNode('mfrac', [this.parseMathArgument(state), this.parseMathArgument(state)]);
+            case 'binom': {
+                const fraction = this.mathNode('mfrac', [this.parseMathArgument(state), this.parseMathArgument(state)]);
+                fraction.setAttribute('linethickness', '0');
+                return this.mathNode('mrow', [this.mathNode('mo', [], '('), fraction, this.mathNode('mo', [], ')')]);
+            }
+            case 'sqrt': {
+                const next = state.tokens[state.index];
+                if (next && next.type === 'char' && next.value === '[') {
+                    state.index++;
+                    const degree = this.parseMathRow(state, token => token.type === 'char' && token.value === ']');
+                    state.index++;
+                    return this.mathNode('mroot', [this.parseMathArgument(state), degree]);
+                }
+                return this.mathNode('msqrt', [this.parseMathArgument(state)]);
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'textbf':
+            case 'mbox':
+                return this.mathNode('mtext', [], this.readMathText(state));
+            case 'mathrm':
+            case 'operatorname': {
+                const text = this.readMathText(state);
+                const node = this.mathNode('mi', [], text);
+                if (text.length === 1) node.setAttribute('mathvariant', 'normal');
+                return node;
+            }
+            case 'mathbb':
+            case 'mathcal':
+            case 'mathfrak':
+            case 'mathbf':
+            case 'boldsymbol':
+            case 'mathit':
+            case 'mathsf':
+            case 'mathtt':
+                return this.applyMathVariant(this.parseMathArgument(state), name);
+            case 'left':
+                return this.parseMathFenced(state);
+            case 'right':
+                throw new Error('\\right without \\left');
+            case 'begin':
+                return this.parseMathEnvironment(state);
+            case '\\':
+                // Line breaks outside an environment just separate terms
+                return null;
+            case 'displaystyle':
+            case 'textstyle':
+            case 'big':
+            case 'Big':
+            case 'bigg':
+            case 'Bigg':
+                return null;
+            default:
+                // Unknown command: show it rather than fail the whole formula
+                return this.mathNode('mtext', [], `\\${name}`);
+        }
+    }
+
+    applyMathVariant(node, command) {
+        const variants = {
+            mathbb: 'double-struck', mathcal: 'script', mathfrak: 'fraktur', mathbf: 'bold',
+            boldsymbol: 'bold-italic', mathit: 'italic', mathsf: 'sans-serif', mathtt: 'monospace'
+        };
+        const targets = node.localName === 'mi' || node.localName === 'mn' ? [node] : Array.from(node.querySelectorAll('mi, mn'));
+        targets.forEach(target => target.setAttribute('mathvariant', variants[command]));
+        return node;
+    }
+
+    readMathDelimiter(state) {
+        const token = state.tokens[state.index++];
+        if (!token) throw new Error('Missing delimiter');
+        if (token.type === 'command') {
+            if (token.value === '{' || token.value === '}') return token.value;
+            if (token.value === '|') return '‖';
+            return MarkdownRenderer.MATH_OPERATORS[token.value] || '';
+        }
+        return token.value === '.' ? '' : token.value;
+    }
+
+    parseMathFenced(state) {
+        const open = this.readMathDelimiter(state);
+        const inner = this.parseMathRow(state, token => token.type === 'command' && token.value === 'right');
+        if (!state.tokens[state.index]) throw new Error('\\left without \\right');
+        state.index++;
+        const close = this.readMathDelimiter(state);
+
+        const children = [];
+        [open, close].forEach((delimiter, index) => {
+            const mo = this.mathNode('mo', [], delimiter);
+            mo.setAttribute('fence', 'true');
+            mo.setAttribute('stretchy', 'true');
+            children[index === 0 ? 0 : 2] = mo;
+        });
+        children[1] = inner;
+        return this.mathNode('mrow', children.filter(child => child.localName !== 'mo' || child.textContent));
+    }
+
+    parseMathEnvironment(state) {
+        const name = this.readMathText(state).replace('*', '');
+        if (name === 'array') this.readMathText(state);
+
+        const rows = [];
+        let cells = [];
+        while (true) {
+            const cell = this.parseMathRow(state, token =>
+                token.type === '&' || (token.type === 'command' && (token.value === '\\' || token.value === 'end'))
+            );
+            cells.push(this.mathNode('mtd', [cell]));
+
+            const token = state.tokens[state.index++];
+            if (!token) throw new Error(`\\begin{${name}} without \\end`);
+            if (token.type === '&') continue;
+            rows.push(this.mathNode('mtr', cells));
+            cells = [];
+            if (token.value === 'end') {
+                this.readMathText(state);
+                break;
+            }
+        }
+
+        const table = this.mathNode('mtable', rows);
+        if (['aligned', 'align', 'split', 'gathered', 'cases'].includes(name)) {
+            table.setAttribute('columnalign', name === 'cases' ? 'left left' : 'right left');
+        }
+
+        const fences = {
+            pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'],
+            Vmatrix: ['‖', '‖'], cases: ['{', '']
+        }[name];
+        if (!fences) return table;
+
+        return this.mathNode('mrow', [
+            this.mathNode('mo', [], fences[0]),
+            table,
+            ...(fences[1] ? [this.mathNode('mo', [], fences[1])] : [])
+        ]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -0,0 +1,96 @@
+/**
+ * Message Router - Versioned request/response protocol between extension pages and the background
+ *
+ * Requests:  { type: 'GET_CITATIONS', v: 1, ...params }  (`action` is accepted in place of `type`,
+ *            and requests without `v` are treated as the current version)
+ * Replies:   { v: 1, success: true, data }  or  { v: 1, success: false, error: 'message', errorCode: 'CODE' }
+ */
+
+const MESSAGE_PROTOCOL_VERSION = 1;
+
+class MessageRouter {
+    constructor() {
+        this.version = MESSAGE_PROTOCOL_VERSION;
+        this.routes = new Map();
+    }
+
+    /**
+     * Register a handler for a message type
+     * @param {string} type - Message type, e.g. 'GET_CITATIONS'
+     * @param {Function} handler - (message, sender) => data | Promise<data>
+     */
+    register(type, handler) {
+        if (this.routes.has(type)) {
+            console.warn(`⚠️ Replacing existing route for ${type}`);
+        }
+        this.routes.set(type, handler);
+        return this;
+    }
+
+    /**
+     * Register several handlers at once
+     * @param {Object} routes - Map of message type to handler
+     */
+    registerAll(routes) {
+        Object.entries(routes).forEach(([type, handler]) => this.register(type, handler));
+        return this;
+    }
+
+    getMessageType(message) {
+        if (!message) return null;
+        return message.type || message.action || null;
+    }
+
+    canHandle(message) {
+        return this.routes.has(this.getMessageType(message));
+    }
+
+    /**
+     * Dispatch a message and always resolve with a protocol reply, never reject
+     */
+    async handle(message, sender) {
+        const type = this.getMessageType(message);
+        const version = message.v !== undefined ? message.v : this.version;
+
+        if (version > this.version) {
+            return this.failure(`Protocol version ${version} is not supported (background speaks v${this.version})`, 'UNSUPPORTED_VERSION');
+        }
+
+        const handler = this.routes.get(type);
+        if (!handler) {
+            return this.failure(`Unknown message type: ${type}`, 'UNKNOWN_TYPE');
+        }
+
+        try {
+            const data = await handler(message, sender);
+            return this.success(data);
+        } catch (error) {
+            console.error(`❌ ${type} failed:`, error);
+            return this.failure(error.message || String(error), error.code || 'HANDLER_ERROR');
+        }
+    }
+
+    success(data) {
+        return { v: this.version, success: true, data: data === undefined ? null : data };
+    }
+
+    failure(message, errorCode) {
+        return { v: this.version, success: false, error: message, errorCode };
+    }
+}
+
+/**
+ * Error for handlers to throw when a request is missing something it needs
+ */
+class RouteError extends Error {
+    constructor(message, code = 'BAD_REQUEST') {
+        super(message);
+        this.name = 'RouteError';
+        this.code = code;
+    }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MessageRouter, RouteError, MESSAGE_PROTOCOL_VERSION };
+}
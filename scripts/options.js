@@ -3,11 +3,20 @@ class SettingsManager {
         this.defaultSettings = {
             apiUrl: 'http://localhost:1234/v1',
             connectionTimeout: 10,
+            defaultModel: '',
+            embeddingModel: '',
             searchEnabled: false,
             searchResultsCount: 5,
             searchWikipedia: true,
+            searchDuckDuckGo: true,
+            searxngUrl: '',
+            searchFeedUrl: '',
+            searchFeedFormat: 'auto',
+            deepSearchPages: 3,
             defaultTemperature: 0.7,
             maxTokens: 2000,
+            requestTimeout: 2,
+            modelParameters: '',
             saveHistory: true,
             historyLimit: 25,
             theme: 'dark',
@@ -27,15 +36,25 @@ class SettingsManager {
         this.elements = {
             apiUrl: document.getElementById('api-url'),
             connectionTimeout: document.getElementById('connection-timeout'),
+            defaultModel: document.getElementById('default-model'),
+            embeddingModel: document.getElementById('embedding-model'),
             connectionIndicator: document.getElementById('connection-indicator'),
             connectionText: document.getElementById('connection-text'),
             testConnection: document.getElementById('test-connection'),
             searchEnabled: document.getElementById('search-enabled'),
             searchResultsCount: document.getElementById('search-results-count'),
             searchWikipedia: document.getElementById('search-wikipedia'),
+            searchDuckDuckGo: document.getElementById('search-duckduckgo'),
+            searxngUrl: document.getElementById('searxng-url'),
+            searchFeedUrl: document.getElementById('search-feed-url'),
+            searchFeedFormat: document.getElementById('search-feed-format'),
+            deepSearchPages: document.getElementById('deep-search-pages'),
+            testSearch: document.getElementById('test-search'),
             defaultTemperature: document.getElementById('default-temperature'),
             temperatureValue: document.getElementById('temperature-value'),
             maxTokens: document.getElementById('max-tokens'),
+            requestTimeout: document.getElementById('request-timeout'),
+            modelParameters: document.getElementById('model-parameters'),
             saveHistory: document.getElementById('save-history'),
             historyLimit: document.getElementById('history-limit'),
             theme: document.getElementById('theme'),
@@ -59,6 +78,10 @@ class SettingsManager {
             this.testConnection();
         });
         
+        this.elements.testSearch.addEventListener('click', () => {
+            this.testSearch();
+        });
+        
         // Temperature slider
         this.elements.defaultTemperature.addEventListener('input', (e) => {
             this.elements.temperatureValue.textContent = e.target.value;
@@ -101,29 +124,43 @@ class SettingsManager {
     }
     
     async testConnection() {
-        const apiUrl = this.elements.apiUrl.value;
+        // Test the values currently in the form, even if they are not saved yet
+        const client = new LMStudioClient({
+            apiUrl: this.elements.apiUrl.value,
+            connectionTimeout: this.elements.connectionTimeout.value
+        });
         this.elements.connectionText.textContent = 'Testing connection...';
         this.elements.connectionIndicator.className = 'status-disconnected';
         
         try {
-            const response = await fetch(`${apiUrl}/models`, {
-                method: 'GET',
-                timeout: this.elements.connectionTimeout.value * 1000
-            });
-            
-            if (response.ok) {
-                const data = await response.json();
-                this.elements.connectionText.textContent = `Connected! Found ${data.data?.length || 0} models`;
-                this.elements.connectionIndicator.className = 'status-connected';
-            } else {
-                throw new Error(`HTTP ${response.status}`);
-            }
+            const models = await client.listModels();
+            this.elements.connectionText.textContent = `Connected! Found ${models.length} models`;
+            this.elements.connectionIndicator.className = 'status-connected';
         } catch (error) {
             this.elements.connectionText.textContent = `Connection failed: ${error.message}`;
             this.elements.connectionIndicator.className = 'status-disconnected';
         }
     }
     
+    // Runs a sample query through the saved providers and reports what each one returned
+    async testSearch() {
+        await this.saveSettings(false);
+        this.elements.testSearch.disabled = true;
+        try {
+            const response = await browser.runtime.sendMessage({ type: 'SEARCH_INTERNET', query: 'Mozilla Firefox' });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            const providers = response.data.providers;
+            const report = providers.map(p => p.error ? `${p.name}: ${p.error}` : `${p.name}: ${p.count} results`).join(' · ');
+            this.showNotification(report, providers.some(p => p.error) ? 'error' : 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.elements.testSearch.disabled = false;
+        }
+    }
+    
     async loadSettings() {
         try {
             const result = await browser.storage.local.get(Object.keys(this.defaultSettings));
@@ -163,7 +200,7 @@ class SettingsManager {
     }
     
     setElementValue(key, value) {
-        const element = this.elements[this.camelToKebab(key)];
+        const element = this.elements[key];
         if (!element) return;
         
         if (element.type === 'checkbox') {
@@ -176,7 +213,7 @@ class SettingsManager {
     }
     
     getElementValue(key) {
-        const element = this.elements[this.camelToKebab(key)];
+        const element = this.elements[key];
         if (!element) return this.defaultSettings[key];
         
         if (element.type === 'checkbox') {
@@ -188,10 +225,6 @@ class SettingsManager {
         }
     }
     
-    camelToKebab(str) {
-        return str.replace(/([A-Z])/g, '-$1').toLowerCase();
-    }
-    
     async resetToDefaults() {
         if (confirm('Are you sure you want to reset all settings to defaults? This cannot be undone.')) {
             try {
@@ -284,7 +317,360 @@ class SettingsManager {
     }
 }
 
+// Persona presets: list, editor, default choice, and JSON import/export
+class PresetManager {
+    constructor(settings) {
+        this.settings = settings;
+        this.library = new PresetLibrary();
+        this.editingId = null;
+        
+        this.initializeElements();
+        this.setupEventListeners();
+        this.loadPresets();
+    }
+    
+    initializeElements() {
+        this.elements = {
+            defaultPreset: document.getElementById('default-preset'),
+            presetList: document.getElementById('preset-list'),
+            newPreset: document.getElementById('new-preset'),
+            exportPresets: document.getElementById('export-presets'),
+            importPresets: document.getElementById('import-presets'),
+            importPresetsFile: document.getElementById('import-presets-file'),
+            editor: document.getElementById('preset-editor'),
+            name: document.getElementById('preset-name'),
+            systemPrompt: document.getElementById('preset-system-prompt'),
+            temperature: document.getElementById('preset-temperature'),
+            maxTokens: document.getElementById('preset-max-tokens'),
+            stop: document.getElementById('preset-stop'),
+            model: document.getElementById('preset-model'),
+            savePreset: document.getElementById('save-preset'),
+            cancelPreset: document.getElementById('cancel-preset')
+        };
+    }
+    
+    setupEventListeners() {
+        this.elements.newPreset.addEventListener('click', () => this.openEditor(null));
+        this.elements.savePreset.addEventListener('click', () => this.savePreset());
+        this.elements.cancelPreset.addEventListener('click', () => this.closeEditor());
+        this.elements.exportPresets.addEventListener('click', () => this.exportPresets());
+        this.elements.importPresets.addEventListener('click', () => {
+            this.elements.importPresetsFile.click();
+        });
+        this.elements.importPresetsFile.addEventListener('change', (e) => {
+            this.importPresets(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.elements.defaultPreset.addEventListener('change', (e) => {
+            browser.storage.local.set({ [PresetLibrary.DEFAULT_KEY]: e.target.value || null });
+        });
+        // Presets saved from the chat page show up here as well
+        this.library.onChanged(() => this.render());
+    }
+    
+    async loadPresets() {
+        try {
+            await this.library.load();
+            await this.render();
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+            this.settings.showNotification('Failed to load presets', 'error');
+        }
+    }
+    
+    async render() {
+        const list = this.elements.presetList;
+        list.replaceChildren();
+        this.library.presets.forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'preset-item';
+            
+            const info = document.createElement('div');
+            info.className = 'preset-item-info';
+            const name = document.createElement('div');
+            name.className = 'preset-item-name';
+            name.textContent = preset.name;
+            const details = document.createElement('div');
+            details.className = 'preset-item-details';
+            details.textContent = this.describe(preset);
+            details.title = preset.systemPrompt;
+            info.append(name, details);
+            
+            const edit = document.createElement('button');
+            edit.className = 'btn-secondary';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.openEditor(preset.id));
+            const remove = document.createElement('button');
+            remove.className = 'btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deletePreset(preset.id));
+            
+            item.append(info, edit, remove);
+            list.appendChild(item);
+        });
+        
+        const select = this.elements.defaultPreset;
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'None';
+        select.replaceChildren(none, ...this.library.presets.map(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            return option;
+        }));
+        select.value = (await this.library.getDefaultId()) || '';
+    }
+    
+    describe(preset) {
+        const parts = [];
+        if (preset.temperature !== null) parts.push(`temperature ${preset.temperature}`);
+        if (preset.maxTokens !== null) parts.push(`${preset.maxTokens} tokens`);
+        if (preset.stop.length > 0) parts.push(`${preset.stop.length} stop sequence${preset.stop.length > 1 ? 's' : ''}`);
+        if (preset.model) parts.push(preset.model);
+        parts.push(preset.systemPrompt || 'No system prompt');
+        return parts.join(' · ');
+    }
+    
+    openEditor(presetId) {
+        const preset = presetId ? this.library.get(presetId) : null;
+        this.editingId = preset ? preset.id : null;
+        this.elements.name.value = preset ? preset.name : '';
+        this.elements.systemPrompt.value = preset ? preset.systemPrompt : '';
+        this.elements.temperature.value = preset && preset.temperature !== null ? preset.temperature : '';
+        this.elements.maxTokens.value = preset && preset.maxTokens !== null ? preset.maxTokens : '';
+        this.elements.stop.value = preset ? PresetLibrary.formatStopSequences(preset.stop) : '';
+        this.elements.model.value = preset && preset.model ? preset.model : '';
+        this.elements.editor.hidden = false;
+        this.elements.name.focus();
+    }
+    
+    closeEditor() {
+        this.editingId = null;
+        this.elements.editor.hidden = true;
+    }
+    
+    async savePreset() {
+        const stop = PresetLibrary.parseStopSequences(this.elements.stop.value);
+        try {
+            await this.library.save({
+                id: this.editingId,
+                name: this.elements.name.value,
+                systemPrompt: this.elements.systemPrompt.value,
+                temperature: this.elements.temperature.value,
+                maxTokens: this.elements.maxTokens.value,
+                stop: stop,
+                model: this.elements.model.value
+            });
+            this.closeEditor();
+            await this.render();
+            if (stop.length > PresetLibrary.MAX_STOP_SEQUENCES) {
+                this.settings.showNotification(`Preset saved with the first ${PresetLibrary.MAX_STOP_SEQUENCES} stop sequences`, 'info');
+            } else {
+                this.settings.showNotification('Preset saved', 'success');
+            }
+        } catch (error) {
+            this.settings.showNotification(error.message, 'error');
+        }
+    }
+    
+    async deletePreset(presetId) {
+        const preset = this.library.get(presetId);
+        if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+        
+        try {
+            await this.library.remove(presetId);
+            if (this.editingId === presetId) this.closeEditor();
+            await this.render();
+            this.settings.showNotification('Preset deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete preset:', error);
+            this.settings.showNotification('Failed to delete preset', 'error');
+        }
+    }
+    
+    exportPresets() {
+        const blob = new Blob([this.library.exportJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `lm-studio-presets-${new Date().toISOString().split('T')[0]}.json`;
+        a.click();
+        
+        URL.revokeObjectURL(url);
+        this.settings.showNotification('Presets exported', 'success');
+    }
+    
+    async importPresets(file) {
+        if (!file) return;
+        
+        try {
+            const { added, updated } = await this.library.importJSON(await file.text());
+            await this.render();
+            this.settings.showNotification(`Imported presets: ${added} added, ${updated} updated`, 'success');
+        } catch (error) {
+            console.error('Failed to import presets:', error);
+            this.settings.showNotification('Failed to import presets: ' + error.message, 'error');
+        }
+    }
+}
+
+// Prompt templates: list and editor
+class TemplateManager {
+    constructor(settings) {
+        this.settings = settings;
+        this.library = new PromptTemplateLibrary();
+        this.editingId = null;
+        
+        this.initializeElements();
+        this.setupEventListeners();
+        this.elements.variables.textContent = 'Placeholders: ' + Object.entries(PromptTemplateLibrary.VARIABLES)
+            .map(([name, description]) => `{{${name}}} ${description.toLowerCase()}`).join(' · ');
+        this.loadTemplates();
+    }
+    
+    initializeElements() {
+        this.elements = {
+            templateList: document.getElementById('template-list'),
+            newTemplate: document.getElementById('new-template'),
+            editor: document.getElementById('template-editor'),
+            name: document.getElementById('template-name'),
+            text: document.getElementById('template-text'),
+            variables: document.getElementById('template-variables'),
+            quickPrompt: document.getElementById('template-quick-prompt'),
+            contextMenu: document.getElementById('template-context-menu'),
+            autoSend: document.getElementById('template-auto-send'),
+            command: document.getElementById('template-command'),
+            openIn: document.getElementById('template-open-in'),
+            saveTemplate: document.getElementById('save-template'),
+            cancelTemplate: document.getElementById('cancel-template')
+        };
+    }
+    
+    setupEventListeners() {
+        this.elements.newTemplate.addEventListener('click', () => this.openEditor(null));
+        this.elements.saveTemplate.addEventListener('click', () => this.saveTemplate());
+        this.elements.cancelTemplate.addEventListener('click', () => this.closeEditor());
+        this.library.onChanged(() => this.render());
+    }
+    
+    async loadTemplates() {
+        try {
+            await this.library.load();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load prompt templates:', error);
+            this.settings.showNotification('Failed to load prompt templates', 'error');
+        }
+    }
+    
+    render() {
+        const items = this.library.templates.map(template => {
+            const item = document.createElement('div');
+            item.className = 'preset-item';
+            
+            const info = document.createElement('div');
+            info.className = 'preset-item-info';
+            const name = document.createElement('div');
+            name.className = 'preset-item-name';
+            name.textContent = template.name;
+            const details = document.createElement('div');
+            details.className = 'preset-item-details';
+            details.textContent = this.describe(template);
+            details.title = template.template;
+            info.append(name, details);
+            
+            const edit = document.createElement('button');
+            edit.className = 'btn-secondary';
+            edit.textContent = 'Edit';
+            edit.addEventListener('click', () => this.openEditor(template.id));
+            const remove = document.createElement('button');
+            remove.className = 'btn-danger';
+            remove.textContent = 'Delete';
+            remove.addEventListener('click', () => this.deleteTemplate(template.id));
+            
+            item.append(info, edit, remove);
+            return item;
+        });
+        this.elements.templateList.replaceChildren(...items);
+    }
+    
+    describe(template) {
+        const parts = [];
+        if (template.quickPrompt) parts.push('Quick prompt');
+        if (template.contextMenu) parts.push('Right-click menu');
+        if (template.command) parts.push(`Shortcut ${template.command}`);
+        if (template.contextMenu || template.command) parts.push(template.openIn === 'popup' ? 'opens the popup' : 'opens the chat');
+        parts.push(template.template.replace(/\s+/g, ' '));
+        return parts.join(' · ');
+    }
+    
+    openEditor(templateId) {
+        const template = templateId ? this.library.get(templateId) : null;
+        this.editingId = template ? template.id : null;
+        this.elements.name.value = template ? template.name : '';
+        this.elements.text.value = template ? template.template : '';
+        this.elements.quickPrompt.checked = template ? template.quickPrompt : true;
+        this.elements.contextMenu.checked = template ? template.contextMenu : false;
+        this.elements.autoSend.checked = template ? template.autoSend : false;
+        this.elements.command.value = template && template.command ? String(template.command) : '';
+        this.elements.openIn.value = template ? template.openIn : 'chat';
+        this.elements.editor.hidden = false;
+        this.elements.name.focus();
+    }
+    
+    closeEditor() {
+        this.editingId = null;
+        this.elements.editor.hidden = true;
+    }
+    
+    async saveTemplate() {
+        const command = this.elements.command.value;
+        const editingId = this.editingId;
+        const previousOwner = command ? this.library.getByCommand(parseInt(command)) : null;
+        try {
+            await this.library.save({
+                id: editingId,
+                name: this.elements.name.value,
+                template: this.elements.text.value,
+                quickPrompt: this.elements.quickPrompt.checked,
+                contextMenu: this.elements.contextMenu.checked,
+                autoSend: this.elements.autoSend.checked,
+                command: command,
+                openIn: this.elements.openIn.value
+            });
+            this.closeEditor();
+            this.render();
+            if (previousOwner && previousOwner.id !== editingId) {
+                this.settings.showNotification(`Template saved; "${previousOwner.name}" no longer has shortcut ${command}`, 'info');
+            } else {
+                this.settings.showNotification('Template saved', 'success');
+            }
+        } catch (error) {
+            this.settings.showNotification(error.message, 'error');
+        }
+    }
+    
+    async deleteTemplate(templateId) {
+        const template = this.library.get(templateId);
+        if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+        
+        try {
+            await this.library.remove(templateId);
+            if (this.editingId === templateId) this.closeEditor();
+            this.render();
+            this.settings.showNotification('Template deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete template:', error);
+            this.settings.showNotification('Failed to delete template', 'error');
+        }
+    }
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    new SettingsManager();
+    const settings = new SettingsManager();
+    new PresetManager(settings);
+    new TemplateManager(settings);
 });
@@ -2,10 +2,15 @@
 class LMStudioChat {
     constructor() {
         this.apiUrl = 'http://localhost:1234/v1';
+        this.lmStudio = new LMStudioClient();
+        this.markdown = new MarkdownRenderer();
+        this.presets = new PresetLibrary();
+        this.presetId = null;
         this.isConnected = false;
         this.currentModel = null;
         this.chatHistory = [];
         this.searchEnabled = false;
+        this.searchPlanningEnabled = false; // let the model decide when to search and write the queries
         
         this.elements = {
             messagesContainer: document.getElementById('chat-messages'),
@@ -17,7 +22,8 @@ class LMStudioChat {
             modelName: document.getElementById('model-name'),
             searchToggle: document.getElementById('search-toggle'),
             expandBtn: document.getElementById('expand-btn'),
-            settingsBtn: document.getElementById('settings-btn')
+            settingsBtn: document.getElementById('settings-btn'),
+            presetSelect: document.getElementById('preset-select')
         };
         
         this.init();
@@ -26,6 +32,7 @@ class LMStudioChat {
     async init() {
         this.setupEventListeners();
         await this.loadSettings();
+        await this.loadPresets();
         await this.loadChatHistory();
         await this.checkConnection();
         this.addWelcomeMessage();
@@ -33,10 +40,21 @@ class LMStudioChat {
         // Check for pending query from context menu
         const result = await browser.storage.local.get(['pendingQuery']);
         if (result.pendingQuery) {
-            this.elements.messageInput.value = result.pendingQuery;
-            browser.storage.local.remove(['pendingQuery']);
-            this.elements.messageInput.focus();
+            this.usePendingQuery(result.pendingQuery);
         }
+        
+        // Templates open the popup first and store their query once it is expanded
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area === 'local' && changes.pendingQuery && changes.pendingQuery.newValue) {
+                this.usePendingQuery(changes.pendingQuery.newValue);
+            }
+        });
+    }
+    
+    usePendingQuery(query) {
+        this.elements.messageInput.value = query;
+        browser.storage.local.remove(['pendingQuery']);
+        this.elements.messageInput.focus();
     }
     
     setupEventListeners() {
@@ -52,6 +70,31 @@ class LMStudioChat {
         this.elements.searchToggle.addEventListener('click', () => this.toggleSearch());
         this.elements.expandBtn.addEventListener('click', () => this.openFullInterface());
         this.elements.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.elements.presetSelect.addEventListener('change', (e) => {
+            this.presetId = e.target.value || null;
+            browser.storage.local.set({ popupPresetId: this.presetId });
+        });
+    }
+    
+    // The popup remembers its own preset and falls back to the default one from the options page
+    async loadPresets() {
+        try {
+            await this.presets.load();
+            const result = await browser.storage.local.get(['popupPresetId']);
+            this.presetId = result.popupPresetId !== undefined ? result.popupPresetId : await this.presets.getDefaultId();
+        } catch (error) {
+            console.error('Failed to load presets:', error);
+        }
+        
+        const select = this.elements.presetSelect;
+        this.presets.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = preset.name;
+            select.appendChild(option);
+        });
+        if (!this.presets.get(this.presetId)) this.presetId = null;
+        select.value = this.presetId || '';
     }
     
     addWelcomeMessage() {
@@ -63,15 +106,10 @@ class LMStudioChat {
     
     async checkConnection() {
         try {
-            const response = await fetch(`${this.apiUrl}/models`);
-            if (response.ok) {
-                const data = await response.json();
-                this.isConnected = true;
-                this.updateModelList(data.data || []);
-                this.updateStatus('connected');
-            } else {
-                throw new Error('Connection failed');
-            }
+            const models = await this.lmStudio.listModels();
+            this.isConnected = true;
+            this.updateModelList(models);
+            this.updateStatus('connected');
         } catch (error) {
             this.isConnected = false;
             this.updateStatus('disconnected');
@@ -80,18 +118,10 @@ class LMStudioChat {
     }
     
     updateModelList(models) {
-        this.elements.modelSelect.innerHTML = '<option value="">Select Model</option>';
-        models.forEach(model => {
-            const option = document.createElement('option');
-            option.value = model.id;
-            option.textContent = model.id;
-            this.elements.modelSelect.appendChild(option);
-        });
-        
         if (models.length > 0 && !this.currentModel) {
             this.currentModel = models[0].id;
-            this.elements.modelSelect.value = this.currentModel;
         }
+        this.elements.modelName.textContent = this.currentModel || 'No model loaded';
     }
     
     updateStatus(status) {
@@ -128,9 +158,15 @@ class LMStudioChat {
             let finalMessage = message;
             let searchResults = [];
             
+            // With planning on the model decides whether to search; the keyword list is the fallback
+            const plan = this.searchPlanningEnabled ? await this.planSearch(message) : null;
+            
             // Intelligent search detection - automatically search for certain query types
-            const shouldAutoSearch = this.shouldAutoSearch(message);
+            const shouldAutoSearch = plan ? plan.search : this.shouldAutoSearch(message);
             const searchEnabled = this.searchEnabled || shouldAutoSearch;
+            if (plan && !searchEnabled) {
+                this.addMessage(`🧭 No search needed${plan.reason ? `: ${plan.reason}` : ''}`, 'system');
+            }
             
             // Search the internet if enabled or auto-detected
             if (searchEnabled) {
@@ -140,22 +176,26 @@ class LMStudioChat {
                     this.elements.searchToggle.title = 'Auto-search activated for this query';
                 }
                 
-                this.addLoadingMessage('🔍 Searching the internet for current information...');
-                try {
-                    searchResults = await this.searchInternet(message);
-                    console.log('Search results:', searchResults); // Debug log
-                } catch (searchError) {
-                    console.error('Search failed:', searchError);
-                    this.addMessage(`⚠️ Search failed: ${searchError.message}. Using model knowledge only.`, 'system');
-                    searchResults = []; // Ensure empty array
-                }
-                this.removeLoadingMessage();
-                
-                if (searchResults.length > 0) {
-                    this.addSearchResults(searchResults);
-                    finalMessage = this.enhanceMessageWithSearch(message, searchResults);
-                } else if (shouldAutoSearch) {
-                    this.addMessage('No current information found, using model knowledge only.', 'system');
+                // A planned search waits until the user has checked the queries, or skipped it
+                const edited = plan ? await this.reviewSearchPlan(plan) : null;
+                if (!plan || edited) {
+                    this.addLoadingMessage('🔍 Searching the internet for current information...');
+                    try {
+                        searchResults = await this.searchInternet(message, edited);
+                        console.log('Search results:', searchResults); // Debug log
+                    } catch (searchError) {
+                        console.error('Search failed:', searchError);
+                        this.addMessage(`⚠️ Search failed: ${searchError.message}. Using model knowledge only.`, 'system');
+                        searchResults = []; // Ensure empty array
+                    }
+                    this.removeLoadingMessage();
+                    
+                    if (searchResults.length > 0) {
+                        this.addSearchResults(searchResults);
+                        finalMessage = this.enhanceMessageWithSearch(message, searchResults);
+                    } else if (shouldAutoSearch) {
+                        this.addMessage('No current information found, using model knowledge only.', 'system');
+                    }
                 }
                 
                 // Reset auto-search visual indicator after a delay
@@ -210,127 +250,52 @@ class LMStudioChat {
         return searchTriggers.some(pattern => pattern.test(message));
     }
     
-    async searchInternet(query) {
-        const results = [];
-        
+    // The model's search plan for a message, or null when planning fails
+    async planSearch(message) {
+        this.addLoadingMessage('🧭 Planning the search...');
         try {
-            console.log('🔍 Starting internet search for:', query);
-            
-            // Try Wikipedia first (more reliable API)
-            const wikiResults = await this.searchWikipedia(query);
-            if (wikiResults.length > 0) {
-                results.push(...wikiResults);
-                console.log('✅ Wikipedia search successful:', wikiResults.length, 'results');
-            }
-            
-            // Try DuckDuckGo as secondary source
-            try {
-                const ddgResults = await this.searchDuckDuckGo(query);
-                if (ddgResults.length > 0) {
-                    results.push(...ddgResults);
-                    console.log('✅ DuckDuckGo search successful:', ddgResults.length, 'results');
-                }
-            } catch (ddgError) {
-                console.warn('⚠️ DuckDuckGo search failed:', ddgError);
+            // Search-enhanced messages in the history end with the question that was typed
+            const history = this.chatHistory.map(entry => ({
+                role: entry.role,
+                content: entry.role === 'user' ? entry.content.split('USER QUESTION: ').pop() : entry.content
+            }));
+            const response = await browser.runtime.sendMessage({ type: 'PLAN_SEARCH', question: message, model: this.currentModel, history: history });
+            if (!response.success) {
+                throw new Error(response.error);
             }
-            
-            console.log('📊 Total search results:', results.length);
-            return results.slice(0, 5); // Limit to 5 results
+            return response.data;
         } catch (error) {
-            console.error('❌ Search error:', error);
-            throw new Error(`Search failed: ${error.message}`);
+            console.error('Search planning failed:', error);
+            this.addMessage(`⚠️ Could not plan the search: ${error.message}. Deciding by keywords instead.`, 'system');
+            return null;
+        } finally {
+            this.removeLoadingMessage();
         }
     }
     
-    async searchWikipedia(query) {
-        try {
-            console.log('Attempting Wikipedia search for:', query);
-            // Use Wikipedia search API with CORS support
-            const searchApiUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=3&format=json&origin=*`;
-            console.log('Wikipedia URL:', searchApiUrl);
-            
-            const searchResponse = await fetch(searchApiUrl);
-            console.log('Wikipedia response status:', searchResponse.status);
-            
-            if (!searchResponse.ok) {
-                throw new Error(`Wikipedia API error: ${searchResponse.status}`);
-            }
-            
-            const searchData = await searchResponse.json();
-            console.log('Wikipedia data:', searchData);
-            
-            const results = [];
-            
-            if (searchData[1] && searchData[2] && searchData[3]) {
-                for (let i = 0; i < Math.min(3, searchData[1].length); i++) {
-                    if (searchData[1][i] && searchData[2][i]) {
-                        results.push({
-                            title: `Wikipedia: ${searchData[1][i]}`,
-                            snippet: searchData[2][i] || 'Wikipedia article',
-                            url: searchData[3][i] || '',
-                            source: 'Wikipedia'
-                        });
-                    }
-                }
-            }
-            
-            console.log('Wikipedia results:', results);
-            return results;
-        } catch (error) {
-            console.error('Wikipedia search error:', error);
-            return [];
-        }
+    // Show the planned queries for editing; resolves to null when the user skips the search
+    reviewSearchPlan(plan) {
+        const editor = new SearchPlanEditor(plan);
+        this.elements.messagesContainer.appendChild(editor.element);
+        this.scrollToBottom();
+        editor.focus();
+        return editor.decision;
     }
     
-    async searchDuckDuckGo(query) {
-        try {
-            console.log('Attempting DuckDuckGo search for:', query);
-            // DuckDuckGo Instant Answer API
-            const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_html=1&skip_disambig=1`;
-            console.log('DuckDuckGo URL:', url);
-            
-            const response = await fetch(url);
-            console.log('DuckDuckGo response status:', response.status);
-            
-            if (!response.ok) {
-                throw new Error(`DuckDuckGo API error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('DuckDuckGo data:', data);
-            
-            const results = [];
-            
-            // Add instant answer if available
-            if (data.AbstractText) {
-                results.push({
-                    title: data.AbstractSource || 'DuckDuckGo',
-                    snippet: data.AbstractText,
-                    url: data.AbstractURL || '',
-                    source: 'DuckDuckGo'
-                });
-            }
-            
-            // Add related topics
-            if (data.RelatedTopics && data.RelatedTopics.length > 0) {
-                data.RelatedTopics.slice(0, 2).forEach(topic => {
-                    if (topic.Text) {
-                        results.push({
-                            title: topic.FirstURL ? new URL(topic.FirstURL).hostname : 'Related',
-                            snippet: topic.Text,
-                            url: topic.FirstURL || '',
-                            source: 'DuckDuckGo'
-                        });
-                    }
-                });
-            }
-            
-            console.log('DuckDuckGo results:', results);
-            return results;
-        } catch (error) {
-            console.error('DuckDuckGo search error:', error);
-            return [];
+    // Searches run in the background script, which asks every enabled provider and merges the results;
+    // a reviewed plan replaces the message with its queries and may narrow the providers
+    async searchInternet(query, plan = null) {
+        console.log('🔍 Starting internet search for:', query);
+        const request = { type: 'SEARCH_INTERNET', query: query };
+        if (plan) {
+            Object.assign(request, { queries: plan.queries, providers: plan.providers, question: query });
+        }
+        const response = await browser.runtime.sendMessage(request);
+        if (!response.success) {
+            throw new Error(response.error);
         }
+        console.log('📊 Total search results:', response.data.results.length);
+        return response.data.results;
     }
     
     enhanceMessageWithSearch(originalMessage, searchResults) {
@@ -356,41 +321,17 @@ class LMStudioChat {
     
     async callLMStudio(message) {
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-            
-            const response = await fetch(`${this.apiUrl}/chat/completions`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.currentModel || 'local-model',
-                    messages: [
-                        ...this.chatHistory,
-                        { role: 'user', content: message }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: 1000,
-                    stream: false
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`LM Studio API error (${response.status}): ${errorText || 'Unknown error'}`);
+            const preset = this.presets.get(this.presetId);
+            const messages = [...this.chatHistory, { role: 'user', content: message }];
+            const options = { model: this.currentModel };
+            if (preset) {
+                if (preset.systemPrompt) messages.unshift({ role: 'system', content: preset.systemPrompt });
+                if (preset.model) options.model = preset.model;
+                if (preset.temperature !== null) options.temperature = preset.temperature;
+                if (preset.maxTokens !== null) options.maxTokens = preset.maxTokens;
+                if (preset.stop.length > 0) options.stop = preset.stop;
             }
-            
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Invalid response format from LM Studio');
-            }
-            
-            const assistantMessage = data.choices[0].message.content;
+            const assistantMessage = await this.lmStudio.chat(messages, options);
             
             // Update chat history
             this.chatHistory.push(
@@ -407,9 +348,7 @@ class LMStudioChat {
             return assistantMessage;
             
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out. Please try again.');
-            }
+            console.error('LM Studio API call failed:', error);
             throw error;
         }
     }
@@ -417,7 +356,12 @@ class LMStudioChat {
     addMessage(content, type) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${type}`;
-        messageDiv.textContent = content;
+        if (type === 'assistant') {
+            messageDiv.classList.add('markdown-body');
+            this.markdown.renderInto(messageDiv, content);
+        } else {
+            messageDiv.textContent = content;
+        }
         
         this.elements.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
@@ -451,17 +395,22 @@ class LMStudioChat {
         const resultsDiv = document.createElement('div');
         resultsDiv.className = 'message system';
         
-        let html = '<strong>🔍 Search Results:</strong><br>';
-        results.forEach((result, index) => {
-            html += `
-                <div class="search-result">
-                    <div class="search-result-title">${result.title}</div>
-                    <div class="search-result-snippet">${result.snippet}</div>
-                </div>
-            `;
+        const heading = document.createElement('strong');
+        heading.textContent = '🔍 Search Results:';
+        resultsDiv.appendChild(heading);
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'search-result';
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.textContent = result.title;
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+            snippet.textContent = result.snippet;
+            item.append(title, snippet);
+            resultsDiv.appendChild(item);
         });
         
-        resultsDiv.innerHTML = html;
         this.elements.messagesContainer.appendChild(resultsDiv);
         this.scrollToBottom();
     }
@@ -482,7 +431,7 @@ class LMStudioChat {
     
     async loadSettings() {
         try {
-            const result = await browser.storage.local.get(['apiUrl', 'searchEnabled']);
+            const result = await browser.storage.local.get(['apiUrl', 'searchEnabled', 'searchPlanningEnabled']);
             if (result.apiUrl) {
                 this.apiUrl = result.apiUrl;
             }
@@ -490,6 +439,9 @@ class LMStudioChat {
                 this.searchEnabled = result.searchEnabled;
                 this.elements.searchToggle.classList.toggle('active', this.searchEnabled);
             }
+            if (result.searchPlanningEnabled !== undefined) {
+                this.searchPlanningEnabled = result.searchPlanningEnabled;
+            }
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
@@ -541,6 +493,12 @@ class LMStudioChat {
                             <span>Enable internet search by default</span>
                         </label>
                     </div>
+                    <div class="setting-item">
+                        <label>
+                            <input type="checkbox" id="search-planning" ${this.searchPlanningEnabled ? 'checked' : ''}>
+                            <span>Let the model plan searches (you can edit the queries)</span>
+                        </label>
+                    </div>
                     <div class="setting-item">
                         <button id="test-connection" class="test-btn">Test Connection</button>
                         <span id="connection-result"></span>
@@ -562,10 +520,12 @@ class LMStudioChat {
             
             this.apiUrl = newApiUrl;
             this.searchEnabled = autoSearch;
+            this.searchPlanningEnabled = modal.querySelector('#search-planning').checked;
             
             browser.storage.local.set({ 
                 apiUrl: this.apiUrl,
-                searchEnabled: this.searchEnabled 
+                searchEnabled: this.searchEnabled,
+                searchPlanningEnabled: this.searchPlanningEnabled
             });
             
             this.elements.searchToggle.classList.toggle('active', this.searchEnabled);
@@ -577,17 +537,13 @@ class LMStudioChat {
             const testUrl = modal.querySelector('#api-url').value;
             const resultSpan = modal.querySelector('#connection-result');
             
-            try {
-                const response = await fetch(`${testUrl}/models`);
-                if (response.ok) {
-                    resultSpan.textContent = '✅ Connected';
-                    resultSpan.style.color = 'green';
-                } else {
-                    resultSpan.textContent = '❌ Failed';
-                    resultSpan.style.color = 'red';
-                }
-            } catch (error) {
-                resultSpan.textContent = '❌ Error';
+            const testClient = new LMStudioClient({ apiUrl: testUrl });
+            const { connected, error } = await testClient.checkConnection();
+            if (connected) {
+                resultSpan.textContent = '✅ Connected';
+                resultSpan.style.color = 'green';
+            } else {
+                resultSpan.textContent = error instanceof LMStudioHTTPError ? '❌ Failed' : '❌ Error';
                 resultSpan.style.color = 'red';
             }
         });
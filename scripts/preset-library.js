@@ -0,0 +1,252 @@
+/**
+ * Preset Library - Named personas bundling a system prompt with generation settings
+ * Shared by the options page, the chat page and the popup
+ *
+ * A preset is { id, name, systemPrompt, temperature, maxTokens, stop, model }.
+ * temperature, maxTokens and model are null when the preset leaves them to the
+ * global settings; stop is a (possibly empty) list of stop sequences.
+ */
+
+class PresetLibrary {
+    constructor() {
+        this.presets = [];
+    }
+
+    static get STORAGE_KEY() {
+        return 'personaPresets';
+    }
+
+    // Setting that holds the preset new chats and the popup start with
+    static get DEFAULT_KEY() {
+        return 'defaultPresetId';
+    }
+
+    static get EXPORT_TYPE() {
+        return 'lmsfox-presets';
+    }
+
+    static get MAX_STOP_SEQUENCES() {
+        return 4;
+    }
+
+    // Written on first use; users can edit or delete them like their own
+    static get BUILT_IN_PRESETS() {
+        return [
+            {
+                id: 'preset_assistant',
+                name: 'Helpful assistant',
+                systemPrompt: 'You are a helpful, accurate assistant. Answer clearly and say so when you are not sure.',
+                temperature: null, maxTokens: null, stop: [], model: null
+            },
+            {
+                id: 'preset_concise',
+                name: 'Concise',
+                systemPrompt: 'Answer as briefly as possible. Prefer a sentence or a short list; skip introductions and summaries.',
+                temperature: 0.3, maxTokens: 500, stop: [], model: null
+            },
+            {
+                id: 'preset_coder',
+                name: 'Code helper',
+                systemPrompt: 'You are an experienced software engineer. Give working code in fenced code blocks with the language named, explain only what is not obvious, and point out edge cases and security issues.',
+                temperature: 0.2, maxTokens: null, stop: [], model: null
+            },
+            {
+                id: 'preset_researcher',
+                name: 'Research analyst',
+                systemPrompt: 'You are a careful research analyst. Separate facts from interpretation, cite the sources you were given, and state what is uncertain or missing.',
+                temperature: 0.4, maxTokens: null, stop: [], model: null
+            }
+        ];
+    }
+
+    /**
+     * @returns {Promise<Array>} All presets, seeding the built-in ones the first time
+     */
+    async load() {
+        const result = await browser.storage.local.get(PresetLibrary.STORAGE_KEY);
+        const stored = result[PresetLibrary.STORAGE_KEY];
+        if (Array.isArray(stored)) {
+            this.presets = stored.map(preset => this.normalize(preset));
+        } else {
+            this.presets = PresetLibrary.BUILT_IN_PRESETS.map(preset => this.normalize(preset));
+            await this.persist();
+        }
+        return this.presets;
+    }
+
+    async persist() {
+        await browser.storage.local.set({ [PresetLibrary.STORAGE_KEY]: this.presets });
+    }
+
+    get(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+
+    async getDefaultId() {
+        const result = await browser.storage.local.get(PresetLibrary.DEFAULT_KEY);
+        const id = result[PresetLibrary.DEFAULT_KEY];
+        return id && this.get(id) ? id : null;
+    }
+
+    /**
+     * Add a preset or replace the one with the same id
+     * @returns {Promise<Object>} The stored preset
+     */
+    async save(preset) {
+        const normalized = this.normalize(preset);
+        const index = this.presets.findIndex(existing => existing.id === normalized.id);
+        normalized.updatedAt = new Date().toISOString();
+        if (index === -1) {
+            this.presets.push(normalized);
+        } else {
+            normalized.createdAt = this.presets[index].createdAt;
+            this.presets[index] = normalized;
+        }
+        await this.persist();
+        return normalized;
+    }
+
+    async remove(id) {
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        await this.persist();
+    }
+
+    /**
+     * Validate and clean a preset from the editor or an imported file
+     */
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('A preset must be an object');
+        }
+        const name = String(raw.name || '').trim();
+        if (!name) {
+            throw new Error('A preset needs a name');
+        }
+
+        const temperature = parseFloat(raw.temperature);
+        const maxTokens = parseInt(raw.maxTokens);
+        const stop = Array.isArray(raw.stop) ? raw.stop : PresetLibrary.parseStopSequences(raw.stop || '');
+        const now = new Date().toISOString();
+
+        return {
+            id: typeof raw.id === 'string' && raw.id ? raw.id : this.generatePresetId(),
+            name: name.substring(0, 80),
+            systemPrompt: String(raw.systemPrompt || '').trim(),
+            temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), 2) : null,
+            maxTokens: maxTokens > 0 ? maxTokens : null,
+            // OpenAI-compatible servers accept at most four stop sequences
+            stop: stop.filter(sequence => typeof sequence === 'string' && sequence).slice(0, PresetLibrary.MAX_STOP_SEQUENCES),
+            model: typeof raw.model === 'string' && raw.model.trim() ? raw.model.trim() : null,
+            createdAt: raw.createdAt || now,
+            updatedAt: raw.updatedAt || now
+        };
+    }
+
+    generatePresetId() {
+        return 'preset_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * @param {Array<string>} ids - Presets to include; all of them when omitted
+     * @returns {string} JSON document for importJSON()
+     */
+    exportJSON(ids = null) {
+        const presets = ids ? this.presets.filter(preset => ids.includes(preset.id)) : this.presets;
+        return JSON.stringify({
+            type: PresetLibrary.EXPORT_TYPE,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            presets: presets
+        }, null, 2);
+    }
+
+    /**
+     * Import presets exported from this or another browser. A preset whose id is
+     * already present replaces it; a single preset object is accepted as well.
+     * @returns {Promise<{added: number, updated: number}>}
+     */
+    async importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        let incoming;
+        if (data && data.type === PresetLibrary.EXPORT_TYPE && Array.isArray(data.presets)) {
+            incoming = data.presets;
+        } else if (Array.isArray(data)) {
+            incoming = data;
+        } else if (data && typeof data === 'object' && data.name) {
+            incoming = [data];
+        } else {
+            throw new Error('No presets found in the file');
+        }
+
+        // Validate everything before storing anything
+        const presets = incoming.map(preset => this.normalize(preset));
+        let added = 0;
+        let updated = 0;
+        presets.forEach(preset => {
+            const index = this.presets.findIndex(existing => existing.id === preset.id);
+            if (index === -1) {
+                this.presets.push(preset);
+                added++;
+            } else {
+                this.presets[index] = preset;
+                updated++;
+            }
+        });
+        await this.persist();
+        return { added, updated };
+    }
+
+    /**
+     * Call back with the new list whenever another page changes the presets
+     */
+    onChanged(callback) {
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes[PresetLibrary.STORAGE_KEY]) return;
+            const value = changes[PresetLibrary.STORAGE_KEY].newValue;
+            this.presets = Array.isArray(value) ? value.map(preset => this.normalize(preset)) : [];
+            callback(this.presets);
+        });
+    }
+
+    /**
+     * Stop sequences are edited as one comma-separated line; \n, \t, \, and \\ are escapes
+     */
+    static parseStopSequences(text) {
+        const sequences = [];
+        let current = '';
+        const value = String(text);
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\\' && i + 1 < value.length) {
+                const next = value[++i];
+                current += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            } else if (char === ',') {
+                sequences.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        sequences.push(current);
+        return sequences.map(sequence => sequence.replace(/^ +| +$/g, '')).filter(Boolean);
+    }
+
+    static formatStopSequences(sequences) {
+        return (sequences || []).map(sequence => sequence
+            .replace(/\\/g, '\\\\')
+            .replace(/,/g, '\\,')
+            .replace(/\n/g, '\\n')
+            .replace(/\t/g, '\\t')).join(', ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetLibrary;
+}
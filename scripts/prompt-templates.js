@@ -0,0 +1,249 @@
+/**
+ * Prompt Templates - User-editable prompts with {{placeholders}}
+ * Shared by the background script (context menu entries and keyboard commands),
+ * the chat page (quick prompts) and the options page (editor)
+ *
+ * A template is { id, name, template, quickPrompt, contextMenu, command, openIn, autoSend }.
+ * command is the keyboard shortcut slot (1-4, declared in manifest.json) or null;
+ * openIn is 'chat' or 'popup'.
+ */
+
+class PromptTemplateLibrary {
+    constructor() {
+        this.templates = [];
+    }
+
+    static get STORAGE_KEY() {
+        return 'promptTemplates';
+    }
+
+    // Matches the run-template-N commands in manifest.json
+    static get COMMAND_SLOTS() {
+        return 4;
+    }
+
+    static get VARIABLES() {
+        return {
+            'selection': 'Text selected on the page',
+            'page.title': 'Title of the page',
+            'page.url': 'Address of the page',
+            'page.text': 'Visible text of the page (first 2000 characters)',
+            'clipboard': 'Text on the clipboard',
+            'date': "Today's date"
+        };
+    }
+
+    // Written on first use; they replace the prompts that used to be hardcoded
+    static get BUILT_IN_TEMPLATES() {
+        return [
+            {
+                id: 'template_explain_selection',
+                name: 'Ask LM Studio about the selection',
+                template: 'Explain this: "{{selection}}"',
+                quickPrompt: false, contextMenu: true, command: 1, openIn: 'chat', autoSend: true
+            },
+            {
+                id: 'template_analyze_page',
+                name: 'Ask LM Studio about this page',
+                template: 'Analyze this webpage: {{page.title}}\nURL: {{page.url}}\nContent: {{page.text}}',
+                quickPrompt: false, contextMenu: true, command: 2, openIn: 'popup', autoSend: false
+            },
+            {
+                id: 'template_automate_page',
+                name: 'Automate this task with LM Studio',
+                template: 'Help me automate tasks on this page: {{page.url}}',
+                quickPrompt: false, contextMenu: true, command: null, openIn: 'popup', autoSend: false
+            },
+            {
+                id: 'template_explain_simply',
+                name: '📚 Explain Simply',
+                template: 'Explain this concept in simple terms',
+                quickPrompt: true, contextMenu: false, command: null, openIn: 'chat', autoSend: false
+            },
+            {
+                id: 'template_write_code',
+                name: '💻 Write Code',
+                template: 'Write code for',
+                quickPrompt: true, contextMenu: false, command: null, openIn: 'chat', autoSend: false
+            },
+            {
+                id: 'template_summarize',
+                name: '📝 Summarize',
+                template: 'Summarize the following',
+                quickPrompt: true, contextMenu: false, command: null, openIn: 'chat', autoSend: false
+            },
+            {
+                id: 'template_debug_code',
+                name: '🐛 Debug Code',
+                template: 'Debug this code',
+                quickPrompt: true, contextMenu: false, command: null, openIn: 'chat', autoSend: false
+            }
+        ];
+    }
+
+    /**
+     * @returns {Promise<Array>} All templates, seeding the built-in ones the first time
+     */
+    async load() {
+        const result = await browser.storage.local.get(PromptTemplateLibrary.STORAGE_KEY);
+        const stored = result[PromptTemplateLibrary.STORAGE_KEY];
+        if (Array.isArray(stored)) {
+            this.templates = stored.map(template => this.normalize(template));
+        } else {
+            this.templates = PromptTemplateLibrary.BUILT_IN_TEMPLATES.map(template => this.normalize(template));
+            await this.persist();
+        }
+        return this.templates;
+    }
+
+    async persist() {
+        await browser.storage.local.set({ [PromptTemplateLibrary.STORAGE_KEY]: this.templates });
+    }
+
+    get(id) {
+        return this.templates.find(template => template.id === id) || null;
+    }
+
+    getByCommand(slot) {
+        return this.templates.find(template => template.command === slot) || null;
+    }
+
+    /**
+     * Add a template or replace the one with the same id. A keyboard slot belongs
+     * to one template at a time, so taking it clears it from the previous owner.
+     * @returns {Promise<Object>} The stored template
+     */
+    async save(template) {
+        const normalized = this.normalize(template);
+        normalized.updatedAt = new Date().toISOString();
+        if (normalized.command !== null) {
+            this.templates.forEach(existing => {
+                if (existing.id !== normalized.id && existing.command === normalized.command) {
+                    existing.command = null;
+                }
+            });
+        }
+
+        const index = this.templates.findIndex(existing => existing.id === normalized.id);
+        if (index === -1) {
+            this.templates.push(normalized);
+        } else {
+            normalized.createdAt = this.templates[index].createdAt;
+            this.templates[index] = normalized;
+        }
+        await this.persist();
+        return normalized;
+    }
+
+    async remove(id) {
+        this.templates = this.templates.filter(template => template.id !== id);
+        await this.persist();
+    }
+
+    normalize(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('A template must be an object');
+        }
+        const name = String(raw.name || '').trim();
+        if (!name) {
+            throw new Error('A template needs a name');
+        }
+        const text = String(raw.template || '');
+        if (!text.trim()) {
+            throw new Error('A template needs some text');
+        }
+
+        const command = parseInt(raw.command);
+        const now = new Date().toISOString();
+        return {
+            id: typeof raw.id === 'string' && raw.id ? raw.id : this.generateTemplateId(),
+            name: name.substring(0, 80),
+            template: text,
+            quickPrompt: Boolean(raw.quickPrompt),
+            contextMenu: Boolean(raw.contextMenu),
+            command: command >= 1 && command <= PromptTemplateLibrary.COMMAND_SLOTS ? command : null,
+            openIn: raw.openIn === 'popup' ? 'popup' : 'chat',
+            autoSend: Boolean(raw.autoSend),
+            createdAt: raw.createdAt || now,
+            updatedAt: raw.updatedAt || now
+        };
+    }
+
+    generateTemplateId() {
+        return 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    onChanged(callback) {
+        browser.storage.onChanged.addListener((changes, area) => {
+            if (area !== 'local' || !changes[PromptTemplateLibrary.STORAGE_KEY]) return;
+            const value = changes[PromptTemplateLibrary.STORAGE_KEY].newValue;
+            this.templates = Array.isArray(value) ? value.map(template => this.normalize(template)) : [];
+            callback(this.templates);
+        });
+    }
+
+    /**
+     * Placeholders a template uses, so callers only fetch what is needed
+     * @returns {Set<string>}
+     */
+    static getVariables(text) {
+        const names = new Set();
+        String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => names.add(name));
+        return names;
+    }
+
+    /**
+     * Fill in placeholders. Known variables without a value become empty;
+     * unknown ones are left as typed so mistakes stay visible.
+     */
+    static expand(text, values) {
+        return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+            if (!(name in PromptTemplateLibrary.VARIABLES)) return match;
+            const value = values[name];
+            return value === undefined || value === null ? '' : String(value);
+        });
+    }
+
+    /**
+     * Gather the values a template needs
+     * @param {string} text - Template text
+     * @param {Object} source - tab: the page to read; selection: selected text when the caller already has it
+     */
+    static async collectValues(text, { tab = null, selection = null } = {}) {
+        const names = PromptTemplateLibrary.getVariables(text);
+        const values = { date: new Date().toLocaleDateString() };
+
+        if (names.has('selection')) {
+            values.selection = selection;
+            if (!values.selection && tab) {
+                // Only the top frame answers, so a frame's empty selection cannot win the race
+                const response = await browser.tabs.sendMessage(tab.id, { action: 'getSelection' }, { frameId: 0 }).catch(() => null);
+                values.selection = response ? response.text : '';
+            }
+        }
+
+        if (tab && ['page.title', 'page.url', 'page.text'].some(name => names.has(name))) {
+            const page = names.has('page.text')
+                ? await browser.tabs.sendMessage(tab.id, { action: 'getPageContent' }, { frameId: 0 }).catch(() => null)
+                : null;
+            values['page.title'] = page ? page.title : tab.title;
+            values['page.url'] = tab.url;
+            values['page.text'] = page ? page.content : '';
+        }
+
+        if (names.has('clipboard')) {
+            try {
+                values.clipboard = await navigator.clipboard.readText();
+            } catch (error) {
+                console.warn('Clipboard not readable for the prompt template:', error.message);
+                values.clipboard = '';
+            }
+        }
+        return values;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplateLibrary;
+}
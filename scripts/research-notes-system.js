@@ -4,9 +4,9 @@ class ResearchNotesSystem {
         this.notes = [];
         this.tags = new Set();
         this.categories = new Set(['Research', 'Article', 'Documentation', 'Reference', 'Quote', 'Insight', 'Todo', 'Question']);
-        this.lmStudioUrl = 'http://localhost:1234/v1';
+        this.lmStudio = new LMStudioClient();
         this.storageKey = 'research_notes';
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -512,30 +512,10 @@ Content: ${content.substring(0, 1500)}`;
     }
 
     async callLMStudio(prompt) {
-        const response = await fetch(`${this.lmStudioUrl}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: 'local-model',
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 500
-            })
+        return this.lmStudio.complete(prompt, {
+            temperature: 0.3,
+            maxTokens: 500
         });
-
-        if (!response.ok) {
-            throw new Error(`LM Studio API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content;
     }
 
     async saveNotes() {
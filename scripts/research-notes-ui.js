@@ -86,7 +86,7 @@ class ResearchNotesUI {
             });
 
             if (response.success) {
-                this.notes = response.notes || [];
+                this.notes = response.data || [];
                 this.applyFilters();
             } else {
                 this.showNotification('Failed to load notes: ' + response.error, 'error');
@@ -104,7 +104,7 @@ class ResearchNotesUI {
             });
 
             if (response.success) {
-                this.renderTags(response.tags || []);
+                this.renderTags(response.data || []);
             }
         } catch (error) {
             console.error('Error loading tags:', error);
@@ -578,7 +578,7 @@ class ResearchNotesUI {
             });
 
             if (response.success) {
-                this.showNotification(`Successfully imported ${response.importedCount} notes`, 'success');
+                this.showNotification(`Successfully imported ${response.data} notes`, 'success');
                 document.getElementById('importModal').style.display = 'none';
                 await this.loadNotes();
                 await this.loadTags();
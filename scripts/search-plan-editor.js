@@ -0,0 +1,174 @@
+/**
+ * Search Plan Editor - Shows the queries and providers the model planned (see SearchPlanner)
+ * as a form in the conversation, so the user can change them before anything is searched
+ * Shared by the chat page and the popup
+ *
+ * Usage:
+ *   const editor = new SearchPlanEditor(plan);
+ *   container.appendChild(editor.element);
+ *   const search = await editor.decision;  // { queries, providers } or null when skipped
+ */
+
+class SearchPlanEditor {
+    /**
+     * @param {Object} plan - { reason, queries, providers, available } from PLAN_SEARCH
+     */
+    constructor(plan) {
+        this.plan = plan;
+        this.decision = new Promise(resolve => {
+            this.resolve = resolve;
+        });
+        this.element = this.render();
+    }
+
+    static get MAX_QUERIES() {
+        return 5;
+    }
+
+    render() {
+        const panel = document.createElement('div');
+        panel.className = 'message system search-plan';
+
+        const heading = document.createElement('strong');
+        heading.textContent = '🧭 Search plan';
+        panel.appendChild(heading);
+        if (this.plan.reason) {
+            const reason = document.createElement('div');
+            reason.className = 'search-plan-reason';
+            reason.textContent = this.plan.reason;
+            panel.appendChild(reason);
+        }
+
+        // One fieldset, so a decision can disable every control at once
+        this.fieldset = document.createElement('fieldset');
+        this.fieldset.className = 'search-plan-form';
+
+        this.queryList = document.createElement('div');
+        this.queryList.className = 'search-plan-queries';
+        this.plan.queries.forEach(query => this.addQuery(query));
+
+        this.addButton = document.createElement('button');
+        this.addButton.type = 'button';
+        this.addButton.className = 'search-plan-add';
+        this.addButton.textContent = '+ Add query';
+        this.addButton.addEventListener('click', () => this.addQuery('').focus());
+
+        const providers = document.createElement('div');
+        providers.className = 'search-plan-providers';
+        this.providerInputs = this.plan.available.map(provider => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = provider.id;
+            input.checked = !this.plan.providers || this.plan.providers.includes(provider.id);
+            input.addEventListener('change', () => this.updateState());
+            const name = document.createElement('span');
+            name.textContent = provider.name;
+            label.append(input, name);
+            providers.appendChild(label);
+            return input;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'search-plan-actions';
+        this.searchButton = document.createElement('button');
+        this.searchButton.type = 'button';
+        this.searchButton.className = 'search-plan-run';
+        this.searchButton.textContent = '🔍 Search';
+        this.searchButton.addEventListener('click', () => this.run());
+        const skip = document.createElement('button');
+        skip.type = 'button';
+        skip.className = 'search-plan-skip';
+        skip.textContent = 'Skip search';
+        skip.addEventListener('click', () => this.cancel());
+        actions.append(this.searchButton, skip);
+
+        this.fieldset.append(this.queryList, this.addButton, providers, actions);
+        this.fieldset.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && e.target.type === 'text') {
+                e.preventDefault();
+                this.run();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancel();
+            }
+        });
+
+        this.status = document.createElement('div');
+        this.status.className = 'search-plan-status';
+
+        panel.append(this.fieldset, this.status);
+        this.updateState();
+        return panel;
+    }
+
+    addQuery(value) {
+        const row = document.createElement('div');
+        row.className = 'search-plan-query';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.placeholder = 'Search query';
+        input.addEventListener('input', () => this.updateState());
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'search-plan-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove this query';
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.updateState();
+        });
+        row.append(input, remove);
+        this.queryList.appendChild(row);
+        this.updateState();
+        return input;
+    }
+
+    getQueries() {
+        return Array.from(this.queryList.querySelectorAll('input'))
+            .map(input => input.value.trim())
+            .filter(Boolean);
+    }
+
+    getProviders() {
+        return this.providerInputs.filter(input => input.checked).map(input => input.value);
+    }
+
+    updateState() {
+        if (!this.searchButton) return;
+        this.addButton.disabled = this.queryList.children.length >= SearchPlanEditor.MAX_QUERIES;
+        this.searchButton.disabled = this.getQueries().length === 0 || this.getProviders().length === 0;
+    }
+
+    focus() {
+        const first = this.queryList.querySelector('input');
+        if (first) first.focus();
+    }
+
+    run() {
+        const queries = this.getQueries();
+        const providers = this.getProviders();
+        if (queries.length === 0 || providers.length === 0) return;
+        // Every provider ticked means the same as no choice, which keeps providers enabled later on
+        this.finish({ queries, providers: providers.length === this.providerInputs.length ? null : providers },
+            `Searched: ${queries.join(' · ')}`);
+    }
+
+    // Also called by the page when the conversation is cleared while the plan is open
+    cancel() {
+        this.finish(null, 'Search skipped');
+    }
+
+    finish(result, status) {
+        if (this.fieldset.disabled) return;
+        this.fieldset.disabled = true;
+        this.status.textContent = status;
+        this.resolve(result);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchPlanEditor;
+}
@@ -0,0 +1,135 @@
+/**
+ * Search Planner - Asks the model whether a question needs a web search, and if so which
+ * focused queries to run and which providers suit them
+ * Runs in the background page and answers PLAN_SEARCH messages; the chat page and the popup
+ * show the plan so the user can edit the queries before they run
+ *
+ * A plan is { search, reason, queries, providers, available } where providers is null for
+ * "every enabled provider" and available lists the enabled ones as { id, name }.
+ */
+
+class SearchPlanner {
+    /**
+     * @param {SearchService} searchService - Knows which providers exist and which are on
+     */
+    constructor(searchService) {
+        this.searchService = searchService;
+        this.lmStudio = new LMStudioClient();
+    }
+
+    static get MAX_QUERIES() {
+        return 3;
+    }
+
+    static get MAX_QUERY_LENGTH() {
+        return 200;
+    }
+
+    // Earlier messages shown to the model, so follow-up questions can be rewritten on their own
+    static get HISTORY_MESSAGES() {
+        return 4;
+    }
+
+    static get HISTORY_CHARS() {
+        return 500;
+    }
+
+    // A plan is only worth having if it comes quickly; callers fall back to their keyword check
+    static get TIMEOUT() {
+        return 30000;
+    }
+
+    /**
+     * @param {string} question - The user's message
+     * @param {Object} options - model: the one the caller chats with; history: earlier
+     *                           { role, content } messages, oldest first
+     * @returns {Promise<{search: boolean, reason: string, queries: string[], providers: string[]|null, available: Array}>}
+     */
+    async plan(question, { model = null, history = [] } = {}) {
+        const providers = (await this.searchService.getProviders()).filter(provider => provider.enabled);
+        if (providers.length === 0) {
+            throw new RouteError('No search providers are enabled; turn one on in the options page', 'NO_PROVIDERS');
+        }
+
+        const response = await this.lmStudio.chat([
+            { role: 'system', content: 'You plan web searches for a chat assistant. Respond with valid JSON only.' },
+            { role: 'user', content: this.buildPrompt(question, history, providers) }
+        ], { model, temperature: 0.1, maxTokens: 800, timeout: SearchPlanner.TIMEOUT, retries: 0 });
+
+        const plan = this.normalizePlan(this.parseJSONResponse(response), question, providers);
+        console.log(`🧭 Search plan: ${plan.search ? plan.queries.join(' | ') : 'no search'}${plan.reason ? ` (${plan.reason})` : ''}`);
+        return plan;
+    }
+
+    buildPrompt(question, history, providers) {
+        const lines = [`Today is ${new Date().toISOString().split('T')[0]}.`, '', 'Search providers:'];
+        providers.forEach(provider => {
+            lines.push(`- ${provider.id}: ${provider.description}${provider.supportsOperators ? ' (understands site: and OR)' : ''}`);
+        });
+
+        const recent = history.slice(-SearchPlanner.HISTORY_MESSAGES);
+        if (recent.length > 0) {
+            lines.push('', 'Conversation so far:');
+            recent.forEach(message => {
+                const text = String(message.content || '').replace(/\s+/g, ' ').substring(0, SearchPlanner.HISTORY_CHARS);
+                lines.push(`${message.role === 'assistant' ? 'Assistant' : 'User'}: ${text}`);
+            });
+        }
+
+        lines.push(
+            '',
+            `Question: ${question}`,
+            '',
+            'Decide whether a good answer needs information from the web: recent events, news, prices, releases and versions, ' +
+            'or specific facts that are easy to get wrong. Greetings, opinions, writing, coding, math and well-known ' +
+            'general knowledge do not.',
+            `If it does, write 1 to ${SearchPlanner.MAX_QUERIES} short keyword queries, each covering one part of the question, ` +
+            'with names and dates spelled out so they make sense without the conversation, and pick the providers that fit.',
+            'Respond with JSON in this shape:',
+            '{"search": true, "reason": "one short sentence", "queries": ["..."], "providers": ["provider id"]}'
+        );
+        return lines.join('\n');
+    }
+
+    parseJSONResponse(response) {
+        try {
+            // Reasoning models may think out loud first, and any model may add prose or code fences
+            const text = String(response || '').replace(/<think>[\s\S]*?<\/think>/gi, '');
+            const jsonMatch = text.match(/\{[\s\S]*\}/);
+            return JSON.parse(jsonMatch ? jsonMatch[0] : text);
+        } catch (error) {
+            throw new RouteError('The model did not return a valid search plan', 'INVALID_PLAN');
+        }
+    }
+
+    // Unknown providers are dropped and a plan to search without queries searches the question itself
+    normalizePlan(data, question, providers) {
+        const seen = new Set();
+        const queries = (Array.isArray(data.queries) ? data.queries : [])
+            .filter(query => typeof query === 'string')
+            .map(query => query.replace(/\s+/g, ' ').trim().substring(0, SearchPlanner.MAX_QUERY_LENGTH))
+            .filter(query => {
+                const key = query.toLowerCase();
+                if (!query || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, SearchPlanner.MAX_QUERIES);
+
+        const ids = providers.map(provider => provider.id);
+        const picked = (Array.isArray(data.providers) ? data.providers : []).filter(id => ids.includes(id));
+
+        return {
+            search: data.search === true || data.search === 'true',
+            reason: typeof data.reason === 'string' ? data.reason.trim() : '',
+            queries: queries.length > 0 ? queries : [String(question).trim().substring(0, SearchPlanner.MAX_QUERY_LENGTH)],
+            providers: picked.length > 0 ? picked : null,
+            available: providers.map(({ id, name }) => ({ id, name }))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchPlanner;
+}
@@ -0,0 +1,550 @@
+/**
+ * Search Service - Web search shared by the chat page, the popup and the agentic systems
+ * Runs in the background page and answers SEARCH_INTERNET messages
+ *
+ * A provider is an adapter { id, name, description, supportsOperators, isEnabled(settings), search(query, settings, signal) }
+ * that returns raw { title, url, snippet, source?, publishedAt? } results. The service runs the enabled
+ * providers side by side, merges results that point at the same page and ranks them, so every caller
+ * gets the same shape:
+ *   { title, url, snippet, source, sources, publishedAt, relevance }
+ * where source is the provider that ranked it highest, sources every provider that found it, and
+ * relevance a 0-1 score relative to the best result. Several queries for one question (a search plan,
+ * see SearchPlanner) are fused the same way, as if each query and provider pair were a provider.
+ *
+ * Deep search also fetches the top pages, keeps their main text (ContentAnalyzer.extractMainText)
+ * and adds the passages that best answer the question as `passages`.
+ */
+
+class WikipediaSearchProvider {
+    constructor() {
+        this.id = 'wikipedia';
+        this.name = 'Wikipedia';
+        this.description = 'encyclopedia articles: background, definitions, people, places, history';
+        this.supportsOperators = false;
+    }
+
+    isEnabled(settings) {
+        return settings.searchWikipedia !== false;
+    }
+
+    // Full-text search with the lead of each article, in one request
+    async search(query, settings, signal) {
+        const params = new URLSearchParams({
+            action: 'query', generator: 'search', gsrsearch: query, gsrlimit: '5',
+            prop: 'extracts|info', exintro: '1', explaintext: '1', exsentences: '3', exlimit: 'max',
+            inprop: 'url', format: 'json', origin: '*'
+        });
+        const data = await SearchService.request(`https://en.wikipedia.org/w/api.php?${params}`, signal);
+        const pages = Object.values((data.query && data.query.pages) || {}).sort((a, b) => a.index - b.index);
+        return pages.map(page => ({
+            title: page.title,
+            url: page.fullurl || `https://en.wikipedia.org/wiki/${encodeURIComponent(page.title.replace(/ /g, '_'))}`,
+            snippet: page.extract || ''
+        }));
+    }
+}
+
+class DuckDuckGoSearchProvider {
+    constructor() {
+        this.id = 'duckduckgo';
+        this.name = 'DuckDuckGo';
+        this.description = 'instant answers: short facts, definitions and related topics, not full web results';
+        this.supportsOperators = false;
+    }
+
+    isEnabled(settings) {
+        return settings.searchDuckDuckGo !== false;
+    }
+
+    // The Instant Answer API - an abstract, direct results and related topics, not a full web index
+    async search(query, settings, signal) {
+        const params = new URLSearchParams({ q: query, format: 'json', no_html: '1', skip_disambig: '1' });
+        const data = await SearchService.request(`https://api.duckduckgo.com/?${params}`, signal);
+        const results = [];
+
+        if (data.AbstractText) {
+            results.push({ title: data.Heading || data.AbstractSource || 'DuckDuckGo', url: data.AbstractURL || '', snippet: data.AbstractText, source: data.AbstractSource ? `DuckDuckGo (${data.AbstractSource})` : null });
+        }
+        (data.Results || []).forEach(result => {
+            if (result.FirstURL) {
+                results.push({ title: result.Text || result.FirstURL, url: result.FirstURL, snippet: result.Text || '' });
+            }
+        });
+
+        // Related topics may be grouped under a heading
+        const topics = [];
+        (data.RelatedTopics || []).forEach(topic => {
+            if (Array.isArray(topic.Topics)) topics.push(...topic.Topics);
+            else topics.push(topic);
+        });
+        topics.slice(0, 5).forEach(topic => {
+            if (!topic.Text) return;
+            results.push({ title: topic.Text.split(' - ')[0], url: topic.FirstURL || '', snippet: topic.Text });
+        });
+        return results;
+    }
+}
+
+class SearxngSearchProvider {
+    constructor() {
+        this.id = 'searxng';
+        this.name = 'SearXNG';
+        this.description = 'general web search: news, current events, products, software, anything on the web';
+        this.supportsOperators = true;
+    }
+
+    isEnabled(settings) {
+        return Boolean(settings.searxngUrl);
+    }
+
+    async search(query, settings, signal) {
+        const base = settings.searxngUrl.replace(/\/+$/, '');
+        const params = new URLSearchParams({ q: query, format: 'json' });
+        let data;
+        try {
+            data = await SearchService.request(`${base}/search?${params}`, signal);
+        } catch (error) {
+            if (error.status === 403) {
+                throw new Error('the instance refused JSON output; add json to search.formats in its settings.yml');
+            }
+            throw error;
+        }
+        return (data.results || []).map(result => ({
+            title: result.title || result.url,
+            url: result.url,
+            snippet: result.content || '',
+            source: result.engine ? `SearXNG (${result.engine})` : null,
+            publishedAt: result.publishedDate || null
+        }));
+    }
+}
+
+/**
+ * Any endpoint that answers with JSON results or an RSS/Atom feed. `{query}` in the URL is
+ * replaced with the search terms; feeds without it are filtered by the terms instead.
+ */
+class FeedSearchProvider {
+    constructor() {
+        this.id = 'feed';
+        this.name = 'Custom feed';
+        this.description = 'a news or search feed the user added';
+        this.supportsOperators = false;
+    }
+
+    static get RESULT_KEYS() {
+        return ['results', 'items', 'data', 'hits', 'articles', 'entries', 'documents', 'value'];
+    }
+
+    isEnabled(settings) {
+        return Boolean(settings.searchFeedUrl);
+    }
+
+    async search(query, settings, signal) {
+        const template = settings.searchFeedUrl;
+        const searchable = template.includes('{query}');
+        const url = template.replace(/\{query\}/g, encodeURIComponent(query));
+        const response = await SearchService.request(url, signal, 'response');
+        const text = await response.text();
+
+        let format = settings.searchFeedFormat || 'auto';
+        if (format === 'auto') {
+            const contentType = response.headers.get('content-type') || '';
+            format = contentType.includes('json') || /^\s*[[{]/.test(text) ? 'json' : 'rss';
+        }
+        const items = format === 'json' ? this.readJSON(JSON.parse(text)) : this.readFeed(text);
+        const host = new URL(url).hostname;
+        const results = items.map(item => ({ ...item, source: item.source || host }));
+
+        if (searchable) return results;
+        const terms = SearchService.tokenize(query);
+        return results.filter(result => {
+            const haystack = `${result.title} ${result.snippet}`.toLowerCase();
+            return terms.some(term => haystack.includes(term));
+        });
+    }
+
+    readJSON(data) {
+        return this.findResultArray(data).map(item => {
+            const entry = item && item._source ? item._source : item;
+            if (!entry || typeof entry !== 'object') return null;
+            const pick = (...keys) => {
+                const key = keys.find(name => typeof entry[name] === 'string' && entry[name]);
+                return key ? entry[key] : '';
+            };
+            return {
+                title: pick('title', 'name', 'headline'),
+                url: pick('url', 'link', 'href', 'permalink'),
+                snippet: pick('snippet', 'description', 'summary', 'abstract', 'excerpt', 'content', 'text'),
+                publishedAt: pick('publishedAt', 'published', 'pubDate', 'date', 'created_at', 'updated') || null
+            };
+        }).filter(result => result && (result.title || result.url));
+    }
+
+    // The list of results, at the top level or one level down (e.g. Elasticsearch's hits.hits)
+    findResultArray(data, depth = 0) {
+        if (Array.isArray(data)) return data;
+        if (!data || typeof data !== 'object' || depth > 1) return [];
+        for (const key of FeedSearchProvider.RESULT_KEYS) {
+            const found = this.findResultArray(data[key], depth + 1);
+            if (found.length > 0) return found;
+        }
+        return [];
+    }
+
+    readFeed(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('the response is neither JSON nor an RSS/Atom feed');
+        }
+        const read = (item, selector) => {
+            const element = item.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+        return Array.from(doc.querySelectorAll('item, entry')).map(item => {
+            // Atom keeps the address in an attribute, RSS in the element text
+            const atomLink = item.querySelector('link[rel="alternate"], link:not([rel])');
+            return {
+                title: read(item, 'title'),
+                url: (atomLink && atomLink.getAttribute('href')) || read(item, 'link'),
+                snippet: read(item, 'description') || read(item, 'summary') || read(item, 'content'),
+                publishedAt: read(item, 'pubDate') || read(item, 'published') || read(item, 'updated') || null
+            };
+        });
+    }
+}
+
+class SearchService {
+    constructor() {
+        this.providers = new Map();
+        [new WikipediaSearchProvider(), new DuckDuckGoSearchProvider(), new SearxngSearchProvider(), new FeedSearchProvider()]
+            .forEach(provider => this.register(provider));
+    }
+
+    // Written by the options page; the same keys as its settings form
+    static get DEFAULT_SETTINGS() {
+        return {
+            searchResultsCount: 5,
+            searchWikipedia: true,
+            searchDuckDuckGo: true,
+            searxngUrl: '',
+            searchFeedUrl: '',
+            searchFeedFormat: 'auto',
+            deepSearchPages: 3
+        };
+    }
+
+    static get PROVIDER_TIMEOUT() {
+        return 8000;
+    }
+
+    static get PAGE_TIMEOUT() {
+        return 10000;
+    }
+
+    // Passage size in characters, and how many passages each page may contribute
+    static get PASSAGE_SIZE() {
+        return 1000;
+    }
+
+    static get PASSAGES_PER_PAGE() {
+        return 3;
+    }
+
+    // Reciprocal rank fusion constant; larger values flatten the gap between ranks
+    static get RRF_K() {
+        return 60;
+    }
+
+    static get TRACKING_PARAMS() {
+        return /^(utm_\w+|fbclid|gclid|ref|ref_src)$/i;
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return this;
+    }
+
+    // Every provider and whether the options page has it on, for the search planner
+    async getProviders() {
+        const settings = await this.getSettings();
+        return Array.from(this.providers.values()).map(provider => ({
+            id: provider.id,
+            name: provider.name,
+            description: provider.description,
+            supportsOperators: provider.supportsOperators,
+            enabled: provider.isEnabled(settings)
+        }));
+    }
+
+    async getSettings() {
+        const defaults = SearchService.DEFAULT_SETTINGS;
+        const stored = await browser.storage.local.get(Object.keys(defaults));
+        const settings = { ...defaults, ...stored };
+        settings.searchResultsCount = parseInt(settings.searchResultsCount) || defaults.searchResultsCount;
+        settings.deepSearchPages = parseInt(settings.deepSearchPages) || defaults.deepSearchPages;
+        settings.searxngUrl = String(settings.searxngUrl || '').trim();
+        settings.searchFeedUrl = String(settings.searchFeedUrl || '').trim();
+        return settings;
+    }
+
+    /**
+     * Search every enabled provider (or the ones named) and merge the results
+     * @param {string|string[]} query - May contain site:domain filters; a list runs every query and fuses the results
+     * @param {Object} options - providers: ids to use; limit: number of results; deep: read the top pages;
+     *                           question: what the passages should answer, when it differs from the query
+     * @returns {Promise<{query: string|string[], results: Array, providers: Array<{id, name, count, error}>}>}
+     */
+    async search(query, { providers = null, limit = null, deep = false, question = null } = {}) {
+        const settings = await this.getSettings();
+        const queries = (Array.isArray(query) ? query : [query]).map(item => String(item || '').trim()).filter(Boolean);
+        if (queries.length === 0) {
+            throw new RouteError('Nothing to search for');
+        }
+        const selected = Array.from(this.providers.values()).filter(provider =>
+            provider.isEnabled(settings) && (!Array.isArray(providers) || providers.includes(provider.id)));
+        if (selected.length === 0) {
+            throw new RouteError('No search providers are enabled; turn one on in the options page', 'NO_PROVIDERS');
+        }
+
+        const parsed = queries.map(item => ({ query: item, ...this.parseQuery(item) }));
+        const runs = await Promise.all(parsed.flatMap(({ query: item, text, sites }) => selected.map(async (provider) => {
+            // Providers that ignore operators get the plain terms and are filtered by site afterwards
+            const providerQuery = provider.supportsOperators ? item : text;
+            if (!providerQuery) return { provider, results: [], error: null };
+            try {
+                const results = await this.runProvider(provider, providerQuery, settings);
+                return { provider, results: this.filterSites(results, sites), error: null };
+            } catch (error) {
+                const message = error.name === 'AbortError' ? 'timed out' : error.message;
+                console.warn(`⚠️ ${provider.name} search failed:`, message);
+                return { provider, results: [], error: message };
+            }
+        })));
+
+        const failed = runs.filter(run => run.error);
+        if (failed.length === runs.length) {
+            throw new RouteError(`Search failed: ${failed.map(run => `${run.provider.name} ${run.error}`).join('; ')}`, 'SEARCH_FAILED');
+        }
+
+        const terms = parsed.map(item => item.text).join(' ');
+        let results = this.merge(runs, terms).slice(0, limit || settings.searchResultsCount);
+        if (deep) {
+            results = await this.readPages(results, question || terms, settings.deepSearchPages);
+        }
+        console.log(`🔍 "${queries.join('", "')}": ${results.length} results from ${selected.filter(provider => runs.some(run => run.provider === provider && run.results.length > 0)).map(provider => provider.name).join(', ') || 'no provider'}`);
+
+        return {
+            query,
+            results,
+            providers: selected.map(provider => {
+                const own = runs.filter(run => run.provider === provider);
+                const errors = own.filter(run => run.error);
+                return {
+                    id: provider.id,
+                    name: provider.name,
+                    count: own.reduce((total, run) => total + run.results.length, 0),
+                    error: errors.length === own.length && errors.length > 0 ? errors[0].error : null
+                };
+            })
+        };
+    }
+
+    filterSites(results, sites) {
+        if (sites.length === 0) return results;
+        return results.filter(result => {
+            const host = this.getHost(result.url);
+            return sites.some(site => host === site || host.endsWith('.' + site));
+        });
+    }
+
+    async runProvider(provider, query, settings) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SearchService.PROVIDER_TIMEOUT);
+        try {
+            const results = await provider.search(query, settings, controller.signal);
+            return results.map(result => ({
+                title: SearchService.cleanText(result.title),
+                url: /^https?:\/\//i.test(result.url || '') ? result.url : '',
+                snippet: SearchService.cleanText(result.snippet),
+                source: result.source || provider.name,
+                publishedAt: this.readDate(result.publishedAt)
+            })).filter(result => result.title || result.snippet);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Fetch the first pages and attach the passages most relevant to the question. Passages from
+     * every page are ranked together, so a term common to all of them counts for little. A page
+     * without a matching passage keeps its opening one; a page that cannot be read keeps its snippet.
+     */
+    async readPages(results, question, count) {
+        const chunker = new TextChunker({ chunkSize: SearchService.PASSAGE_SIZE, overlap: 100 });
+        const targets = results.filter(result => result.url).slice(0, count);
+        const pages = await Promise.all(targets.map(async (result) => {
+            try {
+                return { chunks: chunker.chunk(await this.fetchPageText(result.url)), error: null };
+            } catch (error) {
+                const message = error.name === 'AbortError' ? 'timed out' : error.message;
+                console.warn(`⚠️ Could not read ${result.url}:`, message);
+                return { chunks: [], error: message };
+            }
+        }));
+
+        const passages = [];
+        pages.forEach((page, pageIndex) => page.chunks.forEach(chunk => passages.push({ ...chunk, pageIndex })));
+        const picked = pages.map(() => []);
+        chunker.rank(passages, question).forEach(({ chunk, score }) => {
+            if (score > 0 && picked[chunk.pageIndex].length < SearchService.PASSAGES_PER_PAGE) {
+                picked[chunk.pageIndex].push(chunk);
+            }
+        });
+
+        return results.map(result => {
+            const pageIndex = targets.indexOf(result);
+            if (pageIndex === -1) return result;
+            const page = pages[pageIndex];
+            const chosen = picked[pageIndex].length > 0 ? picked[pageIndex] : page.chunks.slice(0, 1);
+            return {
+                ...result,
+                passages: chosen.sort((a, b) => a.index - b.index).map(chunk => chunk.text),
+                readError: page.error
+            };
+        });
+    }
+
+    async fetchPageText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SearchService.PAGE_TIMEOUT);
+        try {
+            // Without cookies, so pages are read as a signed-out visitor sees them
+            const response = await fetch(url, { signal: controller.signal, credentials: 'omit' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+            if (contentType === 'text/plain') {
+                return await response.text();
+            }
+            if (contentType && !/html|xml/.test(contentType)) {
+                throw new Error(`${contentType} is not a web page`);
+            }
+            const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+            return ContentAnalyzer.extractMainText(doc);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // site:example.com terms, and the query without them (and without OR between them)
+    parseQuery(query) {
+        const sites = [];
+        const text = String(query || '')
+            .replace(/(^|\s)site:(\S+)/gi, (match, space, site) => {
+                sites.push(site.toLowerCase().replace(/^www\./, ''));
+                return ' ';
+            })
+            .replace(/(^|\s)OR(?=\s|$)/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        return { text, sites };
+    }
+
+    /**
+     * One list from every provider's: duplicates by URL are folded together and the
+     * order is reciprocal rank fusion plus how many of the query terms each result contains
+     */
+    merge(runs, query) {
+        const terms = Array.from(new Set(SearchService.tokenize(query)));
+        const merged = new Map();
+
+        runs.forEach(({ results }) => {
+            results.forEach((result, rank) => {
+                const key = result.url ? this.normalizeUrl(result.url) : `title:${result.title.toLowerCase()}`;
+                const score = 1 / (SearchService.RRF_K + rank + 1);
+                const existing = merged.get(key);
+                if (!existing) {
+                    merged.set(key, { ...result, sources: [result.source], score });
+                    return;
+                }
+                existing.score += score;
+                if (!existing.sources.includes(result.source)) existing.sources.push(result.source);
+                if (result.snippet.length > existing.snippet.length) existing.snippet = result.snippet;
+                if (!existing.publishedAt) existing.publishedAt = result.publishedAt;
+            });
+        });
+
+        const results = Array.from(merged.values());
+        if (terms.length > 0) {
+            results.forEach(result => {
+                const haystack = new Set(SearchService.tokenize(`${result.title} ${result.snippet}`));
+                const coverage = terms.filter(term => haystack.has(term)).length / terms.length;
+                // Full coverage is worth as much as a first place
+                result.score += coverage / (SearchService.RRF_K + 1);
+            });
+        }
+
+        results.sort((a, b) => b.score - a.score);
+        const best = results.length > 0 ? results[0].score : 1;
+        return results.map(({ score, ...result }) => ({ ...result, relevance: Math.round(score / best * 100) / 100 }));
+    }
+
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, '').replace(/\.m\./, '.');
+            Array.from(parsed.searchParams.keys()).forEach(key => {
+                if (SearchService.TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+            });
+            const search = parsed.searchParams.toString();
+            return `${host}${decodeURIComponent(parsed.pathname).replace(/\/+$/, '')}${search ? '?' + search : ''}`;
+        } catch (error) {
+            return url;
+        }
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    readDate(value) {
+        const date = value ? new Date(value) : null;
+        return date && !isNaN(date) ? date.toISOString() : null;
+    }
+
+    static tokenize(text) {
+        return TextChunker.tokenize(text);
+    }
+
+    /**
+     * Fetch JSON, or the response itself; failures carry the HTTP status
+     */
+    static async request(url, signal, type = 'json') {
+        const response = await fetch(url, { signal, headers: { 'Accept': type === 'json' ? 'application/json' : '*/*' } });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return type === 'json' ? response.json() : response;
+    }
+
+    // Snippets from search APIs and feeds may contain markup and entities
+    static cleanText(value) {
+        const text = String(value || '');
+        const plain = /[<&]/.test(text)
+            ? new DOMParser().parseFromString(text, 'text/html').body.textContent
+            : text;
+        return plain.replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchService, WikipediaSearchProvider, DuckDuckGoSearchProvider, SearxngSearchProvider, FeedSearchProvider };
+}
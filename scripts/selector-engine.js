@@ -0,0 +1,499 @@
+/**
+ * Selector Engine - Finds page elements for automation tasks and data collection
+ * Loaded as a content script ahead of content.js, which uses it for every selector
+ * the AutomationScheduler and DataCollectionPipeline send to a page.
+ *
+ * A selector can be:
+ *   a CSS selector                    '.price', 'form#login input[name="q"]'
+ *   an XPath expression               'xpath://h1', or any string starting with // or (//
+ *   a text match                      'text:Sign in' (contains, case-insensitive), 'text:"Sign in"' (exact)
+ *   an ARIA role lookup               'role:button', 'role:link[name="Next"]', 'role:button[name*="next"]'
+ *   a CSS selector through shadow roots   'pierce:.price' (every shadow root), 'my-card >>> .price' (step by step)
+ *   a fallback chain, tried in order  '.a || .b' (a prefixed or XPath alternative must come last,
+ *                                     since it takes the rest of the string), ['a', 'b'], or objects such as
+ *                                     { css }, { xpath }, { text, exact, tag }, { role, name, exact }
+ * The first alternative that matches anything wins, so a task keeps working when one
+ * selector stops matching after a site change.
+ */
+
+class SelectorEngine {
+    constructor(root = document) {
+        this.root = root;
+    }
+
+    static get STRATEGIES() {
+        return ['css', 'xpath', 'text', 'role', 'pierce'];
+    }
+
+    static get DEFAULT_WAIT_TIMEOUT() {
+        return 5000;
+    }
+
+    // MutationObserver does not see changes inside shadow roots, so waits also poll
+    static get WAIT_POLL_INTERVAL() {
+        return 250;
+    }
+
+    // Implicit ARIA roles of common elements; an explicit role attribute always wins
+    static get IMPLICIT_ROLES() {
+        return {
+            a: (el) => el.hasAttribute('href') ? 'link' : null,
+            area: (el) => el.hasAttribute('href') ? 'link' : null,
+            article: () => 'article',
+            aside: () => 'complementary',
+            button: () => 'button',
+            dialog: () => 'dialog',
+            footer: () => 'contentinfo',
+            form: () => 'form',
+            h1: () => 'heading',
+            h2: () => 'heading',
+            h3: () => 'heading',
+            h4: () => 'heading',
+            h5: () => 'heading',
+            h6: () => 'heading',
+            header: () => 'banner',
+            img: (el) => el.getAttribute('alt') === '' ? 'presentation' : 'img',
+            input: (el) => SelectorEngine.inputRole(el),
+            li: () => 'listitem',
+            main: () => 'main',
+            nav: () => 'navigation',
+            ol: () => 'list',
+            option: () => 'option',
+            progress: () => 'progressbar',
+            section: () => 'region',
+            select: (el) => el.multiple || el.size > 1 ? 'listbox' : 'combobox',
+            summary: () => 'button',
+            table: () => 'table',
+            tbody: () => 'rowgroup',
+            td: () => 'cell',
+            textarea: () => 'textbox',
+            th: () => 'columnheader',
+            thead: () => 'rowgroup',
+            tr: () => 'row',
+            ul: () => 'list'
+        };
+    }
+
+    static inputRole(input) {
+        switch ((input.getAttribute('type') || 'text').toLowerCase()) {
+            case 'button':
+            case 'image':
+            case 'reset':
+            case 'submit':
+                return 'button';
+            case 'checkbox':
+                return 'checkbox';
+            case 'radio':
+                return 'radio';
+            case 'range':
+                return 'slider';
+            case 'number':
+                return 'spinbutton';
+            case 'search':
+                return input.hasAttribute('list') ? 'combobox' : 'searchbox';
+            case 'hidden':
+                return null;
+            default:
+                return input.hasAttribute('list') ? 'combobox' : 'textbox';
+        }
+    }
+
+    /**
+     * Normalize any accepted selector form into an ordered list of alternatives
+     * @returns {Array<{type: string, value: string, options: Object}>}
+     */
+    parse(selector) {
+        if (selector === null || selector === undefined || selector === '') return [];
+
+        if (Array.isArray(selector)) {
+            return selector.flatMap(item => this.parse(item));
+        }
+
+        if (typeof selector === 'object') {
+            const type = SelectorEngine.STRATEGIES.find(strategy => typeof selector[strategy] === 'string');
+            if (!type) {
+                throw new Error(`Selector object needs one of: ${SelectorEngine.STRATEGIES.join(', ')}`);
+            }
+            return [{ type: type, value: selector[type].trim(), options: selector }];
+        }
+
+        // Prefixed and XPath selectors run to the end of the string, so a || inside them is kept
+        const text = String(selector).trim();
+        const prefixed = text.match(/^(css|xpath|text|role|pierce):([\s\S]+)$/i);
+        if (prefixed) {
+            return [this.parsePrefixed(prefixed[1].toLowerCase(), prefixed[2].trim())];
+        }
+
+        if (this.isXPath(text)) {
+            return [{ type: 'xpath', value: text, options: {} }];
+        }
+
+        const parts = this.splitChain(text);
+        if (parts.length > 1) {
+            return parts.flatMap(part => this.parse(part));
+        }
+
+        return [{ type: 'css', value: text, options: {} }];
+    }
+
+    isXPath(text) {
+        return text.startsWith('//') || text.startsWith('(//');
+    }
+
+    /**
+     * Split a CSS fallback chain on ' || ' outside quotes, brackets and parentheses;
+     * once an alternative is prefixed or XPath it takes the rest of the string
+     */
+    splitChain(text) {
+        const parts = [];
+        let start = 0;
+        let depth = 0;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+                continue;
+            }
+            if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '(') {
+                depth++;
+            } else if (char === ']' || char === ')') {
+                depth = Math.max(0, depth - 1);
+            } else if (depth === 0 && /\s/.test(char)) {
+                const separator = text.slice(i).match(/^\s+\|\|\s+/);
+                if (!separator) continue;
+
+                parts.push(text.slice(start, i).trim());
+                start = i + separator[0].length;
+                const rest = text.slice(start);
+                if (/^(css|xpath|text|role|pierce):/i.test(rest) || this.isXPath(rest)) break;
+                i = start - 1;
+            }
+        }
+
+        parts.push(text.slice(start).trim());
+        return parts.filter(Boolean);
+    }
+
+    parsePrefixed(type, value) {
+        if (type === 'text') {
+            // A quoted text must match the whole element text
+            const quoted = value.match(/^(["'])([\s\S]*)\1$/);
+            return quoted
+                ? { type: type, value: quoted[2], options: { exact: true } }
+                : { type: type, value: value, options: {} };
+        }
+
+        if (type === 'role') {
+            const match = value.match(/^([\w-]+)\s*(?:\[\s*name\s*(\*?=)\s*(["'])([\s\S]*)\3\s*\])?$/i);
+            if (!match) {
+                throw new Error(`Invalid role selector: role:${value}`);
+            }
+            return {
+                type: type,
+                value: match[1].toLowerCase(),
+                options: match[4] !== undefined ? { name: match[4], exact: match[2] === '=' } : {}
+            };
+        }
+
+        return { type: type, value: value, options: {} };
+    }
+
+    /**
+     * Elements matched by the first alternative that matches anything
+     */
+    queryAll(selector, root = this.root) {
+        return this.resolve(selector, root).elements;
+    }
+
+    query(selector, root = this.root) {
+        return this.queryAll(selector, root)[0] || null;
+    }
+
+    /**
+     * Like queryAll, but also reports which alternative matched
+     * @returns {{elements: Element[], matched: string|null, index: number}}
+     */
+    resolve(selector, root = this.root, filter = null) {
+        const alternatives = this.parse(selector);
+        if (alternatives.length === 0) {
+            throw new Error('Selector is empty');
+        }
+
+        let lastError = null;
+        for (let index = 0; index < alternatives.length; index++) {
+            const alternative = alternatives[index];
+            try {
+                let elements = this.queryAlternative(alternative, root);
+                if (filter) elements = elements.filter(filter);
+                if (elements.length > 0) {
+                    return { elements: elements, matched: this.describe(alternative), index: index };
+                }
+            } catch (error) {
+                // An invalid alternative should not stop the rest of the chain
+                lastError = error;
+            }
+        }
+
+        // Surface syntax errors when nothing could be tried successfully
+        if (lastError && alternatives.length === 1) {
+            throw lastError;
+        }
+        return { elements: [], matched: null, index: -1 };
+    }
+
+    queryAlternative(alternative, root) {
+        switch (alternative.type) {
+            case 'css':
+                return alternative.value.includes('>>>')
+                    ? this.queryShadowPath(alternative.value, root)
+                    : Array.from(root.querySelectorAll(alternative.value));
+            case 'pierce':
+                return this.queryPierce(alternative.value, root);
+            case 'xpath':
+                return this.queryXPath(alternative.value, root);
+            case 'text':
+                return this.queryText(alternative.value, alternative.options, root);
+            case 'role':
+                return this.queryRole(alternative.value, alternative.options, root);
+            default:
+                throw new Error(`Unknown selector type: ${alternative.type}`);
+        }
+    }
+
+    /**
+     * Wait for a selector to match, e.g. while a single-page app renders
+     * @param {Object} options - { timeout, visible, root }
+     * @returns {Promise<{element: Element|null, matched: string|null}>}
+     */
+    waitFor(selector, { timeout = SelectorEngine.DEFAULT_WAIT_TIMEOUT, visible = false, root = this.root } = {}) {
+        const filter = visible ? (element) => this.isVisible(element) : null;
+        const check = () => {
+            const result = this.resolve(selector, root, filter);
+            return result.elements.length > 0 ? { element: result.elements[0], matched: result.matched } : null;
+        };
+
+        const found = check();
+        if (found || timeout <= 0) {
+            return Promise.resolve(found || { element: null, matched: null });
+        }
+
+        return new Promise((resolve) => {
+            let observer = null;
+            let poll = null;
+            let timer = null;
+
+            const finish = (result) => {
+                if (observer) observer.disconnect();
+                clearInterval(poll);
+                clearTimeout(timer);
+                resolve(result);
+            };
+            const recheck = () => {
+                const result = check();
+                if (result) finish(result);
+            };
+
+            observer = new MutationObserver(recheck);
+            observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+            poll = setInterval(recheck, SelectorEngine.WAIT_POLL_INTERVAL);
+            timer = setTimeout(() => finish({ element: null, matched: null }), timeout);
+        });
+    }
+
+    /**
+     * 'host >>> inner': each step is searched inside the shadow roots of the previous matches
+     */
+    queryShadowPath(path, root) {
+        const steps = path.split('>>>').map(step => step.trim()).filter(Boolean);
+        let current = [root];
+
+        steps.forEach((step, index) => {
+            const next = [];
+            current.forEach(node => {
+                const scope = index === 0 ? node : node.shadowRoot;
+                if (scope) next.push(...scope.querySelectorAll(step));
+            });
+            current = next;
+        });
+
+        return Array.from(new Set(current));
+    }
+
+    /**
+     * CSS selector matched in the root and in every shadow root below it
+     */
+    queryPierce(selector, root) {
+        const results = Array.from(root.querySelectorAll(selector));
+        this.collectShadowRoots(root).forEach(shadowRoot => {
+            results.push(...shadowRoot.querySelectorAll(selector));
+        });
+        return results;
+    }
+
+    queryXPath(expression, root) {
+        const ownerDocument = root.ownerDocument || root;
+        const snapshot = ownerDocument.evaluate(expression, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const results = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            const node = snapshot.snapshotItem(i);
+            // Text and attribute nodes resolve to their element
+            const element = node.nodeType === Node.ELEMENT_NODE ? node : (node.parentElement || node.ownerElement);
+            if (element) results.push(element);
+        }
+        return Array.from(new Set(results));
+    }
+
+    /**
+     * Innermost elements whose text matches, including inside shadow roots
+     * @param {Object} options - { exact, tag }; tag is a CSS selector the element must match
+     */
+    queryText(text, options = {}, root) {
+        const needle = this.normalizeText(text).toLowerCase();
+        if (!needle) return [];
+
+        const matches = (element) => {
+            const content = this.normalizeText(element.textContent || element.value || '').toLowerCase();
+            return options.exact ? content === needle : content.includes(needle);
+        };
+
+        const candidates = this.deepElements(root).filter(element =>
+            !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE'].includes(element.tagName) && matches(element)
+        );
+
+        if (options.tag) {
+            return candidates.filter(element => element.matches(options.tag));
+        }
+
+        // Keep the deepest matches so "text:Next" gives the link, not every ancestor of it
+        const matched = new Set(candidates);
+        return candidates.filter(element => !Array.from(element.children).some(child => matched.has(child)));
+    }
+
+    /**
+     * Elements with an ARIA role and, optionally, an accessible name
+     * @param {Object} options - { name, exact }; names match case-insensitively
+     */
+    queryRole(role, options = {}, root) {
+        const wanted = String(role).toLowerCase();
+        const name = options.name !== undefined ? this.normalizeText(options.name).toLowerCase() : null;
+        const exact = options.exact !== false;
+
+        return this.deepElements(root).filter(element => {
+            if (this.getRole(element) !== wanted) return false;
+            if (name === null) return true;
+
+            const accessibleName = this.getAccessibleName(element).toLowerCase();
+            return exact ? accessibleName === name : accessibleName.includes(name);
+        });
+    }
+
+    getRole(element) {
+        const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+        if (explicit) return explicit.toLowerCase();
+
+        const implicit = SelectorEngine.IMPLICIT_ROLES[element.tagName.toLowerCase()];
+        return implicit ? implicit(element) : null;
+    }
+
+    /**
+     * Simplified accessible name: aria-labelledby, aria-label, labels, alt, text, then title
+     */
+    getAccessibleName(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const ownerDocument = element.ownerDocument;
+            const text = labelledBy.split(/\s+/)
+                .map(id => ownerDocument.getElementById(id))
+                .filter(Boolean)
+                .map(label => label.textContent)
+                .join(' ');
+            if (this.normalizeText(text)) return this.normalizeText(text);
+        }
+
+        const ariaLabel = element.getAttribute('aria-label');
+        if (ariaLabel && ariaLabel.trim()) return this.normalizeText(ariaLabel);
+
+        const tag = element.tagName;
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tag)) {
+            const labels = Array.from(element.labels || []).map(label => label.textContent).join(' ');
+            if (this.normalizeText(labels)) return this.normalizeText(labels);
+
+            if (tag === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type) && element.value) {
+                return this.normalizeText(element.value);
+            }
+            if (tag === 'INPUT' && element.type === 'image' && element.alt) {
+                return this.normalizeText(element.alt);
+            }
+            return this.normalizeText(element.getAttribute('placeholder') || element.getAttribute('title') || '');
+        }
+
+        if (tag === 'IMG' || tag === 'AREA') {
+            return this.normalizeText(element.getAttribute('alt') || element.getAttribute('title') || '');
+        }
+
+        const text = this.normalizeText(element.textContent || '');
+        if (text) return text;
+
+        // Icon-only buttons are often named by their image
+        const image = element.querySelector('img[alt]');
+        return this.normalizeText((image && image.alt) || element.getAttribute('title') || '');
+    }
+
+    /**
+     * Every element under root, descending into open shadow roots
+     */
+    deepElements(root) {
+        const elements = [];
+        const visit = (scope) => {
+            scope.querySelectorAll('*').forEach(element => {
+                elements.push(element);
+                if (element.shadowRoot) visit(element.shadowRoot);
+            });
+        };
+        if (root.nodeType === Node.ELEMENT_NODE) elements.push(root);
+        visit(root);
+        return elements;
+    }
+
+    collectShadowRoots(root) {
+        return this.deepElements(root)
+            .filter(element => element.shadowRoot)
+            .map(element => element.shadowRoot);
+    }
+
+    isVisible(element) {
+        if (!element.getClientRects().length) return false;
+        const style = window.getComputedStyle(element);
+        return style.visibility !== 'hidden' && style.display !== 'none';
+    }
+
+    normalizeText(text) {
+        return String(text).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Readable form of a selector or parsed alternative, for logs and error messages
+     */
+    describe(selector) {
+        if (selector && typeof selector === 'object' && !Array.isArray(selector) && selector.type && 'value' in selector) {
+            const { type, value, options } = selector;
+            if (type === 'css') return value;
+            if (type === 'text') return options.exact ? `text:"${value}"` : `text:${value}`;
+            if (type === 'role' && options.name !== undefined) {
+                return `role:${value}[name${options.exact === false ? '*=' : '='}"${options.name}"]`;
+            }
+            return `${type}:${value}`;
+        }
+
+        try {
+            return this.parse(selector).map(alternative => this.describe(alternative)).join(' || ');
+        } catch (error) {
+            return String(selector);
+        }
+    }
+}
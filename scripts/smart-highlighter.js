@@ -5,7 +5,7 @@
 
 class SmartHighlighter {
     constructor() {
-        this.apiUrl = 'http://localhost:1234/v1/chat/completions';
+        this.lmStudio = new LMStudioClient();
         this.storageKey = 'lm_studio_highlights';
         this.isEnabled = true;
         this.highlightStyles = {
@@ -546,29 +546,11 @@ class SmartHighlighter {
     }
 
     async callLMStudio(prompt) {
-        const response = await fetch(this.apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: 'local-model',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert content analyzer specializing in identifying important information for highlighting. Always respond with valid JSON.'
-                    },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.3,
-                max_tokens: 1500
-            })
+        return this.lmStudio.complete(prompt, {
+            systemPrompt: 'You are an expert content analyzer specializing in identifying important information for highlighting. Always respond with valid JSON.',
+            temperature: 0.3,
+            maxTokens: 1500
         });
-
-        if (!response.ok) {
-            throw new Error(`LM Studio API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-        return data.choices[0].message.content;
     }
 
     parseAIResponse(response) {
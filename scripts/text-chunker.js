@@ -0,0 +1,140 @@
+/**
+ * Text Chunker - Splits long text into overlapping passages and ranks them against a question
+ * Used by the chat page to send only the relevant parts of large attachments
+ *
+ * Passages end on paragraph or sentence boundaries where possible. Ranking is
+ * BM25 over lowercased word terms, so it works without an embedding model.
+ */
+
+class TextChunker {
+    /**
+     * @param {Object} options - chunkSize and overlap in characters
+     */
+    constructor({ chunkSize = TextChunker.DEFAULT_CHUNK_SIZE, overlap = TextChunker.DEFAULT_OVERLAP } = {}) {
+        this.chunkSize = Math.max(200, chunkSize);
+        this.overlap = Math.min(Math.max(0, overlap), Math.floor(this.chunkSize / 2));
+    }
+
+    static get DEFAULT_CHUNK_SIZE() {
+        return 1500;
+    }
+
+    static get DEFAULT_OVERLAP() {
+        return 150;
+    }
+
+    // BM25 parameters
+    static get K1() {
+        return 1.2;
+    }
+
+    static get B() {
+        return 0.75;
+    }
+
+    static get STOP_WORDS() {
+        return new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+            'had', 'has', 'have', 'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+            'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'those',
+            'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+            'you', 'your', 'about', 'please', 'tell', 'explain', 'file', 'document', 'attached'
+        ]);
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} options - header: line repeated at the top of every passage (e.g. CSV columns)
+     * @returns {Array<{index: number, start: number, text: string}>}
+     */
+    chunk(text, { header = '' } = {}) {
+        const value = String(text || '');
+        const room = Math.max(100, this.chunkSize - (header ? header.length + 1 : 0));
+        const chunks = [];
+
+        let start = 0;
+        while (start < value.length) {
+            let end = Math.min(value.length, start + room);
+            if (end < value.length) {
+                end = this.findBreak(value, start, end);
+            }
+            const body = value.substring(start, end).trim();
+            if (body) {
+                chunks.push({ index: chunks.length, start: start, text: header ? `${header}\n${body}` : body });
+            }
+            if (end >= value.length) break;
+
+            // Step back for the overlap, but always move forward and start on a word
+            let next = Math.max(end - this.overlap, start + 1);
+            const space = value.indexOf(' ', next);
+            if (this.overlap > 0 && space !== -1 && space < end) next = space + 1;
+            start = next;
+        }
+        return chunks;
+    }
+
+    // Latest paragraph, line, sentence or word boundary in the second half of the window
+    findBreak(text, start, end) {
+        const min = start + Math.floor((end - start) / 2);
+        const window = text.substring(min, end);
+        const patterns = [/\n\s*\n/g, /\n/g, /[.!?。]\s/g, /\s/g];
+        for (const pattern of patterns) {
+            let last = -1;
+            let match;
+            while ((match = pattern.exec(window)) !== null) {
+                last = match.index + match[0].length;
+            }
+            if (last > 0) return min + last;
+        }
+        return end;
+    }
+
+    static tokenize(text) {
+        const stopWords = TextChunker.STOP_WORDS;
+        return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(term => term.length > 1 && !stopWords.has(term));
+    }
+
+    /**
+     * Order passages by BM25 relevance to the query; ties keep document order
+     * @returns {Array<{chunk: Object, score: number}>}
+     */
+    rank(chunks, query) {
+        const queryTerms = Array.from(new Set(TextChunker.tokenize(query)));
+        const documents = chunks.map(chunk => TextChunker.tokenize(chunk.text));
+        const averageLength = documents.reduce((total, terms) => total + terms.length, 0) / (documents.length || 1);
+
+        const documentFrequency = {};
+        documents.forEach(terms => {
+            new Set(terms).forEach(term => {
+                documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+            });
+        });
+
+        const scored = chunks.map((chunk, i) => {
+            const terms = documents[i];
+            const frequency = {};
+            terms.forEach(term => {
+                frequency[term] = (frequency[term] || 0) + 1;
+            });
+
+            let score = 0;
+            queryTerms.forEach(term => {
+                const tf = frequency[term];
+                if (!tf) return;
+                const df = documentFrequency[term];
+                const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+                const norm = 1 - TextChunker.B + TextChunker.B * terms.length / (averageLength || 1);
+                score += idf * tf * (TextChunker.K1 + 1) / (tf + TextChunker.K1 * norm);
+            });
+            return { chunk, score };
+        });
+
+        return scored.sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextChunker;
+}